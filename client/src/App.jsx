@@ -7,8 +7,8 @@
 import { useEffect, useState } from 'react';
 import { BrowserRouter, Routes, Route, useNavigate, useLocation } from 'react-router-dom';
 import { AuthProvider } from './utils/AuthContext';
-import { socket, getDeviceId, setDeviceId } from './utils/socket';
-import { LanguageProvider } from './utils/LanguageContext';
+import { socket, getDeviceId, setDeviceId, getRejectedServer, formatFingerprint } from './utils/socket';
+import { LanguageProvider, useLanguage } from './utils/LanguageContext';
 import ProtectedRoute from './components/ProtectedRoute';
 
 import LobbyView from './pages/Lobby';
@@ -23,6 +23,9 @@ function AppContent() {
   const [gameState, setGameState] = useState(null);
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [isSetupRequired, setIsSetupRequired] = useState(false);
+  const [isBanned, setIsBanned] = useState(false);
+  const [rejectedServer, setRejectedServer] = useState(getRejectedServer);
+  const { text: dictionary } = useLanguage();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -52,6 +55,8 @@ function AppContent() {
 
     socket.on('SETUP_REQUIRED', () => setIsSetupRequired(true));
     socket.on('SETUP_COMPLETE', () => setIsSetupRequired(false));
+    socket.on('DEVICE_BANNED', () => setIsBanned(true));
+    socket.on('SERVER_IDENTITY_REJECTED', setRejectedServer);
 
     socket.on('connect', onConnect);
     socket.on('disconnect', onDisconnect);
@@ -67,13 +72,38 @@ function AppContent() {
       socket.off('ROLE_ASSIGNED', onRoleAssigned);
       socket.off('SETUP_REQUIRED');
       socket.off('SETUP_COMPLETE');
+      socket.off('DEVICE_BANNED');
+      socket.off('SERVER_IDENTITY_REJECTED', setRejectedServer);
     };
   }, [navigate]);
   
   return (
     <>
       <div style={{ padding: '0px'}}>
-        {isSetupRequired ? (
+        {rejectedServer ? (
+          <div className="lobby-container">
+            <main className="lobby-body">
+              <div className="login-card">
+                <div className="login-header">
+                  <h2>{dictionary.lobby.unknownServerTitle}</h2>
+                  <p>{dictionary.lobby.unknownServerSubtitle}</p>
+                  <p><code>{formatFingerprint(rejectedServer.fingerprint)}</code></p>
+                </div>
+              </div>
+            </main>
+          </div>
+        ) : isBanned ? (
+          <div className="lobby-container">
+            <main className="lobby-body">
+              <div className="login-card">
+                <div className="login-header">
+                  <h2>{dictionary.lobby.deviceBannedTitle}</h2>
+                  <p>{dictionary.lobby.deviceBannedSubtitle}</p>
+                </div>
+              </div>
+            </main>
+          </div>
+        ) : isSetupRequired ? (
           <SetupView />
         ) : (
           <Routes>
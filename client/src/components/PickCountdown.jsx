@@ -0,0 +1,44 @@
+/**
+ * @file src/components/PickCountdown.jsx
+ * @description Live readout of the per-pick timer, shared by the Player tray, Judge panel and Stream overlay.
+ * The server owns the deadline; each STATE_UPDATE carries serverTime so tablets with a drifting
+ * clock still count down in sync with the automatic force pick. A paused draft shows the frozen time left.
+ */
+import { useState, useEffect } from 'react';
+
+export default function PickCountdown({ gameState, label, expiredLabel, className = '' }) {
+  const deadline = gameState?.pickDeadline;
+  const serverTime = gameState?.serverTime;
+  const warning = gameState?.settings?.pickTimer?.warning ?? 0;
+
+  const [tick, setTick] = useState({ deadline: null, secondsLeft: 0 });
+
+  useEffect(() => {
+    if (!deadline) return;
+    const clockOffset = (serverTime || Date.now()) - Date.now();
+
+    const interval = setInterval(() => {
+      const secondsLeft = Math.max(0, Math.ceil((deadline - (Date.now() + clockOffset)) / 1000));
+      setTick({ deadline, secondsLeft });
+    }, 250);
+    return () => clearInterval(interval);
+  }, [deadline, serverTime]);
+
+  let secondsLeft = null;
+  if (gameState?.isPaused && gameState.pickTimeRemaining !== null && gameState.pickTimeRemaining !== undefined) {
+    secondsLeft = Math.ceil(gameState.pickTimeRemaining / 1000);
+  } else if (deadline && tick.deadline === deadline) {
+    secondsLeft = tick.secondsLeft;
+  }
+  if (secondsLeft === null) return null;
+
+  const m = String(Math.floor(secondsLeft / 60)).padStart(2, '0');
+  const s = String(secondsLeft % 60).padStart(2, '0');
+  const stateClass = gameState.isPaused ? 'paused' : secondsLeft === 0 ? 'expired' : secondsLeft <= warning ? 'warning' : '';
+
+  return (
+    <div className={`pick-countdown ${stateClass} ${className}`}>
+      {secondsLeft === 0 && expiredLabel && !gameState.isPaused ? expiredLabel : <>{label} <span className="pick-countdown-value">{m}:{s}</span></>}
+    </div>
+  );
+}
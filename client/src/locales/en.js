@@ -18,7 +18,18 @@ export const en = {
     adminLogin: "Admin Login",
     connected: "Connected",
     disconnected: "Disconnected",
-    debugActive: "Debug Mode Active"
+    debugActive: "Debug Mode Active",
+    deviceBannedTitle: "Device Blocked",
+    deviceBannedSubtitle: "The tournament admin has blocked this device. Ask them to lift the block, then reload the page.",
+    unknownServerTitle: "Unknown Server",
+    unknownServerSubtitle: "This server's identity does not match the one this device was paired with, so it refused to connect. If the tournament server was reinstalled, scan the pairing QR code in the Admin panel (Security) to pair again. Its fingerprint:",
+    judgeSubtitle: "Judges: sign in with the account the tournament admin gave you",
+    judgeNameLabel: "Judge Account",
+    judgePasswordLabel: "Password",
+    judgeLoginButton: "Sign In as Judge",
+    judgeLoginError: "Invalid judge name or password.",
+    judgeModeLink: "I am a judge with an account",
+    deviceModeLink: "Register this device instead"
   },
   login: {
     title: "Admin Portal",
@@ -30,26 +41,44 @@ export const en = {
     defaultError: "Invalid Password",
     connected: "Connected",
     disconnected: "Disconnected",
-    debugActive: "Debug Mode Active"
+    debugActive: "Debug Mode Active",
+    totpLabel: "Authentication Code",
+    totpPlaceholder: "6-digit code or recovery code",
+    totpHint: "Open your authenticator app, or enter one of your recovery codes.",
+    totpButton: "Verify",
+    totpError: "Invalid authentication code"
   },
   judge: {
     title: "Moderator Panel",
-    players: "Players: {count}/10",
+    players: "Players: {count}/{total}",
     judges: "Judges: {count}",
     statusPending: "Status: PENDING",
     statusInProgress: "Status: DRAFTING",
+    statusPaused: "Status: PAUSED",
     statusCompleted: "Status: COMPLETED",
+    pickCountdown: "Pick clock",
+    pickCountdownExpired: "Time's up — drawing a random card",
     startDraft: "Start Draft",
     unlockTray: "Unlock Tray",
     forcePick: "Force Random Pick",
     forcePickConfirm: "Are you sure you want to force a random pick for the current player?",
     closeCard: "Close Active Card",
     resetDraft: "Reset Draft",
+    undoPick: "Undo Last Pick",
+    undoPickConfirm: "Return the card drawn for Player {number} to the tray?",
+    pauseDraft: "Pause Draft",
+    resumeDraft: "Resume Draft",
+    commitmentTitle: "Deck Commitment (SHA-256)",
+    commitmentSealed: "Sealed until the draft completes.",
+    commitmentSalt: "Revealed salt",
+    commitmentVerified: "✓ Deck verified against commitment",
+    commitmentMismatch: "✗ Commitment mismatch!",
     player: "Player {number}",
     roleCitizen: "Citizen",
     roleSheriff: "Sheriff",
     roleMafia: "Mafia",
     roleDon: "Don",
+    roleDoctor: "Doctor",
     emptyPlayer: "Waiting...",
     connected: "Connected",
     disconnected: "Disconnected",
@@ -59,7 +88,12 @@ export const en = {
     title: "Stream Source Connected",
     subtitle: "Waiting for Admin to assign a table...",
     ipLabel: "Source IP Address",
-    player: "Player {number}"
+    player: "Player {number}",
+    commitmentLabel: "Deck SHA-256:",
+    commitmentSalt: "Salt:",
+    pickCountdown: "Player {number} is picking",
+    pickCountdownExpired: "Time's up",
+    pausedTitle: "Draft Paused"
   },
   setup: {
     title: "Tournament Initialization",
@@ -76,6 +110,10 @@ export const en = {
   },
   player: {
     waitingTitle: "Tray Locked",
+    pickCountdown: "Time left",
+    pickCountdownExpired: "Time's up",
+    pausedTitle: "Paused",
+    pausedSubtitle: "The judge has paused the draft",
     waitingSubtitle: "Waiting for the Judge to unlock the draft...",
     selectTitle: "Select a Card",
     selectSubtitle: "Tap a physical card to reveal your role",
@@ -95,10 +133,35 @@ export const en = {
     menu: "Menu",
     tabOverview: "Global Overview",
     tabStreams: "Stream Overlays",
+    tabHistory: "Draft History",
     tabSecurity: "Security",
     globalDebug: "Global Debug Mode",
     createRoom: "Create Table",
     createPlaceholder: "e.g. FINALS",
+    deckLabel: "Table Deck",
+    deckCLASSIC_10: "Classic (10 players)",
+    deckCLASSIC_8: "Classic (8 players)",
+    deckCLASSIC_7: "Classic (7 players)",
+    deckEXTENDED_12: "Extended (12 players, Doctor)",
+    deckCUSTOM: "Custom Deck...",
+    customRoleName: "Role",
+    customRoleCount: "Count",
+    teamTOWN: "Town",
+    teamMAFIA: "Mafia",
+    addRole: "Add Role",
+    deckSize: "{size} seats",
+    draftOrderLabel: "Draft Order",
+    draftOrderLINEAR: "Clockwise",
+    draftOrderREVERSE: "Counter-clockwise",
+    draftOrderRANDOM: "Random order",
+    draftOrderCUSTOM: "Custom sequence",
+    draftOrderRandomStart: "Random first seat",
+    draftOrderStartSeat: "Start at seat {number}",
+    draftOrderSequenceHint: "Seats in draft order, e.g. 3, 1, 2",
+    pickTimerEnabled: "Pick timer (auto force pick on expiry)",
+    pickTimerDuration: "Seconds per pick",
+    pickTimerGrace: "Grace (s)",
+    pickTimerWarning: "Warn at (s)",
     players: "Players",
     judges: "Judges",
     streams: "Streams",
@@ -108,6 +171,7 @@ export const en = {
     statusUnlocked: "Roles Unlocked",
     statusWaiting: "Waiting for Draft",
     statusInProgress: "Draft in Progress",
+    statusPaused: "Draft Paused",
     statusCompleted: "Draft has Ended",
     noRooms: "No active tables. Create a room to begin.",
     connected: "Connected",
@@ -133,16 +197,30 @@ export const en = {
     deleteRoom: "Delete Table",
     lockRoles: "Lock Roles",
     unlockRoles: "Unlock Roles",
+    undoPick: "Undo Last Pick",
+    undoPickConfirm: "Return the card drawn for Player {number} to the tray?",
+    pauseDraft: "Pause Draft",
+    resumeDraft: "Resume Draft",
     miniTray: "Live Draft Tray",
     draftResults: "Draft Results",
+    printProtocol: "Print Protocol",
+    exportFailed: "Failed to export results.",
     roleCitizen: "Citizen",
     roleSheriff: "Sheriff",
     roleMafia: "Mafia",
     roleDon: "Don",
+    roleDoctor: "Doctor",
     seatConfig: "Seating Configuration",
     unassigned: "Unassigned",
     assignSeat: "Assign Seat...",
     seatLabel: "Seat {number}",
+    historyAllRooms: "All rooms",
+    historyEmpty: "No completed drafts yet.",
+    historyGameTitle: "{room} · Game #{number}",
+    historyForced: "Forced",
+    historyStartedBy: "Started by {name}",
+    historyDuration: "{minutes} min",
+    historyUndos: "{count} undone",
     connectedDevices: "Connected Devices",
     rolePlayer: "Player",
     roleJudge: "Judge",
@@ -179,10 +257,221 @@ export const en = {
     errNetwork: "Network error during upload.",
     saveSettings: "Apply Global Settings",
     saveSuccess: "Settings applied successfully.",
+    saveFailed: "Settings were not saved:",
     streamPlateBackgroundColor: 'Player Plate Background Color',
     streamPlateTextColor: 'Player Plate Text Color',
     streamPreview: 'Preview',
     playerLabel: "Player {number}",
-    interfaceAndLanguage: 'Interface & Language'
+    interfaceAndLanguage: 'Interface & Language',
+    tabPlayers: "Players",
+    addPlayer: "Add Player",
+    playerNickname: "Nickname",
+    playerRealName: "Real name",
+    playerClub: "Club",
+    playerPhoto: "Upload photo",
+    removePhoto: "Remove photo",
+    playersEmpty: "No players registered yet.",
+    deletePlayerConfirm: "Remove {name} from the registry? They will be unseated from every table.",
+    playerSaveFailed: "Failed to save player.",
+    playerPhotoFailed: "Failed to update the player photo.",
+    seatingTitle: "Seating",
+    seatingEmpty: "— No player —",
+    seatingNoPlayers: "Register players in the Players tab to seat them.",
+    tabSchedule: "Schedule",
+    scheduleTables: "Tables in play",
+    scheduleRounds: "Rounds",
+    scheduleSeatCount: "{seats} seats · {players} registered players",
+    scheduleGenerate: "Generate Seating",
+    scheduleReplaceConfirm: "Replace the current schedule with a new one?",
+    scheduleFailed: "Failed to generate the schedule.",
+    scheduleEmpty: "No schedule generated yet.",
+    scheduleStats: "Repeat opponents: {opponents} (max {max} games together) · Repeat seats: {seats}",
+    scheduleClear: "Clear Schedule",
+    scheduleClearConfirm: "Discard the schedule? Seating already pushed to tables is kept.",
+    scheduleRoundTitle: "Round {number}",
+    scheduleSeated: "Seated",
+    scheduleSeatRound: "Seat this round",
+    tabStatistics: "Statistics",
+    statsGameCount: "{count} archived games",
+    statsByPlayer: "Roles per player",
+    statsNoPlayers: "No named players in the archive yet.",
+    statsBySeat: "Role frequency per seat",
+    statsGames: "Games",
+    statsSeat: "Seat",
+    statsSlot: "Card",
+    statsSamples: "Draws",
+    statsDegreesOfFreedom: "df",
+    statsSlotFairness: "Fairness per card slot",
+    statsSeatFairness: "Fairness per seat",
+    statsVerdictOK: "OK",
+    statsVerdictLOW_DATA: "Too few games",
+    statsVerdictSUSPECT: "Check",
+    statsFairnessHint: "Chi-square test of drawn roles against each game's deck. A low p-value (below 0.01) means the distribution is unlikely under a fair draw; expect occasional flags by chance across many positions.",
+    backupTitle: "Backup & Restore",
+    backupHint: "The vault is locked to this computer. A backup is encrypted with your passphrase instead, so the tournament can be restored on any machine.",
+    backupPassphrase: "Backup passphrase",
+    backupDownload: "Download Backup",
+    backupSaved: "Backup downloaded. Keep the passphrase safe — it cannot be recovered.",
+    backupFailed: "Failed to create the backup.",
+    restoreFile: "Backup file (.mafvault)",
+    restoreBtn: "Restore Backup",
+    restoreConfirm: "Replace ALL tournament data on this server with the backup? All devices will reconnect.",
+    restoreDone: "Tournament restored. Log in again with your current Admin password.",
+    restoreFailed: "Failed to restore the backup.",
+    tabSnapshots: "Snapshots",
+    snapshotsHint: "The server snapshots the tournament every 10 minutes while it changes and before destructive actions such as deleting a table. Open a snapshot to preview it, then roll back if needed.",
+    snapshotsEmpty: "No snapshots yet.",
+    snapshotCounts: "{rooms} tables · {players} players · {games} games",
+    snapshotLoading: "Loading preview...",
+    snapshotRoomProgress: "{picks}/{size} picks · {seated} seated",
+    snapshotDevices: "{count} devices",
+    snapshotSchedule: "Schedule: {rounds} rounds, seated round: {round}",
+    snapshotRollback: "Roll Back to This Snapshot",
+    snapshotRollbackConfirm: "Replace ALL tournament data with this snapshot? The current state is kept as a new snapshot. All devices will reconnect.",
+    snapshotRollbackDone: "Tournament rolled back. Log in again if prompted.",
+    snapshotRollbackFailed: "Rollback failed.",
+    snapshotPreviewFailed: "Could not read this snapshot.",
+    snapshotReasonPERIODIC: "Scheduled",
+    snapshotReasonDELETE_ROOM: "Before deleting table",
+    snapshotReasonDELETE_PLAYER: "Before deleting player",
+    snapshotReasonGENERATE_SCHEDULE: "Before replacing schedule",
+    snapshotReasonCLEAR_SCHEDULE: "Before clearing schedule",
+    snapshotReasonRESET_DRAFT: "Before resetting draft",
+    snapshotReasonUPDATE_GLOBAL_SETTINGS: "Before settings change",
+    snapshotReasonROLLBACK: "Before rollback",
+    snapshotReasonRESTORE_BACKUP: "Before backup restore",
+    tabAudit: "Audit Log",
+    auditRefresh: "Refresh",
+    auditVerify: "Verify Integrity",
+    auditIntact: "Hash chain intact: all {count} entries verified.",
+    auditBroken: "Hash chain BROKEN at {count} point(s). The log was edited outside the server.",
+    auditProblemLine: "Line {line}",
+    auditProblemUNREADABLE: "unreadable or corrupted",
+    auditProblemHASH_MISMATCH: "entry was modified",
+    auditProblemCHAIN_BROKEN: "previous entry missing or reordered",
+    auditProblemSEQUENCE_GAP: "entries missing before this one",
+    auditProblemTRUNCATED: "entries cut off the end of the log",
+    auditAllEvents: "All Events",
+    auditAllActors: "All Actors",
+    auditSearch: "Search name, device, IP...",
+    auditEmpty: "No audit entries match.",
+    auditShowing: "Showing the latest {shown} of {total} matching entries.",
+    auditLoadOlder: "Load older entries",
+    auditTime: "Time",
+    auditEvent: "Event",
+    auditActor: "Actor",
+    auditTable: "Table",
+    auditDetails: "Details",
+    auditEventADMIN_SETUP: "Admin password set",
+    auditEventADMIN_LOGIN: "Admin login",
+    auditEventADMIN_LOGIN_FAILED: "Failed admin login",
+    auditEventLOGIN_LOCKOUT: "Login lockout",
+    auditEventPASSWORD_CHANGED: "Password changed",
+    auditEventPASSWORD_CHANGE_FAILED: "Password change failed",
+    auditEventCREATE_ROOM: "Table created",
+    auditEventDELETE_ROOM: "Table deleted",
+    auditEventSTREAM_APPROVED: "Stream approved",
+    auditEventASSIGN_ROLE: "Role assigned",
+    auditEventRESET_CLIENT: "Device reset",
+    auditEventROLE_LOCK: "Roles locked/unlocked",
+    auditEventTOGGLE_GLOBAL_DEBUG: "Debug mode toggled",
+    auditEventTOGGLE_SINGLE_MODE: "Single mode toggled",
+    auditEventSET_DRAFT_ORDER: "Draft order changed",
+    auditEventSET_PICK_TIMER: "Pick timer changed",
+    auditEventASSIGN_SEAT: "Seat assigned",
+    auditEventSET_SEAT_PLAYER: "Player seated",
+    auditEventPLAYER_CREATED: "Player registered",
+    auditEventPLAYER_UPDATED: "Player edited",
+    auditEventDELETE_PLAYER: "Player deleted",
+    auditEventGENERATE_SCHEDULE: "Schedule generated",
+    auditEventAPPLY_SCHEDULE_ROUND: "Schedule round seated",
+    auditEventCLEAR_SCHEDULE: "Schedule cleared",
+    auditEventSTART_DRAFT: "Draft started",
+    auditEventPICK: "Card picked",
+    auditEventPICK_REJECTED: "Out-of-turn pick blocked",
+    auditEventFORCE_PICK: "Forced pick",
+    auditEventUNDO_PICK: "Pick undone",
+    auditEventPAUSE_DRAFT: "Draft paused",
+    auditEventRESUME_DRAFT: "Draft resumed",
+    auditEventRESET_DRAFT: "Draft reset",
+    auditEventDRAFT_COMPLETED: "Draft completed",
+    auditEventUPDATE_GLOBAL_SETTINGS: "Settings changed",
+    auditEventROLLBACK_SNAPSHOT: "Rolled back to snapshot",
+    auditEventBACKUP_EXPORTED: "Backup exported",
+    auditEventBACKUP_RESTORED: "Backup restored",
+    auditEventBACKUP_RESTORE_FAILED: "Backup restore failed",
+    tabDevices: "Devices",
+    devicesHint: "Every device the server remembers. Offline devices without a role or seat are forgotten automatically after 3 days; banned devices are kept until unbanned.",
+    devicesEmpty: "No devices registered yet.",
+    deviceName: "Device",
+    deviceRole: "Role",
+    deviceLastSeen: "Last Seen",
+    deviceOnline: "Online now",
+    deviceBannedBadge: "Banned",
+    deviceBan: "Ban",
+    deviceUnban: "Unban",
+    deviceForget: "Forget",
+    deviceForgetConfirm: "Forget {name}? It loses its role and seat and must register again.",
+    deviceBanConfirm: "Ban {name}? It is disconnected and cannot rejoin until unbanned.",
+    auditEventDEVICE_RENAMED: "Device renamed",
+    auditEventDEVICE_FORGOTTEN: "Device forgotten",
+    auditEventDEVICE_BANNED: "Device banned",
+    auditEventDEVICE_UNBANNED: "Device unbanned",
+    auditEventSESSIONS_EXPIRED: "Stale devices expired",
+    judgeAccountsTitle: "Judge Accounts",
+    judgeAccountsHint: "Judges sign in from the Lobby with these accounts and take the Judge role at a table on their own. Revoking an account signs out every device using it.",
+    judgeAccountName: "Judge name",
+    judgeAccountPassword: "Password",
+    judgeAccountAnyTable: "Any table",
+    judgeAccountCreate: "Add Judge",
+    judgeAccountsEmpty: "No judge accounts yet.",
+    judgeAccountLastLogin: "Last Sign-in",
+    judgeAccountActive: "Devices",
+    judgeAccountRevoke: "Revoke",
+    judgeAccountRevokeConfirm: "Revoke the judge account {name}? Devices judging with it lose the Judge role.",
+    judgeAccountFailed: "Failed to create the judge account.",
+    auditEventJUDGE_LOGIN: "Judge login",
+    auditEventJUDGE_LOGIN_FAILED: "Failed judge login",
+    auditEventJUDGE_ACCOUNT_CREATED: "Judge account created",
+    auditEventJUDGE_ACCOUNT_REVOKED: "Judge account revoked",
+    logout: "Log Out",
+    uploadTokensTitle: "Admin Sessions",
+    uploadTokensHint: "Each signed-in Admin console holds a token for uploads, backups and exports. Tokens only work from the device they were issued to and expire after 12 hours. Revoking them signs out every Admin console, including this one.",
+    uploadTokenIssued: "Issued",
+    uploadTokenExpires: "Expires",
+    uploadTokenThisDevice: "this device",
+    uploadTokensRevokeAll: "Revoke All Sessions",
+    uploadTokensRevokeConfirm: "Revoke every Admin token? All Admin consoles, including this one, are signed out and must log in again.",
+    totpTitle: "Two-Factor Authentication",
+    totpHint: "Require a code from an authenticator app (works offline) in addition to the master password when signing in to the Admin panel.",
+    totpEnabledHint: "Two-factor authentication is on. Recovery codes left: {count}. Enter a current code or a recovery code to turn it off.",
+    totpEnable: "Set Up Two-Factor Authentication",
+    totpSecret: "Scan the code with your authenticator app, or enter this key manually:",
+    totpCodePlaceholder: "6-digit code from the app",
+    totpConfirm: "Confirm and Enable",
+    totpQrAlt: "Authenticator setup QR code",
+    totpRecoveryCodesTitle: "Recovery Codes",
+    totpRecoveryCodesHint: "Write these down and keep them somewhere safe. Each code signs you in once if the authenticator is lost. They will not be shown again.",
+    totpDisablePlaceholder: "Current code or recovery code",
+    totpDisable: "Turn Off",
+    totpDisableConfirm: "Turn off two-factor authentication for the Admin panel?",
+    totpFailed: "Two-factor authentication could not be updated.",
+    serverIdentityTitle: "Server Identity",
+    serverIdentityHint: "Devices remember this fingerprint the first time they connect and refuse any other server. Scan the code with a tablet to pair it explicitly, or compare the fingerprint with the one printed in the server console.",
+    serverIdentityFingerprint: "Fingerprint",
+    serverIdentityPairingLink: "Pairing link",
+    serverIdentityQrAlt: "Pairing QR code",
+    httpsCaHint: "This server runs over HTTPS with its own certificate authority. Install the CA certificate on each tablet (scan the code, then trust the certificate in the device's settings) so browsers accept the connection without warnings.",
+    httpsCaFingerprint: "CA fingerprint (SHA-256)",
+    httpsCaDownload: "Download CA certificate",
+    httpsCaQrAlt: "CA certificate QR code",
+    auditEventADMIN_LOGOUT: "Admin logout",
+    auditEventUPLOAD_TOKENS_REVOKED: "Admin sessions revoked",
+    auditEventCREDENTIALS_REHASHED: "Password hash upgraded",
+    auditEventADMIN_TOTP_FAILED: "Admin 2FA code rejected",
+    auditEventRECOVERY_CODE_USED: "Recovery code used",
+    auditEventTOTP_ENABLED: "2FA enabled",
+    auditEventTOTP_DISABLED: "2FA disabled",
+    auditEventTOTP_DISABLE_FAILED: "2FA disable rejected"
   }
 };
\ No newline at end of file
@@ -18,7 +18,18 @@ export const he = {
     adminLogin: "הצטרפות מנהלן",
     connected: "מקוון",
     disconnected: "לא מקוון",
-    debugActive: "מצב דיבג פעיל"
+    debugActive: "מצב דיבג פעיל",
+    deviceBannedTitle: "המכשיר חסום",
+    deviceBannedSubtitle: "מנהל הטורניר חסם את המכשיר הזה. בקשו ממנו להסיר את החסימה ורעננו את הדף.",
+    unknownServerTitle: "שרת לא מוכר",
+    unknownServerSubtitle: "זהות השרת אינה תואמת את השרת שאליו המכשיר הוצמד, ולכן החיבור נדחה. אם שרת הטורניר הותקן מחדש, סרקו את קוד ה-QR להצמדה בלוח הניהול (אבטחה) כדי להצמיד שוב. טביעת האצבע שלו:",
+    judgeSubtitle: "שופטים: התחברו עם החשבון שקיבלתם ממנהל הטורניר",
+    judgeNameLabel: "חשבון שופט",
+    judgePasswordLabel: "סיסמה",
+    judgeLoginButton: "כניסה כשופט",
+    judgeLoginError: "שם שופט או סיסמה שגויים.",
+    judgeModeLink: "אני שופט עם חשבון",
+    deviceModeLink: "רישום המכשיר במקום זאת"
   },
   login: {
     title: "פורטל מנהלן",
@@ -30,26 +41,44 @@ export const he = {
     defaultError: "הסיסמה שגויה",
     connected: "מקוון",
     disconnected: "לא מקוון",
-    debugActive: "מצב דיבג פעיל"
+    debugActive: "מצב דיבג פעיל",
+    totpLabel: "קוד אימות",
+    totpPlaceholder: "קוד בן 6 ספרות או קוד שחזור",
+    totpHint: "פתחו את אפליקציית האימות, או הזינו אחד מקודי השחזור.",
+    totpButton: "אימות",
+    totpError: "קוד אימות שגוי"
   },
   judge: {
     title: "פאנל מנחה",
-    players: "שחקנים: {count}/10",
+    players: "שחקנים: {count}/{total}",
     judges: "שופטים: {count}",
     statusPending: "מצב: המתנה",
     statusInProgress: "מצב: חלוקה",
+    statusPaused: "סטטוס: מושהה",
     statusCompleted: "מצב: נגמר",
+    pickCountdown: "זמן לבחירה",
+    pickCountdownExpired: "הזמן נגמר — נשלף קלף אקראי",
     startDraft: "להתחיל חלוקה",
     unlockTray: "פתיחת מגש",
     forcePick: "הכריח בחירה אקראית",
     forcePickConfirm: "בטוח רוצה להכריח בחירה אקראית לשחקן הזה?",
     closeCard: "סגור קלף הנוכחי",
     resetDraft: "איפוס חלוקה",
+    undoPick: "בטל בחירה אחרונה",
+    undoPickConfirm: "להחזיר את הקלף של שחקן {number} למגש?",
+    pauseDraft: "השהה דראפט",
+    resumeDraft: "המשך דראפט",
+    commitmentTitle: "התחייבות חפיסה (SHA-256)",
+    commitmentSealed: "חתום עד לסיום החלוקה.",
+    commitmentSalt: "מלח שנחשף",
+    commitmentVerified: "✓ החפיסה אומתה מול ההתחייבות",
+    commitmentMismatch: "✗ אי התאמה בהתחייבות!",
     player: "שחקן {number}",
     roleCitizen: "עיירה",
     roleSheriff: "שריף",
     roleMafia: "מאפיה",
     roleDon: "דון",
+    roleDoctor: "רופא",
     emptyPlayer: "ממתין...",
     connected: "מקוון",
     disconnected: "לא מקוון",
@@ -59,7 +88,12 @@ export const he = {
     title: "מקור שידור מקוון",
     subtitle: "ממתין לשיבוץ שולחן על ידי מנהלן...",
     ipLabel: "כתובת IP של המקור",
-    player: "שחקן {number}"
+    player: "שחקן {number}",
+    commitmentLabel: "SHA-256 של החפיסה:",
+    commitmentSalt: "מלח:",
+    pickCountdown: "שחקן {number} בוחר",
+    pickCountdownExpired: "הזמן נגמר",
+    pausedTitle: "הדראפט מושהה"
   },
   setup: {
     title: "אתחול הטורניר",
@@ -76,6 +110,10 @@ export const he = {
   },
   player: {
     waitingTitle: "המגש נעול",
+    pickCountdown: "זמן שנותר",
+    pickCountdownExpired: "הזמן נגמר",
+    pausedTitle: "מושהה",
+    pausedSubtitle: "השופט השהה את הדראפט",
     waitingSubtitle: "ממתין לפתיחה על ידי המנחה...",
     selectTitle: "בחור קלף",
     selectSubtitle: "לחץ רל הקלף לקבלת התפקיד",
@@ -95,10 +133,35 @@ export const he = {
     menu: "תפרית",
     tabOverview: "סקירה גלובלית",
     tabStreams: "שכבות-על שידורים",
+    tabHistory: "היסטוריית דראפטים",
     tabSecurity: "הבטחה",
     globalDebug: "מצב דיבג גלובלי",
     createRoom: "צור שולחן",
     createPlaceholder: "למשל, גמר",
+    deckLabel: "חפיסת השולחן",
+    deckCLASSIC_10: "קלאסי (10 שחקנים)",
+    deckCLASSIC_8: "קלאסי (8 שחקנים)",
+    deckCLASSIC_7: "קלאסי (7 שחקנים)",
+    deckEXTENDED_12: "מורחב (12 שחקנים, רופא)",
+    deckCUSTOM: "חפיסה מותאמת...",
+    customRoleName: "תפקיד",
+    customRoleCount: "כמות",
+    teamTOWN: "עיר",
+    teamMAFIA: "מאפיה",
+    addRole: "הוסף תפקיד",
+    deckSize: "{size} מקומות",
+    draftOrderLabel: "סדר הבחירה",
+    draftOrderLINEAR: "עם כיוון השעון",
+    draftOrderREVERSE: "נגד כיוון השעון",
+    draftOrderRANDOM: "סדר אקראי",
+    draftOrderCUSTOM: "סדר מותאם",
+    draftOrderRandomStart: "מקום ראשון אקראי",
+    draftOrderStartSeat: "התחל ממקום {number}",
+    draftOrderSequenceHint: "מקומות לפי סדר הבחירה, למשל 3, 1, 2",
+    pickTimerEnabled: "טיימר בחירה (בחירה אקראית בתום הזמן)",
+    pickTimerDuration: "שניות לבחירה",
+    pickTimerGrace: "זמן חסד (ש׳)",
+    pickTimerWarning: "התראה ב-(ש׳)",
     players: "שחקנים",
     judges: "שופתים",
     streams: "שידורים",
@@ -108,6 +171,7 @@ export const he = {
     statusUnlocked: "תפקידים לא נעולים",
     statusWaiting: "ממתין לחלוקה",
     statusInProgress: "חלוקה במהלך",
+    statusPaused: "הדראפט מושהה",
     statusCompleted: "חלוקה נגמרה",
     noRooms: "אין שולחנות פעילים. צור שולחן להתחלה.",
     connected: "מקוון",
@@ -133,16 +197,30 @@ export const he = {
     deleteRoom: "חסר שולחן",
     lockRoles: "נעילת תפקידים",
     unlockRoles: "פתיחת תפקידים",
+    undoPick: "בטל בחירה אחרונה",
+    undoPickConfirm: "להחזיר את הקלף של שחקן {number} למגש?",
+    pauseDraft: "השהה דראפט",
+    resumeDraft: "המשך דראפט",
     miniTray: "מגש לייב",
     draftResults: "תוצאות חלוקה",
+    printProtocol: "הדפסת פרוטוקול",
+    exportFailed: "ייצוא התוצאות נכשל.",
     roleCitizen: "עיירה",
     roleSheriff: "שריף",
     roleMafia: "מאפיה",
     roleDon: "דון",
+    roleDoctor: "רופא",
     seatConfig: "הגדרת מושבים",
     unassigned: "לא מוגדר",
     assignSeat: "הגדיר מושבים...",
     seatLabel: "שחקן {number}",
+    historyAllRooms: "כל השולחנות",
+    historyEmpty: "אין עדיין דראפטים שהסתיימו.",
+    historyGameTitle: "{room} · משחק #{number}",
+    historyForced: "כפוי",
+    historyStartedBy: "הופעל על ידי {name}",
+    historyDuration: "{minutes} דק׳",
+    historyUndos: "בוטלו: {count}",
     connectedDevices: "מכשירים מחוברים",
     rolePlayer: "שחקן",
     roleJudge: "מנחה",
@@ -179,10 +257,221 @@ export const he = {
     errNetwork: "טעות הרשת במהלך העלאה.",
     saveSettings: "יישום הגדרות גלובליות",
     saveSuccess: "הגדרות יישמו בהצלחה.",
+    saveFailed: "ההגדרות לא נשמרו:",
     streamPlateBackgroundColor: 'רקע לוחית השחקן',
     streamPlateTextColor: 'צבע טקסט לוחית השחקן',
     streamPreview: 'תצוגה מקדימה',
     playerLabel: "שחקן {number}",
-    interfaceAndLanguage: 'ממשק ושפה'
+    interfaceAndLanguage: 'ממשק ושפה',
+    tabPlayers: "שחקנים",
+    addPlayer: "הוסף שחקן",
+    playerNickname: "כינוי",
+    playerRealName: "שם אמיתי",
+    playerClub: "מועדון",
+    playerPhoto: "העלה תמונה",
+    removePhoto: "הסר תמונה",
+    playersEmpty: "עדיין לא נרשמו שחקנים.",
+    deletePlayerConfirm: "להסיר את {name} מהרישום? השחקן יוסר מכל השולחנות.",
+    playerSaveFailed: "שמירת השחקן נכשלה.",
+    playerPhotoFailed: "עדכון תמונת השחקן נכשל.",
+    seatingTitle: "הושבה",
+    seatingEmpty: "— ללא שחקן —",
+    seatingNoPlayers: "רשום שחקנים בלשונית השחקנים כדי להושיב אותם.",
+    tabSchedule: "לוח סבבים",
+    scheduleTables: "שולחנות במשחק",
+    scheduleRounds: "סבבים",
+    scheduleSeatCount: "{seats} מקומות · {players} שחקנים רשומים",
+    scheduleGenerate: "צור הושבה",
+    scheduleReplaceConfirm: "להחליף את לוח הסבבים הנוכחי בחדש?",
+    scheduleFailed: "יצירת לוח הסבבים נכשלה.",
+    scheduleEmpty: "עדיין לא נוצר לוח סבבים.",
+    scheduleStats: "יריבים חוזרים: {opponents} (עד {max} משחקים יחד) · מקומות חוזרים: {seats}",
+    scheduleClear: "נקה לוח סבבים",
+    scheduleClearConfirm: "למחוק את לוח הסבבים? ההושבה שכבר נשלחה לשולחנות תישמר.",
+    scheduleRoundTitle: "סבב {number}",
+    scheduleSeated: "הושב",
+    scheduleSeatRound: "הושב סבב זה",
+    tabStatistics: "סטטיסטיקה",
+    statsGameCount: "{count} משחקים בארכיון",
+    statsByPlayer: "תפקידים לפי שחקן",
+    statsNoPlayers: "עדיין אין שחקנים עם שם בארכיון.",
+    statsBySeat: "שכיחות תפקידים לפי מושב",
+    statsGames: "משחקים",
+    statsSeat: "מושב",
+    statsSlot: "קלף",
+    statsSamples: "שליפות",
+    statsDegreesOfFreedom: "ד״ח",
+    statsSlotFairness: "הוגנות לפי מיקום קלף",
+    statsSeatFairness: "הוגנות לפי מושב",
+    statsVerdictOK: "תקין",
+    statsVerdictLOW_DATA: "מעט מדי משחקים",
+    statsVerdictSUSPECT: "לבדיקה",
+    statsFairnessHint: "מבחן חי בריבוע משווה את התפקידים שנשלפו לחפיסה של כל משחק. ערך p נמוך (מתחת ל-0.01) מעיד שההתפלגות לא סבירה בשליפה הוגנת; בין מיקומים רבים צפויות התראות מקריות.",
+    backupTitle: "גיבוי ושחזור",
+    backupHint: "הכספת נעולה למחשב הזה. הגיבוי מוצפן בסיסמה שתבחר, כך שאפשר לשחזר את הטורניר בכל מחשב.",
+    backupPassphrase: "סיסמת הגיבוי",
+    backupDownload: "הורד גיבוי",
+    backupSaved: "הגיבוי הורד. שמור את הסיסמה במקום בטוח — אי אפשר לשחזר אותה.",
+    backupFailed: "יצירת הגיבוי נכשלה.",
+    restoreFile: "קובץ גיבוי (.mafvault)",
+    restoreBtn: "שחזר מגיבוי",
+    restoreConfirm: "להחליף את כל נתוני הטורניר בשרת הזה בגיבוי? כל המכשירים יתחברו מחדש.",
+    restoreDone: "הטורניר שוחזר. התחבר שוב עם סיסמת המנהל הנוכחית.",
+    restoreFailed: "שחזור הגיבוי נכשל.",
+    tabSnapshots: "תמונות מצב",
+    snapshotsHint: "השרת שומר תמונת מצב של הטורניר כל 10 דקות כשיש שינויים, ולפני פעולות הרסניות כמו מחיקת שולחן. פתח תמונת מצב כדי לצפות בה, וחזור אליה במידת הצורך.",
+    snapshotsEmpty: "אין עדיין תמונות מצב.",
+    snapshotCounts: "{rooms} שולחנות · {players} שחקנים · {games} משחקים",
+    snapshotLoading: "טוען...",
+    snapshotRoomProgress: "{picks}/{size} בחירות · {seated} הושבו",
+    snapshotDevices: "{count} מכשירים",
+    snapshotSchedule: "לוח זמנים: {rounds} סבבים, סבב מושב: {round}",
+    snapshotRollback: "חזור לתמונת מצב זו",
+    snapshotRollbackConfirm: "להחליף את כל נתוני הטורניר בתמונת מצב זו? המצב הנוכחי יישמר כתמונת מצב חדשה. כל המכשירים יתחברו מחדש.",
+    snapshotRollbackDone: "הטורניר הוחזר. התחבר שוב אם תתבקש.",
+    snapshotRollbackFailed: "החזרה נכשלה.",
+    snapshotPreviewFailed: "לא ניתן לקרוא את תמונת המצב.",
+    snapshotReasonPERIODIC: "מתוזמן",
+    snapshotReasonDELETE_ROOM: "לפני מחיקת שולחן",
+    snapshotReasonDELETE_PLAYER: "לפני מחיקת שחקן",
+    snapshotReasonGENERATE_SCHEDULE: "לפני החלפת לוח זמנים",
+    snapshotReasonCLEAR_SCHEDULE: "לפני ניקוי לוח זמנים",
+    snapshotReasonRESET_DRAFT: "לפני איפוס הגרלה",
+    snapshotReasonUPDATE_GLOBAL_SETTINGS: "לפני שינוי הגדרות",
+    snapshotReasonROLLBACK: "לפני החזרה",
+    snapshotReasonRESTORE_BACKUP: "לפני שחזור גיבוי",
+    tabAudit: "יומן ביקורת",
+    auditRefresh: "רענן",
+    auditVerify: "אמת שלמות",
+    auditIntact: "שרשרת הגיבוב תקינה: כל {count} הרשומות אומתו.",
+    auditBroken: "שרשרת הגיבוב שבורה ב-{count} מקומות. היומן נערך מחוץ לשרת.",
+    auditProblemLine: "שורה {line}",
+    auditProblemUNREADABLE: "לא קריא או פגום",
+    auditProblemHASH_MISMATCH: "הרשומה שונתה",
+    auditProblemCHAIN_BROKEN: "הרשומה הקודמת חסרה או הוזזה",
+    auditProblemSEQUENCE_GAP: "חסרות רשומות לפני רשומה זו",
+    auditProblemTRUNCATED: "רשומות נחתכו מסוף היומן",
+    auditAllEvents: "כל האירועים",
+    auditAllActors: "כל המבצעים",
+    auditSearch: "חיפוש שם, מכשיר, IP...",
+    auditEmpty: "אין רשומות תואמות.",
+    auditShowing: "מוצגות {shown} האחרונות מתוך {total} רשומות תואמות.",
+    auditLoadOlder: "טען רשומות ישנות יותר",
+    auditTime: "זמן",
+    auditEvent: "אירוע",
+    auditActor: "מבצע",
+    auditTable: "שולחן",
+    auditDetails: "פרטים",
+    auditEventADMIN_SETUP: "סיסמת מנהל הוגדרה",
+    auditEventADMIN_LOGIN: "כניסת מנהל",
+    auditEventADMIN_LOGIN_FAILED: "כניסת מנהל נכשלה",
+    auditEventLOGIN_LOCKOUT: "נעילת כניסה",
+    auditEventPASSWORD_CHANGED: "הסיסמה שונתה",
+    auditEventPASSWORD_CHANGE_FAILED: "שינוי סיסמה נכשל",
+    auditEventCREATE_ROOM: "שולחן נוצר",
+    auditEventDELETE_ROOM: "שולחן נמחק",
+    auditEventSTREAM_APPROVED: "שידור אושר",
+    auditEventASSIGN_ROLE: "תפקיד הוקצה",
+    auditEventRESET_CLIENT: "מכשיר אופס",
+    auditEventROLE_LOCK: "תפקידים ננעלו/שוחררו",
+    auditEventTOGGLE_GLOBAL_DEBUG: "מצב דיבאג שונה",
+    auditEventTOGGLE_SINGLE_MODE: "מצב יחיד שונה",
+    auditEventSET_DRAFT_ORDER: "סדר הבחירה שונה",
+    auditEventSET_PICK_TIMER: "טיימר הבחירה שונה",
+    auditEventASSIGN_SEAT: "מושב הוקצה",
+    auditEventSET_SEAT_PLAYER: "שחקן הושב",
+    auditEventPLAYER_CREATED: "שחקן נרשם",
+    auditEventPLAYER_UPDATED: "שחקן עודכן",
+    auditEventDELETE_PLAYER: "שחקן נמחק",
+    auditEventGENERATE_SCHEDULE: "לוח זמנים נוצר",
+    auditEventAPPLY_SCHEDULE_ROUND: "סבב הושב",
+    auditEventCLEAR_SCHEDULE: "לוח הזמנים נוקה",
+    auditEventSTART_DRAFT: "ההגרלה החלה",
+    auditEventPICK: "קלף נבחר",
+    auditEventPICK_REJECTED: "בחירה שלא בתור נחסמה",
+    auditEventFORCE_PICK: "בחירה כפויה",
+    auditEventUNDO_PICK: "בחירה בוטלה",
+    auditEventPAUSE_DRAFT: "ההגרלה הושהתה",
+    auditEventRESUME_DRAFT: "ההגרלה חודשה",
+    auditEventRESET_DRAFT: "ההגרלה אופסה",
+    auditEventDRAFT_COMPLETED: "ההגרלה הסתיימה",
+    auditEventUPDATE_GLOBAL_SETTINGS: "ההגדרות שונו",
+    auditEventROLLBACK_SNAPSHOT: "חזרה לתמונת מצב",
+    auditEventBACKUP_EXPORTED: "גיבוי יוצא",
+    auditEventBACKUP_RESTORED: "גיבוי שוחזר",
+    auditEventBACKUP_RESTORE_FAILED: "שחזור גיבוי נכשל",
+    tabDevices: "מכשירים",
+    devicesHint: "כל המכשירים שהשרת זוכר. מכשירים לא מחוברים ללא תפקיד או מושב נשכחים אוטומטית אחרי 3 ימים; מכשירים חסומים נשמרים עד להסרת החסימה.",
+    devicesEmpty: "עדיין לא נרשמו מכשירים.",
+    deviceName: "מכשיר",
+    deviceRole: "תפקיד",
+    deviceLastSeen: "נראה לאחרונה",
+    deviceOnline: "מחובר כעת",
+    deviceBannedBadge: "חסום",
+    deviceBan: "חסום",
+    deviceUnban: "הסר חסימה",
+    deviceForget: "שכח",
+    deviceForgetConfirm: "לשכוח את {name}? המכשיר יאבד את התפקיד והמושב ויצטרך להירשם מחדש.",
+    deviceBanConfirm: "לחסום את {name}? המכשיר ינותק ולא יוכל להצטרף שוב עד להסרת החסימה.",
+    auditEventDEVICE_RENAMED: "שם מכשיר שונה",
+    auditEventDEVICE_FORGOTTEN: "מכשיר נשכח",
+    auditEventDEVICE_BANNED: "מכשיר נחסם",
+    auditEventDEVICE_UNBANNED: "חסימת מכשיר הוסרה",
+    auditEventSESSIONS_EXPIRED: "מכשירים ישנים נמחקו",
+    judgeAccountsTitle: "חשבונות שופטים",
+    judgeAccountsHint: "שופטים מתחברים מהלובי עם החשבונות האלה ומקבלים בעצמם את תפקיד השופט בשולחן. ביטול חשבון מנתק את תפקיד השופט מכל המכשירים שמשתמשים בו.",
+    judgeAccountName: "שם השופט",
+    judgeAccountPassword: "סיסמה",
+    judgeAccountAnyTable: "כל שולחן",
+    judgeAccountCreate: "הוספת שופט",
+    judgeAccountsEmpty: "אין עדיין חשבונות שופטים.",
+    judgeAccountLastLogin: "כניסה אחרונה",
+    judgeAccountActive: "מכשירים",
+    judgeAccountRevoke: "ביטול",
+    judgeAccountRevokeConfirm: "לבטל את חשבון השופט {name}? מכשירים ששופטים דרכו יאבדו את תפקיד השופט.",
+    judgeAccountFailed: "יצירת חשבון השופט נכשלה.",
+    auditEventJUDGE_LOGIN: "כניסת שופט",
+    auditEventJUDGE_LOGIN_FAILED: "כניסת שופט נכשלה",
+    auditEventJUDGE_ACCOUNT_CREATED: "נוצר חשבון שופט",
+    auditEventJUDGE_ACCOUNT_REVOKED: "חשבון שופט בוטל",
+    logout: "התנתקות",
+    uploadTokensTitle: "חיבורי מנהל",
+    uploadTokensHint: "כל מסוף מנהל מחובר מחזיק אסימון להעלאות, גיבויים וייצוא. אסימון פועל רק מהמכשיר שקיבל אותו ופג לאחר 12 שעות. ביטול האסימונים מנתק את כל מסופי המנהל, כולל זה.",
+    uploadTokenIssued: "הונפק",
+    uploadTokenExpires: "פג תוקף",
+    uploadTokenThisDevice: "מכשיר זה",
+    uploadTokensRevokeAll: "ביטול כל החיבורים",
+    uploadTokensRevokeConfirm: "לבטל את כל אסימוני המנהל? כל מסופי המנהל, כולל זה, ינותקו ויידרשו להתחבר מחדש.",
+    totpTitle: "אימות דו-שלבי",
+    totpHint: "לדרוש בכניסה ללוח הניהול, בנוסף לסיסמת המאסטר, קוד מאפליקציית אימות (עובד ללא אינטרנט).",
+    totpEnabledHint: "האימות הדו-שלבי פעיל. קודי שחזור שנותרו: {count}. כדי לבטל אותו, הזינו קוד נוכחי או קוד שחזור.",
+    totpEnable: "הגדרת אימות דו-שלבי",
+    totpSecret: "סרקו את הקוד באפליקציית האימות, או הזינו מפתח זה ידנית:",
+    totpCodePlaceholder: "קוד בן 6 ספרות מהאפליקציה",
+    totpConfirm: "אישור והפעלה",
+    totpQrAlt: "קוד QR להגדרת אפליקציית האימות",
+    totpRecoveryCodesTitle: "קודי שחזור",
+    totpRecoveryCodesHint: "רשמו אותם ושמרו במקום בטוח. כל קוד מאפשר כניסה אחת אם אפליקציית האימות אבדה. הם לא יוצגו שוב.",
+    totpDisablePlaceholder: "קוד נוכחי או קוד שחזור",
+    totpDisable: "ביטול",
+    totpDisableConfirm: "לבטל את האימות הדו-שלבי עבור לוח הניהול?",
+    totpFailed: "לא ניתן היה לעדכן את האימות הדו-שלבי.",
+    serverIdentityTitle: "זהות השרת",
+    serverIdentityHint: "מכשירים זוכרים את טביעת האצבע הזו בחיבור הראשון ומסרבים לכל שרת אחר. סרקו את הקוד בטאבלט כדי להצמיד אותו במפורש, או השוו את טביעת האצבע לזו המודפסת במסוף השרת.",
+    serverIdentityFingerprint: "טביעת אצבע",
+    serverIdentityPairingLink: "קישור הצמדה",
+    serverIdentityQrAlt: "קוד QR להצמדה",
+    httpsCaHint: "שרת זה פועל ב-HTTPS עם רשות אישורים משלו. התקינו את אישור ה-CA בכל טאבלט (סרקו את הקוד, ואז סמנו את האישור כמהימן בהגדרות המכשיר) כדי שהדפדפנים יקבלו את החיבור ללא אזהרות.",
+    httpsCaFingerprint: "טביעת אצבע של ה-CA (SHA-256)",
+    httpsCaDownload: "הורדת אישור ה-CA",
+    httpsCaQrAlt: "קוד QR של אישור ה-CA",
+    auditEventADMIN_LOGOUT: "התנתקות מנהל",
+    auditEventUPLOAD_TOKENS_REVOKED: "חיבורי מנהל בוטלו",
+    auditEventCREDENTIALS_REHASHED: "גיבוב הסיסמה שודרג",
+    auditEventADMIN_TOTP_FAILED: "קוד 2FA של מנהל נדחה",
+    auditEventRECOVERY_CODE_USED: "נעשה שימוש בקוד שחזור",
+    auditEventTOTP_ENABLED: "2FA הופעל",
+    auditEventTOTP_DISABLED: "2FA בוטל",
+    auditEventTOTP_DISABLE_FAILED: "ביטול 2FA נדחה"
   }
 };
\ No newline at end of file
@@ -18,7 +18,18 @@ export const ru = {
     adminLogin: "Вход администратора",
     connected: "Подключено",
     disconnected: "Нет связи",
-    debugActive: "Включён режим отладки"
+    debugActive: "Включён режим отладки",
+    deviceBannedTitle: "Устройство заблокировано",
+    deviceBannedSubtitle: "Администратор турнира заблокировал это устройство. Попросите снять блокировку и перезагрузите страницу.",
+    unknownServerTitle: "Неизвестный сервер",
+    unknownServerSubtitle: "Подпись этого сервера не совпадает с той, с которой было сопряжено устройство, поэтому подключение отклонено. Если сервер турнира был переустановлен, отсканируйте QR-код сопряжения в панели администратора (Безопасность). Отпечаток сервера:",
+    judgeSubtitle: "Судьи: войдите с учётной записью, выданной администратором турнира",
+    judgeNameLabel: "Учётная запись судьи",
+    judgePasswordLabel: "Пароль",
+    judgeLoginButton: "Войти как судья",
+    judgeLoginError: "Неверное имя судьи или пароль.",
+    judgeModeLink: "Я судья с учётной записью",
+    deviceModeLink: "Зарегистрировать устройство"
   },
   login: {
     title: "Портал администратора",
@@ -30,26 +41,44 @@ export const ru = {
     defaultError: "Неверный пароль",
     connected: "Подключено",
     disconnected: "Нет связи",
-    debugActive: "Включён режим отладки"
+    debugActive: "Включён режим отладки",
+    totpLabel: "Код подтверждения",
+    totpPlaceholder: "6-значный код или код восстановления",
+    totpHint: "Откройте приложение-аутентификатор или введите один из кодов восстановления.",
+    totpButton: "Подтвердить",
+    totpError: "Неверный код подтверждения"
   },
   judge: {
     title: "Панель ведущего",
-    players: "Игроки: {count}/10",
+    players: "Игроки: {count}/{total}",
     judges: "Судьи: {count}",
     statusPending: "Статус: ОЖИДАНИЕ",
     statusInProgress: "Статус: РАЗДАЧА",
+    statusPaused: "Статус: ПАУЗА",
     statusCompleted: "Статус: ЗАВЕРШЕНО",
+    pickCountdown: "Время на выбор",
+    pickCountdownExpired: "Время вышло — выдаётся случайная карта",
     startDraft: "Начать раздачу",
     unlockTray: "Разблокировать поднос",
     forcePick: "Случайный выбор",
     forcePickConfirm: "Вы уверены, что хотите принудительно выбрать карту для текущего игрока?",
     closeCard: "Закрыть активную карту",
     resetDraft: "Сбросить раздачу",
+    undoPick: "Отменить последний выбор",
+    undoPickConfirm: "Вернуть карту игрока {number} обратно в лоток?",
+    pauseDraft: "Приостановить",
+    resumeDraft: "Продолжить",
+    commitmentTitle: "Обязательство колоды (SHA-256)",
+    commitmentSealed: "Запечатано до завершения драфта.",
+    commitmentSalt: "Раскрытая соль",
+    commitmentVerified: "✓ Колода совпадает с обязательством",
+    commitmentMismatch: "✗ Несовпадение обязательства!",
     player: "Игрок {number}",
     roleCitizen: "Мирный",
     roleSheriff: "Шериф",
     roleMafia: "Мафия",
     roleDon: "Дон",
+    roleDoctor: "Доктор",
     emptyPlayer: "Ожидание...",
     connected: "Подключено",
     disconnected: "Нет связи",
@@ -59,7 +88,12 @@ export const ru = {
     title: "Трансляция подключена",
     subtitle: "Ожидание назначения стола...",
     ipLabel: "IP-адрес источника",
-    player: "Игрок {number}"
+    player: "Игрок {number}",
+    commitmentLabel: "SHA-256 колоды:",
+    commitmentSalt: "Соль:",
+    pickCountdown: "Выбирает игрок {number}",
+    pickCountdownExpired: "Время вышло",
+    pausedTitle: "Драфт на паузе"
   },
   setup: {
     title: "Инициализация турнира",
@@ -76,6 +110,10 @@ export const ru = {
   },
   player: {
     waitingTitle: "Поднос заблокирован",
+    pickCountdown: "Осталось",
+    pickCountdownExpired: "Время вышло",
+    pausedTitle: "Пауза",
+    pausedSubtitle: "Судья приостановил драфт",
     waitingSubtitle: "Ожидание разблокировки раздачи судьей...",
     selectTitle: "Выберите карту",
     selectSubtitle: "Нажмите на карту, чтобы раскрыть вашу роль",
@@ -95,10 +133,35 @@ export const ru = {
     menu: "Меню",
     tabOverview: "Обзор",
     tabStreams: "Трансляции",
+    tabHistory: "История драфтов",
     tabSecurity: "Безопасность",
     globalDebug: "Глобальный режим отладки",
     createRoom: "Создать стол",
     createPlaceholder: "например, ФИНАЛ",
+    deckLabel: "Колода стола",
+    deckCLASSIC_10: "Классика (10 игроков)",
+    deckCLASSIC_8: "Классика (8 игроков)",
+    deckCLASSIC_7: "Классика (7 игроков)",
+    deckEXTENDED_12: "Расширенная (12 игроков, Доктор)",
+    deckCUSTOM: "Своя колода...",
+    customRoleName: "Роль",
+    customRoleCount: "Кол-во",
+    teamTOWN: "Мирные",
+    teamMAFIA: "Мафия",
+    addRole: "Добавить роль",
+    deckSize: "Мест: {size}",
+    draftOrderLabel: "Порядок выбора",
+    draftOrderLINEAR: "По часовой стрелке",
+    draftOrderREVERSE: "Против часовой стрелки",
+    draftOrderRANDOM: "Случайный порядок",
+    draftOrderCUSTOM: "Свой порядок",
+    draftOrderRandomStart: "Случайное первое место",
+    draftOrderStartSeat: "Начать с места {number}",
+    draftOrderSequenceHint: "Места в порядке выбора, напр. 3, 1, 2",
+    pickTimerEnabled: "Таймер выбора (авто-выбор по истечении)",
+    pickTimerDuration: "Секунд на выбор",
+    pickTimerGrace: "Запас (с)",
+    pickTimerWarning: "Предупредить за (с)",
     players: "Игроки",
     judges: "Судьи",
     streams: "Трансляции",
@@ -108,6 +171,7 @@ export const ru = {
     statusUnlocked: "Роли разблокированы",
     statusWaiting: "Ожидание раздачи",
     statusInProgress: "Раздача в процессе",
+    statusPaused: "Драфт на паузе",
     statusCompleted: "Раздача завершена",
     noRooms: "Нет активных столов. Создайте стол, чтобы начать.",
     connected: "Подключено",
@@ -133,16 +197,30 @@ export const ru = {
     deleteRoom: "Удалить стол",
     lockRoles: "Заблокировать роли",
     unlockRoles: "Разблокировать роли",
+    undoPick: "Отменить последний выбор",
+    undoPickConfirm: "Вернуть карту игрока {number} обратно в лоток?",
+    pauseDraft: "Приостановить",
+    resumeDraft: "Продолжить",
     miniTray: "Состояние подноса",
     draftResults: "Результаты раздачи",
+    printProtocol: "Печать протокола",
+    exportFailed: "Не удалось экспортировать результаты.",
     roleCitizen: "Мирный",
     roleSheriff: "Шериф",
     roleMafia: "Мафия",
     roleDon: "Дон",
+    roleDoctor: "Доктор",
     seatConfig: "Рассадка игроков",
     unassigned: "Не назначено",
     assignSeat: "Назначить место...",
     seatLabel: "Место {number}",
+    historyAllRooms: "Все столы",
+    historyEmpty: "Завершённых драфтов пока нет.",
+    historyGameTitle: "{room} · Игра №{number}",
+    historyForced: "Принудительно",
+    historyStartedBy: "Запустил: {name}",
+    historyDuration: "{minutes} мин",
+    historyUndos: "Отменено: {count}",
     connectedDevices: "Подключенные устройства",
     rolePlayer: "Игрок",
     roleJudge: "Судья",
@@ -179,10 +257,221 @@ export const ru = {
     errNetwork: "Ошибка сети во время загрузки.",
     saveSettings: "Применить глобальные настройки",
     saveSuccess: "Настройки успешно применены.",
+    saveFailed: "Настройки не сохранены:",
     streamPlateBackgroundColor: 'Цвет фона плашки игрока',
     streamPlateTextColor: 'Цвет текста плашки игрока',
     streamPreview: 'Предпросмотр',
     playerLabel: "Игрок {number}",
-    interfaceAndLanguage: 'Интерфейс и язык'
+    interfaceAndLanguage: 'Интерфейс и язык',
+    tabPlayers: "Игроки",
+    addPlayer: "Добавить игрока",
+    playerNickname: "Никнейм",
+    playerRealName: "Настоящее имя",
+    playerClub: "Клуб",
+    playerPhoto: "Загрузить фото",
+    removePhoto: "Удалить фото",
+    playersEmpty: "Игроки ещё не зарегистрированы.",
+    deletePlayerConfirm: "Удалить {name} из реестра? Игрок будет снят со всех столов.",
+    playerSaveFailed: "Не удалось сохранить игрока.",
+    playerPhotoFailed: "Не удалось обновить фото игрока.",
+    seatingTitle: "Рассадка",
+    seatingEmpty: "— Нет игрока —",
+    seatingNoPlayers: "Зарегистрируйте игроков во вкладке «Игроки», чтобы рассадить их.",
+    tabSchedule: "Расписание",
+    scheduleTables: "Столы в игре",
+    scheduleRounds: "Туры",
+    scheduleSeatCount: "Мест: {seats} · зарегистрировано игроков: {players}",
+    scheduleGenerate: "Сгенерировать рассадку",
+    scheduleReplaceConfirm: "Заменить текущее расписание новым?",
+    scheduleFailed: "Не удалось сгенерировать расписание.",
+    scheduleEmpty: "Расписание ещё не создано.",
+    scheduleStats: "Повторные соперники: {opponents} (макс. {max} игр вместе) · Повторные места: {seats}",
+    scheduleClear: "Очистить расписание",
+    scheduleClearConfirm: "Удалить расписание? Уже отправленная на столы рассадка сохранится.",
+    scheduleRoundTitle: "Тур {number}",
+    scheduleSeated: "Рассажен",
+    scheduleSeatRound: "Рассадить тур",
+    tabStatistics: "Статистика",
+    statsGameCount: "Игр в архиве: {count}",
+    statsByPlayer: "Роли по игрокам",
+    statsNoPlayers: "В архиве пока нет именных игроков.",
+    statsBySeat: "Частота ролей по местам",
+    statsGames: "Игры",
+    statsSeat: "Место",
+    statsSlot: "Карта",
+    statsSamples: "Вытягиваний",
+    statsDegreesOfFreedom: "ст. св.",
+    statsSlotFairness: "Честность по позициям карт",
+    statsSeatFairness: "Честность по местам",
+    statsVerdictOK: "OK",
+    statsVerdictLOW_DATA: "Мало игр",
+    statsVerdictSUSPECT: "Проверить",
+    statsFairnessHint: "Критерий хи-квадрат сравнивает вытянутые роли с колодой каждой игры. Низкое p-значение (ниже 0,01) означает, что такое распределение маловероятно при честной раздаче; при множестве позиций отдельные отметки возможны случайно.",
+    backupTitle: "Резервная копия",
+    backupHint: "Хранилище привязано к этому компьютеру. Резервная копия шифруется вашей парольной фразой, поэтому турнир можно восстановить на любом компьютере.",
+    backupPassphrase: "Парольная фраза копии",
+    backupDownload: "Скачать копию",
+    backupSaved: "Копия скачана. Сохраните парольную фразу — восстановить её невозможно.",
+    backupFailed: "Не удалось создать резервную копию.",
+    restoreFile: "Файл копии (.mafvault)",
+    restoreBtn: "Восстановить из копии",
+    restoreConfirm: "Заменить ВСЕ данные турнира на этом сервере данными из копии? Все устройства переподключатся.",
+    restoreDone: "Турнир восстановлен. Войдите снова с текущим паролем администратора.",
+    restoreFailed: "Не удалось восстановить резервную копию.",
+    tabSnapshots: "Снимки",
+    snapshotsHint: "Сервер делает снимок турнира каждые 10 минут, пока идут изменения, и перед опасными действиями, например удалением стола. Откройте снимок для просмотра и при необходимости откатитесь к нему.",
+    snapshotsEmpty: "Снимков пока нет.",
+    snapshotCounts: "Столов: {rooms} · игроков: {players} · игр: {games}",
+    snapshotLoading: "Загрузка...",
+    snapshotRoomProgress: "Выборов: {picks}/{size} · рассажено: {seated}",
+    snapshotDevices: "Устройств: {count}",
+    snapshotSchedule: "Расписание: туров {rounds}, рассажен тур: {round}",
+    snapshotRollback: "Откатиться к этому снимку",
+    snapshotRollbackConfirm: "Заменить ВСЕ данные турнира этим снимком? Текущее состояние сохранится как новый снимок. Все устройства переподключатся.",
+    snapshotRollbackDone: "Турнир откачен. При необходимости войдите снова.",
+    snapshotRollbackFailed: "Не удалось выполнить откат.",
+    snapshotPreviewFailed: "Не удалось прочитать снимок.",
+    snapshotReasonPERIODIC: "По расписанию",
+    snapshotReasonDELETE_ROOM: "Перед удалением стола",
+    snapshotReasonDELETE_PLAYER: "Перед удалением игрока",
+    snapshotReasonGENERATE_SCHEDULE: "Перед заменой расписания",
+    snapshotReasonCLEAR_SCHEDULE: "Перед очисткой расписания",
+    snapshotReasonRESET_DRAFT: "Перед сбросом жеребьёвки",
+    snapshotReasonUPDATE_GLOBAL_SETTINGS: "Перед изменением настроек",
+    snapshotReasonROLLBACK: "Перед откатом",
+    snapshotReasonRESTORE_BACKUP: "Перед восстановлением копии",
+    tabAudit: "Журнал аудита",
+    auditRefresh: "Обновить",
+    auditVerify: "Проверить целостность",
+    auditIntact: "Цепочка хэшей цела: проверено записей: {count}.",
+    auditBroken: "Цепочка хэшей НАРУШЕНА в местах: {count}. Журнал изменяли в обход сервера.",
+    auditProblemLine: "Строка {line}",
+    auditProblemUNREADABLE: "не читается или повреждена",
+    auditProblemHASH_MISMATCH: "запись изменена",
+    auditProblemCHAIN_BROKEN: "предыдущая запись удалена или переставлена",
+    auditProblemSEQUENCE_GAP: "перед этой записью не хватает записей",
+    auditProblemTRUNCATED: "записи в конце журнала удалены",
+    auditAllEvents: "Все события",
+    auditAllActors: "Все участники",
+    auditSearch: "Поиск: имя, устройство, IP...",
+    auditEmpty: "Нет подходящих записей.",
+    auditShowing: "Показаны последние {shown} из {total} записей.",
+    auditLoadOlder: "Загрузить более ранние записи",
+    auditTime: "Время",
+    auditEvent: "Событие",
+    auditActor: "Кто",
+    auditTable: "Стол",
+    auditDetails: "Подробности",
+    auditEventADMIN_SETUP: "Пароль администратора задан",
+    auditEventADMIN_LOGIN: "Вход администратора",
+    auditEventADMIN_LOGIN_FAILED: "Неудачный вход администратора",
+    auditEventLOGIN_LOCKOUT: "Блокировка входа",
+    auditEventPASSWORD_CHANGED: "Пароль изменён",
+    auditEventPASSWORD_CHANGE_FAILED: "Ошибка смены пароля",
+    auditEventCREATE_ROOM: "Стол создан",
+    auditEventDELETE_ROOM: "Стол удалён",
+    auditEventSTREAM_APPROVED: "Трансляция одобрена",
+    auditEventASSIGN_ROLE: "Роль назначена",
+    auditEventRESET_CLIENT: "Устройство сброшено",
+    auditEventROLE_LOCK: "Роли заблокированы/разблокированы",
+    auditEventTOGGLE_GLOBAL_DEBUG: "Режим отладки переключён",
+    auditEventTOGGLE_SINGLE_MODE: "Одиночный режим переключён",
+    auditEventSET_DRAFT_ORDER: "Порядок выбора изменён",
+    auditEventSET_PICK_TIMER: "Таймер выбора изменён",
+    auditEventASSIGN_SEAT: "Место назначено",
+    auditEventSET_SEAT_PLAYER: "Игрок посажен",
+    auditEventPLAYER_CREATED: "Игрок зарегистрирован",
+    auditEventPLAYER_UPDATED: "Игрок изменён",
+    auditEventDELETE_PLAYER: "Игрок удалён",
+    auditEventGENERATE_SCHEDULE: "Расписание создано",
+    auditEventAPPLY_SCHEDULE_ROUND: "Тур расписания рассажен",
+    auditEventCLEAR_SCHEDULE: "Расписание очищено",
+    auditEventSTART_DRAFT: "Жеребьёвка начата",
+    auditEventPICK: "Карта выбрана",
+    auditEventPICK_REJECTED: "Выбор не в свою очередь заблокирован",
+    auditEventFORCE_PICK: "Принудительный выбор",
+    auditEventUNDO_PICK: "Выбор отменён",
+    auditEventPAUSE_DRAFT: "Жеребьёвка на паузе",
+    auditEventRESUME_DRAFT: "Жеребьёвка продолжена",
+    auditEventRESET_DRAFT: "Жеребьёвка сброшена",
+    auditEventDRAFT_COMPLETED: "Жеребьёвка завершена",
+    auditEventUPDATE_GLOBAL_SETTINGS: "Настройки изменены",
+    auditEventROLLBACK_SNAPSHOT: "Откат к снимку",
+    auditEventBACKUP_EXPORTED: "Резервная копия создана",
+    auditEventBACKUP_RESTORED: "Копия восстановлена",
+    auditEventBACKUP_RESTORE_FAILED: "Ошибка восстановления копии",
+    tabDevices: "Устройства",
+    devicesHint: "Все устройства, которые помнит сервер. Офлайн-устройства без роли и места забываются автоматически через 3 дня; заблокированные хранятся до разблокировки.",
+    devicesEmpty: "Устройства ещё не зарегистрированы.",
+    deviceName: "Устройство",
+    deviceRole: "Роль",
+    deviceLastSeen: "Последняя активность",
+    deviceOnline: "Сейчас в сети",
+    deviceBannedBadge: "Заблокировано",
+    deviceBan: "Заблокировать",
+    deviceUnban: "Разблокировать",
+    deviceForget: "Забыть",
+    deviceForgetConfirm: "Забыть {name}? Устройство потеряет роль и место и должно будет зарегистрироваться заново.",
+    deviceBanConfirm: "Заблокировать {name}? Устройство будет отключено и не сможет вернуться до разблокировки.",
+    auditEventDEVICE_RENAMED: "Устройство переименовано",
+    auditEventDEVICE_FORGOTTEN: "Устройство забыто",
+    auditEventDEVICE_BANNED: "Устройство заблокировано",
+    auditEventDEVICE_UNBANNED: "Устройство разблокировано",
+    auditEventSESSIONS_EXPIRED: "Устаревшие устройства удалены",
+    judgeAccountsTitle: "Учётные записи судей",
+    judgeAccountsHint: "Судьи входят с этими учётными записями из лобби и сами занимают роль судьи за столом. Отзыв учётной записи снимает роль со всех устройств, которые её используют.",
+    judgeAccountName: "Имя судьи",
+    judgeAccountPassword: "Пароль",
+    judgeAccountAnyTable: "Любой стол",
+    judgeAccountCreate: "Добавить судью",
+    judgeAccountsEmpty: "Учётных записей судей пока нет.",
+    judgeAccountLastLogin: "Последний вход",
+    judgeAccountActive: "Устройства",
+    judgeAccountRevoke: "Отозвать",
+    judgeAccountRevokeConfirm: "Отозвать учётную запись судьи {name}? Устройства, судящие через неё, потеряют роль судьи.",
+    judgeAccountFailed: "Не удалось создать учётную запись судьи.",
+    auditEventJUDGE_LOGIN: "Вход судьи",
+    auditEventJUDGE_LOGIN_FAILED: "Неудачный вход судьи",
+    auditEventJUDGE_ACCOUNT_CREATED: "Создана учётная запись судьи",
+    auditEventJUDGE_ACCOUNT_REVOKED: "Учётная запись судьи отозвана",
+    logout: "Выйти",
+    uploadTokensTitle: "Сессии администратора",
+    uploadTokensHint: "Каждая открытая консоль администратора держит токен для загрузок, резервных копий и экспорта. Токен работает только с устройства, которому выдан, и истекает через 12 часов. Отзыв токенов завершает все консоли администратора, включая эту.",
+    uploadTokenIssued: "Выдан",
+    uploadTokenExpires: "Истекает",
+    uploadTokenThisDevice: "это устройство",
+    uploadTokensRevokeAll: "Отозвать все сессии",
+    uploadTokensRevokeConfirm: "Отозвать все токены администратора? Все консоли администратора, включая эту, будут завершены, потребуется повторный вход.",
+    totpTitle: "Двухфакторная аутентификация",
+    totpHint: "Запрашивать при входе в панель администратора, помимо мастер-пароля, код из приложения-аутентификатора (работает без интернета).",
+    totpEnabledHint: "Двухфакторная аутентификация включена. Осталось кодов восстановления: {count}. Чтобы отключить её, введите текущий код или код восстановления.",
+    totpEnable: "Настроить двухфакторную аутентификацию",
+    totpSecret: "Отсканируйте код приложением-аутентификатором или введите этот ключ вручную:",
+    totpCodePlaceholder: "6-значный код из приложения",
+    totpConfirm: "Подтвердить и включить",
+    totpQrAlt: "QR-код настройки аутентификатора",
+    totpRecoveryCodesTitle: "Коды восстановления",
+    totpRecoveryCodesHint: "Запишите их и храните в надёжном месте. Каждый код позволяет войти один раз, если аутентификатор утерян. Больше они показаны не будут.",
+    totpDisablePlaceholder: "Текущий код или код восстановления",
+    totpDisable: "Отключить",
+    totpDisableConfirm: "Отключить двухфакторную аутентификацию для панели администратора?",
+    totpFailed: "Не удалось изменить настройки двухфакторной аутентификации.",
+    serverIdentityTitle: "Подлинность сервера",
+    serverIdentityHint: "Устройства запоминают этот отпечаток при первом подключении и отказываются работать с любым другим сервером. Отсканируйте код планшетом, чтобы явно сопрячь его, или сверьте отпечаток с выведенным в консоли сервера.",
+    serverIdentityFingerprint: "Отпечаток",
+    serverIdentityPairingLink: "Ссылка сопряжения",
+    serverIdentityQrAlt: "QR-код сопряжения",
+    httpsCaHint: "Этот сервер работает по HTTPS с собственным центром сертификации. Установите сертификат ЦС на каждый планшет (отсканируйте код, затем отметьте сертификат как доверенный в настройках устройства), чтобы браузеры принимали соединение без предупреждений.",
+    httpsCaFingerprint: "Отпечаток ЦС (SHA-256)",
+    httpsCaDownload: "Скачать сертификат ЦС",
+    httpsCaQrAlt: "QR-код сертификата ЦС",
+    auditEventADMIN_LOGOUT: "Выход администратора",
+    auditEventUPLOAD_TOKENS_REVOKED: "Сессии администратора отозваны",
+    auditEventCREDENTIALS_REHASHED: "Хеш пароля обновлён",
+    auditEventADMIN_TOTP_FAILED: "Код 2FA администратора отклонён",
+    auditEventRECOVERY_CODE_USED: "Использован код восстановления",
+    auditEventTOTP_ENABLED: "2FA включена",
+    auditEventTOTP_DISABLED: "2FA отключена",
+    auditEventTOTP_DISABLE_FAILED: "Отказ в отключении 2FA"
   }
 };
\ No newline at end of file
@@ -18,7 +18,18 @@ export const ua = {
     adminLogin: "Вхід адміністратора",
     connected: "Під’єднано",
     disconnected: "Від’єднано",
-    debugActive: "Режим Debug Активний"
+    debugActive: "Режим Debug Активний",
+    deviceBannedTitle: "Пристрій заблоковано",
+    deviceBannedSubtitle: "Адміністратор турніру заблокував цей пристрій. Попросіть зняти блокування та перезавантажте сторінку.",
+    unknownServerTitle: "Невідомий сервер",
+    unknownServerSubtitle: "Підпис цього сервера не збігається з тим, з яким було спряжено пристрій, тому підключення відхилено. Якщо сервер турніру було перевстановлено, відскануйте QR-код спряження в панелі адміністратора (Безпека). Відбиток сервера:",
+    judgeSubtitle: "Судді: увійдіть з обліковим записом, виданим адміністратором турніру",
+    judgeNameLabel: "Обліковий запис судді",
+    judgePasswordLabel: "Пароль",
+    judgeLoginButton: "Увійти як суддя",
+    judgeLoginError: "Невірне ім'я судді або пароль.",
+    judgeModeLink: "Я суддя з обліковим записом",
+    deviceModeLink: "Зареєструвати пристрій"
   },
   login: {
     title: "Портал Адміністратора",
@@ -31,25 +42,43 @@ export const ua = {
     connected: "Під’єднано",
     disconnected: "Відсутній зв’язок",
     debugActive: "Режим Debug Активний",
+    totpLabel: "Код підтвердження",
+    totpPlaceholder: "6-значний код або код відновлення",
+    totpHint: "Відкрийте застосунок-автентифікатор або введіть один із кодів відновлення.",
+    totpButton: "Підтвердити",
+    totpError: "Невірний код підтвердження",
   },
   judge: {
     title: "Панель Модератора",
-    players: "Гравці: {count}/10",
+    players: "Гравці: {count}/{total}",
     judges: "Судді: {count}",
     statusPending: "Статус: В ОЧІКУВАННІ",
     statusInProgress: "Статус: ВИДАЧА КАРТ",
+    statusPaused: "Статус: ПАУЗА",
     statusCompleted: "Статус: ЗАВЕРШЕНО",
+    pickCountdown: "Час на вибір",
+    pickCountdownExpired: "Час вийшов — видається випадкова карта",
     startDraft: "Почати Роздачу",
     unlockTray: "Розблокувати Підніс",
     forcePick: "Рандомний Вибір",
     forcePickConfirm: "Ви впевнені, що хочете примусово видати рандомну роль для даного місця?",
     closeCard: "Закрити Карту",
     resetDraft: "Скинути Роздачу",
+    undoPick: "Скасувати останній вибір",
+    undoPickConfirm: "Повернути карту гравця {number} назад у лоток?",
+    pauseDraft: "Призупинити",
+    resumeDraft: "Продовжити",
+    commitmentTitle: "Зобов'язання колоди (SHA-256)",
+    commitmentSealed: "Запечатано до завершення драфту.",
+    commitmentSalt: "Розкрита сіль",
+    commitmentVerified: "✓ Колода збігається із зобов'язанням",
+    commitmentMismatch: "✗ Невідповідність зобов'язання!",
     player: "Гравець {number}",
     roleCitizen: "Мирний",
     roleSheriff: "Шериф",
     roleMafia: "Мафія",
     roleDon: "Дон",
+    roleDoctor: "Лікар",
     emptyPlayer: "Очікування...",
     connected: "Під’єднано",
     disconnected: "Відсутній зв’язок",
@@ -59,7 +88,12 @@ export const ua = {
     title: "Трансляцію Під‘єднано",
     subtitle: "Очікуємо Адміністратора для призначення столу...",
     ipLabel: "IP Адреса джерела",
-    player: "Гравець {number}"
+    player: "Гравець {number}",
+    commitmentLabel: "SHA-256 колоди:",
+    commitmentSalt: "Сіль:",
+    pickCountdown: "Обирає гравець {number}",
+    pickCountdownExpired: "Час вийшов",
+    pausedTitle: "Драфт на паузі"
   },
   setup: {
     title: "Ініціалізація Турніру",
@@ -76,6 +110,10 @@ export const ua = {
   },
   player: {
     waitingTitle: "Підніс заблоковано",
+    pickCountdown: "Залишилось",
+    pickCountdownExpired: "Час вийшов",
+    pausedTitle: "Пауза",
+    pausedSubtitle: "Суддя призупинив драфт",
     waitingSubtitle: "Очікуємо на Суддю для розблокування Роздачі...",
     selectTitle: "Оберіть карту",
     selectSubtitle: "Натисніть на карту, щоб дізнатися вашу роль",
@@ -95,10 +133,35 @@ export const ua = {
     menu: "Меню",
     tabOverview: "Огляд Турніру",
     tabStreams: "Оверлеї (OBS)",
+    tabHistory: "Історія драфтів",
     tabSecurity: "Безпека",
     globalDebug: "Глобальний режим Debug",
     createRoom: "Створити стіл",
     createPlaceholder: "напр. ФІНАЛ",
+    deckLabel: "Колода столу",
+    deckCLASSIC_10: "Класика (10 гравців)",
+    deckCLASSIC_8: "Класика (8 гравців)",
+    deckCLASSIC_7: "Класика (7 гравців)",
+    deckEXTENDED_12: "Розширена (12 гравців, Лікар)",
+    deckCUSTOM: "Власна колода...",
+    customRoleName: "Роль",
+    customRoleCount: "К-сть",
+    teamTOWN: "Мирні",
+    teamMAFIA: "Мафія",
+    addRole: "Додати роль",
+    deckSize: "Місць: {size}",
+    draftOrderLabel: "Порядок вибору",
+    draftOrderLINEAR: "За годинниковою стрілкою",
+    draftOrderREVERSE: "Проти годинникової стрілки",
+    draftOrderRANDOM: "Випадковий порядок",
+    draftOrderCUSTOM: "Власний порядок",
+    draftOrderRandomStart: "Випадкове перше місце",
+    draftOrderStartSeat: "Почати з місця {number}",
+    draftOrderSequenceHint: "Місця в порядку вибору, напр. 3, 1, 2",
+    pickTimerEnabled: "Таймер вибору (авто-вибір після закінчення)",
+    pickTimerDuration: "Секунд на вибір",
+    pickTimerGrace: "Запас (с)",
+    pickTimerWarning: "Попередити за (с)",
     players: "Гравці",
     judges: "Судді",
     streams: "Трансляції",
@@ -108,6 +171,7 @@ export const ua = {
     statusUnlocked: "Ролі відкрито",
     statusWaiting: "Очікуємо на Роздачу",
     statusInProgress: "Іде Роздача",
+    statusPaused: "Драфт на паузі",
     statusCompleted: "Роздача завершилася",
     noRooms: "Активні столи відсутні. Створіть кімнату щоб розпочати.",
     connected: "Під’єднано",
@@ -133,16 +197,30 @@ export const ua = {
     deleteRoom: "Видалити Стіл",
     lockRoles: "Заблокувати Ролі",
     unlockRoles: "Розблокувати Ролі",
+    undoPick: "Скасувати останній вибір",
+    undoPickConfirm: "Повернути карту гравця {number} назад у лоток?",
+    pauseDraft: "Призупинити",
+    resumeDraft: "Продовжити",
     miniTray: "Лайв-Підніс",
     draftResults: "Результати Роздачі",
+    printProtocol: "Друк протоколу",
+    exportFailed: "Не вдалося експортувати результати.",
     roleCitizen: "Мирний",
     roleSheriff: "Шериф",
     roleMafia: "Мафія",
     roleDon: "Дон",
+    roleDoctor: "Лікар",
     seatConfig: "Конфігурація місць",
     unassigned: "Не назначено",
     assignSeat: "Назначити місце...",
     seatLabel: "Місце {number}",
+    historyAllRooms: "Усі столи",
+    historyEmpty: "Завершених драфтів поки немає.",
+    historyGameTitle: "{room} · Гра №{number}",
+    historyForced: "Примусово",
+    historyStartedBy: "Запустив: {name}",
+    historyDuration: "{minutes} хв",
+    historyUndos: "Скасовано: {count}",
     connectedDevices: "Під’єднані Пристрої",
     rolePlayer: "Гравець",
     roleJudge: "Суддя",
@@ -179,11 +257,222 @@ export const ua = {
     errNetwork: "Помилка зв’язку під час завантаження.",
     saveSettings: "Застосувати Налаштування",
     saveSuccess: "Налаштування успішно змінено.",
+    saveFailed: "Налаштування не збережено:",
     streamPlateBackgroundColor: 'Колір фону таблички Гравця',
     streamPlateTextColor: 'Колір тексту таблички Гравця',
     streamPreview: 'Попередній перегляд',
     playerLabel: "Гравець {number}",
-    interfaceAndLanguage: 'Інтерфейс і Мова'
+    interfaceAndLanguage: 'Інтерфейс і Мова',
+    tabPlayers: "Гравці",
+    addPlayer: "Додати гравця",
+    playerNickname: "Нікнейм",
+    playerRealName: "Справжнє ім'я",
+    playerClub: "Клуб",
+    playerPhoto: "Завантажити фото",
+    removePhoto: "Видалити фото",
+    playersEmpty: "Гравців ще не зареєстровано.",
+    deletePlayerConfirm: "Видалити {name} з реєстру? Гравця буде знято з усіх столів.",
+    playerSaveFailed: "Не вдалося зберегти гравця.",
+    playerPhotoFailed: "Не вдалося оновити фото гравця.",
+    seatingTitle: "Розсадка",
+    seatingEmpty: "— Немає гравця —",
+    seatingNoPlayers: "Зареєструйте гравців у вкладці «Гравці», щоб розсадити їх.",
+    tabSchedule: "Розклад",
+    scheduleTables: "Столи в грі",
+    scheduleRounds: "Тури",
+    scheduleSeatCount: "Місць: {seats} · зареєстровано гравців: {players}",
+    scheduleGenerate: "Згенерувати розсадку",
+    scheduleReplaceConfirm: "Замінити поточний розклад новим?",
+    scheduleFailed: "Не вдалося згенерувати розклад.",
+    scheduleEmpty: "Розклад ще не створено.",
+    scheduleStats: "Повторні суперники: {opponents} (макс. {max} ігор разом) · Повторні місця: {seats}",
+    scheduleClear: "Очистити розклад",
+    scheduleClearConfirm: "Видалити розклад? Розсадка, вже надіслана на столи, збережеться.",
+    scheduleRoundTitle: "Тур {number}",
+    scheduleSeated: "Розсаджено",
+    scheduleSeatRound: "Розсадити тур",
+    tabStatistics: "Статистика",
+    statsGameCount: "Ігор в архіві: {count}",
+    statsByPlayer: "Ролі за гравцями",
+    statsNoPlayers: "В архіві поки немає іменних гравців.",
+    statsBySeat: "Частота ролей за місцями",
+    statsGames: "Ігри",
+    statsSeat: "Місце",
+    statsSlot: "Карта",
+    statsSamples: "Витягувань",
+    statsDegreesOfFreedom: "ст. св.",
+    statsSlotFairness: "Чесність за позиціями карт",
+    statsSeatFairness: "Чесність за місцями",
+    statsVerdictOK: "OK",
+    statsVerdictLOW_DATA: "Замало ігор",
+    statsVerdictSUSPECT: "Перевірити",
+    statsFairnessHint: "Критерій хі-квадрат порівнює витягнуті ролі з колодою кожної гри. Низьке p-значення (нижче 0,01) означає, що такий розподіл малоймовірний за чесної роздачі; за багатьох позицій окремі позначки можливі випадково.",
+    backupTitle: "Резервна копія",
+    backupHint: "Сховище прив'язане до цього комп'ютера. Резервна копія шифрується вашою парольною фразою, тож турнір можна відновити на будь-якому комп'ютері.",
+    backupPassphrase: "Парольна фраза копії",
+    backupDownload: "Завантажити копію",
+    backupSaved: "Копію завантажено. Збережіть парольну фразу — відновити її неможливо.",
+    backupFailed: "Не вдалося створити резервну копію.",
+    restoreFile: "Файл копії (.mafvault)",
+    restoreBtn: "Відновити з копії",
+    restoreConfirm: "Замінити ВСІ дані турніру на цьому сервері даними з копії? Усі пристрої перепідключаться.",
+    restoreDone: "Турнір відновлено. Увійдіть знову з поточним паролем адміністратора.",
+    restoreFailed: "Не вдалося відновити резервну копію.",
+    tabSnapshots: "Знімки",
+    snapshotsHint: "Сервер робить знімок турніру кожні 10 хвилин, поки тривають зміни, і перед небезпечними діями, наприклад видаленням столу. Відкрийте знімок для перегляду та за потреби поверніться до нього.",
+    snapshotsEmpty: "Знімків ще немає.",
+    snapshotCounts: "Столів: {rooms} · гравців: {players} · ігор: {games}",
+    snapshotLoading: "Завантаження...",
+    snapshotRoomProgress: "Виборів: {picks}/{size} · розсаджено: {seated}",
+    snapshotDevices: "Пристроїв: {count}",
+    snapshotSchedule: "Розклад: турів {rounds}, розсаджено тур: {round}",
+    snapshotRollback: "Повернутися до цього знімка",
+    snapshotRollbackConfirm: "Замінити ВСІ дані турніру цим знімком? Поточний стан збережеться як новий знімок. Усі пристрої перепідключаться.",
+    snapshotRollbackDone: "Турнір повернуто. За потреби увійдіть знову.",
+    snapshotRollbackFailed: "Не вдалося виконати повернення.",
+    snapshotPreviewFailed: "Не вдалося прочитати знімок.",
+    snapshotReasonPERIODIC: "За розкладом",
+    snapshotReasonDELETE_ROOM: "Перед видаленням столу",
+    snapshotReasonDELETE_PLAYER: "Перед видаленням гравця",
+    snapshotReasonGENERATE_SCHEDULE: "Перед заміною розкладу",
+    snapshotReasonCLEAR_SCHEDULE: "Перед очищенням розкладу",
+    snapshotReasonRESET_DRAFT: "Перед скиданням жеребкування",
+    snapshotReasonUPDATE_GLOBAL_SETTINGS: "Перед зміною налаштувань",
+    snapshotReasonROLLBACK: "Перед поверненням",
+    snapshotReasonRESTORE_BACKUP: "Перед відновленням копії",
+    tabAudit: "Журнал аудиту",
+    auditRefresh: "Оновити",
+    auditVerify: "Перевірити цілісність",
+    auditIntact: "Ланцюжок хешів цілий: перевірено записів: {count}.",
+    auditBroken: "Ланцюжок хешів ПОРУШЕНО в місцях: {count}. Журнал змінювали в обхід сервера.",
+    auditProblemLine: "Рядок {line}",
+    auditProblemUNREADABLE: "не читається або пошкоджений",
+    auditProblemHASH_MISMATCH: "запис змінено",
+    auditProblemCHAIN_BROKEN: "попередній запис видалено або переставлено",
+    auditProblemSEQUENCE_GAP: "перед цим записом бракує записів",
+    auditProblemTRUNCATED: "записи в кінці журналу видалено",
+    auditAllEvents: "Усі події",
+    auditAllActors: "Усі учасники",
+    auditSearch: "Пошук: ім'я, пристрій, IP...",
+    auditEmpty: "Немає відповідних записів.",
+    auditShowing: "Показано останні {shown} з {total} записів.",
+    auditLoadOlder: "Завантажити давніші записи",
+    auditTime: "Час",
+    auditEvent: "Подія",
+    auditActor: "Хто",
+    auditTable: "Стіл",
+    auditDetails: "Деталі",
+    auditEventADMIN_SETUP: "Пароль адміністратора задано",
+    auditEventADMIN_LOGIN: "Вхід адміністратора",
+    auditEventADMIN_LOGIN_FAILED: "Невдалий вхід адміністратора",
+    auditEventLOGIN_LOCKOUT: "Блокування входу",
+    auditEventPASSWORD_CHANGED: "Пароль змінено",
+    auditEventPASSWORD_CHANGE_FAILED: "Помилка зміни пароля",
+    auditEventCREATE_ROOM: "Стіл створено",
+    auditEventDELETE_ROOM: "Стіл видалено",
+    auditEventSTREAM_APPROVED: "Трансляцію схвалено",
+    auditEventASSIGN_ROLE: "Роль призначено",
+    auditEventRESET_CLIENT: "Пристрій скинуто",
+    auditEventROLE_LOCK: "Ролі заблоковано/розблоковано",
+    auditEventTOGGLE_GLOBAL_DEBUG: "Режим налагодження перемкнено",
+    auditEventTOGGLE_SINGLE_MODE: "Одиночний режим перемкнено",
+    auditEventSET_DRAFT_ORDER: "Порядок вибору змінено",
+    auditEventSET_PICK_TIMER: "Таймер вибору змінено",
+    auditEventASSIGN_SEAT: "Місце призначено",
+    auditEventSET_SEAT_PLAYER: "Гравця посаджено",
+    auditEventPLAYER_CREATED: "Гравця зареєстровано",
+    auditEventPLAYER_UPDATED: "Гравця змінено",
+    auditEventDELETE_PLAYER: "Гравця видалено",
+    auditEventGENERATE_SCHEDULE: "Розклад створено",
+    auditEventAPPLY_SCHEDULE_ROUND: "Тур розкладу розсаджено",
+    auditEventCLEAR_SCHEDULE: "Розклад очищено",
+    auditEventSTART_DRAFT: "Жеребкування розпочато",
+    auditEventPICK: "Карту вибрано",
+    auditEventPICK_REJECTED: "Вибір не у свою чергу заблоковано",
+    auditEventFORCE_PICK: "Примусовий вибір",
+    auditEventUNDO_PICK: "Вибір скасовано",
+    auditEventPAUSE_DRAFT: "Жеребкування на паузі",
+    auditEventRESUME_DRAFT: "Жеребкування продовжено",
+    auditEventRESET_DRAFT: "Жеребкування скинуто",
+    auditEventDRAFT_COMPLETED: "Жеребкування завершено",
+    auditEventUPDATE_GLOBAL_SETTINGS: "Налаштування змінено",
+    auditEventROLLBACK_SNAPSHOT: "Повернення до знімка",
+    auditEventBACKUP_EXPORTED: "Резервну копію створено",
+    auditEventBACKUP_RESTORED: "Копію відновлено",
+    auditEventBACKUP_RESTORE_FAILED: "Помилка відновлення копії",
+    tabDevices: "Пристрої",
+    devicesHint: "Усі пристрої, які пам'ятає сервер. Офлайн-пристрої без ролі та місця забуваються автоматично через 3 дні; заблоковані зберігаються до розблокування.",
+    devicesEmpty: "Пристрої ще не зареєстровані.",
+    deviceName: "Пристрій",
+    deviceRole: "Роль",
+    deviceLastSeen: "Остання активність",
+    deviceOnline: "Зараз у мережі",
+    deviceBannedBadge: "Заблоковано",
+    deviceBan: "Заблокувати",
+    deviceUnban: "Розблокувати",
+    deviceForget: "Забути",
+    deviceForgetConfirm: "Забути {name}? Пристрій втратить роль і місце та має зареєструватися знову.",
+    deviceBanConfirm: "Заблокувати {name}? Пристрій буде відключено, і він не зможе повернутися до розблокування.",
+    auditEventDEVICE_RENAMED: "Пристрій перейменовано",
+    auditEventDEVICE_FORGOTTEN: "Пристрій забуто",
+    auditEventDEVICE_BANNED: "Пристрій заблоковано",
+    auditEventDEVICE_UNBANNED: "Пристрій розблоковано",
+    auditEventSESSIONS_EXPIRED: "Застарілі пристрої видалено",
+    judgeAccountsTitle: "Облікові записи суддів",
+    judgeAccountsHint: "Судді входять з цими обліковими записами з лобі та самі займають роль судді за столом. Відкликання облікового запису знімає роль з усіх пристроїв, що його використовують.",
+    judgeAccountName: "Ім'я судді",
+    judgeAccountPassword: "Пароль",
+    judgeAccountAnyTable: "Будь-який стіл",
+    judgeAccountCreate: "Додати суддю",
+    judgeAccountsEmpty: "Облікових записів суддів ще немає.",
+    judgeAccountLastLogin: "Останній вхід",
+    judgeAccountActive: "Пристрої",
+    judgeAccountRevoke: "Відкликати",
+    judgeAccountRevokeConfirm: "Відкликати обліковий запис судді {name}? Пристрої, що суддять через нього, втратять роль судді.",
+    judgeAccountFailed: "Не вдалося створити обліковий запис судді.",
+    auditEventJUDGE_LOGIN: "Вхід судді",
+    auditEventJUDGE_LOGIN_FAILED: "Невдалий вхід судді",
+    auditEventJUDGE_ACCOUNT_CREATED: "Створено обліковий запис судді",
+    auditEventJUDGE_ACCOUNT_REVOKED: "Обліковий запис судді відкликано",
+    logout: "Вийти",
+    uploadTokensTitle: "Сесії адміністратора",
+    uploadTokensHint: "Кожна відкрита консоль адміністратора має токен для завантажень, резервних копій та експорту. Токен працює лише з пристрою, якому виданий, і спливає через 12 годин. Відкликання токенів завершує всі консолі адміністратора, включно з цією.",
+    uploadTokenIssued: "Видано",
+    uploadTokenExpires: "Спливає",
+    uploadTokenThisDevice: "цей пристрій",
+    uploadTokensRevokeAll: "Відкликати всі сесії",
+    uploadTokensRevokeConfirm: "Відкликати всі токени адміністратора? Усі консолі адміністратора, включно з цією, буде завершено, потрібен повторний вхід.",
+    totpTitle: "Двофакторна автентифікація",
+    totpHint: "Вимагати під час входу до панелі адміністратора, окрім майстер-пароля, код із застосунку-автентифікатора (працює без інтернету).",
+    totpEnabledHint: "Двофакторну автентифікацію увімкнено. Залишилось кодів відновлення: {count}. Щоб вимкнути її, введіть поточний код або код відновлення.",
+    totpEnable: "Налаштувати двофакторну автентифікацію",
+    totpSecret: "Відскануйте код застосунком-автентифікатором або введіть цей ключ вручну:",
+    totpCodePlaceholder: "6-значний код із застосунку",
+    totpConfirm: "Підтвердити й увімкнути",
+    totpQrAlt: "QR-код налаштування автентифікатора",
+    totpRecoveryCodesTitle: "Коди відновлення",
+    totpRecoveryCodesHint: "Запишіть їх і зберігайте в надійному місці. Кожен код дає змогу увійти один раз, якщо автентифікатор втрачено. Більше їх не буде показано.",
+    totpDisablePlaceholder: "Поточний код або код відновлення",
+    totpDisable: "Вимкнути",
+    totpDisableConfirm: "Вимкнути двофакторну автентифікацію для панелі адміністратора?",
+    totpFailed: "Не вдалося змінити налаштування двофакторної автентифікації.",
+    serverIdentityTitle: "Справжність сервера",
+    serverIdentityHint: "Пристрої запам'ятовують цей відбиток під час першого підключення й відмовляються працювати з будь-яким іншим сервером. Відскануйте код планшетом, щоб явно спрягти його, або звірте відбиток із виведеним у консолі сервера.",
+    serverIdentityFingerprint: "Відбиток",
+    serverIdentityPairingLink: "Посилання спряження",
+    serverIdentityQrAlt: "QR-код спряження",
+    httpsCaHint: "Цей сервер працює через HTTPS із власним центром сертифікації. Встановіть сертифікат ЦС на кожен планшет (відскануйте код, потім позначте сертифікат як довірений у налаштуваннях пристрою), щоб браузери приймали з'єднання без попереджень.",
+    httpsCaFingerprint: "Відбиток ЦС (SHA-256)",
+    httpsCaDownload: "Завантажити сертифікат ЦС",
+    httpsCaQrAlt: "QR-код сертифіката ЦС",
+    auditEventADMIN_LOGOUT: "Вихід адміністратора",
+    auditEventUPLOAD_TOKENS_REVOKED: "Сесії адміністратора відкликано",
+    auditEventCREDENTIALS_REHASHED: "Хеш пароля оновлено",
+    auditEventADMIN_TOTP_FAILED: "Код 2FA адміністратора відхилено",
+    auditEventRECOVERY_CODE_USED: "Використано код відновлення",
+    auditEventTOTP_ENABLED: "2FA увімкнено",
+    auditEventTOTP_DISABLED: "2FA вимкнено",
+    auditEventTOTP_DISABLE_FAILED: "Відмова у вимкненні 2FA"
   }
 };
 
@@ -5,13 +5,15 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { socket } from '../utils/socket';
+import { socket, getDeviceId, formatFingerprint } from '../utils/socket';
 import { useLanguage } from '../utils/LanguageContext';
-import { Menu, X, Monitor, Shield, Users, Plus, Wifi, ShieldAlert, Activity, Lock, Video, Trash2, Ghost } from 'lucide-react';
+import { Menu, X, Monitor, Shield, Users, Plus, Wifi, ShieldAlert, Activity, Lock, Video, Trash2, Ghost, Undo2, Pause, Play, History, Download, Printer, Contact, ImagePlus, CalendarDays, ChartColumn, ArchiveRestore, ScrollText, MonitorSmartphone, LogOut, KeyRound } from 'lucide-react';
 import packageJson from '../../package.json';
 import { useAuth } from '../utils/AuthContext';
 import Cropper from 'react-easy-crop';
+import QRCode from 'qrcode';
 import getCroppedImg from '../utils/cropImage';
+import { DECK_PRESET_IDS, DRAFT_ORDER_MODES, getDeck, getSeatNumbers, getUndoableSeat, isSpecialRole } from '../utils/deck';
 import '../App.css';
 import './Admin.css';
 
@@ -31,7 +33,7 @@ const LiveTimer = ({ startTime }) => {
 };
 
 const Admin = () => {
-  const { uploadToken } = useAuth();
+  const { uploadToken, adminFetch, logout } = useAuth();
   const { text: dictionary, settings } = useLanguage();
   const text = dictionary.admin;
   
@@ -48,11 +50,53 @@ const Admin = () => {
   const [activeTab, setActiveTab] = useState('overview'); 
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [newRoomName, setNewRoomName] = useState('');
+  const [newRoomDeck, setNewRoomDeck] = useState('CLASSIC_10');
+  const [customRoles, setCustomRoles] = useState(() => getDeck(null).roles.map(r => ({ ...r })));
 
   const [oldPass, setOldPass] = useState('');
   const [newPass, setNewPass] = useState('');
   const [confirmPass, setConfirmPass] = useState('');
   const [securityMsg, setSecurityMsg] = useState('');
+  const [backupPass, setBackupPass] = useState('');
+  const [restoreFile, setRestoreFile] = useState(null);
+  const [restorePass, setRestorePass] = useState('');
+  const [backupMsg, setBackupMsg] = useState('');
+
+  const [draftHistory, setDraftHistory] = useState([]);
+  const [historyRoomFilter, setHistoryRoomFilter] = useState('');
+  const [expandedHistoryId, setExpandedHistoryId] = useState(null);
+
+  const [players, setPlayers] = useState([]);
+  const [newPlayer, setNewPlayer] = useState({ nickname: '', realName: '', club: '' });
+
+  const [schedule, setSchedule] = useState(null);
+  const [scheduleRooms, setScheduleRooms] = useState([]);
+  const [scheduleRounds, setScheduleRounds] = useState(10);
+  const [isGeneratingSchedule, setIsGeneratingSchedule] = useState(false);
+
+  const [statistics, setStatistics] = useState(null);
+  const [statsRoomFilter, setStatsRoomFilter] = useState('');
+
+  const [snapshots, setSnapshots] = useState([]);
+  const [expandedSnapshotId, setExpandedSnapshotId] = useState(null);
+  const [snapshotPreview, setSnapshotPreview] = useState(null);
+
+  const [auditLog, setAuditLog] = useState(null);
+  const [auditFilters, setAuditFilters] = useState({ type: '', roomId: '', role: '', search: '' });
+  const [auditIntegrity, setAuditIntegrity] = useState(null);
+
+  const [devices, setDevices] = useState([]);
+  const [judgeAccounts, setJudgeAccounts] = useState([]);
+  const [newJudge, setNewJudge] = useState({ name: '', password: '', roomId: '' });
+  const [judgeAccountMsg, setJudgeAccountMsg] = useState('');
+  const [uploadTokens, setUploadTokens] = useState([]);
+  const [serverIdentity, setServerIdentity] = useState(null);
+  const [totpStatus, setTotpStatus] = useState(null);
+  const [totpEnrolment, setTotpEnrolment] = useState(null);
+  const [totpCode, setTotpCode] = useState('');
+  const [totpPassword, setTotpPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [totpMsg, setTotpMsg] = useState('');
   
   	const [globalLang, setGlobalLang] = useState(settings?.language || 'en');
   	const [customPacks, setCustomPacks] = useState([]);
@@ -88,6 +132,16 @@ const Admin = () => {
     socket.on('connect', onConnect);
     socket.on('disconnect', onDisconnect);
     socket.on('ADMIN_ERROR', (msg) => alert(msg));
+    socket.on('DRAFT_HISTORY_UPDATE', setDraftHistory);
+    socket.on('PLAYERS_UPDATE', setPlayers);
+    socket.on('SCHEDULE_UPDATE', setSchedule);
+    socket.on('STATISTICS_UPDATE', setStatistics);
+    socket.on('SNAPSHOTS_UPDATE', setSnapshots);
+    // A page requested with beforeSeq continues the list already shown.
+    socket.on('AUDIT_LOG_UPDATE', (log) => setAuditLog(prev => log.beforeSeq && prev ? { ...log, entries: [...prev.entries, ...log.entries] } : log));
+    socket.on('DEVICES_UPDATE', setDevices);
+    socket.on('JUDGE_ACCOUNTS_UPDATE', setJudgeAccounts);
+    socket.on('UPLOAD_TOKENS_UPDATE', setUploadTokens);
 
     if (socket.connected) socket.emit('REQUEST_REGISTRY');
 
@@ -100,6 +154,15 @@ const Admin = () => {
       socket.off('connect', onConnect);
       socket.off('disconnect', onDisconnect);
       socket.off('ADMIN_ERROR');
+      socket.off('DRAFT_HISTORY_UPDATE');
+      socket.off('PLAYERS_UPDATE');
+      socket.off('SCHEDULE_UPDATE');
+      socket.off('STATISTICS_UPDATE');
+      socket.off('SNAPSHOTS_UPDATE');
+      socket.off('AUDIT_LOG_UPDATE');
+      socket.off('DEVICES_UPDATE');
+      socket.off('JUDGE_ACCOUNTS_UPDATE');
+      socket.off('UPLOAD_TOKENS_UPDATE');
     };
   }, []);
   
@@ -113,7 +176,29 @@ const Admin = () => {
   
   useEffect(() => {
     if (activeTab === 'settings') fetchPacks();
+    if (activeTab === 'history') socket.emit('REQUEST_DRAFT_HISTORY');
+    if (activeTab === 'snapshots') socket.emit('REQUEST_SNAPSHOTS');
   }, [activeTab, uploadToken]);
+
+  useEffect(() => {
+    if (activeTab !== 'security') return;
+    socket.emit('REQUEST_TOTP_STATUS', setTotpStatus);
+    socket.emit('REQUEST_SERVER_IDENTITY', (identity) => {
+      // In HTTPS mode tablets install the local CA first, from a second code.
+      const caUrl = identity.caFingerprint ? `${new URL(identity.pairingUrl).origin}/api/system/ca-certificate` : null;
+      Promise.all([identity.pairingUrl, caUrl].map(url => url && QRCode.toDataURL(url, { margin: 1, width: 220 })))
+        .then(([qr, caQr]) => setServerIdentity({ ...identity, caUrl, qr, caQr }))
+        .catch(() => setServerIdentity({ ...identity, caUrl }));
+    });
+  }, [activeTab]);
+
+  useEffect(() => {
+    if (activeTab === 'audit') socket.emit('REQUEST_AUDIT_LOG', auditFilters);
+  }, [activeTab, auditFilters]);
+
+  useEffect(() => {
+    if (activeTab === 'statistics') socket.emit('REQUEST_STATISTICS', statsRoomFilter || null);
+  }, [activeTab, statsRoomFilter, draftHistory]);
   
   useEffect(() => {
     setSelectedPack(activePack);
@@ -150,7 +235,7 @@ const Admin = () => {
   };
 
   const fetchPacks = () => {
-    fetch('/api/assets/packs', { headers: { 'Authorization': `Bearer ${uploadToken}` } })
+    adminFetch('/api/assets/packs')
       .then(res => res.json())
       .then(data => { 
         if (data.success) {
@@ -164,7 +249,10 @@ const Admin = () => {
   const handleCreateRoom = (e) => {
     e.preventDefault();
     if (!newRoomName.trim()) return;
-    socket.emit('CREATE_ROOM', newRoomName, (res) => {
+    const payload = { roomCode: newRoomName, deckId: newRoomDeck };
+    if (newRoomDeck === 'CUSTOM') payload.customRoles = customRoles.map(r => ({ ...r, count: Number(r.count) }));
+
+    socket.emit('CREATE_ROOM', payload, (res) => {
       if (res && !res.success) alert(res.message);
       else setNewRoomName('');
     });
@@ -184,6 +272,10 @@ const Admin = () => {
     setOldPass(''); setNewPass(''); setConfirmPass('');
   };
 
+  const updateCustomRole = (index, field, value) => {
+    setCustomRoles(prev => prev.map((r, i) => i === index ? { ...r, [field]: value } : r));
+  };
+
   const navigateTo = (tab) => {
     setActiveTab(tab);
     setIsSidebarOpen(false);
@@ -191,6 +283,7 @@ const Admin = () => {
 
   const renderStatus = (gs) => {
     if (gs.status === 'COMPLETED') return <div className="plate-status" style={{ color: 'var(--accent-gold)' }}>{text.statusCompleted}</div>;
+    if (gs.status === 'IN_PROGRESS' && gs.isPaused) return <div className="plate-status" style={{ color: '#888' }}>{text.statusPaused}</div>;
     if (gs.status === 'IN_PROGRESS') return <div className="plate-status" style={{ color: '#1976d2' }}>{text.statusInProgress}</div>;
     if (gs.areRolesLocked) return <div className="plate-status" style={{ color: '#2e7d32' }}>{text.statusWaiting}</div>;
     return <div className="plate-status" style={{ color: 'var(--accent-red)' }}>{text.statusUnlocked}</div>;
@@ -199,9 +292,9 @@ const Admin = () => {
   const handleCompilePack = async () => {
     if (!newPackName || !newPackAuthor) return alert('Name and Author are required!');
     try {
-      const res = await fetch('/api/assets/compile', {
+      const res = await adminFetch('/api/assets/compile', {
         method: 'POST',
-        headers: { 'Authorization': `Bearer ${uploadToken}`, 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ name: newPackName, author: newPackAuthor, version: newPackVersion })
       });
       
@@ -225,9 +318,8 @@ const Admin = () => {
     formData.append('assetType', targetName);
 
     try {
-      const res = await fetch('/api/assets/upload-temp', {
+      const res = await adminFetch('/api/assets/upload-temp', {
         method: 'POST',
-        headers: { 'Authorization': `Bearer ${uploadToken}` },
         body: formData
       });
       const data = await res.json();
@@ -295,9 +387,8 @@ const Admin = () => {
     formData.append('pack', file);
 
     try {
-      const res = await fetch('/api/assets/import', {
+      const res = await adminFetch('/api/assets/import', {
         method: 'POST',
-        headers: { 'Authorization': `Bearer ${uploadToken}` },
         body: formData
       });
       
@@ -316,9 +407,7 @@ const Admin = () => {
 
   const handleDownloadPack = async (filename) => {
     try {
-      const res = await fetch(`/api/assets/download/${filename}`, {
-        headers: { 'Authorization': `Bearer ${uploadToken}` }
-      });
+      const res = await adminFetch(`/api/assets/download/${filename}`);
       
       if (!res.ok) throw new Error('Download request failed');
       
@@ -337,6 +426,266 @@ const Admin = () => {
     }
   };
 
+  // --- RESULT EXPORTS ---
+  const fetchExport = async (path) => {
+    const res = await adminFetch(`/api/exports/${path}`);
+    if (!res.ok) throw new Error('Export request failed');
+    return res.blob();
+  };
+
+  const handleExportResults = async (roomId, format) => {
+    try {
+      const url = window.URL.createObjectURL(await fetchExport(`rooms/${encodeURIComponent(roomId)}/results.${format}`));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${roomId}-results.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      alert(text.exportFailed);
+    }
+  };
+
+  const handlePrintProtocol = async (roomId, gameId) => {
+    try {
+      const url = window.URL.createObjectURL(await fetchExport(`rooms/${encodeURIComponent(roomId)}/protocol/${gameId}`));
+      const printWindow = window.open(url);
+      printWindow?.addEventListener('load', () => printWindow.print());
+    } catch (err) {
+      console.error(err);
+      alert(text.exportFailed);
+    }
+  };
+
+  // --- PLAYER REGISTRY ---
+  const handleCreatePlayer = (e) => {
+    e.preventDefault();
+    if (!newPlayer.nickname.trim()) return;
+    socket.emit('CREATE_PLAYER', newPlayer, (res) => {
+      if (res?.success) setNewPlayer({ nickname: '', realName: '', club: '' });
+      else alert(res?.message || text.playerSaveFailed);
+    });
+  };
+
+  const handleUpdatePlayer = (player, field, value) => {
+    if (value.trim() === (player[field] || '')) return;
+    const { id, nickname, realName, club } = player;
+    socket.emit('UPDATE_PLAYER', { id, nickname, realName, club, [field]: value }, (res) => {
+      if (!res?.success) alert(res?.message || text.playerSaveFailed);
+    });
+  };
+
+  const handlePlayerPhoto = async (playerId, file) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('image', file);
+    try {
+      const res = await adminFetch(`/api/players/${playerId}/photo`, {
+        method: 'POST',
+        body: formData
+      });
+      if (!res.ok) throw new Error('Photo upload failed');
+    } catch (err) {
+      console.error(err);
+      alert(text.playerPhotoFailed);
+    }
+  };
+
+  const handleRemovePlayerPhoto = async (playerId) => {
+    try {
+      const res = await adminFetch(`/api/players/${playerId}/photo`, {
+        method: 'DELETE'
+      });
+      if (!res.ok) throw new Error('Photo removal failed');
+    } catch (err) {
+      console.error(err);
+      alert(text.playerPhotoFailed);
+    }
+  };
+
+  // --- VAULT BACKUP & RESTORE ---
+  const handleDownloadBackup = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await adminFetch('/api/backup/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passphrase: backupPass })
+      });
+      if (!res.ok) throw new Error((await res.json()).error);
+
+      const url = window.URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'tournament.mafvault';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+      setBackupPass('');
+      setBackupMsg({ type: 'success', text: text.backupSaved });
+    } catch (err) {
+      setBackupMsg({ type: 'error', text: err.message || text.backupFailed });
+    }
+  };
+
+  const handleRestoreBackup = async (e) => {
+    e.preventDefault();
+    if (!restoreFile || !window.confirm(text.restoreConfirm)) return;
+
+    const formData = new FormData();
+    formData.append('passphrase', restorePass);
+    formData.append('backup', restoreFile);
+    try {
+      const res = await adminFetch('/api/backup/import', {
+        method: 'POST',
+        body: formData
+      });
+      if (!res.ok) throw new Error((await res.json()).error);
+      alert(text.restoreDone);
+      window.location.reload();
+    } catch (err) {
+      setBackupMsg({ type: 'error', text: err.message || text.restoreFailed });
+    }
+  };
+
+  // --- SNAPSHOTS & ROLLBACK ---
+  const handleToggleSnapshot = (snapshotId) => {
+    setSnapshotPreview(null);
+    if (expandedSnapshotId === snapshotId) return setExpandedSnapshotId(null);
+
+    setExpandedSnapshotId(snapshotId);
+    socket.emit('PREVIEW_SNAPSHOT', snapshotId, (res) => {
+      if (res?.success) setSnapshotPreview(res.preview);
+      else alert(res?.message || text.snapshotPreviewFailed);
+    });
+  };
+
+  const handleRollback = (snapshotId) => {
+    if (!window.confirm(text.snapshotRollbackConfirm)) return;
+    socket.emit('ROLLBACK_SNAPSHOT', snapshotId, (res) => {
+      if (!res?.success) return alert(res?.message || text.snapshotRollbackFailed);
+      alert(text.snapshotRollbackDone);
+      window.location.reload();
+    });
+  };
+
+  // --- AUDIT LOG ---
+  const handleVerifyAudit = () => {
+    socket.emit('VERIFY_AUDIT_LOG', setAuditIntegrity);
+  };
+
+  // --- DEVICE MANAGEMENT ---
+  const handleRenameDevice = (device, value) => {
+    const name = value.trim();
+    if (!name || name === device.name) return;
+    socket.emit('RENAME_DEVICE', { deviceId: device.deviceId, name });
+  };
+
+  const handleBanDevice = (device) => {
+    const label = device.name || device.deviceId.substring(0, 8);
+    if (!device.banned && !window.confirm(text.deviceBanConfirm.replace('{name}', label))) return;
+    socket.emit('BAN_DEVICE', { deviceId: device.deviceId, banned: !device.banned });
+  };
+
+  const handleForgetDevice = (device) => {
+    if (!window.confirm(text.deviceForgetConfirm.replace('{name}', device.name || device.deviceId.substring(0, 8)))) return;
+    socket.emit('FORGET_DEVICE', device.deviceId);
+  };
+
+  // --- ADMIN SESSIONS ---
+  const handleLogout = () => {
+    socket.emit('ADMIN_LOGOUT');
+    logout();
+  };
+
+  const handleRevokeUploadTokens = () => {
+    if (window.confirm(text.uploadTokensRevokeConfirm)) socket.emit('REVOKE_UPLOAD_TOKENS');
+  };
+
+  // --- TWO-FACTOR AUTHENTICATION ---
+  const handleBeginTotp = () => {
+    setTotpMsg('');
+    setRecoveryCodes(null);
+    socket.emit('BEGIN_TOTP_ENROLMENT', (res) => {
+      if (!res?.success) return setTotpMsg(res?.message || text.totpFailed);
+      QRCode.toDataURL(res.uri, { margin: 1, width: 220 })
+        .then(qr => setTotpEnrolment({ ...res, qr }))
+        .catch(() => setTotpEnrolment(res));
+    });
+  };
+
+  const handleConfirmTotp = (e) => {
+    e.preventDefault();
+    socket.emit('CONFIRM_TOTP_ENROLMENT', totpCode.trim(), (res) => {
+      setTotpCode('');
+      if (!res?.success) return setTotpMsg(res?.message || text.totpFailed);
+      setTotpMsg('');
+      setTotpEnrolment(null);
+      setRecoveryCodes(res.recoveryCodes);
+      socket.emit('REQUEST_TOTP_STATUS', setTotpStatus);
+    });
+  };
+
+  const handleDisableTotp = (e) => {
+    e.preventDefault();
+    if (!window.confirm(text.totpDisableConfirm)) return;
+    socket.emit('DISABLE_TOTP', { password: totpPassword, code: totpCode.trim() }, (res) => {
+      setTotpCode('');
+      setTotpPassword('');
+      if (!res?.success) return setTotpMsg(res?.message || text.totpFailed);
+      setTotpMsg('');
+      setRecoveryCodes(null);
+      socket.emit('REQUEST_TOTP_STATUS', setTotpStatus);
+    });
+  };
+
+  // --- JUDGE ACCOUNTS ---
+  const handleCreateJudgeAccount = (e) => {
+    e.preventDefault();
+    setJudgeAccountMsg('');
+    const payload = { name: newJudge.name.trim(), password: newJudge.password, roomId: newJudge.roomId || null };
+    socket.emit('CREATE_JUDGE_ACCOUNT', payload, (res) => {
+      if (res?.success) setNewJudge({ name: '', password: '', roomId: '' });
+      else setJudgeAccountMsg(res?.message || text.judgeAccountFailed);
+    });
+  };
+
+  const handleRevokeJudgeAccount = (account) => {
+    if (!window.confirm(text.judgeAccountRevokeConfirm.replace('{name}', account.name))) return;
+    socket.emit('REVOKE_JUDGE_ACCOUNT', account.id);
+  };
+
+  // --- TOURNAMENT SCHEDULE ---
+  const handleGenerateSchedule = () => {
+    if (schedule && !window.confirm(text.scheduleReplaceConfirm)) return;
+    setIsGeneratingSchedule(true);
+    socket.emit('GENERATE_SCHEDULE', { roomIds: scheduleRooms.filter(roomId => rooms[roomId]), rounds: Number(scheduleRounds) }, (res) => {
+      setIsGeneratingSchedule(false);
+      if (!res?.success) alert(res?.message || text.scheduleFailed);
+    });
+  };
+
+  const handleExportStatistics = async () => {
+    try {
+      const query = statsRoomFilter ? `?room=${encodeURIComponent(statsRoomFilter)}` : '';
+      const url = window.URL.createObjectURL(await fetchExport(`statistics.json${query}`));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = statsRoomFilter ? `${statsRoomFilter}-statistics.json` : 'tournament-statistics.json';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      alert(text.exportFailed);
+    }
+  };
+
   // --- ROOM DETAILED RENDERER ---
   const renderRoomDetails = (roomId) => {
     const room = rooms[roomId];
@@ -344,7 +693,13 @@ const Admin = () => {
     const gs = room.gameState;
 
     const roomDevices = registry.filter(c => c.roomId === roomId && c.role !== 'STREAM' && c.role !== 'PENDING_STREAM' && c.role !== 'ADMIN');
-    const slots = Array.from({ length: 10 }, (_, i) => i);
+    const deck = getDeck(gs);
+    const seatNumbers = getSeatNumbers(gs);
+    const slots = seatNumbers.map(num => num - 1);
+    const draftOrder = gs.settings.draftOrder || { mode: 'LINEAR', startSeat: 1, sequence: null };
+    const updateDraftOrder = (changes) => socket.emit('SET_DRAFT_ORDER', { roomId, ...draftOrder, ...changes });
+    const pickTimer = gs.settings.pickTimer || { enabled: false, duration: 30, grace: 3, warning: 10 };
+    const updatePickTimer = (changes) => socket.emit('SET_PICK_TIMER', { roomId, ...pickTimer, ...changes });
 
     return (
       <div className="room-details-container">
@@ -352,7 +707,7 @@ const Admin = () => {
           <div>
             <h1 className="admin-page-title" style={{ marginBottom: '0.5rem' }}>{roomId}</h1>
             <div className="room-header-meta">
-              <span>{ text.statusText } {gs.status === 'PENDING' ? (gs.areRolesLocked ? text.statusWaiting : text.statusUnlocked) : gs.status === 'IN_PROGRESS' ? text.statusInProgress : text.statusCompleted}</span>
+              <span>{ text.statusText } {gs.status === 'PENDING' ? (gs.areRolesLocked ? text.statusWaiting : text.statusUnlocked) : gs.status === 'IN_PROGRESS' ? (gs.isPaused ? text.statusPaused : text.statusInProgress) : text.statusCompleted}</span>
               <span>{ text.timeText } <LiveTimer startTime={gs.draftStartTime} /></span>
             </div>
           </div>
@@ -367,6 +722,24 @@ const Admin = () => {
                 {gs.areRolesLocked ? text.unlockRoles : text.lockRoles}
               </button>
             )}
+            {gs.status === 'IN_PROGRESS' && (
+              <button 
+                className="primary-btn" 
+                onClick={() => socket.emit(gs.isPaused ? 'RESUME_DRAFT' : 'PAUSE_DRAFT', { roomId })}
+                style={{ backgroundColor: gs.isPaused ? '#2e7d32' : '#455a64' }}
+              >
+                {gs.isPaused ? <><Play size={18} /> {text.resumeDraft}</> : <><Pause size={18} /> {text.pauseDraft}</>}
+              </button>
+            )}
+            {(gs.status === 'IN_PROGRESS' || gs.status === 'COMPLETED') && gs.revealedSlots.length > 0 && (
+              <button 
+                className="primary-btn" 
+                onClick={() => { if (window.confirm(text.undoPickConfirm.replace('{number}', getUndoableSeat(gs)))) socket.emit('UNDO_PICK', { roomId }); }}
+                style={{ backgroundColor: '#6d4c41' }}
+              >
+                <Undo2 size={18} /> {text.undoPick}
+              </button>
+            )}
             {gs.status === 'PENDING' && !gs.areRolesLocked && (
               <button 
                 className="primary-btn" 
@@ -399,6 +772,79 @@ const Admin = () => {
                 <span style={{ fontWeight: 'bold' }}>{text.singleMode}</span>
               </label>
 
+              <div style={{ marginTop: '1rem', color: '#888', fontSize: '0.9rem' }}>
+                <span style={{ fontWeight: 'bold', color: 'var(--text-white)' }}>{text.deckLabel}: </span>
+                {text['deck' + deck.id] || deck.id} · {text.deckSize.replace('{size}', deck.size)}
+                <div style={{ marginTop: '0.3rem' }}>
+                  {deck.roles.map(r => `${r.count}× ${text['role' + r.role] || r.role}`).join(', ')}
+                </div>
+              </div>
+
+              <div style={{ marginTop: '1rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                <span style={{ fontWeight: 'bold' }}>{text.draftOrderLabel}</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <select 
+                    className="login-input" 
+                    value={draftOrder.mode} 
+                    disabled={gs.status !== 'PENDING'}
+                    onChange={(e) => updateDraftOrder({ mode: e.target.value, sequence: e.target.value === 'CUSTOM' ? seatNumbers : null })}
+                  >
+                    {DRAFT_ORDER_MODES.map(mode => <option key={mode} value={mode}>{text['draftOrder' + mode]}</option>)}
+                  </select>
+                  {(draftOrder.mode === 'LINEAR' || draftOrder.mode === 'REVERSE') && (
+                    <select 
+                      className="login-input" 
+                      value={draftOrder.startSeat} 
+                      disabled={gs.status !== 'PENDING'}
+                      onChange={(e) => updateDraftOrder({ startSeat: Number(e.target.value) })}
+                    >
+                      <option value={0}>{text.draftOrderRandomStart}</option>
+                      {seatNumbers.map(num => <option key={num} value={num}>{text.draftOrderStartSeat.replace('{number}', num)}</option>)}
+                    </select>
+                  )}
+                </div>
+                {draftOrder.mode === 'CUSTOM' && (
+                  <input 
+                    key={(draftOrder.sequence || []).join(',')}
+                    type="text" 
+                    className="login-input" 
+                    defaultValue={(draftOrder.sequence || seatNumbers).join(', ')}
+                    placeholder={text.draftOrderSequenceHint}
+                    disabled={gs.status !== 'PENDING'}
+                    onBlur={(e) => updateDraftOrder({ sequence: e.target.value.split(/[\s,]+/).filter(Boolean).map(Number) })}
+                  />
+                )}
+              </div>
+
+              <div style={{ marginTop: '1rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.8rem', cursor: 'pointer' }}>
+                  <input 
+                    type="checkbox" 
+                    checked={pickTimer.enabled} 
+                    onChange={(e) => updatePickTimer({ enabled: e.target.checked })}
+                    style={{ width: '18px', height: '18px' }}
+                  />
+                  <span style={{ fontWeight: 'bold' }}>{text.pickTimerEnabled}</span>
+                </label>
+                {pickTimer.enabled && (
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {['duration', 'grace', 'warning'].map(field => (
+                      <label key={field} style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '0.3rem', color: '#888', fontSize: '0.8rem' }}>
+                        {text['pickTimer' + field.charAt(0).toUpperCase() + field.slice(1)]}
+                        <input 
+                          key={`${field}-${pickTimer[field]}`}
+                          type="number" 
+                          min="0" 
+                          className="login-input" 
+                          defaultValue={pickTimer[field]}
+                          onBlur={(e) => updatePickTimer({ [field]: Number(e.target.value) })}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               {globalDebug && gs.status === 'PENDING' && !gs.areRolesLocked && gs.settings.singleMode && (
                 <button 
                   className="primary-btn" 
@@ -410,6 +856,31 @@ const Admin = () => {
               )}
             </div>
 
+            <div className="admin-panel-section">
+              <h3>{text.seatingTitle}</h3>
+              {players.length === 0 ? (
+                <div style={{ color: '#666', fontStyle: 'italic' }}>{text.seatingNoPlayers}</div>
+              ) : (
+                <div className="admin-results-list">
+                  {seatNumbers.map(seatNum => (
+                    <div key={seatNum} className="admin-result-row" style={{ alignItems: 'center' }}>
+                      <span style={{ color: '#888' }}>{text.seatLabel.replace('{number}', seatNum)}</span>
+                      <select 
+                        className="login-input" 
+                        value={gs.seating?.[seatNum] || ''}
+                        disabled={gs.status === 'IN_PROGRESS'}
+                        onChange={(e) => socket.emit('SET_SEAT_PLAYER', { roomId, seat: seatNum, playerId: e.target.value || null })}
+                        style={{ width: '200px', padding: '0.4rem' }}
+                      >
+                        <option value="">{text.seatingEmpty}</option>
+                        {players.map(p => <option key={p.id} value={p.id}>{p.nickname}{p.club ? ` (${p.club})` : ''}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             <div className="admin-panel-section">
               <h3>{text.connectedDevices}</h3>
               {roomDevices.length === 0 ? (
@@ -445,7 +916,7 @@ const Admin = () => {
                             style={{ width: '130px', padding: '0.4rem' }}
                           >
                             <option value="">{text.assignSeat}</option>
-                            {[1,2,3,4,5,6,7,8,9,10].map(num => <option key={num} value={num}>{text.seatLabel.replace('{number}', num)}</option>)}
+                            {seatNumbers.map(num => <option key={num} value={num}>{text.seatLabel.replace('{number}', num)}</option>)}
                           </select>
                         )}
                       </div>
@@ -476,14 +947,24 @@ const Admin = () => {
             </div>
 
             <div className="admin-panel-section">
-              <h3>{text.draftResults}</h3>
+              <div className="pack-manager-header" style={{ marginBottom: 0 }}>
+                <h3 style={{ margin: 0 }}>{text.draftResults}</h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button className="pack-export-btn" onClick={() => handleExportResults(roomId, 'csv')}><Download size={14} /> CSV</button>
+                  <button className="pack-export-btn" onClick={() => handleExportResults(roomId, 'json')}><Download size={14} /> JSON</button>
+                  <button className="pack-export-btn" disabled={gs.status === 'PENDING'} onClick={() => handlePrintProtocol(roomId, 'current')}><Printer size={14} /> {text.printProtocol}</button>
+                </div>
+              </div>
               <div className="admin-results-list">
-                {[1,2,3,4,5,6,7,8,9,10].map(seatNum => {
+                {seatNumbers.map(seatNum => {
                   const data = gs.results[seatNum];
                   return (
                     <div key={seatNum} className="admin-result-row">
-                      <span style={{ color: '#888' }}>{text.seatLabel.replace('{number}', seatNum)}</span>
-                      <span style={{ color: data ? (data.role === 'Sheriff' || data.role === 'Don' ? 'var(--accent-gold)' : 'var(--text-white)') : '#444' }}>
+                      <span style={{ color: '#888' }}>
+                        {text.seatLabel.replace('{number}', seatNum)}
+                        {gs.seatPlayers?.[seatNum] && <> · {gs.seatPlayers[seatNum].nickname}</>}
+                      </span>
+                      <span style={{ color: data ? (isSpecialRole(data.role) ? 'var(--accent-gold)' : 'var(--text-white)') : '#444' }}>
                         {data ? (text['role' + data.role] || data.role) : '...'}
                       </span>
                     </div>
@@ -497,6 +978,479 @@ const Admin = () => {
     );
   };
 
+  // --- DRAFT HISTORY RENDERER ---
+  const renderHistory = () => {
+    const historyRooms = [...new Set(draftHistory.map(entry => entry.roomId))];
+    const entries = draftHistory
+      .filter(entry => !historyRoomFilter || entry.roomId === historyRoomFilter)
+      .slice()
+      .reverse();
+
+    return (
+      <div>
+        <div className="pack-manager-header">
+          <h1 className="admin-page-title" style={{ marginBottom: 0 }}>{text.tabHistory}</h1>
+          <select className="login-input" style={{ maxWidth: '220px' }} value={historyRoomFilter} onChange={(e) => setHistoryRoomFilter(e.target.value)}>
+            <option value="">{text.historyAllRooms}</option>
+            {historyRooms.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+        </div>
+
+        {entries.length === 0 ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.historyEmpty}</div> : (
+          <div className="history-list">
+            {entries.map(entry => {
+              const isExpanded = expandedHistoryId === entry.id;
+              const seats = Object.keys(entry.results).map(Number).sort((a, b) => a - b);
+              return (
+                <div key={entry.id} className="history-entry">
+                  <button className="history-entry-header" onClick={() => setExpandedHistoryId(isExpanded ? null : entry.id)}>
+                    <span style={{ fontWeight: 'bold' }}>{text.historyGameTitle.replace('{room}', entry.roomId).replace('{number}', entry.gameNumber)}</span>
+                    <span style={{ color: '#888' }}>{new Date(entry.completedAt).toLocaleString()}</span>
+                    <span style={{ color: '#888' }}>{text['deck' + entry.deckId] || entry.deckId}</span>
+                    {entry.hadForcedPick && <span className="history-badge">{text.historyForced}</span>}
+                  </button>
+
+                  {isExpanded && (
+                    <div className="history-entry-body">
+                      <div style={{ color: '#888', fontSize: '0.85rem' }}>
+                        {text.historyStartedBy.replace('{name}', entry.startedBy?.name || entry.startedBy?.role || '—')}
+                        {' · '}{text.historyDuration.replace('{minutes}', Math.max(1, Math.round((entry.completedAt - entry.startedAt) / 60000)))}
+                        {entry.undoCount > 0 && <> · {text.historyUndos.replace('{count}', entry.undoCount)}</>}
+                      </div>
+                      <div className="admin-results-list">
+                        {seats.map(seatNum => {
+                          const pick = entry.results[seatNum];
+                          return (
+                            <div key={seatNum} className="admin-result-row">
+                              <span style={{ color: '#888' }}>
+                                {text.seatLabel.replace('{number}', seatNum)}
+                                {pick.playerName && <> · {pick.playerName}</>}
+                              </span>
+                              <span style={{ color: '#666', fontFamily: 'monospace' }}>
+                                #{pick.slotIndex + 1}{pick.forced && ` · ${text.historyForced}`}
+                              </span>
+                              <span style={{ color: isSpecialRole(pick.role) ? 'var(--accent-gold)' : 'var(--text-white)' }}>
+                                {text['role' + pick.role] || pick.role}
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <button className="pack-export-btn" style={{ alignSelf: 'flex-start' }} onClick={() => handlePrintProtocol(entry.roomId, entry.id)}>
+                        <Printer size={14} /> {text.printProtocol}
+                      </button>
+                      {entry.deckCommitment && (
+                        <div style={{ color: '#666', fontSize: '0.75rem', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                          SHA-256 {entry.deckCommitment.hash}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // --- PLAYER REGISTRY RENDERER ---
+  const renderPlayers = () => (
+    <div>
+      <h1 className="admin-page-title">{text.tabPlayers}</h1>
+
+      <form className="admin-panel-section player-create-form" onSubmit={handleCreatePlayer}>
+        <input className="login-input" maxLength={30} placeholder={text.playerNickname} value={newPlayer.nickname} onChange={(e) => setNewPlayer({ ...newPlayer, nickname: e.target.value })} />
+        <input className="login-input" maxLength={60} placeholder={text.playerRealName} value={newPlayer.realName} onChange={(e) => setNewPlayer({ ...newPlayer, realName: e.target.value })} />
+        <input className="login-input" maxLength={40} placeholder={text.playerClub} value={newPlayer.club} onChange={(e) => setNewPlayer({ ...newPlayer, club: e.target.value })} />
+        <button type="submit" className="primary-btn" disabled={!newPlayer.nickname.trim()}><Plus size={18} /> {text.addPlayer}</button>
+      </form>
+
+      {players.length === 0 ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.playersEmpty}</div> : (
+        <div className="player-list">
+          {players.map(p => (
+            <div key={p.id} className="player-row">
+              <label className="player-photo" title={text.playerPhoto}>
+                {p.photoVersion ? <img src={`/api/players/photos/${p.id}.webp?v=${p.photoVersion}`} alt="" /> : <ImagePlus size={20} />}
+                <input type="file" accept="image/*" hidden onChange={(e) => { handlePlayerPhoto(p.id, e.target.files[0]); e.target.value = ''; }} />
+              </label>
+              {['nickname', 'realName', 'club'].map(field => (
+                <input 
+                  key={`${field}-${p[field]}`}
+                  className="login-input" 
+                  defaultValue={p[field]} 
+                  placeholder={text['player' + field.charAt(0).toUpperCase() + field.slice(1)]}
+                  onBlur={(e) => handleUpdatePlayer(p, field, e.target.value)}
+                />
+              ))}
+              {p.photoVersion && (
+                <button className="pack-export-btn" onClick={() => handleRemovePlayerPhoto(p.id)}>{text.removePhoto}</button>
+              )}
+              <button className="player-delete-btn" onClick={() => { if (window.confirm(text.deletePlayerConfirm.replace('{name}', p.nickname))) socket.emit('DELETE_PLAYER', p.id); }}>
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  // --- SCHEDULE RENDERER ---
+  const renderSchedule = () => {
+    const selectedRooms = scheduleRooms.filter(roomId => rooms[roomId]);
+    const seatCount = selectedRooms.reduce((sum, roomId) => sum + getDeck(rooms[roomId].gameState).size, 0);
+    const nicknameOf = (playerId) => players.find(p => p.id === playerId)?.nickname || '—';
+
+    return (
+      <div>
+        <h1 className="admin-page-title">{text.tabSchedule}</h1>
+
+        <div className="admin-panel-section" style={{ marginBottom: '1.5rem' }}>
+          <h3>{text.scheduleTables}</h3>
+          <div className="schedule-room-picker">
+            {Object.keys(rooms).map(roomId => (
+              <label key={roomId} className="schedule-room-option">
+                <input 
+                  type="checkbox" 
+                  checked={scheduleRooms.includes(roomId)} 
+                  onChange={(e) => setScheduleRooms(e.target.checked ? [...scheduleRooms, roomId] : scheduleRooms.filter(r => r !== roomId))}
+                />
+                {roomId} · {text.deckSize.replace('{size}', getDeck(rooms[roomId].gameState).size)}
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '1rem', flexWrap: 'wrap' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              {text.scheduleRounds}
+              <input type="number" min="1" max="30" className="login-input" style={{ width: '80px' }} value={scheduleRounds} onChange={(e) => setScheduleRounds(e.target.value)} />
+            </label>
+            <span style={{ color: seatCount === players.length ? '#2e7d32' : '#888' }}>
+              {text.scheduleSeatCount.replace('{seats}', seatCount).replace('{players}', players.length)}
+            </span>
+            <button className="primary-btn" disabled={isGeneratingSchedule || selectedRooms.length === 0 || seatCount !== players.length} onClick={handleGenerateSchedule}>
+              <CalendarDays size={18} /> {text.scheduleGenerate}
+            </button>
+          </div>
+        </div>
+
+        {!schedule ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.scheduleEmpty}</div> : (
+          <>
+            <div className="pack-manager-header">
+              <span style={{ color: '#888' }}>
+                {text.scheduleStats
+                  .replace('{opponents}', schedule.stats.repeatOpponents)
+                  .replace('{max}', schedule.stats.maxMeetings)
+                  .replace('{seats}', schedule.stats.repeatSeats)}
+              </span>
+              <button className="pack-export-btn" onClick={() => { if (window.confirm(text.scheduleClearConfirm)) socket.emit('CLEAR_SCHEDULE'); }}>{text.scheduleClear}</button>
+            </div>
+            <div className="history-list">
+              {schedule.rounds.map((round, index) => (
+                <div key={index} className="history-entry">
+                  <div className="history-entry-header" style={{ cursor: 'default' }}>
+                    <span style={{ fontWeight: 'bold' }}>{text.scheduleRoundTitle.replace('{number}', index + 1)}</span>
+                    {schedule.appliedRound === index && <span className="history-badge">{text.scheduleSeated}</span>}
+                    <button className="pack-export-btn" style={{ marginInlineStart: 'auto' }} onClick={() => socket.emit('APPLY_SCHEDULE_ROUND', index)}>
+                      {text.scheduleSeatRound}
+                    </button>
+                  </div>
+                  <div className="history-entry-body schedule-round-grid">
+                    {Object.entries(round.seating).map(([roomId, seats]) => (
+                      <div key={roomId}>
+                        <div style={{ fontWeight: 'bold', marginBottom: '0.3rem' }}>{roomId}</div>
+                        {Object.entries(seats).map(([seat, playerId]) => (
+                          <div key={seat} style={{ color: '#888', fontSize: '0.85rem' }}>{seat}. {nicknameOf(playerId)}</div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // --- STATISTICS RENDERER ---
+  const renderStatistics = () => {
+    const historyRooms = [...new Set(draftHistory.map(entry => entry.roomId))];
+    const roles = statistics?.roles || [];
+    const roleHeaders = roles.map(role => <th key={role}>{text['role' + role] || role}</th>);
+
+    const renderFairness = (title, rows, positionLabel) => (
+      <div className="admin-panel-section">
+        <h3>{title}</h3>
+        <table className="stats-table">
+          <thead><tr><th>{positionLabel}</th><th>{text.statsSamples}</th><th>χ²</th><th>{text.statsDegreesOfFreedom}</th><th>p</th><th></th></tr></thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.position}>
+                <td>{row.position}</td>
+                <td>{row.n}</td>
+                <td>{row.chiSquare}</td>
+                <td>{row.degreesOfFreedom}</td>
+                <td>{row.pValue}</td>
+                <td><span className={`stats-verdict ${row.verdict.toLowerCase()}`}>{text['statsVerdict' + row.verdict]}</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+
+    return (
+      <div>
+        <div className="pack-manager-header">
+          <h1 className="admin-page-title" style={{ marginBottom: 0 }}>{text.tabStatistics}</h1>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select className="login-input" style={{ maxWidth: '220px' }} value={statsRoomFilter} onChange={(e) => setStatsRoomFilter(e.target.value)}>
+              <option value="">{text.historyAllRooms}</option>
+              {historyRooms.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <button className="pack-export-btn" disabled={!statistics?.games} onClick={handleExportStatistics}><Download size={14} /> JSON</button>
+          </div>
+        </div>
+
+        {!statistics?.games ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.historyEmpty}</div> : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+            <div style={{ color: '#888' }}>{text.statsGameCount.replace('{count}', statistics.games)}</div>
+
+            <div className="admin-panel-section">
+              <h3>{text.statsByPlayer}</h3>
+              {statistics.players.length === 0 ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.statsNoPlayers}</div> : (
+                <table className="stats-table">
+                  <thead><tr><th>{text.playerNickname}</th><th>{text.statsGames}</th>{roleHeaders}</tr></thead>
+                  <tbody>
+                    {statistics.players.map(p => (
+                      <tr key={p.playerId || p.nickname}>
+                        <td>{p.nickname}</td>
+                        <td>{p.games}</td>
+                        {roles.map(role => <td key={role}>{p.roles[role] || 0}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="admin-panel-section">
+              <h3>{text.statsBySeat}</h3>
+              <table className="stats-table">
+                <thead><tr><th>{text.statsSeat}</th><th>{text.statsGames}</th>{roleHeaders}</tr></thead>
+                <tbody>
+                  {Object.entries(statistics.seats).map(([seat, data]) => (
+                    <tr key={seat}>
+                      <td>{seat}</td>
+                      <td>{data.games}</td>
+                      {roles.map(role => <td key={role}>{Math.round(100 * (data.roles[role] || 0) / data.games)}%</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {renderFairness(text.statsSlotFairness, statistics.slotFairness, text.statsSlot)}
+            {renderFairness(text.statsSeatFairness, statistics.seatFairness, text.statsSeat)}
+            <div style={{ color: '#666', fontSize: '0.8rem' }}>{text.statsFairnessHint}</div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderSnapshots = () => (
+    <div>
+      <h1 className="admin-page-title" style={{ marginBottom: '0.5rem' }}>{text.tabSnapshots}</h1>
+      <p style={{ color: '#888', maxWidth: '600px', marginBottom: '1.5rem' }}>{text.snapshotsHint}</p>
+
+      {snapshots.length === 0 ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.snapshotsEmpty}</div> : (
+        <div className="history-list">
+          {snapshots.map(meta => {
+            const isExpanded = expandedSnapshotId === meta.id;
+            const preview = isExpanded && snapshotPreview?.meta.id === meta.id ? snapshotPreview : null;
+            return (
+              <div key={meta.id} className="history-entry">
+                <button className="history-entry-header" onClick={() => handleToggleSnapshot(meta.id)}>
+                  <span style={{ fontWeight: 'bold' }}>{new Date(meta.createdAt).toLocaleString()}</span>
+                  <span style={{ color: '#888' }}>
+                    {text['snapshotReason' + meta.reason] || meta.reason}{meta.detail && ` · ${meta.detail}`}
+                  </span>
+                  <span style={{ color: '#888' }}>
+                    {text.snapshotCounts.replace('{rooms}', meta.rooms).replace('{players}', meta.players).replace('{games}', meta.games)}
+                  </span>
+                </button>
+
+                {isExpanded && (
+                  <div className="history-entry-body">
+                    {!preview ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.snapshotLoading}</div> : (
+                      <>
+                        <div className="admin-results-list">
+                          {preview.rooms.map(room => (
+                            <div key={room.roomId} className="admin-result-row">
+                              <span style={{ fontWeight: 'bold' }}>{room.roomId}</span>
+                              <span style={{ color: '#888' }}>{room.status === 'PENDING' ? (room.areRolesLocked ? text.statusWaiting : text.statusUnlocked) : room.status === 'IN_PROGRESS' ? text.statusInProgress : text.statusCompleted}</span>
+                              <span style={{ color: '#888' }}>
+                                {text.snapshotRoomProgress.replace('{picks}', room.picks).replace('{size}', room.deckSize).replace('{seated}', room.seated)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                        <div style={{ color: '#888', fontSize: '0.85rem' }}>
+                          {text.snapshotDevices.replace('{count}', preview.sessions.length)}
+                          {': '}{preview.sessions.map(s => `${s.name || s.deviceId} (${s.role}${s.roomId && s.roomId !== 'GLOBAL' ? ` · ${s.roomId}` : ''})`).join(', ') || '—'}
+                        </div>
+                        {preview.schedule && (
+                          <div style={{ color: '#888', fontSize: '0.85rem' }}>
+                            {text.snapshotSchedule.replace('{rounds}', preview.schedule.rounds).replace('{round}', preview.schedule.appliedRound === null ? '—' : preview.schedule.appliedRound + 1)}
+                          </div>
+                        )}
+                        <button className="primary-btn" style={{ alignSelf: 'flex-start', backgroundColor: 'var(--accent-red)' }} onClick={() => handleRollback(meta.id)}>
+                          <ArchiveRestore size={14} /> {text.snapshotRollback}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderAudit = () => {
+    const brokenSeqs = new Set((auditIntegrity?.problems || []).map(p => p.seq));
+    const setFilter = (key, value) => setAuditFilters(prev => ({ ...prev, [key]: value }));
+
+    return (
+      <div>
+        <div className="pack-manager-header">
+          <h1 className="admin-page-title" style={{ marginBottom: 0 }}>{text.tabAudit}</h1>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button className="pack-export-btn" onClick={() => socket.emit('REQUEST_AUDIT_LOG', auditFilters)}>{text.auditRefresh}</button>
+            <button className="pack-export-btn" onClick={handleVerifyAudit}><ShieldAlert size={14} /> {text.auditVerify}</button>
+          </div>
+        </div>
+
+        {auditIntegrity && (
+          <div className={`audit-integrity ${auditIntegrity.ok ? 'ok' : 'broken'}`}>
+            {auditIntegrity.ok ? text.auditIntact.replace('{count}', auditIntegrity.entries) : (
+              <>
+                <strong>{text.auditBroken.replace('{count}', auditIntegrity.problems.length)}</strong>
+                <ul style={{ margin: '0.5rem 0 0', paddingInlineStart: '1.2rem' }}>
+                  {auditIntegrity.problems.map(p => (
+                    <li key={p.line}>{text.auditProblemLine.replace('{line}', p.line)}{p.seq ? ` (#${p.seq})` : ''}: {text['auditProblem' + p.reason] || p.reason}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="audit-filters">
+          <select className="login-input" value={auditFilters.type} onChange={(e) => setFilter('type', e.target.value)}>
+            <option value="">{text.auditAllEvents}</option>
+            {(auditLog?.types || []).map(type => <option key={type} value={type}>{text['auditEvent' + type] || type}</option>)}
+          </select>
+          <select className="login-input" value={auditFilters.roomId} onChange={(e) => setFilter('roomId', e.target.value)}>
+            <option value="">{text.historyAllRooms}</option>
+            {(auditLog?.rooms || []).map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <select className="login-input" value={auditFilters.role} onChange={(e) => setFilter('role', e.target.value)}>
+            <option value="">{text.auditAllActors}</option>
+            {['ADMIN', 'JUDGE', 'PLAYER', 'STREAM', 'UNASSIGNED', 'SYSTEM', 'CONSOLE'].map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <input className="login-input" type="text" placeholder={text.auditSearch} value={auditFilters.search} onChange={(e) => setFilter('search', e.target.value)} />
+        </div>
+
+        {!auditLog?.entries.length ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.auditEmpty}</div> : (
+          <>
+            <div style={{ color: '#888', fontSize: '0.85rem' }}>{text.auditShowing.replace('{shown}', auditLog.entries.length).replace('{total}', auditLog.total)}</div>
+            <table className="stats-table">
+              <thead><tr><th>#</th><th>{text.auditTime}</th><th>{text.auditEvent}</th><th>{text.auditActor}</th><th>{text.auditTable}</th><th>{text.auditDetails}</th></tr></thead>
+              <tbody>
+                {auditLog.entries.map(entry => (
+                  <tr key={entry.seq} className={brokenSeqs.has(entry.seq) ? 'audit-row-broken' : ''}>
+                    <td style={{ color: '#666' }}>{entry.seq}</td>
+                    <td style={{ whiteSpace: 'nowrap' }}>{new Date(entry.at).toLocaleString()}</td>
+                    <td>{text['auditEvent' + entry.type] || entry.type}</td>
+                    <td>
+                      {entry.actor.role}
+                      {(entry.actor.name || entry.actor.device) && <span style={{ color: '#888' }}> · {entry.actor.name || entry.actor.device}</span>}
+                      {entry.actor.ip && <span style={{ color: '#666', fontSize: '0.8rem' }}> · {entry.actor.ip}</span>}
+                    </td>
+                    <td>{entry.roomId || '—'}</td>
+                    <td className="audit-details">
+                      {Object.entries(entry.details).map(([key, value]) => `${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`).join(' · ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {auditLog.entries.length < auditLog.total && (
+              <button className="pack-export-btn" style={{ marginTop: '0.75rem' }} onClick={() => socket.emit('REQUEST_AUDIT_LOG', { ...auditFilters, beforeSeq: auditLog.entries[auditLog.entries.length - 1].seq })}>{text.auditLoadOlder}</button>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderDevices = () => (
+    <div>
+      <h1 className="admin-page-title" style={{ marginBottom: '0.5rem' }}>{text.tabDevices}</h1>
+      <p style={{ color: '#888', maxWidth: '600px', marginBottom: '1.5rem' }}>{text.devicesHint}</p>
+
+      {devices.length === 0 ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.devicesEmpty}</div> : (
+        <table className="stats-table">
+          <thead><tr><th>{text.deviceName}</th><th>{text.deviceRole}</th><th>{text.auditTable}</th><th>{text.deviceLastSeen}</th><th></th></tr></thead>
+          <tbody>
+            {devices.map(device => {
+              const isSelf = device.deviceId === getDeviceId();
+              return (
+                <tr key={device.deviceId} className={device.banned ? 'device-row-banned' : ''}>
+                  <td>
+                    <input 
+                      key={`${device.deviceId}-${device.name}`}
+                      className="login-input device-name-input" 
+                      maxLength={30}
+                      defaultValue={device.name || ''} 
+                      placeholder={device.deviceId.substring(0, 8)}
+                      onBlur={(e) => handleRenameDevice(device, e.target.value)}
+                    />
+                    <div className="device-meta">{device.deviceId.substring(0, 8)}{device.ip && ` · ${device.ip}`}</div>
+                  </td>
+                  <td>
+                    {device.role}
+                    {device.assignedSeat && <span style={{ color: '#888' }}> · {text.seatLabel.replace('{number}', device.assignedSeat)}</span>}
+                  </td>
+                  <td>{device.roomId && device.roomId !== 'GLOBAL' ? device.roomId : '—'}</td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    {device.online ? <span style={{ color: '#4caf50' }}>{text.deviceOnline}</span> : (device.lastSeen ? new Date(device.lastSeen).toLocaleString() : '—')}
+                    {device.banned && <span className="stats-verdict suspect" style={{ marginInlineStart: '0.5rem' }}>{text.deviceBannedBadge}</span>}
+                  </td>
+                  <td>
+                    <div className="device-actions">
+                      <button className="pack-export-btn" disabled={isSelf} onClick={() => handleBanDevice(device)}>{device.banned ? text.deviceUnban : text.deviceBan}</button>
+                      <button className="player-delete-btn" disabled={isSelf} title={text.deviceForget} onClick={() => handleForgetDevice(device)}>
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
   const streams = registry.filter(c => c.role === 'STREAM' || c.role === 'PENDING_STREAM');
 
   return (
@@ -520,6 +1474,27 @@ const Admin = () => {
                 </button>
               ))}
               <div style={{ height: '1px', backgroundColor: '#333', margin: '0.5rem 0' }}></div>
+              <button className={`nav-item ${activeTab === 'players' ? 'active' : ''}`} onClick={() => navigateTo('players')}>
+                <Contact size={18} /> {text.tabPlayers}
+              </button>
+              <button className={`nav-item ${activeTab === 'schedule' ? 'active' : ''}`} onClick={() => navigateTo('schedule')}>
+                <CalendarDays size={18} /> {text.tabSchedule}
+              </button>
+              <button className={`nav-item ${activeTab === 'history' ? 'active' : ''}`} onClick={() => navigateTo('history')}>
+                <History size={18} /> {text.tabHistory}
+              </button>
+              <button className={`nav-item ${activeTab === 'statistics' ? 'active' : ''}`} onClick={() => navigateTo('statistics')}>
+                <ChartColumn size={18} /> {text.tabStatistics}
+              </button>
+              <button className={`nav-item ${activeTab === 'snapshots' ? 'active' : ''}`} onClick={() => navigateTo('snapshots')}>
+                <ArchiveRestore size={18} /> {text.tabSnapshots}
+              </button>
+              <button className={`nav-item ${activeTab === 'audit' ? 'active' : ''}`} onClick={() => navigateTo('audit')}>
+                <ScrollText size={18} /> {text.tabAudit}
+              </button>
+              <button className={`nav-item ${activeTab === 'devices' ? 'active' : ''}`} onClick={() => navigateTo('devices')}>
+                <MonitorSmartphone size={18} /> {text.tabDevices}
+              </button>
               <button className={`nav-item ${activeTab === 'streams' ? 'active' : ''}`} onClick={() => navigateTo('streams')}>
                 <Video size={18} /> {text.tabStreams}
               </button>
@@ -529,6 +1504,9 @@ const Admin = () => {
               <button className={`nav-item ${activeTab === 'settings' ? 'active' : ''}`} onClick={() => navigateTo('settings')}>
                 <Monitor size={18} /> {text.tabSettings}
               </button>
+              <button className="nav-item" onClick={handleLogout}>
+                <LogOut size={18} /> {text.logout}
+              </button>
             </nav>
     
             <div className="sidebar-footer-form">
@@ -541,6 +1519,37 @@ const Admin = () => {
                   onChange={e => setNewRoomName(e.target.value)}
                   style={{ padding: '0.6rem', fontSize: '0.9rem', width: '100%', boxSizing: 'border-box' }}
                 />
+                <select 
+                  className="login-select" 
+                  aria-label={text.deckLabel}
+                  value={newRoomDeck} 
+                  onChange={e => setNewRoomDeck(e.target.value)}
+                  style={{ padding: '0.6rem', fontSize: '0.9rem', width: '100%', boxSizing: 'border-box' }}
+                >
+                  {[...DECK_PRESET_IDS, 'CUSTOM'].map(id => <option key={id} value={id}>{text['deck' + id]}</option>)}
+                </select>
+
+                {newRoomDeck === 'CUSTOM' && (
+                  <div className="custom-deck-editor">
+                    {customRoles.map((r, i) => (
+                      <div key={i} className="custom-deck-row">
+                        <input type="text" className="login-input" placeholder={text.customRoleName} value={r.role} onChange={e => updateCustomRole(i, 'role', e.target.value)} />
+                        <input type="number" className="login-input" min={1} max={16} title={text.customRoleCount} value={r.count} onChange={e => updateCustomRole(i, 'count', e.target.value)} />
+                        <select className="login-input" value={r.team} onChange={e => updateCustomRole(i, 'team', e.target.value)}>
+                          <option value="TOWN">{text.teamTOWN}</option>
+                          <option value="MAFIA">{text.teamMAFIA}</option>
+                        </select>
+                        <button type="button" className="custom-deck-remove" onClick={() => setCustomRoles(prev => prev.filter((_, j) => j !== i))}><X size={14} /></button>
+                      </div>
+                    ))}
+                    <button type="button" className="custom-deck-add" onClick={() => setCustomRoles(prev => [...prev, { role: '', count: 1, team: 'TOWN' }])}>
+                      <Plus size={14} /> {text.addRole}
+                    </button>
+                    <span style={{ fontSize: '0.8rem', color: '#888' }}>
+                      {text.deckSize.replace('{size}', customRoles.reduce((total, r) => total + (Number(r.count) || 0), 0))}
+                    </span>
+                  </div>
+                )}
                 <button type="submit" className="primary-btn" style={{ padding: '0.6rem', width: '100%', display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
                   <Plus size={18}/> {text.createRoom}
                 </button>
@@ -623,6 +1632,14 @@ const Admin = () => {
             </div>
           )}
 
+          {activeTab === 'players' && renderPlayers()}
+          {activeTab === 'schedule' && renderSchedule()}
+          {activeTab === 'history' && renderHistory()}
+          {activeTab === 'statistics' && renderStatistics()}
+          {activeTab === 'snapshots' && renderSnapshots()}
+          {activeTab === 'audit' && renderAudit()}
+          {activeTab === 'devices' && renderDevices()}
+
           {activeTab === 'streams' && (
             <div>
               <h1 className="admin-page-title">{text.tabStreams}</h1>
@@ -718,6 +1735,146 @@ const Admin = () => {
                   <button type="submit" className="primary-btn" style={{ backgroundColor: 'var(--accent-red)' }}><ShieldAlert size={18} /> {text.changeBtn}</button>
                 </form>
               </div>
+
+              <h1 className="admin-page-title" style={{ marginTop: '3rem', marginBottom: '0.5rem' }}>{text.totpTitle}</h1>
+              <p style={{ color: '#888', maxWidth: '600px', marginBottom: '1.5rem' }}>
+                {totpStatus?.enabled ? text.totpEnabledHint.replace('{count}', totpStatus.recoveryCodesLeft) : text.totpHint}
+              </p>
+              {recoveryCodes && (
+                <div className="login-card" style={{ maxWidth: '500px', margin: '0 0 1.5rem' }}>
+                  <strong>{text.totpRecoveryCodesTitle}</strong>
+                  <p style={{ color: '#888', fontSize: '0.9rem' }}>{text.totpRecoveryCodesHint}</p>
+                  <div style={{ fontFamily: 'monospace', fontSize: '1rem', display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '0.5rem' }}>
+                    {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+                  </div>
+                </div>
+              )}
+              {totpEnrolment ? (
+                <form onSubmit={handleConfirmTotp} style={{ display: 'flex', gap: '1.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                  {totpEnrolment.qr && <img src={totpEnrolment.qr} alt={text.totpQrAlt} width={220} height={220} style={{ borderRadius: '8px', background: '#fff' }} />}
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxWidth: '320px' }}>
+                    <label style={{ color: '#888', fontSize: '0.85rem' }}>{text.totpSecret}</label>
+                    <div style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{totpEnrolment.secret.match(/.{1,4}/g).join(' ')}</div>
+                    <input className="login-input" required inputMode="numeric" pattern="\d{6}" maxLength={6} autoComplete="one-time-code" placeholder={text.totpCodePlaceholder} value={totpCode} onChange={(e) => setTotpCode(e.target.value)} />
+                    <button type="submit" className="primary-btn"><KeyRound size={18} /> {text.totpConfirm}</button>
+                  </div>
+                </form>
+              ) : totpStatus?.enabled ? (
+                <form onSubmit={handleDisableTotp} style={{ display: 'flex', gap: '1rem', maxWidth: '500px', flexWrap: 'wrap' }}>
+                  <input type="password" className="login-input" style={{ flex: 1 }} required autoComplete="current-password" placeholder={text.oldPassword} value={totpPassword} onChange={(e) => setTotpPassword(e.target.value)} />
+                  <input className="login-input" style={{ flex: 1 }} required maxLength={20} autoComplete="one-time-code" placeholder={text.totpDisablePlaceholder} value={totpCode} onChange={(e) => setTotpCode(e.target.value)} />
+                  <button type="submit" className="primary-btn" style={{ backgroundColor: 'var(--accent-red)', width: 'auto' }}><ShieldAlert size={18} /> {text.totpDisable}</button>
+                </form>
+              ) : (
+                <button className="primary-btn" style={{ maxWidth: '500px' }} onClick={handleBeginTotp}><KeyRound size={18} /> {text.totpEnable}</button>
+              )}
+              {totpMsg && <div style={{ color: 'var(--accent-red)', fontSize: '0.9rem', fontWeight: 'bold', marginTop: '1rem' }}>{totpMsg}</div>}
+
+              <h1 className="admin-page-title" style={{ marginTop: '3rem', marginBottom: '0.5rem' }}>{text.serverIdentityTitle}</h1>
+              <p style={{ color: '#888', maxWidth: '600px', marginBottom: '1.5rem' }}>{text.serverIdentityHint}</p>
+              {serverIdentity && (
+                <div style={{ display: 'flex', gap: '1.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                  {serverIdentity.qr && <img src={serverIdentity.qr} alt={text.serverIdentityQrAlt} width={220} height={220} style={{ borderRadius: '8px', background: '#fff' }} />}
+                  <div>
+                    <label style={{ color: '#888', fontSize: '0.85rem' }}>{text.serverIdentityFingerprint}</label>
+                    <div style={{ fontFamily: 'monospace', fontSize: '1rem', maxWidth: '320px', margin: '0.25rem 0 1rem' }}>{formatFingerprint(serverIdentity.fingerprint)}</div>
+                    <label style={{ color: '#888', fontSize: '0.85rem' }}>{text.serverIdentityPairingLink}</label>
+                    <div className="device-meta" style={{ wordBreak: 'break-all', maxWidth: '320px' }}>{serverIdentity.pairingUrl}</div>
+                  </div>
+                </div>
+              )}
+              {serverIdentity?.caUrl && (
+                <>
+                  <p style={{ color: '#888', maxWidth: '600px', margin: '2rem 0 1.5rem' }}>{text.httpsCaHint}</p>
+                  <div style={{ display: 'flex', gap: '1.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                    {serverIdentity.caQr && <img src={serverIdentity.caQr} alt={text.httpsCaQrAlt} width={220} height={220} style={{ borderRadius: '8px', background: '#fff' }} />}
+                    <div>
+                      <label style={{ color: '#888', fontSize: '0.85rem' }}>{text.httpsCaFingerprint}</label>
+                      <div style={{ fontFamily: 'monospace', fontSize: '0.85rem', maxWidth: '320px', wordBreak: 'break-all', margin: '0.25rem 0 1rem' }}>{serverIdentity.caFingerprint}</div>
+                      <a className="pack-export-btn" href={serverIdentity.caUrl} download><Download size={14} /> {text.httpsCaDownload}</a>
+                    </div>
+                  </div>
+                </>
+              )}
+
+              <h1 className="admin-page-title" style={{ marginTop: '3rem', marginBottom: '0.5rem' }}>{text.uploadTokensTitle}</h1>
+              <p style={{ color: '#888', maxWidth: '600px', marginBottom: '1.5rem' }}>{text.uploadTokensHint}</p>
+              <table className="stats-table">
+                <thead><tr><th>{text.deviceName}</th><th>{text.uploadTokenIssued}</th><th>{text.uploadTokenExpires}</th></tr></thead>
+                <tbody>
+                  {uploadTokens.map(token => (
+                    <tr key={token.id}>
+                      <td>
+                        {devices.find(d => d.deviceId === token.deviceId)?.name || token.deviceId?.substring(0, 8) || '—'}
+                        {token.deviceId === getDeviceId() && <span style={{ color: '#4caf50' }}> · {text.uploadTokenThisDevice}</span>}
+                        <div className="device-meta">{token.id}{token.ip && ` · ${token.ip}`}</div>
+                      </td>
+                      <td style={{ whiteSpace: 'nowrap' }}>{new Date(token.issuedAt).toLocaleString()}</td>
+                      <td style={{ whiteSpace: 'nowrap' }}>{new Date(token.expiresAt).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button className="primary-btn" style={{ backgroundColor: 'var(--accent-red)', marginTop: '1rem', maxWidth: '500px' }} onClick={handleRevokeUploadTokens}>
+                <ShieldAlert size={18} /> {text.uploadTokensRevokeAll}
+              </button>
+
+              <h1 className="admin-page-title" style={{ marginTop: '3rem', marginBottom: '0.5rem' }}>{text.judgeAccountsTitle}</h1>
+              <p style={{ color: '#888', maxWidth: '600px', marginBottom: '1.5rem' }}>{text.judgeAccountsHint}</p>
+              <form className="admin-panel-section player-create-form" onSubmit={handleCreateJudgeAccount}>
+                <input className="login-input" required maxLength={30} placeholder={text.judgeAccountName} value={newJudge.name} onChange={(e) => setNewJudge({ ...newJudge, name: e.target.value })} />
+                <input className="login-input" type="password" required minLength={4} autoComplete="new-password" placeholder={text.judgeAccountPassword} value={newJudge.password} onChange={(e) => setNewJudge({ ...newJudge, password: e.target.value })} />
+                <select className="login-select" value={newJudge.roomId} onChange={(e) => setNewJudge({ ...newJudge, roomId: e.target.value })}>
+                  <option value="">{text.judgeAccountAnyTable}</option>
+                  {Object.keys(rooms).map(roomId => <option key={roomId} value={roomId}>{roomId}</option>)}
+                </select>
+                <button type="submit" className="primary-btn"><Plus size={18} /> {text.judgeAccountCreate}</button>
+              </form>
+              {judgeAccountMsg && <div style={{ color: 'var(--accent-red)', fontSize: '0.9rem', fontWeight: 'bold', marginBottom: '1rem' }}>{judgeAccountMsg}</div>}
+
+              {judgeAccounts.length === 0 ? <div style={{ color: '#666', fontStyle: 'italic' }}>{text.judgeAccountsEmpty}</div> : (
+                <table className="stats-table">
+                  <thead><tr><th>{text.judgeAccountName}</th><th>{text.auditTable}</th><th>{text.judgeAccountLastLogin}</th><th>{text.judgeAccountActive}</th><th></th></tr></thead>
+                  <tbody>
+                    {judgeAccounts.map(account => (
+                      <tr key={account.id}>
+                        <td>{account.name}</td>
+                        <td>{account.roomId || text.judgeAccountAnyTable}</td>
+                        <td style={{ whiteSpace: 'nowrap' }}>{account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleString() : '—'}</td>
+                        <td>{account.activeDevices}</td>
+                        <td>
+                          <button className="pack-export-btn" onClick={() => handleRevokeJudgeAccount(account)}>{text.judgeAccountRevoke}</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <h1 className="admin-page-title" style={{ marginTop: '3rem', marginBottom: '0.5rem' }}>{text.backupTitle}</h1>
+              <p style={{ color: '#888', maxWidth: '500px', marginBottom: '1.5rem' }}>{text.backupHint}</p>
+              <div className="login-card" style={{ maxWidth: '500px', margin: '0' }}>
+                <form onSubmit={handleDownloadBackup} className="settings-form">
+                  <div className="input-group">
+                    <label>{text.backupPassphrase}</label>
+                    <input type="password" required minLength={8} className="login-input" value={backupPass} onChange={e => setBackupPass(e.target.value)} />
+                  </div>
+                  <button type="submit" className="primary-btn"><Download size={18} /> {text.backupDownload}</button>
+                </form>
+
+                <form onSubmit={handleRestoreBackup} className="settings-form" style={{ marginTop: '1.5rem', paddingTop: '1.5rem', borderTop: '1px dashed #444' }}>
+                  <div className="input-group">
+                    <label>{text.restoreFile}</label>
+                    <input type="file" required accept=".mafvault" className="login-input" onChange={e => setRestoreFile(e.target.files[0] || null)} />
+                  </div>
+                  <div className="input-group">
+                    <label>{text.backupPassphrase}</label>
+                    <input type="password" required className="login-input" value={restorePass} onChange={e => setRestorePass(e.target.value)} />
+                  </div>
+                  {backupMsg && <div style={{ color: backupMsg.type === 'error' ? 'var(--accent-red)' : '#2e7d32', fontSize: '0.9rem', fontWeight: 'bold' }}>{backupMsg.text}</div>}
+                  <button type="submit" className="primary-btn" style={{ backgroundColor: 'var(--accent-red)' }}><ShieldAlert size={18} /> {text.restoreBtn}</button>
+                </form>
+              </div>
             </div>
           )}
           
@@ -727,9 +1884,8 @@ const Admin = () => {
               onSubmit={async (e) => {
                 e.preventDefault();
                 if (selectedPack !== 'default') {
-                  await fetch(`/api/assets/activate/${selectedPack}`, {
-                    method: 'POST',
-                    headers: { 'Authorization': `Bearer ${uploadToken}` }
+                  await adminFetch(`/api/assets/activate/${selectedPack}`, {
+                    method: 'POST'
                   });
                 }
                 socket.emit('UPDATE_GLOBAL_SETTINGS', {
@@ -737,8 +1893,9 @@ const Admin = () => {
                   customAssets: { activePack: selectedPack },
                   streamSeatPlateBackgroundColor,
                   streamSeatPlateTextColor,
+                }, (res) => {
+                  alert(res?.success ? text.saveSuccess : `${text.saveFailed} ${res?.message || ''}`);
                 });
-                alert(text.saveSuccess);
               }}
             >
               <h1 className="admin-page-title">{text.settingsTitle}</h1>
@@ -963,7 +2120,7 @@ const Admin = () => {
             </form>
           )}
 
-          {activeTab !== 'overview' && activeTab !== 'streams' && activeTab !== 'security' && activeTab !== 'settings' && renderRoomDetails(activeTab)}
+          {activeTab !== 'overview' && activeTab !== 'players' && activeTab !== 'schedule' && activeTab !== 'history' && activeTab !== 'statistics' && activeTab !== 'snapshots' && activeTab !== 'audit' && activeTab !== 'devices' && activeTab !== 'streams' && activeTab !== 'security' && activeTab !== 'settings' && renderRoomDetails(activeTab)}
 
         </div>
         <footer className="lobby-footer" style={{ justifyContent: 'center', padding: '1rem', borderTop: '1px solid #333' }}>
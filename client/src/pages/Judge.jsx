@@ -1,13 +1,15 @@
 /**
  * @file src/pages/JudgeView.jsx
  * @description Moderator dashboard for tracking the draft phase.
- * Features a dynamic 1-10 list with strict team-based color coding.
+ * Features a dynamic seat list (sized from the room's deck) with strict team-based color coding.
  */
 
 import React, { useState, useEffect } from 'react';
-import { Shield, ShieldAlert, Users, Play, Unlock, XSquare, RotateCcw, Wifi } from 'lucide-react';
+import { Shield, ShieldAlert, Users, Play, Pause, Unlock, XSquare, RotateCcw, Undo2, Wifi, Fingerprint } from 'lucide-react';
 import { socket } from '../utils/socket';
 import { useLanguage } from '../utils/LanguageContext';
+import { getDraftSequence, getSeatForTurn, getUndoableSeat, getTableSize, getRoleTeam, isSpecialRole, verifyDeckCommitment } from '../utils/deck';
+import PickCountdown from '../components/PickCountdown';
 import packageJson from '../../package.json';
 import '../App.css'; 
 import './Judge.css'; 
@@ -40,19 +42,21 @@ const JudgeView = () => {
   const getSeatStyles = (role) => {
     if (!role) return { bg: 'bg-empty', text: '' };
     
-    const isTown = role === 'Citizen' || role === 'Sheriff';
-    const isSpecial = role === 'Sheriff' || role === 'Don';
+    const isTown = getRoleTeam(gameState, role) === 'TOWN';
 
     return {
       bg: isTown ? 'bg-town' : 'bg-mafia',
-      text: isSpecial ? 'text-special' : 'text-regular'
+      text: isSpecialRole(role) ? 'text-special' : 'text-regular'
     };
   };
 
   // --- RENDER HELPERS ---
-  const seats = Array.from({ length: 10 }, (_, i) => i + 1);
+  const seats = getDraftSequence(gameState);
+  const activeSeat = gameState.status === 'IN_PROGRESS' ? getSeatForTurn(gameState) : null;
   const pCount = gameState.clientCounts?.PLAYER || 0;
   const jCount = gameState.clientCounts?.JUDGE || 0;
+  const commitment = gameState.deckCommitment;
+  const commitmentCheck = verifyDeckCommitment(commitment);
 
   return (
     <div className="lobby-container">
@@ -85,7 +89,7 @@ const JudgeView = () => {
               <h2>{text.title}</h2>
               <div className="judge-stats">
                 <span style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
-                  <Users size={16} /> {text.players.replace('{count}', pCount)}
+                  <Users size={16} /> {text.players.replace('{count}', pCount).replace('{total}', getTableSize(gameState))}
                 </span>
                 <span style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
                   <Shield size={16} /> {text.judges.replace('{count}', jCount)}
@@ -93,8 +97,9 @@ const JudgeView = () => {
               </div>
               <p style={{ color: gameState.status === 'COMPLETED' ? 'var(--accent-gold)' : '#aaa' }}>
                 {gameState.status === 'PENDING' ? text.statusPending : 
-                 gameState.status === 'IN_PROGRESS' ? text.statusInProgress : text.statusCompleted}
+                 gameState.status === 'IN_PROGRESS' ? (gameState.isPaused ? text.statusPaused : text.statusInProgress) : text.statusCompleted}
               </p>
+              <PickCountdown gameState={gameState} label={text.pickCountdown} expiredLabel={text.pickCountdownExpired} />
             </div>
 
             <div className="controls-grid">
@@ -115,9 +120,9 @@ const JudgeView = () => {
               {gameState.status === 'IN_PROGRESS' && (
                 <button 
                   className="primary-btn" 
-                  disabled={gameState.isTrayUnlocked || gameState.isCardRevealed}
+                  disabled={gameState.isTrayUnlocked || gameState.isCardRevealed || gameState.isPaused}
                   onClick={() => socket.emit('UNLOCK_TRAY')}
-                  style={{ opacity: (gameState.isTrayUnlocked || gameState.isCardRevealed) ? 0.5 : 1 }}
+                  style={{ opacity: (gameState.isTrayUnlocked || gameState.isCardRevealed || gameState.isPaused) ? 0.5 : 1 }}
                 >
                   <Unlock size={18} /> {text.unlockTray}
                 </button>
@@ -136,13 +141,13 @@ const JudgeView = () => {
                   ) : (
                     <button 
                       className="primary-btn" 
-                      disabled={!gameState.isTrayUnlocked}
+                      disabled={!gameState.isTrayUnlocked || gameState.isPaused}
                       onClick={() => {
                         if (window.confirm(text.forcePickConfirm)) {
                           socket.emit('FORCE_PICK');
                         }
                       }}
-                      style={{ backgroundColor: '#1976d2', opacity: gameState.isTrayUnlocked ? 1 : 0.5 }}
+                      style={{ backgroundColor: '#1976d2', opacity: (gameState.isTrayUnlocked && !gameState.isPaused) ? 1 : 0.5 }}
                     >
                       <ShieldAlert size={18} /> {text.forcePick}
                     </button>
@@ -150,7 +155,34 @@ const JudgeView = () => {
                 </>
               )}
 
-              {/* 4. RESET DRAFT */}
+              {/* 4. PAUSE / RESUME */}
+              {gameState.status === 'IN_PROGRESS' && (
+                <button 
+                  className="primary-btn" 
+                  onClick={() => socket.emit(gameState.isPaused ? 'RESUME_DRAFT' : 'PAUSE_DRAFT')}
+                  style={{ backgroundColor: gameState.isPaused ? '#2e7d32' : '#455a64' }}
+                >
+                  {gameState.isPaused ? <><Play size={18} /> {text.resumeDraft}</> : <><Pause size={18} /> {text.pauseDraft}</>}
+                </button>
+              )}
+
+              {/* 5. UNDO LAST PICK */}
+              {(gameState.status === 'IN_PROGRESS' || gameState.status === 'COMPLETED') && (
+                <button 
+                  className="primary-btn" 
+                  disabled={gameState.revealedSlots.length === 0}
+                  onClick={() => {
+                    if (window.confirm(text.undoPickConfirm.replace('{number}', getUndoableSeat(gameState)))) {
+                      socket.emit('UNDO_PICK');
+                    }
+                  }}
+                  style={{ backgroundColor: '#6d4c41', opacity: gameState.revealedSlots.length > 0 ? 1 : 0.5 }}
+                >
+                  <Undo2 size={18} /> {text.undoPick}
+                </button>
+              )}
+
+              {/* 6. RESET DRAFT */}
               <button 
                 className="primary-btn" 
                 onClick={() => {
@@ -161,21 +193,44 @@ const JudgeView = () => {
                 <RotateCcw size={18} /> {text.resetDraft}
               </button>
             </div>
+
+            {/* DECK COMMITMENT (published on START_DRAFT, opened on COMPLETED) */}
+            {commitment && (
+              <div className="commitment-panel">
+                <h4><Fingerprint size={16} /> {text.commitmentTitle}</h4>
+                <code>{commitment.hash}</code>
+                {commitment.salt ? (
+                  <>
+                    <span className="commitment-label">{text.commitmentSalt}</span>
+                    <code>{commitment.salt}</code>
+                    <span className={commitmentCheck ? 'commitment-ok' : 'commitment-bad'}>
+                      {commitmentCheck ? text.commitmentVerified : text.commitmentMismatch}
+                    </span>
+                  </>
+                ) : (
+                  <span className="commitment-label">{text.commitmentSealed}</span>
+                )}
+              </div>
+            )}
             
           </div>
         </aside>
 
-        {/* RIGHT COLUMN: 1-10 TRACKING LIST */}
+        {/* RIGHT COLUMN: SEAT TRACKING LIST */}
         <main className="judge-tracking-list">
           <div className="seat-list">
             {seats.map((seatNum) => {
               const drawData = gameState.results ? gameState.results[seatNum] : null;
               const role = drawData ? drawData.role : null;
               const styles = getSeatStyles(role);
+              const nickname = gameState.seatPlayers?.[seatNum]?.nickname;
 
               return (
-                <div key={seatNum} className={`seat-row ${styles.bg}`}>
-                  <span>{text.player.replace('{number}', seatNum)}</span>
+                <div key={seatNum} className={`seat-row ${styles.bg} ${seatNum === activeSeat ? 'active' : ''}`}>
+                  <span>
+                    {text.player.replace('{number}', seatNum)}
+                    {nickname && <span className="seat-nickname">{nickname}</span>}
+                  </span>
                   
                   <span className={styles.text}>
                     {role ? (text['role' + role] || role) : text.emptyPlayer}
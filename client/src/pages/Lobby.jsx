@@ -7,8 +7,9 @@
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Wifi, ShieldAlert, Key, LogIn, MonitorSmartphone } from 'lucide-react';
+import { Wifi, ShieldAlert, Key, LogIn, MonitorSmartphone, Gavel, Lock } from 'lucide-react';
 import { socket, getDeviceId } from '../utils/socket';
+import { answerLoginChallenge } from '../utils/challenge';
 import { useLanguage } from '../utils/LanguageContext';
 import packageJson from '../../package.json';
 import '../App.css'; 
@@ -25,6 +26,12 @@ const Lobby = () => {
   const [deviceName, setDeviceName] = useState('');
   const [selectedRoom, setSelectedRoom] = useState('');
   const [isWaiting, setIsWaiting] = useState(false);
+
+  const [isJudgeMode, setIsJudgeMode] = useState(false);
+  const [judgeName, setJudgeName] = useState('');
+  const [judgePassword, setJudgePassword] = useState('');
+  const [judgeError, setJudgeError] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
   
   const [availableRooms, setAvailableRooms] = useState([]);
 
@@ -66,6 +73,29 @@ const Lobby = () => {
     }
   };
 
+  const handleJudgeLogin = (e) => {
+    e.preventDefault();
+    setJudgeError('');
+    if (judgeName.trim() === '' || judgePassword === '' || selectedRoom === '' || isVerifying) return;
+    setIsVerifying(true);
+
+    socket.emit('REQUEST_JUDGE_CHALLENGE', { name: judgeName.trim() }, async (challengeData) => {
+      if (!challengeData.success) {
+        setJudgeError(challengeData.message);
+        setIsVerifying(false);
+        return;
+      }
+
+      const { response, password } = await answerLoginChallenge(judgePassword, challengeData);
+
+      socket.emit('JUDGE_LOGIN', { name: judgeName.trim(), roomId: selectedRoom, response, password }, (loginResponse) => {
+        setIsVerifying(false);
+        setJudgePassword('');
+        if (!loginResponse.success) setJudgeError(loginResponse.message || text.judgeLoginError);
+      });
+    });
+  };
+
   const handleCancel = () => {
     setIsWaiting(false);
   };
@@ -98,28 +128,67 @@ const Lobby = () => {
             <>
               <div className="login-header">
                 <h2>{text.title}</h2>
-                <p>{text.subtitle}</p>
+                <p>{isJudgeMode ? text.judgeSubtitle : text.subtitle}</p>
               </div>
               
-              <form onSubmit={handleLoginSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+              <form onSubmit={isJudgeMode ? handleJudgeLogin : handleLoginSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
                 
-                <div className="input-group">
-                  <label htmlFor="deviceName">{text.deviceLabel}</label>
-                  <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
-                    <MonitorSmartphone size={18} style={{ position: 'absolute', left: '12px', color: '#666' }} />
-                    <input 
-                      type="text" 
-                      id="deviceName"
-                      className="login-input" 
-                      style={{ paddingLeft: '2.5rem' }}
-                      placeholder={text.devicePlaceholder}
-                      value={deviceName}
-                      onChange={(e) => setDeviceName(e.target.value)}
-                      autoComplete="off"
-                      required
-                    />
+                {isJudgeMode ? (
+                  <>
+                    <div className="input-group">
+                      <label htmlFor="judgeName">{text.judgeNameLabel}</label>
+                      <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
+                        <Gavel size={18} style={{ position: 'absolute', left: '12px', color: '#666' }} />
+                        <input 
+                          type="text" 
+                          id="judgeName"
+                          className="login-input" 
+                          style={{ paddingLeft: '2.5rem' }}
+                          maxLength={30}
+                          value={judgeName}
+                          onChange={(e) => { setJudgeName(e.target.value); setJudgeError(''); }}
+                          autoComplete="username"
+                          required
+                        />
+                      </div>
+                    </div>
+
+                    <div className="input-group">
+                      <label htmlFor="judgePassword">{text.judgePasswordLabel}</label>
+                      <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
+                        <Lock size={18} style={{ position: 'absolute', left: '12px', color: '#666' }} />
+                        <input 
+                          type="password" 
+                          id="judgePassword"
+                          className="login-input" 
+                          style={{ paddingLeft: '2.5rem', borderColor: judgeError ? 'var(--accent-red)' : '' }}
+                          value={judgePassword}
+                          onChange={(e) => { setJudgePassword(e.target.value); setJudgeError(''); }}
+                          autoComplete="current-password"
+                          required
+                        />
+                      </div>
+                    </div>
+                  </>
+                ) : (
+                  <div className="input-group">
+                    <label htmlFor="deviceName">{text.deviceLabel}</label>
+                    <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
+                      <MonitorSmartphone size={18} style={{ position: 'absolute', left: '12px', color: '#666' }} />
+                      <input 
+                        type="text" 
+                        id="deviceName"
+                        className="login-input" 
+                        style={{ paddingLeft: '2.5rem' }}
+                        placeholder={text.devicePlaceholder}
+                        value={deviceName}
+                        onChange={(e) => setDeviceName(e.target.value)}
+                        autoComplete="off"
+                        required
+                      />
+                    </div>
                   </div>
-                </div>
+                )}
 
                 <div className="input-group">
                   <label htmlFor="roomSelect">{text.roomLabel}</label>
@@ -140,11 +209,24 @@ const Lobby = () => {
                       <option disabled>No Active Rooms (Ask Admin to Create One)</option>
                     )}
                   </select>
+                  {judgeError && (
+                    <span style={{ color: 'var(--accent-red)', fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                      {judgeError}
+                    </span>
+                  )}
                 </div>
                 
-                <button type="submit" className="primary-btn">
-                  <LogIn size={20} />
-                  {text.joinButton}
+                <button type="submit" className="primary-btn" disabled={isJudgeMode && isVerifying}>
+                  {isJudgeMode ? <Gavel size={20} /> : <LogIn size={20} />}
+                  {isJudgeMode ? text.judgeLoginButton : text.joinButton}
+                </button>
+
+                <button 
+                  type="button" 
+                  onClick={() => { setIsJudgeMode(!isJudgeMode); setJudgeError(''); }}
+                  style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  {isJudgeMode ? text.deviceModeLink : text.judgeModeLink}
                 </button>
               </form>
             </>
@@ -1,17 +1,18 @@
 /**
  * @file src/pages/LoginView.jsx
  * @description Secure authentication interface for Tournament Administrators.
- * Validates the master password against the server's cryptographic hash.
+ * Validates the master password against the server's cryptographic hash,
+ * then asks for an authenticator or recovery code when two-factor authentication is on.
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Wifi, ShieldAlert, Lock, ArrowLeft } from 'lucide-react';
+import { Wifi, ShieldAlert, Lock, ArrowLeft, KeyRound } from 'lucide-react';
 import { socket } from '../utils/socket';
 import { useAuth } from '../utils/AuthContext';
 import { useLanguage } from '../utils/LanguageContext';
 import packageJson from '../../package.json';
-import CryptoJS from 'crypto-js';
+import { answerLoginChallenge } from '../utils/challenge';
 import '../App.css'; 
 import './Lobby.css'; 
 
@@ -23,6 +24,9 @@ const LoginView = () => {
   
   const [password, setPassword] = useState('');
   const [errorMsg, setErrorMsg] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [isTotpStep, setIsTotpStep] = useState(false);
+  const [totpCode, setTotpCode] = useState('');
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [isDebugMode, setIsDebugMode] = useState(false); 
 
@@ -47,29 +51,28 @@ const LoginView = () => {
     e.preventDefault();
     setErrorMsg('');
 
-    if (password.trim() === '') return;
+    if (password.trim() === '' || isVerifying) return;
+    setIsVerifying(true);
 
-    socket.emit('REQUEST_LOGIN_CHALLENGE', (challengeData) => {
+    socket.emit('REQUEST_LOGIN_CHALLENGE', async (challengeData) => {
       if (!challengeData.success) {
         setErrorMsg(challengeData.message);
+        setIsVerifying(false);
         return;
       }
 
-      const { salt, nonce } = challengeData;
+      // Deriving the key takes a moment by design; the button stays disabled meanwhile.
+      const { response, password: rehashPassword } = await answerLoginChallenge(password, challengeData);
 
-      const baseHash = CryptoJS.PBKDF2(password, salt, { 
-        keySize: 512 / 32,
-        iterations: 10000, 
-        hasher: CryptoJS.algo.SHA512 
-      }).toString(CryptoJS.enc.Hex);
-
-      const hmacResponse = CryptoJS.HmacSHA256(baseHash, nonce).toString(CryptoJS.enc.Hex);
-
-      socket.emit('ADMIN_LOGIN', hmacResponse, (loginResponse) => {
+      socket.emit('ADMIN_LOGIN', response, rehashPassword, (loginResponse) => {
+        setIsVerifying(false);
         if (loginResponse.success) {
           setPassword('');
-          login(loginResponse.uploadToken); 
+          login(loginResponse.uploadToken, loginResponse.serverTime); 
           navigate('/admin');
+        } else if (loginResponse.totpRequired) {
+          setPassword('');
+          setIsTotpStep(true);
         } else {
           setErrorMsg(loginResponse.message || text.defaultError);
           setPassword(''); 
@@ -78,6 +81,26 @@ const LoginView = () => {
     });
   };
 
+  const handleTotpSubmit = (e) => {
+    e.preventDefault();
+    setErrorMsg('');
+    if (totpCode.trim() === '' || isVerifying) return;
+    setIsVerifying(true);
+
+    socket.emit('ADMIN_TOTP_VERIFY', totpCode.trim(), (loginResponse) => {
+      setIsVerifying(false);
+      setTotpCode('');
+      if (loginResponse.success) {
+        login(loginResponse.uploadToken, loginResponse.serverTime);
+        navigate('/admin');
+      } else {
+        // A rejected code ends the attempt; the server wants the password again.
+        setErrorMsg(loginResponse.message || text.totpError);
+        setIsTotpStep(false);
+      }
+    });
+  };
+
   return (
     <div className="lobby-container">
       
@@ -107,36 +130,59 @@ const LoginView = () => {
             <p>{text.subtitle}</p>
           </div>
           
-          <form onSubmit={handleAdminLogin} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+          <form onSubmit={isTotpStep ? handleTotpSubmit : handleAdminLogin} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
             
-            <div className="input-group">
-              <label htmlFor="adminPassword">{text.passwordLabel}</label>
-              <div style={{ position: 'relative', display: 'flex', alignItems: 'center', width: '100%' }}>
-                <Lock size={18} style={{ position: 'absolute', insetInlineStart: '12px', color: '#666' }} />
-                <input 
-                  type="password" 
-                  id="adminPassword"
-                  className="login-input" 
-                  style={{ paddingLeft: '2.5rem', borderColor: errorMsg ? 'var(--accent-red)' : '' }}
-                  placeholder={text.passwordPlaceholder}
-                  value={password}
-                  onChange={(e) => {
-                    setPassword(e.target.value);
-                    setErrorMsg(''); 
-                  }}
-                  autoComplete="current-password"
-                  required
-                />
+            {isTotpStep ? (
+              <div className="input-group">
+                <label htmlFor="adminTotp">{text.totpLabel}</label>
+                <div style={{ position: 'relative', display: 'flex', alignItems: 'center', width: '100%' }}>
+                  <KeyRound size={18} style={{ position: 'absolute', insetInlineStart: '12px', color: '#666' }} />
+                  <input 
+                    type="text" 
+                    id="adminTotp"
+                    className="login-input" 
+                    style={{ paddingLeft: '2.5rem' }}
+                    placeholder={text.totpPlaceholder}
+                    value={totpCode}
+                    onChange={(e) => setTotpCode(e.target.value)}
+                    autoComplete="one-time-code"
+                    maxLength={20}
+                    autoFocus
+                    required
+                  />
+                </div>
+                <span style={{ color: '#888', fontSize: '0.85rem', marginTop: '0.25rem' }}>{text.totpHint}</span>
+              </div>
+            ) : (
+              <div className="input-group">
+                <label htmlFor="adminPassword">{text.passwordLabel}</label>
+                <div style={{ position: 'relative', display: 'flex', alignItems: 'center', width: '100%' }}>
+                  <Lock size={18} style={{ position: 'absolute', insetInlineStart: '12px', color: '#666' }} />
+                  <input 
+                    type="password" 
+                    id="adminPassword"
+                    className="login-input" 
+                    style={{ paddingLeft: '2.5rem', borderColor: errorMsg ? 'var(--accent-red)' : '' }}
+                    placeholder={text.passwordPlaceholder}
+                    value={password}
+                    onChange={(e) => {
+                      setPassword(e.target.value);
+                      setErrorMsg(''); 
+                    }}
+                    autoComplete="current-password"
+                    required
+                  />
+                </div>
+                {errorMsg && (
+                  <span style={{ color: 'var(--accent-red)', fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                    {errorMsg}
+                  </span>
+                )}
               </div>
-              {errorMsg && (
-                <span style={{ color: 'var(--accent-red)', fontSize: '0.85rem', marginTop: '0.25rem' }}>
-                  {errorMsg}
-                </span>
-              )}
-            </div>
+            )}
             
-            <button type="submit" className="primary-btn">
-              {text.authButton}
+            <button type="submit" className="primary-btn" disabled={isVerifying}>
+              {isTotpStep ? text.totpButton : text.authButton}
             </button>
 
             <button 
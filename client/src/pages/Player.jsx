@@ -8,6 +8,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { socket } from '../utils/socket';
 import { useLanguage } from '../utils/LanguageContext';
+import { getTableSize, getSeatForTurn } from '../utils/deck';
+import PickCountdown from '../components/PickCountdown';
 import '../App.css';
 import './Player.css';
 
@@ -67,10 +69,10 @@ const Player = () => {
 
   // --- SINGLE MODE TURN LOGIC ---
   const isSingleMode = gameState.settings?.singleMode || false; 
-  const isMyTurn = !isSingleMode || (gameState.currentTurn === clientSeat);
+  const isMyTurn = !isSingleMode || (getSeatForTurn(gameState) === clientSeat);
 
   const handlePickCard = (slotIndex) => {
-    if (!gameState.isTrayUnlocked || revealedRole) return;
+    if (!gameState.isTrayUnlocked || gameState.isPaused || revealedRole) return;
     if (isSingleMode && !isMyTurn) return; 
     
     socket.emit('PICK_CARD', slotIndex);
@@ -83,7 +85,7 @@ const Player = () => {
 
   // --- DYNAMIC GRID MATH ---
   const pickedSlots = gameState.pickedSlots || Object.values(gameState.results || {}).map(r => r.slotIndex).filter(idx => idx !== undefined);
-  const availableSlots = gameState.availableSlots || Array.from({ length: 10 }, (_, i) => i).filter(i => !pickedSlots.includes(i));
+  const availableSlots = gameState.availableSlots || Array.from({ length: getTableSize(gameState) }, (_, i) => i).filter(i => !pickedSlots.includes(i));
   
   const totalCards = availableSlots.length;
   let topRow = [];
@@ -120,6 +122,15 @@ const Player = () => {
           </div>
         )}
 
+        {gameState.isTrayUnlocked && (
+          <PickCountdown 
+            gameState={gameState} 
+            label={isSingleMode && !isMyTurn ? text.player.replace('{number}', getSeatForTurn(gameState)) : text.pickCountdown} 
+            expiredLabel={text.pickCountdownExpired} 
+            className={`player-pick-countdown ${isSingleMode && !isMyTurn ? 'below-title' : ''}`} 
+          />
+        )}
+
         <div className="card-row">
           {topRow.map((slotIndex) => (
             <div 
@@ -158,6 +169,14 @@ const Player = () => {
         </div>
       )}
 
+      {/* PAUSED DRAFT OVERLAY */}
+      {gameState.isPaused && (
+        <div className="tray-paused-overlay">
+          <span>{text.pausedTitle}</span>
+          <small>{text.pausedSubtitle}</small>
+        </div>
+      )}
+
       {/* CINEMATIC REVEAL OVERLAY */}
       {revealedRole && (
         <div className="cinematic-overlay">
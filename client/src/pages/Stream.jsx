@@ -7,6 +7,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { socket, getDeviceId } from '../utils/socket';
 import { useLanguage } from '../utils/LanguageContext';
+import { getSeatForTurn } from '../utils/deck';
+import PickCountdown from '../components/PickCountdown';
 import '../App.css';
 
 export default function StreamView() {
@@ -26,12 +28,15 @@ export default function StreamView() {
   const [currentReveal, setCurrentReveal] = useState(null);
   const [isFlipping, setIsFlipping] = useState(false);
   const [clearSignal, setClearSignal] = useState(0); 
+  const revealedPlayer = currentReveal ? gameState?.seatPlayers?.[currentReveal.seat] : null;
   
   const isClosingRef = useRef(false);
   const revealStartTime = useRef(0); 
 
   useEffect(() => {
-    socket.emit('REQUEST_STREAM_ACCESS', { userAgent: navigator.userAgent, deviceId: getDeviceId() });
+    // A first-time device has no ID yet; it asks again once the server has issued one.
+    const requestAccess = (deviceId) => socket.emit('REQUEST_STREAM_ACCESS', { userAgent: navigator.userAgent, deviceId });
+    if (getDeviceId()) requestAccess(getDeviceId());
 
     const handleRoleAssigned = (role) => setIsVerified(role === 'STREAM');
     const handleReveal = (data) => setQueue((prevQueue) => [...prevQueue, data]);
@@ -46,11 +51,16 @@ export default function StreamView() {
       }
     };
 
+    socket.on('ASSIGN_NEW_DEVICE_ID', requestAccess);
     socket.on('ROLE_ASSIGNED', handleRoleAssigned);
     socket.on('CARD_REVEALED', handleReveal);
     socket.on('STATE_UPDATE', handleStateUpdate);
     socket.on('STREAM_IP', setClientIp);
     socket.on('CLEAR_STREAM', () => setClearSignal(prev => prev + 1));
+    socket.on('PICK_UNDONE', ({ seat }) => {
+      setQueue((prevQueue) => prevQueue.filter(reveal => reveal.seat !== seat));
+      setClearSignal(prev => prev + 1);
+    });
     socket.on('UPDATE_LAYOUT', (newLayout) => {
       if (newLayout === 'LEFT') setLayout('flex-start');
       else if (newLayout === 'RIGHT') setLayout('flex-end');
@@ -58,8 +68,9 @@ export default function StreamView() {
     });
     
     return () => {
+      socket.off('ASSIGN_NEW_DEVICE_ID', requestAccess);
       socket.off('ROLE_ASSIGNED'); socket.off('CARD_REVEALED');
-      socket.off('STATE_UPDATE'); socket.off('STREAM_IP'); socket.off('CLEAR_STREAM');
+      socket.off('STATE_UPDATE'); socket.off('STREAM_IP'); socket.off('CLEAR_STREAM'); socket.off('PICK_UNDONE');
     };
   }, []);
 
@@ -195,8 +206,58 @@ export default function StreamView() {
           letter-spacing: 3px; 
           animation: dropIn 0.6s cubic-bezier(0.175, 0.885, 0.32, 1.275);
         }
+
+        .seat-badge-player {
+          display: flex; align-items: center; justify-content: center; gap: 12px;
+          margin-top: 8px; font-size: 20px; letter-spacing: 1px; text-transform: none;
+        }
+
+        .seat-badge-photo {
+          width: 48px; height: 48px; border-radius: 50%; object-fit: cover;
+          border: 2px solid currentColor;
+        }
+
+        .stream-commitment {
+          position: absolute; bottom: 8px; left: 0; right: 0;
+          text-align: center; font-family: monospace; font-size: 11px;
+          color: rgba(255,255,255,0.55); text-shadow: 0 1px 3px rgba(0,0,0,0.9);
+          word-break: break-all; padding: 0 2rem;
+        }
+
+        .stream-paused {
+          position: absolute; top: 50%; left: 0; right: 0; transform: translateY(-50%);
+          text-align: center; font-size: 64px; font-weight: bold; letter-spacing: 12px;
+          text-transform: uppercase; color: var(--accent-gold);
+          text-shadow: 0 4px 20px rgba(0,0,0,0.95);
+        }
+
+        .stream-pick-countdown {
+          position: absolute; top: 24px; left: 0; right: 0;
+          text-align: center; font-size: 28px;
+          text-shadow: 0 2px 8px rgba(0,0,0,0.9);
+        }
       `}</style>
 
+      {gameState?.isPaused && !currentReveal && (
+        <div className="stream-paused">{text.pausedTitle}</div>
+      )}
+
+      {!currentReveal && gameState?.isTrayUnlocked && (
+        <PickCountdown 
+          gameState={gameState} 
+          label={text.pickCountdown.replace('{number}', getSeatForTurn(gameState))} 
+          expiredLabel={text.pickCountdownExpired} 
+          className="stream-pick-countdown" 
+        />
+      )}
+
+      {gameState?.deckCommitment && (
+        <div className="stream-commitment">
+          {text.commitmentLabel} {gameState.deckCommitment.hash}
+          {gameState.deckCommitment.salt && <> · {text.commitmentSalt} {gameState.deckCommitment.salt}</>}
+        </div>
+      )}
+
       {currentReveal && (
         <>
           <div className="stream-card-container">
@@ -211,6 +272,14 @@ export default function StreamView() {
             color: settings?.streamSeatPlateTextColor || 'var(--accent-gold)'
           }}>
             {text.player.replace('{number}', currentReveal.seat)}
+            {revealedPlayer && (
+              <div className="seat-badge-player">
+                {revealedPlayer.photoVersion && (
+                  <img className="seat-badge-photo" src={`/api/players/photos/${revealedPlayer.id}.webp?v=${revealedPlayer.photoVersion}`} alt="" />
+                )}
+                {revealedPlayer.nickname}
+              </div>
+            )}
           </div>
         </>
       )}
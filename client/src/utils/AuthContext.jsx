@@ -5,8 +5,16 @@
  * required to bypass WebSocket limitations when transferring large asset files.
  * Utilizes sessionStorage to ensure authentication persists across browser refreshes
  * but is safely destroyed when the tab is closed.
+ * The token is issued at login and never sent over HTTP: adminFetch signs each request with it instead,
+ * timestamped with the server's clock (learnt at login) and bound to the SHA-256 of the exact body bytes.
+ * A reconnecting console presents it in IDENTIFY to get its Admin role back; the server replaces it after
+ * a password change (UPLOAD_TOKEN_ISSUED) and ends the session with ADMIN_SIGNED_OUT.
  */
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import CryptoJS from 'crypto-js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+import { socket } from './socket';
 
 const AuthContext = createContext();
 
@@ -28,12 +36,14 @@ export const AuthProvider = ({ children }) => {
   /**
    * Authenticates the user session and caches the HTTP bridge token.
    * @param {string} token - The 256-bit hex token generated by the backend.
+   * @param {number} [serverTime] - The server clock at login, so signed requests carry its time.
    */
-  const login = (token) => {
+  const login = (token, serverTime) => {
     setIsAuthenticated(true);
     setUploadToken(token);
     sessionStorage.setItem('isAdminAuthenticated', 'true');
     if (token) sessionStorage.setItem('adminUploadToken', token);
+    if (serverTime) sessionStorage.setItem('adminClockOffset', String(serverTime - Date.now()));
   };
 
   /**
@@ -44,10 +54,55 @@ export const AuthProvider = ({ children }) => {
     setUploadToken(null);
     sessionStorage.removeItem('isAdminAuthenticated');
     sessionStorage.removeItem('adminUploadToken');
+    sessionStorage.removeItem('adminClockOffset');
+  };
+
+  useEffect(() => {
+    const onTokenIssued = (token) => {
+      if (sessionStorage.getItem('isAdminAuthenticated') !== 'true') return;
+      setUploadToken(token);
+      sessionStorage.setItem('adminUploadToken', token);
+    };
+
+    socket.on('UPLOAD_TOKEN_ISSUED', onTokenIssued);
+    socket.on('ADMIN_SIGNED_OUT', logout);
+
+    return () => {
+      socket.off('UPLOAD_TOKEN_ISSUED', onTokenIssued);
+      socket.off('ADMIN_SIGNED_OUT', logout);
+    };
+  }, []);
+
+  /**
+   * fetch() for the Admin-only HTTP bridges. Each request carries the token's ID, a timestamp, a one-time nonce
+   * and an HMAC keyed with the token over the method, path, timestamp, nonce and body digest (checked by
+   * server/core/tokens.js). The body is serialized first (multipart included) so the digest covers the bytes sent.
+   */
+  const adminFetch = async (url, options = {}) => {
+    const { pathname, search } = new URL(url, window.location.origin);
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = new Headers(options.headers);
+
+    let body;
+    if (options.body !== undefined) {
+      const request = new Request(url, { method, headers, body: options.body });
+      if (!headers.has('Content-Type') && request.headers.has('Content-Type')) headers.set('Content-Type', request.headers.get('Content-Type'));
+      body = new Uint8Array(await request.arrayBuffer());
+    }
+
+    const bodyDigest = bytesToHex(sha256(body || new Uint8Array()));
+    const timestamp = Date.now() + Number(sessionStorage.getItem('adminClockOffset') || 0);
+    const nonce = CryptoJS.lib.WordArray.random(16).toString(CryptoJS.enc.Hex);
+    const tokenId = CryptoJS.SHA256(uploadToken || '').toString(CryptoJS.enc.Hex);
+    const mac = CryptoJS.HmacSHA256(`${method} ${pathname}${search} ${timestamp} ${nonce} ${bodyDigest}`, uploadToken || '').toString(CryptoJS.enc.Hex);
+
+    headers.set('Authorization', `Proof ${tokenId}:${timestamp}:${nonce}:${mac}`);
+    headers.set('X-Content-SHA256', bodyDigest);
+    return fetch(url, { ...options, headers, body });
   };
 
   return (
-    <AuthContext.Provider value={{ isAuthenticated, uploadToken, login, logout }}>
+    <AuthContext.Provider value={{ isAuthenticated, uploadToken, adminFetch, login, logout }}>
       {children}
     </AuthContext.Provider>
   );
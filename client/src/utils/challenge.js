@@ -0,0 +1,38 @@
+/**
+ * @file src/utils/challenge.js
+ * @description Answers a server login challenge (Admin or judge) without sending the password.
+ * The server stores a key derived from the password (scrypt, or PBKDF2-SHA512 for older credentials) and
+ * announces the KDF and its parameters with the challenge; the answer is that key HMAC'd with the one-time nonce.
+ * The password itself only leaves the device, inside the tunnel, when the server asks to rehash outdated credentials.
+ */
+import CryptoJS from 'crypto-js';
+import { scryptAsync } from '@noble/hashes/scrypt.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+/** Derives the stored key the way server/core/crypto.js does for the given format. */
+const deriveLoginKey = async (password, { salt, kdf, params }) => {
+  if (kdf === 'scrypt') {
+    const { N, r, p, keyLength } = params;
+    return bytesToHex(await scryptAsync(password, salt, { N, r, p, dkLen: keyLength }));
+  }
+
+  return CryptoJS.PBKDF2(password, salt, {
+    keySize: params.keyLength / 4,
+    iterations: params.iterations,
+    hasher: CryptoJS.algo.SHA512
+  }).toString(CryptoJS.enc.Hex);
+};
+
+/**
+ * @param {string} password - The password typed by the user.
+ * @param {Object} challenge - { salt, kdf, params, nonce, rehash } from REQUEST_LOGIN_CHALLENGE or REQUEST_JUDGE_CHALLENGE.
+ * @returns {Promise<{ response: string, password?: string }>} The answer, plus the password itself when the server
+ * flagged outdated credentials: it rehashes them after checking the password, so it is sent once, inside the tunnel.
+ */
+export const answerLoginChallenge = async (password, challenge) => {
+  const baseHash = await deriveLoginKey(password, challenge);
+  const response = CryptoJS.HmacSHA256(baseHash, challenge.nonce).toString(CryptoJS.enc.Hex);
+
+  if (!challenge.rehash) return { response };
+  return { response, password };
+};
@@ -0,0 +1,68 @@
+/**
+ * @file src/utils/deck.js
+ * @description Helpers for reading the per-room deck definition and draft order broadcast inside gameState.
+ * Older servers did not send a deck, so every helper falls back to the classic 10-player table.
+ */
+import CryptoJS from 'crypto-js';
+
+export const DECK_PRESET_IDS = ['CLASSIC_10', 'CLASSIC_8', 'CLASSIC_7', 'EXTENDED_12'];
+export const DRAFT_ORDER_MODES = ['LINEAR', 'REVERSE', 'RANDOM', 'CUSTOM'];
+
+const CLASSIC_DECK = {
+  id: 'CLASSIC_10',
+  size: 10,
+  roles: [
+    { role: 'Citizen', count: 6, team: 'TOWN' },
+    { role: 'Sheriff', count: 1, team: 'TOWN' },
+    { role: 'Mafia', count: 2, team: 'MAFIA' },
+    { role: 'Don', count: 1, team: 'MAFIA' }
+  ]
+};
+
+export const getDeck = (gameState) => gameState?.settings?.deck || CLASSIC_DECK;
+
+export const getTableSize = (gameState) => getDeck(gameState).size;
+
+/**
+ * Builds the 1..N seat list for the room's table size.
+ */
+export const getSeatNumbers = (gameState) => Array.from({ length: getTableSize(gameState) }, (_, i) => i + 1);
+
+/**
+ * Seat list in the order the table drafts. Before the draft starts the server has not
+ * fixed a turn order yet (a random start is only rolled on START_DRAFT), so seats are listed 1..N.
+ */
+export const getDraftSequence = (gameState) => gameState?.turnOrder || getSeatNumbers(gameState);
+
+/**
+ * Seat currently drafting; currentTurn counts picks, not seats.
+ */
+export const getSeatForTurn = (gameState, turn = gameState?.currentTurn) => gameState?.turnOrder?.[turn - 1] ?? turn;
+
+/**
+ * Seat whose pick UNDO_PICK would take back. The last pick completes the draft without advancing the turn.
+ */
+export const getUndoableSeat = (gameState) => getSeatForTurn(gameState, gameState.status === 'COMPLETED' ? gameState.currentTurn : gameState.currentTurn - 1);
+
+/**
+ * Resolves the team of a drafted role, defaulting unknown roles to the town.
+ */
+export const getRoleTeam = (gameState, role) => {
+  const entry = getDeck(gameState).roles.find(r => r.role === role);
+  return entry ? entry.team : 'TOWN';
+};
+
+/**
+ * Plain Citizens and Mafiosi are the "regular" cards; every other role is highlighted as special.
+ */
+export const isSpecialRole = (role) => role !== 'Citizen' && role !== 'Mafia';
+
+/**
+ * Recomputes a revealed deck commitment locally: SHA-256 over "<salt>:<JSON deck order>".
+ * @returns {boolean|null} true/false once revealed, null while the commitment is still sealed.
+ */
+export const verifyDeckCommitment = (commitment) => {
+  if (!commitment?.salt || !Array.isArray(commitment.deckOrder)) return null;
+  const digest = CryptoJS.SHA256(`${commitment.salt}:${JSON.stringify(commitment.deckOrder)}`).toString(CryptoJS.enc.Hex);
+  return digest === commitment.hash;
+};
@@ -1,10 +1,17 @@
 /**
  * @file socket.js
  * @description WebSocket connection configuration and device tracking.
+ * Events are tunnelled through ENCRYPTED_MESSAGE frames sealed with AES-256-GCM: one key per direction,
+ * a sequence number per frame (replayed or reordered frames are dropped) and an epoch key the server
+ * ratchets periodically. Mirrors the tunnel in server/core/crypto.js.
+ * The server signs each key exchange with its long-term identity key (server/core/identity.js); the device
+ * pins that key's fingerprint on first pairing and hangs up on any server that does not match it.
  */
 import { io } from 'socket.io-client';
 import CryptoJS from 'crypto-js';
 import { p256 } from '@noble/curves/nist.js';
+import { gcm } from '@noble/ciphers/aes.js';
+import { utf8ToBytes } from '@noble/ciphers/utils.js';
 
 // --- CRYPTOGRAPHIC HELPERS ---
 const toHex = (bytes) => bytes.reduce((str, byte) => str + byte.toString(16).padStart(2, '0'), '');
@@ -17,6 +24,23 @@ const hexToBytes = (hexString) => {
   return bytes;
 };
 
+const GCM_TAG_BYTES = 16;
+const deriveTunnelKey = (epochKey, label) => hexToBytes(CryptoJS.HmacSHA256(label, CryptoJS.enc.Hex.parse(toHex(epochKey))).toString(CryptoJS.enc.Hex));
+const openTunnelEpoch = (epochKey, epoch) => ({ 
+  epoch, 
+  epochKey, 
+  sendKey: deriveTunnelKey(epochKey, 'c2s'), 
+  recvKey: deriveTunnelKey(epochKey, 's2c'), 
+  sendSeq: 0, 
+  recvSeq: 0 
+});
+const tunnelNonce = (seq) => {
+  const nonce = new Uint8Array(12);
+  new DataView(nonce.buffer).setBigUint64(4, BigInt(seq));
+  return nonce;
+};
+const tunnelAad = (event, epoch, seq) => utf8ToBytes(`${event}:${epoch}:${seq}`);
+
 // Mobile-friendly network routing
 const SOCKET_URL = window.location.port === '5173' 
   ? `http://${window.location.hostname}:3000` 
@@ -26,11 +50,37 @@ export const socket = io(SOCKET_URL);
 export const getDeviceId = () => localStorage.getItem('mafia_device_id');
 export const setDeviceId = (id) => localStorage.setItem('mafia_device_id', id);
 
-let sharedAesKey = null; 
+let tunnel = null; 
+
+// --- SERVER IDENTITY PINNING ---
+// Trust on first use, unless the device was paired from the Admin panel's QR code (?pin=<fingerprint>).
+const SERVER_PIN_KEY = 'mafia_server_pin';
+const pairingParams = new URLSearchParams(window.location.search);
+if (/^[0-9a-f]{64}$/i.test(pairingParams.get('pin') || '')) {
+  localStorage.setItem(SERVER_PIN_KEY, pairingParams.get('pin').toLowerCase());
+  pairingParams.delete('pin');
+  const query = pairingParams.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+/** Groups a fingerprint for comparing by eye, as the server console prints it. */
+export const formatFingerprint = (fingerprint) => fingerprint.toUpperCase().match(/.{4}/g).join(' ');
+
+let rejectedServer = null;
+/** The fingerprint of a server this device refused to talk to, or null. */
+export const getRejectedServer = () => rejectedServer;
+
+const rejectServer = (fingerprint) => {
+  tunnel = null;
+  rejectedServer = { fingerprint };
+  console.error('%c[SECURITY] Server identity does not match the pinned one. Disconnecting.', 'color: #F44336; font-weight: bold;');
+  socket.disconnect();
+  socket.listeners('SERVER_IDENTITY_REJECTED').forEach(fn => fn(rejectedServer));
+};
 
 // --- THE OMNISCIENT DEBUGGER (FRONTEND) ---
 let isGlobalDebug = false;
-const SENSITIVE_EVENTS = ['SETUP_ADMIN', 'ADMIN_LOGIN', 'CHANGE_PASSWORD'];
+const SENSITIVE_EVENTS = ['IDENTIFY', 'UPLOAD_TOKEN_ISSUED', 'SETUP_ADMIN', 'ADMIN_LOGIN', 'ADMIN_TOTP_VERIFY', 'CONFIRM_TOTP_ENROLMENT', 'DISABLE_TOTP', 'CHANGE_PASSWORD', 'JUDGE_LOGIN'];
 
 socket.on('GLOBAL_DEBUG_UPDATE', (state) => isGlobalDebug = state);
 socket.on('STATE_UPDATE', (state) => { 
@@ -54,7 +104,7 @@ socket.onAnyOutgoing((event, ...args) => {
 // --- OUTGOING ENCRYPTION INTERCEPTOR ---
 const originalEmit = socket.emit;
 socket.emit = function(event, ...args) {
-  if (sharedAesKey && event !== 'KEY_EXCHANGE' && event !== 'IDENTIFY') {
+  if (tunnel && event !== 'KEY_EXCHANGE') {
     let callback = undefined;
     
     if (args.length > 0 && typeof args[args.length - 1] === 'function') {
@@ -65,11 +115,12 @@ socket.emit = function(event, ...args) {
       console.log(`%c[ENCRYPTOR] Cloaking -> ${event}`, 'color: #E91E63; font-weight: bold;', args);
     }
 
-    const iv = CryptoJS.lib.WordArray.random(16);
-    const encrypted = CryptoJS.AES.encrypt(JSON.stringify(args), sharedAesKey, { iv, mode: CryptoJS.mode.CBC }).ciphertext.toString(CryptoJS.enc.Hex);
-    const hmac = CryptoJS.HmacSHA256(`${iv.toString(CryptoJS.enc.Hex)}:${encrypted}`, sharedAesKey).toString(CryptoJS.enc.Hex);
+    const seq = ++tunnel.sendSeq;
+    const sealed = gcm(tunnel.sendKey, tunnelNonce(seq), tunnelAad(event, tunnel.epoch, seq)).encrypt(utf8ToBytes(JSON.stringify(args)));
+    const ciphertext = toHex(sealed.subarray(0, sealed.length - GCM_TAG_BYTES));
+    const authTag = toHex(sealed.subarray(sealed.length - GCM_TAG_BYTES));
     
-    const payloadStr = `${iv.toString(CryptoJS.enc.Hex)}:${encrypted}:${hmac}`;
+    const payloadStr = `${tunnel.epoch}:${seq}:${ciphertext}:${authTag}`;
 
     if (callback) {
       originalEmit.call(this, 'ENCRYPTED_MESSAGE', { event, payload: payloadStr }, callback);
@@ -83,23 +134,25 @@ socket.emit = function(event, ...args) {
 
 // --- INCOMING DECRYPTION ROUTER ---
 socket.on('ENCRYPTED_MESSAGE', (wrapper) => {
-  if (!sharedAesKey) return;
+  if (!tunnel) return;
   try {
     const parts = wrapper.payload.split(':');
-    const [ivHex, ciphertext, hmacHex] = parts;
-    
-    const expectedHmac = CryptoJS.HmacSHA256(`${ivHex}:${ciphertext}`, sharedAesKey).toString(CryptoJS.enc.Hex);
-    if (hmacHex !== expectedHmac) return; 
+    if (parts.length !== 4) return;
+    const [epoch, seq] = parts.slice(0, 2).map(Number);
+    const [ciphertext, authTag] = parts.slice(2);
+
+    // The first frame of the next epoch ratchets our key too, but only once it authenticates.
+    let frame = tunnel;
+    if (epoch === tunnel.epoch + 1) frame = openTunnelEpoch(deriveTunnelKey(tunnel.epochKey, 'ratchet'), epoch);
+    else if (epoch !== tunnel.epoch) return;
+    if (!Number.isSafeInteger(seq) || seq <= frame.recvSeq) return;
+
+    // GCM tag verification is constant-time and throws on any tampering.
+    const opened = gcm(frame.recvKey, tunnelNonce(seq), tunnelAad(wrapper.event, epoch, seq)).decrypt(hexToBytes(ciphertext + authTag));
+    frame.recvSeq = seq;
+    tunnel = frame;
     
-    const ciphertextBase64 = CryptoJS.enc.Base64.stringify(CryptoJS.enc.Hex.parse(ciphertext));
-    
-    const decrypted = CryptoJS.AES.decrypt(
-       ciphertextBase64, 
-       sharedAesKey, 
-       { iv: CryptoJS.enc.Hex.parse(ivHex), mode: CryptoJS.mode.CBC }
-    ).toString(CryptoJS.enc.Utf8);
-    
-    const argsArray = JSON.parse(decrypted);
+    const argsArray = JSON.parse(new TextDecoder().decode(opened));
 
     if (Array.isArray(argsArray)) {
       if (isGlobalDebug) {
@@ -113,6 +166,9 @@ socket.on('ENCRYPTED_MESSAGE', (wrapper) => {
 });
 
 // --- ECDH HANDSHAKE ---
+// The server forgets a socket's tunnel when it drops; a reconnect negotiates a fresh one.
+socket.on('disconnect', () => { tunnel = null; });
+
 socket.on('connect', () => {
   try {
     const privKey = p256.utils.randomSecretKey();
@@ -121,6 +177,21 @@ socket.on('connect', () => {
 
     socket.emit('KEY_EXCHANGE', pubKeyHex, (response) => {
       if (response.success) {
+        // The identity key must be the pinned one and must have signed both ephemeral keys of this exchange.
+        const fingerprint = CryptoJS.SHA256(CryptoJS.enc.Hex.parse(response.identityKey || '')).toString(CryptoJS.enc.Hex);
+        const pinned = localStorage.getItem(SERVER_PIN_KEY);
+        let isSigned = false;
+        try {
+          const transcript = utf8ToBytes(`${pubKeyHex}:${response.serverPublicKey}`);
+          isSigned = p256.verify(hexToBytes(response.signature), transcript, hexToBytes(response.identityKey), { lowS: false });
+        } catch { isSigned = false; }
+
+        if (!isSigned || (pinned && pinned !== fingerprint)) {
+          rejectServer(fingerprint);
+          return;
+        }
+        if (!pinned) localStorage.setItem(SERVER_PIN_KEY, fingerprint);
+
         const serverPubKeyBytes = hexToBytes(response.serverPublicKey);
         const sharedPointBytes = p256.getSharedSecret(privKey, serverPubKeyBytes);
         
@@ -129,10 +200,11 @@ socket.on('connect', () => {
         const sharedSecretHex = toHex(sharedSecretBytes).padStart(64, '0');
         const hashHex = CryptoJS.SHA256(CryptoJS.enc.Hex.parse(sharedSecretHex)).toString(CryptoJS.enc.Hex);
         
-        sharedAesKey = CryptoJS.enc.Hex.parse(hashHex);
+        tunnel = openTunnelEpoch(hexToBytes(hashHex), 0);
         console.log('%c[SECURITY] Shared secret established.', 'color: #FFD700; font-weight: bold;');
         
-        socket.emit('IDENTIFY', getDeviceId());
+        // Tunnelled: an Admin console proves its session with the token it was given at login.
+        socket.emit('IDENTIFY', getDeviceId(), sessionStorage.getItem('adminUploadToken'));
       }
     });
   } catch (err) { console.error('ECDH Handshake failed:', err); }
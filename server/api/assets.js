@@ -12,9 +12,9 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import AdmZip from 'adm-zip'; 
-import { state } from '../core/state.js';
 import sharp from 'sharp';
 import { APP_ROOT, INTERNAL_ROOT } from '../core/paths.js';
+import { requireAdminToken, requireSignedBody } from './auth.js';
 
 const __dirname = APP_ROOT;
 
@@ -32,18 +32,6 @@ export const DEFAULT_PACK = 'fiimdefault.mafpack';  //default pack name
 
 const router = express.Router();
 router.use(express.json());
-const requireAdminToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing or invalid authorization header.' });
-  }
-  
-  const token = authHeader.split(' ')[1];
-  if (!state.uploadTokens[token]) {
-    return res.status(403).json({ error: 'Token expired or invalid.' });
-  }
-  next();
-};
 
 	const storage = multer.memoryStorage();
 	const upload = multer({ 
@@ -56,7 +44,7 @@ const requireAdminToken = (req, res, next) => {
 	});
 
 	// --- 1. UPLOAD TEMP IMAGE ---
-	router.post('/upload-temp', requireAdminToken, upload.single('image'), async (req, res) => {
+	router.post('/upload-temp', requireAdminToken, upload.single('image'), requireSignedBody, async (req, res) => {
 		try {
 			if (!req.file) return res.status(400).json({ error: 'No file detected.' });
 
@@ -190,7 +178,7 @@ const requireAdminToken = (req, res, next) => {
 		limits: { fileSize: 50 * 1024 * 1024 } 
 	});
 
-	router.post('/import', requireAdminToken, packUpload.single('pack'), (req, res) => {
+	router.post('/import', requireAdminToken, packUpload.single('pack'), requireSignedBody, (req, res) => {
 		try {
 			if (!req.file || !req.file.originalname.endsWith('.mafpack')) {
 				return res.status(400).json({ error: 'Invalid file. Must be a .mafpack archive.' });
@@ -0,0 +1,59 @@
+/**
+ * @file server/api/auth.js
+ * @description Shared Express middleware for the Admin-only HTTP bridges.
+ * The Admin console receives a token when it logs in (ADMIN_LOGIN) but never sends it over HTTP: each request
+ * is signed with it instead, as `Authorization: Proof <token ID>:<timestamp>:<nonce>:<HMAC>`, and declares the
+ * SHA-256 of its body in `X-Content-SHA256`, which the HMAC covers (see core/tokens.js).
+ */
+import crypto from 'crypto';
+import { resolveSignedRequest } from '../core/tokens.js';
+
+const EMPTY_BODY_DIGEST = crypto.createHash('sha256').digest('hex');
+
+/**
+ * Hashes the raw request body as it streams in, alongside whichever parser reads it. Mounted ahead of
+ * the API routers; req.bodyDigest is set once the body has been read to the end.
+ */
+	export const captureBodyDigest = (req, res, next) => {
+		const hash = crypto.createHash('sha256');
+		req.on('data', chunk => hash.update(chunk));
+		req.once('end', () => { req.bodyDigest = hash.digest('hex'); });
+		next();
+	};
+
+	const hasBody = (req) => req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+
+	export const requireAdminToken = (req, res, next) => {
+		const match = /^Proof ([0-9a-f]{64}):(\d+):([0-9a-f]+):([0-9a-f]+)$/.exec(req.headers.authorization || '');
+		if (!match) {
+			return res.status(401).json({ error: 'Missing or invalid authorization header.' });
+		}
+
+		const [, id, timestamp, nonce, mac] = match;
+		const bodyDigest = String(req.headers['x-content-sha256'] || '').toLowerCase();
+		const record = resolveSignedRequest({ id, timestamp, nonce, mac, bodyDigest }, req.method, req.originalUrl);
+		if (!record) {
+			return res.status(403).json({ error: 'Token expired or invalid.' });
+		}
+
+		// JSON bodies are parsed before this runs; uploads are checked by requireSignedBody once multer has read them.
+		const receivedDigest = hasBody(req) ? req.bodyDigest : EMPTY_BODY_DIGEST;
+		if (receivedDigest !== undefined && receivedDigest !== bodyDigest) {
+			return res.status(403).json({ error: 'Request body does not match its signature.' });
+		}
+
+		req.adminDeviceId = record.deviceId;
+		req.signedBodyDigest = bodyDigest;
+		next();
+	};
+
+/**
+ * Follows a multipart parser on signed upload routes: the body it just read must be the one requireAdminToken
+ * accepted the signature for.
+ */
+	export const requireSignedBody = (req, res, next) => {
+		if (req.bodyDigest === undefined || req.bodyDigest !== req.signedBodyDigest) {
+			return res.status(403).json({ error: 'Request body does not match its signature.' });
+		}
+		next();
+	};
@@ -0,0 +1,101 @@
+/**
+ * @file server/api/backup.js
+ * @description Express Router for portable vault backups.
+ * The vault itself is sealed with a key derived from this machine's hardware (core/crypto.js),
+ * so it cannot be carried to another laptop. A backup re-encrypts the full tournament state
+ * under an organiser-chosen passphrase; restoring it re-seals the state under the local key.
+ * Also used by the server console's "backup" and "restore" commands.
+ */
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { APP_ROOT } from '../core/paths.js';
+import { state, getPersistedData } from '../core/state.js';
+import { encryptBackup, decryptBackup } from '../core/crypto.js';
+import { takeSnapshot } from '../core/snapshots.js';
+import { recordAudit, CONSOLE_ACTOR } from '../core/audit.js';
+import { replaceTournamentState } from '../socket/restore.js';
+import { requireAdminToken, requireSignedBody } from './auth.js';
+
+export const BACKUPS_DIR = path.join(APP_ROOT, 'data/backups');
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const router = express.Router();
+router.use(express.json());
+
+	const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+
+	/** Audit-log actor for requests from the Admin console's HTTP bridge. */
+	const httpActor = (req) => ({ role: 'ADMIN', name: null, device: req.adminDeviceId.substring(0, 8), ip: req.ip });
+
+	/**
+	 * Seals the current state under a passphrase.
+	 * @param {Object} [actor] - Who asked, for the audit log; the server console when omitted.
+	 * @returns {string} The backup file contents.
+	 */
+	export function createBackup(passphrase, actor = CONSOLE_ACTOR) {
+		recordAudit('BACKUP_EXPORTED', { actor });
+		return encryptBackup(getPersistedData(), passphrase);
+	}
+
+	/**
+	 * Replaces the whole tournament state with a backup and re-seals it under this machine's key.
+	 * The replaced state is snapshotted first, so a restore can be rolled back.
+	 * @param {Object} [actor] - Who asked, for the audit log; the server console when omitted.
+	 * @returns {Object} { success, message }.
+	 */
+	export function restoreFromBackup(fileContents, passphrase, actor = CONSOLE_ACTOR) {
+		const data = decryptBackup(fileContents, passphrase);
+		if (!data) {
+			recordAudit('BACKUP_RESTORE_FAILED', { actor });
+			return { success: false, message: 'Wrong passphrase or damaged backup file.' };
+		}
+
+		takeSnapshot('RESTORE_BACKUP', null, { force: true });
+		if (!replaceTournamentState(data)) {
+			return { success: false, message: 'The backup was made by an incompatible version.' };
+		}
+
+		recordAudit('BACKUP_RESTORED', { actor });
+		console.log(`[STORAGE] Backup restored (${Object.keys(state.rooms).length} tables, ${state.draftHistory.length} archived games).`);
+		return { success: true };
+	}
+
+	// --- 1. DOWNLOAD BACKUP ---
+	router.post('/export', requireAdminToken, (req, res) => {
+		const passphrase = req.body?.passphrase;
+		if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+			return res.status(400).json({ error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.` });
+		}
+
+		const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+		console.log('[STORAGE] Backup exported from the Admin console.');
+		res.attachment(`tournament-${stamp}.mafvault`);
+		res.type('application/json').send(createBackup(passphrase, httpActor(req)));
+	});
+
+	// --- 2. RESTORE BACKUP ---
+	router.post('/import', requireAdminToken, upload.single('backup'), requireSignedBody, (req, res) => {
+		if (!req.file) return res.status(400).json({ error: 'No file detected.' });
+
+		const result = restoreFromBackup(req.file.buffer.toString('utf8'), String(req.body?.passphrase || ''), httpActor(req));
+		if (!result.success) return res.status(400).json({ error: result.message });
+		res.json({ success: true });
+	});
+
+	/**
+	 * Writes a backup file for the console "backup" command.
+	 * @returns {string} The path written.
+	 */
+	export function writeBackupFile(passphrase, targetPath) {
+		if (!targetPath) {
+			if (!fs.existsSync(BACKUPS_DIR)) fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+			const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+			targetPath = path.join(BACKUPS_DIR, `tournament-${stamp}.mafvault`);
+		}
+		fs.writeFileSync(targetPath, createBackup(passphrase));
+		return path.resolve(targetPath);
+	}
+
+export default router;
@@ -0,0 +1,170 @@
+/**
+ * @file server/api/exports.js
+ * @description Express Router exporting draft results for tournament paperwork.
+ * Serves a room's live draft and its archived games (core/history.js) as CSV or JSON,
+ * plus a print-optimised HTML protocol sheet per game and the tournament statistics (core/stats.js).
+ * Admin token required.
+ */
+import express from 'express';
+import { state } from '../core/state.js';
+import { snapshotResults } from '../core/history.js';
+import { computeStatistics } from '../core/stats.js';
+import { requireAdminToken } from './auth.js';
+
+const router = express.Router();
+
+const CSV_COLUMNS = ['room', 'game', 'status', 'seat', 'player', 'realName', 'club', 'role', 'team', 'slot', 'forced', 'pickedAt', 'startedAt', 'completedAt'];
+
+	const toIso = (timestamp) => timestamp ? new Date(timestamp).toISOString() : '';
+
+	/**
+	 * Quotes a CSV field. Text a spreadsheet would read as a formula (player names are typed on the tablets)
+	 * is prefixed with an apostrophe so it opens as plain text.
+	 */
+	const escapeCsv = (value) => {
+		let text = String(value ?? '');
+		if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	};
+
+	const escapeHtml = (value) => String(value ?? '')
+		.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+	/**
+	 * Shapes the room's current game like an archive entry so both export the same way.
+	 * A COMPLETED table resolves to its archive entry; PENDING tables have no game on record.
+	 */
+	const getLiveGame = (roomId) => {
+		const gs = state.rooms[roomId]?.gameState;
+		if (!gs || gs.status === 'PENDING') return null;
+		if (gs.status === 'COMPLETED') return state.draftHistory.findLast(entry => entry.roomId === roomId) || null;
+
+		return {
+			id: 'current',
+			roomId,
+			gameNumber: state.draftHistory.filter(entry => entry.roomId === roomId).length + 1,
+			status: gs.status,
+			deckId: gs.settings.deck.id,
+			tableSize: gs.settings.deck.size,
+			startedAt: gs.draftStartTime,
+			completedAt: null,
+			startedBy: gs.startedBy || null,
+			results: snapshotResults(roomId)
+		};
+	};
+
+	/**
+	 * Collects the room's archived games, followed by the live draft if it is still running.
+	 */
+	const getRoomGames = (roomId) => {
+		const games = state.draftHistory
+			.filter(entry => entry.roomId === roomId)
+			.map(entry => ({ ...entry, status: 'ARCHIVED' }));
+
+		const live = getLiveGame(roomId);
+		if (live && live.status === 'IN_PROGRESS') games.push(live);
+		return games;
+	};
+
+	const resolveRoom = (req, res, next) => {
+		const roomId = String(req.params.roomId || '').toUpperCase();
+		if (!state.rooms[roomId] && !state.draftHistory.some(entry => entry.roomId === roomId)) {
+			return res.status(404).json({ error: 'Room not found.' });
+		}
+		req.roomId = roomId;
+		next();
+	};
+
+	// --- 1. JSON EXPORT ---
+	router.get('/rooms/:roomId/results.json', requireAdminToken, resolveRoom, (req, res) => {
+		res.attachment(`${req.roomId}-results.json`);
+		res.json({ roomId: req.roomId, exportedAt: new Date().toISOString(), games: getRoomGames(req.roomId) });
+	});
+
+	// --- 2. CSV EXPORT (one row per seat per game) ---
+	router.get('/rooms/:roomId/results.csv', requireAdminToken, resolveRoom, (req, res) => {
+		const lines = [CSV_COLUMNS.join(',')];
+
+		for (const game of getRoomGames(req.roomId)) {
+			const seats = Object.keys(game.results).map(Number).sort((a, b) => a - b);
+			for (const seat of seats) {
+				const pick = game.results[seat];
+				lines.push([
+					game.roomId, game.gameNumber, game.status, seat, pick.playerName, pick.realName, pick.club, pick.role, pick.team,
+					pick.slotIndex + 1, pick.forced ? 'yes' : 'no', toIso(pick.pickedAt), toIso(game.startedAt), toIso(game.completedAt)
+				].map(escapeCsv).join(','));
+			}
+		}
+
+		res.attachment(`${req.roomId}-results.csv`);
+		res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+	});
+
+	// --- 3. PRINTABLE PROTOCOL SHEET ---
+	router.get('/rooms/:roomId/protocol/:gameId', requireAdminToken, resolveRoom, (req, res) => {
+		const game = req.params.gameId === 'current'
+			? getLiveGame(req.roomId)
+			: state.draftHistory.find(entry => entry.id === req.params.gameId && entry.roomId === req.roomId);
+
+		if (!game) return res.status(404).json({ error: 'Game not found.' });
+
+		const seats = Array.from({ length: game.tableSize }, (_, i) => i + 1);
+		const rows = seats.map(seat => {
+			const pick = game.results[seat];
+			return `<tr>
+				<td class="seat">${seat}</td>
+				<td>${escapeHtml(pick?.playerName || '')}${pick?.club ? ` <span class="club">(${escapeHtml(pick.club)})</span>` : ''}</td>
+				<td class="role ${pick?.team === 'MAFIA' ? 'mafia' : ''}">${escapeHtml(pick?.role || '')}</td>
+				<td>${pick ? pick.slotIndex + 1 : ''}${pick?.forced ? ' *' : ''}</td>
+				<td>${pick?.pickedAt ? new Date(pick.pickedAt).toLocaleTimeString() : ''}</td>
+			</tr>`;
+		}).join('');
+
+		res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<title>${escapeHtml(game.roomId)} — Game ${game.gameNumber}</title>
+	<style>
+		@page { size: A4 portrait; margin: 15mm; }
+		body { font-family: Arial, sans-serif; color: #000; margin: 0; }
+		h1 { font-size: 20pt; margin: 0 0 4mm; }
+		.meta { font-size: 10pt; margin-bottom: 6mm; }
+		table { width: 100%; border-collapse: collapse; font-size: 12pt; }
+		th, td { border: 1px solid #000; padding: 3mm; text-align: left; }
+		th { background: #eee; }
+		.seat { width: 12mm; text-align: center; font-weight: bold; }
+		.role { font-weight: bold; }
+		.club { font-size: 9pt; color: #444; }
+		.role.mafia { text-decoration: underline; }
+		.footnote { font-size: 9pt; margin-top: 4mm; }
+		.signatures { display: flex; justify-content: space-between; margin-top: 20mm; font-size: 10pt; }
+		.signatures span { border-top: 1px solid #000; padding-top: 2mm; width: 45%; }
+	</style>
+</head>
+<body>
+	<h1>${escapeHtml(game.roomId)} — Game ${game.gameNumber}</h1>
+	<div class="meta">
+		Deck: ${escapeHtml(game.deckId)} · Draft started: ${game.startedAt ? new Date(game.startedAt).toLocaleString() : '—'}
+		· Completed: ${game.completedAt ? new Date(game.completedAt).toLocaleString() : '—'}
+		${game.startedBy?.name ? `· Judge: ${escapeHtml(game.startedBy.name)}` : ''}
+	</div>
+	<table>
+		<thead><tr><th>Seat</th><th>Player</th><th>Role</th><th>Card</th><th>Drawn at</th></tr></thead>
+		<tbody>${rows}</tbody>
+	</table>
+	<div class="footnote">* Card assigned by a forced random pick.</div>
+	<div class="signatures"><span>Judge</span><span>Secretary</span></div>
+</body>
+</html>`);
+	});
+
+	// --- 4. TOURNAMENT STATISTICS (optionally ?room=<id>) ---
+	router.get('/statistics.json', requireAdminToken, (req, res) => {
+		const roomId = req.query.room ? String(req.query.room).toUpperCase() : undefined;
+		res.attachment(roomId ? `${roomId}-statistics.json` : 'tournament-statistics.json');
+		res.json({ exportedAt: new Date().toISOString(), ...computeStatistics(roomId) });
+	});
+
+export default router;
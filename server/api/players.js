@@ -0,0 +1,72 @@
+/**
+ * @file server/api/players.js
+ * @description Express Router for player registry photos.
+ * Uploads are cropped to a square WebP thumbnail for the Stream overlay; the registry entry
+ * records a photoVersion so overlays bust their cache when a photo is replaced.
+ */
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import sharp from 'sharp';
+import { state, saveState } from '../core/state.js';
+import { getRoomsSeatingPlayer, PLAYER_PHOTOS_DIR } from '../core/players.js';
+import { broadcastState, broadcastPlayers } from '../socket/broadcasters.js';
+import { requireAdminToken, requireSignedBody } from './auth.js';
+
+if (!fs.existsSync(PLAYER_PHOTOS_DIR)) fs.mkdirSync(PLAYER_PHOTOS_DIR, { recursive: true });
+
+const router = express.Router();
+
+	const upload = multer({
+		storage: multer.memoryStorage(),
+		limits: { fileSize: 10 * 1024 * 1024 },
+		fileFilter: (req, file, cb) => {
+			if (file.mimetype.startsWith('image/')) cb(null, true);
+			else cb(new Error('Only image files are permitted.'));
+		}
+	});
+
+	const resolvePlayer = (req, res, next) => {
+		const player = state.players[req.params.playerId];
+		if (!player) return res.status(404).json({ error: 'Player not found.' });
+		req.player = player;
+		next();
+	};
+
+	/** Persists a photo change and refreshes the Admin registry and every table seating the player. */
+	const commitPhotoChange = (player, photoVersion) => {
+		player.photoVersion = photoVersion;
+		saveState();
+		broadcastPlayers();
+		getRoomsSeatingPlayer(player.id).forEach(roomId => broadcastState(roomId));
+	};
+
+	// --- 1. UPLOAD PHOTO ---
+	router.post('/:playerId/photo', requireAdminToken, resolvePlayer, upload.single('image'), requireSignedBody, async (req, res) => {
+		try {
+			if (!req.file) return res.status(400).json({ error: 'No file detected.' });
+
+			await sharp(req.file.buffer)
+				.resize(256, 256, { fit: 'cover' })
+				.webp({ quality: 85 })
+				.toFile(path.join(PLAYER_PHOTOS_DIR, `${req.player.id}.webp`));
+
+			commitPhotoChange(req.player, Date.now());
+			res.json({ success: true, photoVersion: req.player.photoVersion });
+		} catch (err) {
+			console.error('[PLAYERS] Photo processing failed:', err);
+			res.status(500).json({ error: 'Image optimization failed.' });
+		}
+	});
+
+	// --- 2. REMOVE PHOTO ---
+	router.delete('/:playerId/photo', requireAdminToken, resolvePlayer, (req, res) => {
+		const photoPath = path.join(PLAYER_PHOTOS_DIR, `${req.player.id}.webp`);
+		if (fs.existsSync(photoPath)) fs.unlinkSync(photoPath);
+
+		commitPhotoChange(req.player, null);
+		res.json({ success: true });
+	});
+
+export default router;
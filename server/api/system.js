@@ -1,6 +1,7 @@
 /**
  * @file server/api/system.js
- * @description Handles version checking, GitHub API polling, and OS-level auto-updating.
+ * @description Handles version checking, GitHub API polling, OS-level auto-updating,
+ * and hands out the local CA certificate in HTTPS mode.
  */
 import express from 'express';
 import https from 'https';
@@ -8,7 +9,8 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
-import { INTERNAL_ROOT, APP_ROOT, isCompiled } from '../core/paths.js';
+import { INTERNAL_ROOT, PLATFORM_APP_ROOT, isCompiled } from '../core/paths.js';
+import { getCaCertificate } from '../core/tls.js';
 
 const router = express.Router();
 const REPO_URL = 'https://api.github.com/repos/Neptunov/Classic-Mafia-Draft/releases/latest';
@@ -102,7 +104,7 @@ const REPO_URL = 'https://api.github.com/repos/Neptunov/Classic-Mafia-Draft/rele
 			res.json({ success: true, message: 'Server shutting down for update...' });
 
 			try {
-				const child = spawn(tempPath, ['/SILENT', `/DIR=${APP_ROOT}`], {
+				const child = spawn(tempPath, ['/SILENT', `/DIR=${PLATFORM_APP_ROOT}`], {
 					detached: true,
 					stdio: 'ignore'
 				});
@@ -115,4 +117,15 @@ const REPO_URL = 'https://api.github.com/repos/Neptunov/Classic-Mafia-Draft/rele
 		}
 	});
 
+// --- 3. LOCAL CERTIFICATE AUTHORITY (HTTPS MODE) ---
+	// Public on purpose: a tablet has to fetch the CA before it can trust anything the server says.
+	router.get('/ca-certificate', (req, res) => {
+		const ca = getCaCertificate();
+		if (!ca) return res.status(404).json({ error: 'HTTPS is not enabled on this server.' });
+
+		res.setHeader('Content-Type', 'application/x-x509-ca-cert');
+		res.setHeader('Content-Disposition', 'attachment; filename="ClassicMafiaDraft-CA.crt"');
+		res.send(ca.certificate);
+	});
+
 export default router;
\ No newline at end of file
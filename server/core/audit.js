@@ -0,0 +1,214 @@
+/**
+ * @file server/core/audit.js
+ * @description Persistent, tamper-evident audit log of draft and Admin actions.
+ * Every entry carries the SHA-256 hash of the entry before it, so editing, removing or
+ * reordering any line breaks the chain from that point on. Lines are sealed one by one
+ * with the vault's AES-GCM key, like the journal, since picks reveal secret roles.
+ * The log lives outside the tournament state: snapshot rollbacks and backup restores never rewrite it.
+ * Its head (entry count and last hash) is anchored in the vault as state.auditHead, so cutting entries off
+ * the end is caught too. Entries are read from disk on demand rather than held in memory.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { state, saveState, STORAGE_DIR } from './state.js';
+import { encryptStorage, decryptStorage } from './crypto.js';
+
+export const AUDIT_LOG_PATH = path.join(STORAGE_DIR, 'audit.log');
+export const MAX_AUDIT_QUERY = 500;
+
+const GENESIS_HASH = '0'.repeat(64);
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/** The last entry written, which the next one chains from. */
+let lastSeq = 0;
+let lastHash = GENESIS_HASH;
+
+/** Stand-in actor for actions the server takes on its own, such as a pick clock running out. */
+export const SYSTEM_ACTOR = { role: 'SYSTEM', name: null, device: null, ip: null };
+/** Stand-in actor for the server's own terminal (restore, rollback). */
+export const CONSOLE_ACTOR = { role: 'CONSOLE', name: null, device: null, ip: null };
+
+/**
+ * Finds where the log ends and continues its chain. Called once after loadState().
+ * If the log on disk falls short of the anchored head, new entries chain from the anchor,
+ * so the missing stretch stays visible to verification instead of being papered over.
+ */
+	export function initAudit() {
+		let anchored = false;
+		for (const { entry } of readAuditEntries()) {
+			if (!entry) continue;
+			lastSeq = entry.seq;
+			lastHash = entry.hash;
+			if (state.auditHead && entry.seq === state.auditHead.count && entry.hash === state.auditHead.hash) anchored = true;
+		}
+
+		if (!state.auditHead) {
+			// Logs written before the anchor existed are trusted as they stand.
+			if (lastSeq > 0) anchorHead();
+		} else if (!anchored) {
+			lastSeq = state.auditHead.count;
+			lastHash = state.auditHead.hash;
+		}
+
+		const { ok, problems } = verifyAuditChain();
+		if (!ok) console.warn(`[AUDIT] Integrity check FAILED: ${problems.length} broken link(s) in the audit log.`);
+	}
+
+	function anchorHead() {
+		state.auditHead = { count: lastSeq, hash: lastHash };
+		saveState({});
+	}
+
+	/**
+	 * Reads the log line by line without loading the whole file.
+	 * @yields {{ line: number, entry: Object|null }} Each entry, or null where a line cannot be decrypted.
+	 */
+	function* readAuditEntries() {
+		if (!fs.existsSync(AUDIT_LOG_PATH)) return;
+
+		const fd = fs.openSync(AUDIT_LOG_PATH, 'r');
+		const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+		let rest = '';
+		let line = 0;
+		try {
+			let bytes;
+			while ((bytes = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+				// Sealed lines are plain ASCII, so a chunk boundary never splits a character.
+				const lines = (rest + chunk.toString('utf8', 0, bytes)).split('\n');
+				rest = lines.pop();
+				for (const text of lines) {
+					if (text) yield { line: ++line, entry: decryptStorage(text) };
+				}
+			}
+			if (rest) yield { line: ++line, entry: decryptStorage(rest) };
+		} finally {
+			fs.closeSync(fd);
+		}
+	}
+
+/**
+ * Describes who performed an action, from their socket's client record.
+ */
+	export function describeActor(client, ip, deviceId) {
+		return {
+			role: client?.role || 'UNASSIGNED',
+			name: client?.name || null,
+			device: (client?.deviceId || deviceId)?.substring(0, 8) || null,
+			ip: ip || null
+		};
+	}
+
+/**
+ * Appends one hash-chained entry.
+ * @param {string} type - What happened, e.g. 'ADMIN_LOGIN' or 'PICK'.
+ * @param {Object} context - { actor, roomId, details }.
+ */
+	export function recordAudit(type, { actor = SYSTEM_ACTOR, roomId = null, details = {} } = {}) {
+		const body = {
+			seq: lastSeq + 1,
+			at: Date.now(),
+			type,
+			actor,
+			roomId,
+			details,
+			prevHash: lastHash
+		};
+		const entry = { ...body, hash: hashEntry(body) };
+
+		const line = encryptStorage(entry);
+		if (!line) return;
+		try {
+			fs.appendFileSync(AUDIT_LOG_PATH, line + '\n');
+		} catch (err) {
+			console.error('[AUDIT] Failed to append to the audit log!', err);
+			return;
+		}
+
+		lastSeq = entry.seq;
+		lastHash = entry.hash;
+		anchorHead();
+	}
+
+/**
+ * Filters the log for the Admin viewer, newest first, one page at a time.
+ * @param {Object} [filters] - { type, roomId, role, search, beforeSeq, limit }; beforeSeq pages back past the entries already shown.
+ * @returns {Object} { entries, total, types, rooms, beforeSeq }; total counts all matches, entries at most `limit` of them.
+ */
+	export function queryAudit({ type, roomId, role, search, beforeSeq, limit = MAX_AUDIT_QUERY } = {}) {
+		const needle = search?.toLowerCase();
+		const pageSize = Math.min(limit, MAX_AUDIT_QUERY);
+		const page = [];
+		const types = new Set();
+		const rooms = new Set();
+		let total = 0;
+
+		for (const { entry } of readAuditEntries()) {
+			if (!entry) continue;
+			types.add(entry.type);
+			if (entry.roomId) rooms.add(entry.roomId);
+
+			const matches = (!type || entry.type === type) &&
+				(!roomId || entry.roomId === roomId) &&
+				(!role || entry.actor?.role === role) &&
+				(!needle || JSON.stringify([entry.actor, entry.details]).toLowerCase().includes(needle));
+			if (!matches) continue;
+
+			total++;
+			if (beforeSeq && entry.seq >= beforeSeq) continue;
+			page.push(entry);
+			if (page.length > pageSize) page.shift();
+		}
+
+		return {
+			entries: page.reverse(),
+			total,
+			types: [...types].sort(),
+			rooms: [...rooms].sort(),
+			beforeSeq: beforeSeq || null
+		};
+	}
+
+/**
+ * Re-reads the log from disk, walks the chain and checks that it reaches the head anchored in the vault.
+ * @returns {Object} { ok, entries, problems: [{ line, seq, reason }] } where reason is
+ * UNREADABLE, HASH_MISMATCH (entry edited), CHAIN_BROKEN (entry removed or reordered), SEQUENCE_GAP
+ * or TRUNCATED (entries cut off the end).
+ */
+	export function verifyAuditChain() {
+		const problems = [];
+		let prevHash = GENESIS_HASH;
+		let prevSeq = 0;
+		let lines = 0;
+		let anchorFound = false;
+
+		for (const { line, entry } of readAuditEntries()) {
+			lines = line;
+			if (!entry || typeof entry.hash !== 'string') {
+				problems.push({ line, seq: null, reason: 'UNREADABLE' });
+				continue;
+			}
+
+			const { hash, ...body } = entry;
+			if (hashEntry(body) !== hash) problems.push({ line, seq: entry.seq, reason: 'HASH_MISMATCH' });
+			else if (entry.prevHash !== prevHash) problems.push({ line, seq: entry.seq, reason: 'CHAIN_BROKEN' });
+			else if (entry.seq !== prevSeq + 1) problems.push({ line, seq: entry.seq, reason: 'SEQUENCE_GAP' });
+
+			if (entry.seq === state.auditHead?.count && hash === state.auditHead.hash) anchorFound = true;
+			prevHash = hash;
+			prevSeq = entry.seq;
+		}
+
+		if (state.auditHead && !anchorFound) {
+			problems.push({ line: lines + 1, seq: state.auditHead.count, reason: 'TRUNCATED' });
+		}
+
+		return { ok: problems.length === 0, entries: lines, problems };
+	}
+
+	function hashEntry(body) {
+		const { seq, at, type, actor, roomId, details, prevHash } = body;
+		return crypto.createHash('sha256')
+			.update(JSON.stringify([seq, at, type, actor, roomId, details, prevHash]))
+			.digest('hex');
+	}
@@ -2,63 +2,251 @@
  * @file server/core/crypto.js
  * @description Cryptographic engine for authentication and data protection.
  * Implements hardware-bound AES-256-GCM encryption for the physical storage vault, 
- * HMAC validation for WebSocket sessions, and ECDH key exchanges.
+ * HMAC validation for WebSocket sessions, and the AES-GCM socket tunnel keyed by ECDH.
  */
 import crypto from 'crypto';
 import { state } from './state.js';
 import os from 'os';
+import { promisify } from 'util';
 
-	export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
-		const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-		return { salt, hash };
+const scryptAsync = promisify(crypto.scrypt);
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+// --- PASSWORD CREDENTIALS ---
+// Credentials are versioned and carry their own KDF parameters, so the login challenge can tell the
+// client exactly how to derive the stored key. Version 1 ({ salt, hash } only) is PBKDF2-SHA512 at
+// 10,000 iterations; version 2 is scrypt. Outdated credentials are rehashed on the next successful login.
+
+/** Parameters for new credentials: scrypt at N=2^15, r=8, p=3 (32 MiB), which a tablet can still derive in the browser. */
+export const CURRENT_KDF = { version: 2, kdf: 'scrypt', params: { N: 2 ** 15, r: 8, p: 3, keyLength: 64 } };
+const LEGACY_KDF = { version: 1, kdf: 'pbkdf2-sha512', params: { iterations: 10000, keyLength: 64 } };
+
+	/**
+	 * Fills in the implicit parameters of version 1 credentials.
+	 * @returns {Object} { version, kdf, params, salt, hash }.
+	 */
+	const describeCredentials = (credentials) => (credentials.version >= 2 ? credentials : { ...LEGACY_KDF, ...credentials });
+
+	/**
+	 * Blocks the event loop for the whole derivation, so only the console commands use it.
+	 */
+	function deriveKeySync(password, salt, { kdf, params }) {
+		if (kdf === 'scrypt') {
+			const { N, r, p, keyLength } = params;
+			return crypto.scryptSync(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r * p }).toString('hex');
+		}
+		return crypto.pbkdf2Sync(password, salt, params.iterations, params.keyLength, 'sha512').toString('hex');
+	}
+
+	/**
+	 * Derives on the libuv thread pool, so live tables keep their socket traffic during a login or password change.
+	 */
+	async function deriveKey(password, salt, { kdf, params }) {
+		if (kdf === 'scrypt') {
+			const { N, r, p, keyLength } = params;
+			return (await scryptAsync(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r * p })).toString('hex');
+		}
+		return (await pbkdf2Async(password, salt, params.iterations, params.keyLength, 'sha512')).toString('hex');
+	}
+
+	const buildCredentials = (salt, hash) => ({ version: CURRENT_KDF.version, kdf: CURRENT_KDF.kdf, params: CURRENT_KDF.params, salt, hash });
+
+	/**
+	 * Hashes a password in the current credential format.
+	 * @returns {Promise<Object>} { version, kdf, params, salt, hash }.
+	 */
+	export async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+		return buildCredentials(salt, await deriveKey(password, salt, CURRENT_KDF));
+	}
+
+	/**
+	 * Whether credentials should be rehashed into the current format.
+	 */
+	export function needsRehash(credentials) {
+		const { version, kdf, params } = describeCredentials(credentials);
+		return version < CURRENT_KDF.version || kdf !== CURRENT_KDF.kdf || JSON.stringify(params) !== JSON.stringify(CURRENT_KDF.params);
+	}
+
+	/**
+	 * What a login challenge tells the client about the stored credentials, so it derives the same key.
+	 * Without credentials (an unknown judge name) the current format is announced.
+	 * @param {Object|null} credentials - Stored credentials.
+	 * @param {string} [salt] - Overrides the salt, for decoy challenges.
+	 * @returns {Object} { salt, kdf, params }.
+	 */
+	export function getChallengeParameters(credentials, salt) {
+		const { kdf, params, salt: storedSalt } = credentials ? describeCredentials(credentials) : CURRENT_KDF;
+		return { salt: salt || storedSalt, kdf, params };
+	}
+
+	const hashesMatch = (testHash, credentials) => crypto.timingSafeEqual(Buffer.from(testHash, 'hex'), Buffer.from(credentials.hash, 'hex'));
+
+	/**
+	 * Whether the password matches the stored credentials, derived under their own format.
+	 * @returns {Promise<boolean>}
+	 */
+	async function matchesCredentials(credentials, password) {
+		const described = describeCredentials(credentials);
+		return hashesMatch(await deriveKey(password, described.salt, described), described);
+	}
+
+	/**
+	 * Rehashes outdated credentials from the password the client sends once, through the tunnel, after a
+	 * login challenge flagged with rehash. The password is checked against the stored key first, so only
+	 * the real password can replace it.
+	 * @returns {Promise<Object|null>} Current-format credentials, or null if the password does not match.
+	 */
+	export async function upgradeCredentials(credentials, password) {
+		if (!credentials || !password || !(await matchesCredentials(credentials, password))) return null;
+		return hashPassword(password);
 	}
 
 	export function verifyAdmin(clientHmacResponse, nonce) {
-		if (!state.adminCredentials || !nonce) return false;
+		return verifyChallengeResponse(state.adminCredentials, clientHmacResponse, nonce);
+	}
+
+	/**
+	 * Checks a login challenge answer: HMAC-SHA256 keyed by the one-time nonce over the stored derived key.
+	 * @param {Object} credentials - As produced by hashPassword().
+	 */
+	export function verifyChallengeResponse(credentials, clientHmacResponse, nonce) {
+		if (!credentials || !nonce) return false;
 		
 		const expectedHmac = crypto.createHmac('sha256', nonce)
-									.update(state.adminCredentials.hash)
+									.update(credentials.hash)
 									.digest('hex');
+		const responseBuffer = Buffer.from(clientHmacResponse, 'hex');
+		if (responseBuffer.length !== 32) return false;
 									
-		return crypto.timingSafeEqual(Buffer.from(clientHmacResponse, 'hex'), Buffer.from(expectedHmac, 'hex'));
+		return crypto.timingSafeEqual(responseBuffer, Buffer.from(expectedHmac, 'hex'));
+	}
+
+	/**
+	 * Checks the Admin password when a socket handler sees it in plain text (password change, turning 2FA off).
+	 * Outdated credentials are rehashed in memory on success; the caller's next saveState() persists them.
+	 * @returns {Promise<boolean>}
+	 */
+	export async function verifyAdminPassword(password) {
+		const credentials = state.adminCredentials;
+		if (!credentials || !password || !(await matchesCredentials(credentials, password))) return false;
+
+		if (needsRehash(credentials)) {
+			const upgraded = await hashPassword(password);
+			// Unless a password change replaced the credentials while the keys were being derived.
+			if (state.adminCredentials === credentials) state.adminCredentials = upgraded;
+		}
+		return true;
 	}
 
+	/**
+	 * Synchronous twin of verifyAdminPassword() for the server console commands, where blocking is harmless.
+	 */
 	export function verifyPasswordPlaintext(password) {
 		if (!state.adminCredentials || !password) return false;
-		
-		const testHash = crypto.pbkdf2Sync(password, state.adminCredentials.salt, 10000, 64, 'sha512').toString('hex');
-		return crypto.timingSafeEqual(Buffer.from(testHash, 'hex'), Buffer.from(state.adminCredentials.hash, 'hex'));
+
+		const credentials = describeCredentials(state.adminCredentials);
+		if (!hashesMatch(deriveKeySync(password, credentials.salt, credentials), credentials)) return false;
+
+		if (needsRehash(state.adminCredentials)) {
+			const salt = crypto.randomBytes(16).toString('hex');
+			state.adminCredentials = buildCredentials(salt, deriveKeySync(password, salt, CURRENT_KDF));
+		}
+		return true;
 	}
 
-	export function encryptPayload(payloadArgs, aesKeyBuffer) {
+// --- SOCKET TUNNEL (AES-256-GCM WITH PER-DIRECTION COUNTERS) ---
+// Each direction has its own key derived from the ECDH secret, and every frame carries its key epoch
+// and a sequence number. The nonce is the sequence number and the AAD binds event, epoch and sequence,
+// so a frame cannot be replayed, reordered or relabelled as another event. The server ratchets the
+// epoch key every TUNNEL_ROTATION_INTERVAL_MS; the client follows when it sees the next epoch.
+
+export const TUNNEL_ROTATION_INTERVAL_MS = 10 * 60 * 1000;
+
+	const deriveTunnelKey = (epochKey, label) => crypto.createHmac('sha256', epochKey).update(label).digest();
+
+	function openTunnelEpoch(epochKey, epoch) {
+		return { epoch, epochKey, sendKey: deriveTunnelKey(epochKey, 's2c'), recvKey: deriveTunnelKey(epochKey, 'c2s'), sendSeq: 0, recvSeq: 0 };
+	}
+
+	function tunnelNonce(seq) {
+		const nonce = Buffer.alloc(12);
+		nonce.writeBigUInt64BE(BigInt(seq), 4);
+		return nonce;
+	}
+
+	const tunnelAad = (event, epoch, seq) => Buffer.from(`${event}:${epoch}:${seq}`);
+
+	/**
+	 * Starts a tunnel from the raw ECDH shared secret computed in KEY_EXCHANGE.
+	 * @returns {Object} Tunnel state, kept in state.clientKeys[socket.id].
+	 */
+	export function createTunnel(sharedSecret) {
+		return { current: openTunnelEpoch(crypto.createHash('sha256').update(sharedSecret).digest(), 0), previous: null };
+	}
+
+	/**
+	 * Ratchets the tunnel to the next epoch key. Frames the client sent under the old epoch
+	 * stay readable until its first frame under the new one arrives.
+	 */
+	export function rotateTunnel(tunnel) {
+		const { epochKey, epoch } = tunnel.current;
+		tunnel.previous = tunnel.current;
+		tunnel.current = openTunnelEpoch(deriveTunnelKey(epochKey, 'ratchet'), epoch + 1);
+	}
+
+	/**
+	 * Seals an outgoing event's arguments.
+	 * @returns {string|null} The frame as "epoch:seq:ciphertext:tag" (hex).
+	 */
+	export function encryptPayload(event, payloadArgs, tunnel) {
 		try {
-			const iv = crypto.randomBytes(16);
-			const cipher = crypto.createCipheriv('aes-256-cbc', aesKeyBuffer, iv);
-			let encrypted = cipher.update(JSON.stringify(payloadArgs), 'utf8', 'hex');
-			encrypted += cipher.final('hex');
-			const hmac = crypto.createHmac('sha256', aesKeyBuffer).update(`${iv.toString('hex')}:${encrypted}`).digest('hex');
-			return `${iv.toString('hex')}:${encrypted}:${hmac}`;
+			const frame = tunnel.current;
+			const seq = ++frame.sendSeq;
+			const cipher = crypto.createCipheriv('aes-256-gcm', frame.sendKey, tunnelNonce(seq));
+			cipher.setAAD(tunnelAad(event, frame.epoch, seq));
+			const encrypted = Buffer.concat([cipher.update(JSON.stringify(payloadArgs), 'utf8'), cipher.final()]);
+			return `${frame.epoch}:${seq}:${encrypted.toString('hex')}:${cipher.getAuthTag().toString('hex')}`;
 		} catch (err) { return null; }
 	}
 
-	export function decryptPayload(encryptedString, aesKeyBuffer) {
+	/**
+	 * Opens an incoming frame. Frames from an unknown epoch, with a sequence number at or below
+	 * the last accepted one, or failing authentication are rejected.
+	 * @returns {Array|null} The event's arguments.
+	 */
+	export function decryptPayload(event, encryptedString, tunnel) {
 		try {
 			const parts = encryptedString.split(':');
-			if (parts.length !== 3) return null;
-			const [ivHex, ciphertext, hmacHex] = parts;
+			if (parts.length !== 4) return null;
+			const [epoch, seq] = parts.slice(0, 2).map(Number);
+			const [ciphertext, authTag] = parts.slice(2);
+			// GCM would otherwise accept a truncated tag, and Buffer.from() silently drops malformed hex.
+			if (!/^[0-9a-f]{32}$/.test(authTag)) {
+				console.warn('[SECURITY] Frame with a malformed authentication tag rejected.');
+				return null;
+			}
 
-			const expectedHmac = crypto.createHmac('sha256', aesKeyBuffer).update(`${ivHex}:${ciphertext}`).digest('hex');
-			if (!crypto.timingSafeEqual(Buffer.from(hmacHex, 'hex'), Buffer.from(expectedHmac, 'hex'))) {
-				console.warn('[SECURITY] HMAC Tampering Detected.');
+			const frame = [tunnel.current, tunnel.previous].find(f => f && f.epoch === epoch);
+			if (!frame) {
+				console.warn('[SECURITY] Frame from an unknown key epoch rejected.');
+				return null;
+			}
+			if (!Number.isSafeInteger(seq) || seq <= frame.recvSeq) {
+				console.warn('[SECURITY] Replayed or out-of-order frame rejected.');
 				return null;
 			}
 
-			const decipher = crypto.createDecipheriv('aes-256-cbc', aesKeyBuffer, Buffer.from(ivHex, 'hex'));
-			let decrypted = decipher.update(ciphertext, 'hex', 'utf8');
-			decrypted += decipher.final('utf8');
-			return JSON.parse(decrypted);
+			const decipher = crypto.createDecipheriv('aes-256-gcm', frame.recvKey, tunnelNonce(seq), { authTagLength: 16 });
+			decipher.setAAD(tunnelAad(event, epoch, seq));
+			decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+			const decrypted = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+
+			// Counters only advance on authentic frames, so a forged one cannot block the sequence.
+			frame.recvSeq = seq;
+			if (frame === tunnel.current) tunnel.previous = null;
+			return JSON.parse(decrypted.toString('utf8'));
 		} catch (err) { 
-			console.error('[SECURITY] Backend Decryption failed:', err.message);
+			console.warn('[SECURITY] Tunnel frame failed authentication:', err.message);
 			return null; 
 		}
 	}
@@ -129,4 +317,65 @@ import os from 'os';
 			console.error('[STORAGE] FATAL: File decryption failed! (Tampering, Corruption, or Hardware Mismatch)');
 			return null;
 		}
-	}
\ No newline at end of file
+	}
+
+// --- PORTABLE BACKUPS (PASSPHRASE-BOUND AES-GCM) ---
+
+const BACKUP_FORMAT = 'classic-mafia-draft-backup';
+const BACKUP_KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+/** The most a backup's KDF may ask for: headroom above BACKUP_KDF, and a fixed memory ceiling (scrypt needs 128 * N * r bytes). */
+const BACKUP_KDF_LIMITS = { N: 2 ** 17, r: 8, p: 4 };
+const BACKUP_KDF_MAXMEM = 256 * 1024 * 1024;
+
+	function deriveBackupKey(passphrase, salt, kdf) {
+		return crypto.scryptSync(passphrase, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: BACKUP_KDF_MAXMEM });
+	}
+
+	/**
+	 * Encrypts a state object under a passphrase instead of the hardware key, so the file
+	 * can be restored on any machine. The plaintext header is bound to the ciphertext as AAD.
+	 * @returns {string} The backup file contents (JSON).
+	 */
+	export function encryptBackup(stateObject, passphrase) {
+		const header = { format: BACKUP_FORMAT, formatVersion: 1, kdf: { ...BACKUP_KDF, salt: crypto.randomBytes(16).toString('hex') } };
+		const key = deriveBackupKey(passphrase, Buffer.from(header.kdf.salt, 'hex'), header.kdf);
+		const iv = crypto.randomBytes(12);
+
+		const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+		cipher.setAAD(Buffer.from(JSON.stringify(header)));
+		const data = Buffer.concat([cipher.update(JSON.stringify(stateObject), 'utf8'), cipher.final()]);
+
+		return JSON.stringify({
+			...header,
+			createdAt: new Date().toISOString(),
+			iv: iv.toString('hex'),
+			authTag: cipher.getAuthTag().toString('hex'),
+			data: data.toString('base64')
+		});
+	}
+
+	/**
+	 * Opens a backup file produced by encryptBackup().
+	 * @returns {Object|null} The state object, or null for a wrong passphrase or a damaged file.
+	 */
+	export function decryptBackup(fileContents, passphrase) {
+		try {
+			const backup = JSON.parse(fileContents);
+			if (backup.format !== BACKUP_FORMAT || backup.formatVersion !== 1 || backup.kdf?.name !== 'scrypt') return null;
+			// The KDF cost comes from the file; cap it so a crafted backup cannot exhaust memory.
+			if (!(backup.kdf.N <= BACKUP_KDF_LIMITS.N && backup.kdf.r <= BACKUP_KDF_LIMITS.r && backup.kdf.p <= BACKUP_KDF_LIMITS.p)) return null;
+
+			const header = { format: backup.format, formatVersion: backup.formatVersion, kdf: backup.kdf };
+			const key = deriveBackupKey(passphrase, Buffer.from(backup.kdf.salt, 'hex'), backup.kdf);
+
+			const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(backup.iv, 'hex'));
+			decipher.setAAD(Buffer.from(JSON.stringify(header)));
+			decipher.setAuthTag(Buffer.from(backup.authTag, 'hex'));
+
+			const plaintext = Buffer.concat([decipher.update(Buffer.from(backup.data, 'base64')), decipher.final()]);
+			return JSON.parse(plaintext.toString('utf8'));
+		} catch (err) {
+			console.warn('[STORAGE] Backup could not be opened (wrong passphrase or damaged file).');
+			return null;
+		}
+	}
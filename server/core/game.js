@@ -4,23 +4,78 @@
  * Contains pure functions for managing the tournament ruleset, deck manipulation,
  * and ensuring incoming network payloads match expected schemas.
  */
+import crypto from 'crypto';
 
-export const INITIAL_DECK = [
-  'Citizen', 'Citizen', 'Citizen', 'Citizen', 'Citizen', 'Citizen',
-  'Sheriff', 'Mafia', 'Mafia', 'Don'
-];
+export const MIN_DECK_SIZE = 4;
+export const MAX_DECK_SIZE = 16;
+export const ROLE_TEAMS = ['TOWN', 'MAFIA'];
+
+/**
+ * Built-in table configurations offered to the Admin when a room is created.
+ * Each preset lists its roles with counts; the total count is the number of seats at the table.
+ */
+export const DECK_PRESETS = {
+  CLASSIC_10: [
+    { role: 'Citizen', count: 6, team: 'TOWN' },
+    { role: 'Sheriff', count: 1, team: 'TOWN' },
+    { role: 'Mafia', count: 2, team: 'MAFIA' },
+    { role: 'Don', count: 1, team: 'MAFIA' }
+  ],
+  CLASSIC_8: [
+    { role: 'Citizen', count: 5, team: 'TOWN' },
+    { role: 'Sheriff', count: 1, team: 'TOWN' },
+    { role: 'Mafia', count: 1, team: 'MAFIA' },
+    { role: 'Don', count: 1, team: 'MAFIA' }
+  ],
+  CLASSIC_7: [
+    { role: 'Citizen', count: 4, team: 'TOWN' },
+    { role: 'Sheriff', count: 1, team: 'TOWN' },
+    { role: 'Mafia', count: 1, team: 'MAFIA' },
+    { role: 'Don', count: 1, team: 'MAFIA' }
+  ],
+  EXTENDED_12: [
+    { role: 'Citizen', count: 7, team: 'TOWN' },
+    { role: 'Sheriff', count: 1, team: 'TOWN' },
+    { role: 'Doctor', count: 1, team: 'TOWN' },
+    { role: 'Mafia', count: 2, team: 'MAFIA' },
+    { role: 'Don', count: 1, team: 'MAFIA' }
+  ]
+};
+
+export const DEFAULT_DECK_ID = 'CLASSIC_10';
+
+/**
+ * Draft order modes. LINEAR walks the table clockwise and REVERSE counter-clockwise from startSeat
+ * (0 = a seat drawn at random when the draft starts); RANDOM drafts in a fresh random permutation;
+ * CUSTOM follows an explicit seat sequence.
+ */
+export const DRAFT_ORDER_MODES = ['LINEAR', 'REVERSE', 'RANDOM', 'CUSTOM'];
+export const DEFAULT_DRAFT_ORDER = { mode: 'LINEAR', startSeat: 1, sequence: null };
+
+/**
+ * Optional per-pick countdown (all values in seconds). The clock starts on UNLOCK_TRAY; once
+ * `duration` runs out the server waits `grace` more seconds for in-flight picks, then force picks.
+ * Clients switch to the warning style when `warning` seconds or fewer remain.
+ */
+export const DEFAULT_PICK_TIMER = { enabled: false, duration: 30, grace: 3, warning: 10 };
+export const PICK_TIMER_LIMITS = { duration: [5, 600], grace: [0, 30] };
 
 /**
  * Validates an incoming payload against a defined strict schema to prevent injection attacks.
+ * Rules: `type` ('string' | 'number' | 'boolean' | 'object' | 'array'), `optional` (null/undefined allowed),
+ * `enum` (allowed values), string `minLength`/`maxLength`/`pattern`, number `min`/`max`/`integer`,
+ * object `fields` and `strict` (unknown keys rejected), array `items` and `minItems`/`maxItems`.
  * @param {any} payload - The raw data received from the client.
- * @param {Object} rules - The schema definition (type, min/max length, nested fields).
+ * @param {Object} rules - The schema definition.
  * @returns {boolean} True if the payload matches the rules, false otherwise.
  */
 	export function validatePayload(payload, rules) {
-		if (payload === null || payload === undefined) return false;
+		if (payload === null || payload === undefined) return Boolean(rules.optional);
+		if (rules.enum && !rules.enum.includes(payload)) return false;
 		
 		if (rules.type === 'number') {
 			if (typeof payload !== 'number' || Number.isNaN(payload)) return false;
+			if (rules.integer && !Number.isInteger(payload)) return false;
 			if (rules.min !== undefined && payload < rules.min) return false;
 			if (rules.max !== undefined && payload > rules.max) return false;
 			return true;
@@ -30,6 +85,7 @@ export const INITIAL_DECK = [
 			if (typeof payload !== 'string') return false;
 			if (rules.maxLength && payload.length > rules.maxLength) return false;
 			if (rules.minLength && payload.length < rules.minLength) return false;
+			if (rules.pattern && !rules.pattern.test(payload)) return false;
 			return true;
 		}
 
@@ -39,8 +95,16 @@ export const INITIAL_DECK = [
 			for (const key in rules.fields) {
 				if (!validatePayload(payload[key], rules.fields[key])) return false;
 			}
+			if (rules.strict && Object.keys(payload).some(key => !Object.prototype.hasOwnProperty.call(rules.fields, key))) return false;
 			return true;
 		}
+
+		if (rules.type === 'array') {
+			if (!Array.isArray(payload)) return false;
+			if (rules.minItems !== undefined && payload.length < rules.minItems) return false;
+			if (rules.maxItems !== undefined && payload.length > rules.maxItems) return false;
+			return !rules.items || payload.every(item => validatePayload(item, rules.items));
+		}
 		
 		if (rules.type === 'boolean') {
 			return typeof payload === 'boolean';
@@ -50,24 +114,163 @@ export const INITIAL_DECK = [
 	}
 
 
+/**
+ * Validates a role list and packages it into the deck definition stored in room settings.
+ * Role names double as texture file names in .mafpack archives, so they are restricted to letters.
+ * @param {string} id - The preset key, or 'CUSTOM' for an Admin-defined role list.
+ * @param {Array} roles - Entries of the form { role, count, team }.
+ * @returns {Object|null} The normalized deck ({ id, size, roles }), or null if the definition is invalid.
+ */
+	export function buildDeckDefinition(id, roles) {
+		if (!Array.isArray(roles) || roles.length === 0 || roles.length > 8) return null;
+
+		const entryRules = {
+			type: 'object',
+			fields: {
+				role: { type: 'string', minLength: 1, maxLength: 20 },
+				count: { type: 'number', min: 1, max: MAX_DECK_SIZE },
+				team: { type: 'string', maxLength: 10 }
+			}
+		};
+
+		const seenRoles = new Set();
+		const cleanRoles = [];
+
+		for (const entry of roles) {
+			if (!validatePayload(entry, entryRules)) return null;
+			if (!/^[A-Za-z]+$/.test(entry.role) || !Number.isInteger(entry.count)) return null;
+			if (!ROLE_TEAMS.includes(entry.team) || seenRoles.has(entry.role)) return null;
+
+			seenRoles.add(entry.role);
+			cleanRoles.push({ role: entry.role, count: entry.count, team: entry.team });
+		}
+
+		const size = cleanRoles.reduce((total, entry) => total + entry.count, 0);
+		if (size < MIN_DECK_SIZE || size > MAX_DECK_SIZE) return null;
+		if (!cleanRoles.some(entry => entry.team === 'MAFIA') || !cleanRoles.some(entry => entry.team === 'TOWN')) return null;
+
+		return { id, size, roles: cleanRoles };
+	}
+
+/**
+ * Resolves the deck requested by the Admin, either from the built-in presets or a custom role list.
+ * @param {string} deckId - A key of DECK_PRESETS, or 'CUSTOM'.
+ * @param {Array} [customRoles] - The role list used when deckId is 'CUSTOM'.
+ * @returns {Object|null} The normalized deck, or null if the request is invalid.
+ */
+	export function resolveDeck(deckId = DEFAULT_DECK_ID, customRoles) {
+		if (deckId === 'CUSTOM') return buildDeckDefinition('CUSTOM', customRoles);
+		if (!Object.prototype.hasOwnProperty.call(DECK_PRESETS, deckId)) return null;
+		return buildDeckDefinition(deckId, DECK_PRESETS[deckId]);
+	}
+
+/**
+ * Expands a deck definition into the flat list of cards that gets shuffled into the tray.
+ * @param {Object} deck - The normalized deck stored in the room settings.
+ * @returns {Array<string>} One role name per card.
+ */
+	export function expandDeck(deck) {
+		return deck.roles.flatMap(entry => Array(entry.count).fill(entry.role));
+	}
+
+/**
+ * Validates a draft order requested by the Admin against the table size.
+ * @param {Object} order - The requested order ({ mode, startSeat, sequence }).
+ * @param {number} size - The number of seats at the table.
+ * @returns {Object|null} The normalized draft order, or null if the request is invalid.
+ */
+	export function normalizeDraftOrder(order, size) {
+		if (!order || !DRAFT_ORDER_MODES.includes(order.mode)) return null;
+
+		if (order.mode === 'CUSTOM') {
+			const sequence = order.sequence;
+			if (!Array.isArray(sequence) || sequence.length !== size) return null;
+			if (!sequence.every(seat => Number.isInteger(seat) && seat >= 1 && seat <= size)) return null;
+			if (new Set(sequence).size !== size) return null;
+			return { mode: 'CUSTOM', startSeat: sequence[0], sequence: [...sequence] };
+		}
+
+		const startSeat = order.startSeat ?? 1;
+		if (!Number.isInteger(startSeat) || startSeat < 0 || startSeat > size) return null;
+		return { mode: order.mode, startSeat, sequence: null };
+	}
+
+/**
+ * Expands a draft order into the seat that picks on each turn.
+ * Random elements (RANDOM mode, random start seat) are drawn here, once per draft.
+ * @param {Object} draftOrder - The normalized draft order from the room settings.
+ * @param {number} size - The number of seats at the table.
+ * @returns {Array<number>} turnOrder[turn - 1] is the seat drafting on that turn.
+ */
+	export function buildTurnOrder(draftOrder, size) {
+		const seats = Array.from({ length: size }, (_, i) => i + 1);
+
+		if (draftOrder.mode === 'RANDOM') return shuffle(seats);
+		if (draftOrder.mode === 'CUSTOM') return [...draftOrder.sequence];
+
+		const start = draftOrder.startSeat === 0 ? crypto.randomInt(size) + 1 : draftOrder.startSeat;
+		const step = draftOrder.mode === 'REVERSE' ? -1 : 1;
+		return seats.map((_, i) => ((((start - 1) + step * i) % size) + size) % size + 1);
+	}
+
+/**
+ * Resolves which seat is drafting on the current turn.
+ * @param {Object} gs - The room's game state.
+ * @param {number} [turn] - The turn to resolve. Defaults to gs.currentTurn.
+ * @returns {number} The seat number.
+ */
+	export function getSeatForTurn(gs, turn = gs.currentTurn) {
+		return gs.turnOrder?.[turn - 1] ?? turn;
+	}
+
+/**
+ * Validates pick timer settings requested by the Admin.
+ * @param {Object} timer - The requested settings ({ enabled, duration, grace, warning }).
+ * @returns {Object|null} The normalized settings, or null if any value is out of range.
+ */
+	export function normalizePickTimer(timer) {
+		if (!timer || typeof timer.enabled !== 'boolean') return null;
+
+		const { duration, grace, warning } = timer;
+		const inRange = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+
+		if (!inRange(duration, PICK_TIMER_LIMITS.duration) || !inRange(grace, PICK_TIMER_LIMITS.grace)) return null;
+		if (!inRange(warning, [0, duration])) return null;
+		return { enabled: timer.enabled, duration, grace, warning };
+	}
+
 /**
  * Generates a fresh, sanitized game state object for a new tournament room.
+ * @param {Object} [deck] - The normalized deck for this table. Defaults to the classic 10-player deck.
  * @returns {Object} The default game state schema.
  */
-	export function getInitialGameState() {
+	export function getInitialGameState(deck = resolveDeck(DEFAULT_DECK_ID)) {
 		return {
 			status: 'PENDING',
 			slots: {}, 
 			revealedSlots: [], 
 			currentTurn: 1,
+			turnOrder: null,
 			results: {}, 
+			seating: {},
 			isTrayUnlocked: false,
 			isCardRevealed: false, 
 			isDebugMode: false, 
 			areRolesLocked: false,
 			draftStartTime: null,
+			startedBy: null,
+			deckCommitment: null,
+			deckSalt: null,
+			undoLog: [],
+			pickDeadline: null,
+			pickTimeRemaining: null,
+			isPaused: false,
+			pausedAt: null,
 			settings: {          
-				singleMode: false 
+				singleMode: false,
+				deck,
+				draftOrder: { ...DEFAULT_DRAFT_ORDER },
+				pickTimer: { ...DEFAULT_PICK_TIMER }
 			},
 			clientCounts: { PLAYER: 0, JUDGE: 0, STREAM: 0, ADMIN: 0, UNASSIGNED: 0, PENDING_STREAM: 0 }
 		};
@@ -76,15 +279,79 @@ export const INITIAL_DECK = [
 
 	/**
 	 * Cryptographically shuffles an array using the Fisher-Yates algorithm.
+	 * Indices are drawn from the OS CSPRNG via crypto.randomInt (rejection-sampled, so unbiased).
 	 * @param {Array} array - The array to shuffle (e.g., the role deck).
 	 * @returns {Array} The shuffled array.
 	 */
 	export function shuffle(array) {
 		let currentIndex = array.length, randomIndex;
 		while (currentIndex !== 0) {
-			randomIndex = Math.floor(Math.random() * currentIndex);
+			randomIndex = crypto.randomInt(currentIndex);
 			currentIndex--;
 			[array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
 		}
 		return array;
+	}
+
+	/**
+	 * Picks a uniformly random element using the CSPRNG.
+	 * @param {Array} array - A non-empty array.
+	 * @returns {any} The chosen element.
+	 */
+	export function pickRandom(array) {
+		return array[crypto.randomInt(array.length)];
+	}
+
+	/**
+	 * Hashes the tray layout for the deck commitment.
+	 * Format: SHA-256 over "<salt>:<JSON array of roles ordered by slot index>", hex encoded.
+	 * @param {Object} slots - The slot index to role mapping.
+	 * @param {string} salt - The hex salt kept secret until the draft completes.
+	 * @returns {string} The hex digest.
+	 */
+	export function hashDeckOrder(slots, salt) {
+		const deckOrder = Object.keys(slots).sort((a, b) => a - b).map(index => slots[index]);
+		return crypto.createHash('sha256').update(`${salt}:${JSON.stringify(deckOrder)}`).digest('hex');
+	}
+
+	/**
+	 * Seals a freshly shuffled tray into a public commitment and its secret salt.
+	 * @param {Object} slots - The slot index to role mapping produced by START_DRAFT.
+	 * @returns {{ commitment: Object, salt: string }} The publishable commitment and the salt to keep server-side.
+	 */
+	export function createDeckCommitment(slots) {
+		const salt = crypto.randomBytes(32).toString('hex');
+		return {
+			salt,
+			commitment: {
+				algorithm: 'SHA-256',
+				hash: hashDeckOrder(slots, salt),
+				committedAt: Date.now(),
+				salt: null,
+				deckOrder: null,
+				revealedAt: null
+			}
+		};
+	}
+
+	/**
+	 * Opens the commitment once the draft is over so anyone can recompute the hash.
+	 * @param {Object} gs - The room's game state (mutated in place).
+	 */
+	export function revealDeckCommitment(gs) {
+		if (!gs.deckCommitment || !gs.deckSalt) return;
+		gs.deckCommitment.salt = gs.deckSalt;
+		gs.deckCommitment.deckOrder = Object.keys(gs.slots).sort((a, b) => a - b).map(index => gs.slots[index]);
+		gs.deckCommitment.revealedAt = Date.now();
+	}
+
+	/**
+	 * Closes an opened commitment again when the last pick is undone and the draft reopens.
+	 * @param {Object} gs - The room's game state (mutated in place).
+	 */
+	export function concealDeckCommitment(gs) {
+		if (!gs.deckCommitment) return;
+		gs.deckCommitment.salt = null;
+		gs.deckCommitment.deckOrder = null;
+		gs.deckCommitment.revealedAt = null;
 	}
\ No newline at end of file
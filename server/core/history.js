@@ -0,0 +1,100 @@
+/**
+ * @file server/core/history.js
+ * @description Archive of completed drafts. Every table that reaches COMPLETED is copied here
+ * before RESET_DRAFT or the next START_DRAFT can wipe its results; the archive lives in the vault
+ * alongside the rooms (state.draftHistory) and is append-only, except that undoing a draft's last
+ * pick withdraws the game it archived.
+ */
+import crypto from 'crypto';
+import { state } from './state.js';
+
+/**
+ * Copies a just-completed draft into the archive. Callers persist with saveState().
+ * @param {string} roomId - The room whose draft has finished.
+ * @returns {Object} The archived entry.
+ */
+	export function archiveDraft(roomId) {
+		const gs = state.rooms[roomId].gameState;
+		const gameNumber = state.draftHistory.filter(entry => entry.roomId === roomId).length + 1;
+
+		const results = snapshotResults(roomId);
+
+		const entry = {
+			id: crypto.randomUUID(),
+			roomId,
+			gameNumber,
+			deckId: gs.settings.deck.id,
+			tableSize: gs.settings.deck.size,
+			startedAt: gs.draftStartTime,
+			completedAt: Date.now(),
+			startedBy: gs.startedBy || null,
+			results,
+			hadForcedPick: Object.values(results).some(pick => pick.forced),
+			undoCount: gs.undoLog?.length || 0,
+			deckCommitment: gs.deckCommitment
+		};
+
+		state.draftHistory.push(entry);
+		console.log(`[HISTORY] Archived game #${gameNumber} for room ${roomId}.`);
+		return entry;
+	}
+
+/**
+ * Withdraws a room's latest archived game because its last pick was undone and the draft reopened.
+ * Callers persist with saveState(), which rewrites the vault since the journal only appends games.
+ * @param {string} roomId - The room whose draft reopened.
+ * @returns {Object|null} The withdrawn entry, or null if the room has none.
+ */
+	export function unarchiveDraft(roomId) {
+		const index = state.draftHistory.findLastIndex(entry => entry.roomId === roomId);
+		if (index === -1) return null;
+
+		const [entry] = state.draftHistory.splice(index, 1);
+		console.log(`[HISTORY] Withdrew game #${entry.gameNumber} for room ${roomId}.`);
+		return entry;
+	}
+
+/**
+ * Copies a room's live results with each pick's team and player resolved,
+ * so the record stays readable after the deck, seating or registry changes.
+ * Seats without a registry player fall back to the Single Mode tablet's device name.
+ * @param {string} roomId - The room to snapshot.
+ * @returns {Object} seat number -> { role, team, playerId, playerName, realName, club, slotIndex, forced, pickedAt }.
+ */
+	export function snapshotResults(roomId) {
+		const gs = state.rooms[roomId].gameState;
+		const seatNames = getSeatNames(roomId);
+		const results = {};
+
+		for (const [seat, pick] of Object.entries(gs.results)) {
+			const player = state.players[gs.seating?.[seat]];
+			results[seat] = {
+				role: pick.role,
+				team: gs.settings.deck.roles.find(r => r.role === pick.role)?.team || 'TOWN',
+				playerId: player?.id || null,
+				playerName: player?.nickname || seatNames[seat] || null,
+				realName: player?.realName || null,
+				club: player?.club || null,
+				slotIndex: pick.slotIndex,
+				forced: Boolean(pick.forced),
+				pickedAt: pick.pickedAt || null
+			};
+		}
+		return results;
+	}
+
+/**
+ * Maps seats to the device names of the Single Mode tablets assigned to them.
+ * Shared Mode tables have no per-seat devices, so their seats stay unnamed.
+ * @param {string} roomId - The room to look up.
+ * @returns {Object} seat number -> name.
+ */
+	export function getSeatNames(roomId) {
+		const names = {};
+		for (const session of Object.values(state.sessions)) {
+			if (session.roomId === roomId && session.role === 'PLAYER' && session.assignedSeat && !session.isPhantom) {
+				names[session.assignedSeat] = session.name || null;
+			}
+		}
+		return names;
+	}
@@ -0,0 +1,67 @@
+/**
+ * @file server/core/identity.js
+ * @description The server's long-term identity (state.serverIdentity): an ECDSA P-256 key pair kept in the vault.
+ * KEY_EXCHANGE signs every ephemeral ECDH key with it, and tablets pin the SHA-256 fingerprint of its
+ * public key on first pairing (or from the pairing QR code in the Admin panel), so a machine in the
+ * middle of the LAN cannot pose as the server. The identity belongs to the installation, not the
+ * tournament: snapshot rollbacks and backup restores keep the current key.
+ */
+import crypto from 'crypto';
+import { state, saveState } from './state.js';
+
+let pairingOrigin = null;
+
+/**
+ * Generates the identity on first boot. Called once after loadState().
+ * @param {string} origin - The LAN address tablets reach the server at, used in the pairing link.
+ */
+	export function initServerIdentity(origin) {
+		pairingOrigin = origin;
+		if (state.serverIdentity) return;
+
+		const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+		const { x, y } = publicKey.export({ format: 'jwk' });
+
+		state.serverIdentity = {
+			privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+			publicKey: Buffer.concat([Buffer.from([0x04]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')]).toString('hex'),
+			createdAt: Date.now()
+		};
+		saveState();
+		console.log(`[SECURITY] Generated server identity ${formatFingerprint(getServerFingerprint())}.`);
+	}
+
+/**
+ * @returns {string} SHA-256 of the uncompressed public key, as 64 hex characters.
+ */
+	export function getServerFingerprint() {
+		return crypto.createHash('sha256').update(Buffer.from(state.serverIdentity.publicKey, 'hex')).digest('hex');
+	}
+
+/**
+ * Groups a fingerprint for reading aloud or comparing by eye, e.g. "3F2A 9C01 ...".
+ */
+	export function formatFingerprint(fingerprint) {
+		return fingerprint.toUpperCase().match(/.{4}/g).join(' ');
+	}
+
+/**
+ * Signs one key exchange. The signature covers both ephemeral keys, so it cannot be replayed to another client.
+ * @param {string} clientPublicKeyHex - The client's ephemeral ECDH key, exactly as it was sent.
+ * @param {string} serverPublicKeyHex - The server's ephemeral ECDH key for this exchange.
+ * @returns {{ identityKey: string, signature: string }} The long-term public key and the raw (r || s) signature, in hex.
+ */
+	export function signKeyExchange(clientPublicKeyHex, serverPublicKeyHex) {
+		const transcript = Buffer.from(`${clientPublicKeyHex}:${serverPublicKeyHex}`, 'utf8');
+		const signature = crypto.sign('sha256', transcript, { key: state.serverIdentity.privateKey, dsaEncoding: 'ieee-p1363' });
+		return { identityKey: state.serverIdentity.publicKey, signature: signature.toString('hex') };
+	}
+
+/**
+ * What the Admin panel needs to pair a tablet.
+ * @returns {{ fingerprint: string, pairingUrl: string, createdAt: number }}
+ */
+	export function getPairingInfo() {
+		const fingerprint = getServerFingerprint();
+		return { fingerprint, pairingUrl: `${pairingOrigin}/?pin=${fingerprint}`, createdAt: state.serverIdentity.createdAt };
+	}
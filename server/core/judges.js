@@ -0,0 +1,81 @@
+/**
+ * @file server/core/judges.js
+ * @description Judge accounts (state.judgeAccounts): named logins the Admin hands out so a judge
+ * can claim a table's JUDGE role from the Lobby without waiting for ASSIGN_ROLE.
+ * Only the derived password key is stored; the login reuses the Admin challenge/HMAC handshake.
+ * A session claimed this way remembers the account in judgeAccountId, so revoking the account demotes it.
+ */
+import crypto from 'crypto';
+import { state } from './state.js';
+import { hashPassword } from './crypto.js';
+
+/**
+ * @param {string} name - The login name, compared case-insensitively.
+ * @returns {Object|null} The matching account.
+ */
+	export function findJudgeAccount(name) {
+		const key = name.trim().toLowerCase();
+		return Object.values(state.judgeAccounts).find(account => account.name.toLowerCase() === key) || null;
+	}
+
+/**
+ * Salt to hand out for a login challenge. Unknown names get a stable decoy,
+ * so the challenge does not reveal which accounts exist.
+ * @param {string} name - The login name.
+ */
+	export function getJudgeChallengeSalt(name) {
+		const account = findJudgeAccount(name);
+		if (account) return account.salt;
+
+		return crypto.createHmac('sha256', state.adminCredentials?.salt || 'judge')
+			.update(name.trim().toLowerCase())
+			.digest('hex')
+			.substring(0, 32);
+	}
+
+/**
+ * Creates an account. Callers persist with saveState({ judgeAccounts: [account.id] }).
+ * @param {Object} input - { name, password, roomId? }. Without roomId the account may claim any table.
+ * @returns {Promise<Object|null>} The created account, or null if the name is taken.
+ */
+	export async function createJudgeAccount({ name, password, roomId = null }) {
+		if (findJudgeAccount(name)) return null;
+
+		const credentials = await hashPassword(password);
+		// The name may have been taken while the key was being derived.
+		if (findJudgeAccount(name)) return null;
+
+		const id = crypto.randomUUID();
+		state.judgeAccounts[id] = { id, name: name.trim(), roomId, ...credentials, createdAt: Date.now(), lastLoginAt: null };
+		return state.judgeAccounts[id];
+	}
+
+/**
+ * Deletes an account and hands back the devices currently judging through it, for the caller to demote.
+ * @returns {string[]} Device IDs whose session holds the JUDGE role via this account.
+ */
+	export function revokeJudgeAccount(accountId) {
+		delete state.judgeAccounts[accountId];
+
+		return Object.entries(state.sessions)
+			.filter(([, session]) => session.judgeAccountId === accountId && session.role === 'JUDGE')
+			.map(([deviceId]) => deviceId);
+	}
+
+/**
+ * Lists the accounts for the Admin Security view, without credentials.
+ * @returns {Object[]} { id, name, roomId, createdAt, lastLoginAt, activeDevices }.
+ */
+	export function listJudgeAccounts() {
+		const sessions = Object.values(state.sessions);
+		return Object.values(state.judgeAccounts)
+			.map(({ id, name, roomId, createdAt, lastLoginAt }) => ({
+				id,
+				name,
+				roomId,
+				createdAt,
+				lastLoginAt,
+				activeDevices: sessions.filter(s => s.judgeAccountId === id && s.role === 'JUDGE').length
+			}))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
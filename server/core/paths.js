@@ -1,6 +1,9 @@
 /**
  * @file server/core/paths.js
  * @description Path resolution for both Development and Compiled Executable environments.
+ * Compiled builds keep their data in the platform's per-user data directory
+ * (Windows AppData, macOS Application Support, XDG_DATA_HOME on Linux);
+ * `--data-dir <path>` overrides it in any environment.
  */
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,14 +16,42 @@ export const isCompiled = process.argv.includes('--prod');
 
 export const INTERNAL_ROOT = isCompiled ? path.join(__dirname, '../../') : path.join(__dirname, '../../');
 
-	const getAppRoot = () => {
+	/**
+	 * Reads `--data-dir <path>` or `--data-dir=<path>` from the command line.
+	 * @returns {string|null} The absolute directory, or null if the flag is absent.
+	 */
+	const getDataDirArgument = () => {
+		const args = process.argv.slice(2);
+		const index = args.findIndex(arg => arg === '--data-dir' || arg.startsWith('--data-dir='));
+		if (index === -1) return null;
+
+		const value = args[index] === '--data-dir' ? args[index + 1] : args[index].slice('--data-dir='.length);
+		if (!value || value.startsWith('--')) {
+			console.error('[SYSTEM] FATAL: --data-dir requires a directory path.');
+			process.exit(1);
+		}
+		return path.resolve(value);
+	};
+
+	const getPlatformAppRoot = () => {
 		if (!isCompiled) return path.join(__dirname, '../../');
-		
+
 		if (process.platform === 'darwin') {
 			return path.join(os.homedir(), 'Library', 'Application Support', 'ClassicMafiaDraft');
 		}
-		
-		return 'C:/Users/' + os.userInfo().username + '/AppData/Roaming/ClassicMafiaDraft';
+
+		if (process.platform === 'win32') {
+			return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'ClassicMafiaDraft');
+		}
+
+		// Linux and other Unix-likes follow the XDG Base Directory spec, which ignores relative values.
+		const xdgDataHome = process.env.XDG_DATA_HOME;
+		const dataHome = xdgDataHome && path.isAbsolute(xdgDataHome) ? xdgDataHome : path.join(os.homedir(), '.local', 'share');
+		return path.join(dataHome, 'classic-mafia-draft');
 	};
 
-export const APP_ROOT = getAppRoot();
\ No newline at end of file
+/** Where the platform keeps this app's data. On Windows it is also the install directory the updater targets. */
+export const PLATFORM_APP_ROOT = getPlatformAppRoot();
+
+/** Root of all persistent data (vault, assets, backups), honouring --data-dir. */
+export const APP_ROOT = getDataDirArgument() || PLATFORM_APP_ROOT;
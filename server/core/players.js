@@ -0,0 +1,98 @@
+/**
+ * @file server/core/players.js
+ * @description Tournament-wide player registry (state.players) and its binding to seats.
+ * Each room keeps gameState.seating (seat -> player ID); the registry itself lives once in the vault
+ * so the same people can be seated at any table across the event.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { state } from './state.js';
+import { validatePayload } from './game.js';
+import { APP_ROOT } from './paths.js';
+
+/** @description Square WebP thumbnails uploaded through api/players.js, named <playerId>.webp. */
+export const PLAYER_PHOTOS_DIR = path.join(APP_ROOT, 'data/players');
+
+const PLAYER_FIELDS = {
+	nickname: { type: 'string', minLength: 1, maxLength: 30 },
+	realName: { type: 'string', maxLength: 60 },
+	club: { type: 'string', maxLength: 40 }
+};
+
+/**
+ * Validates Admin input for a registry entry. Optional fields may be omitted or empty.
+ * @param {Object} payload - { nickname, realName?, club? }.
+ * @returns {Object|null} The trimmed fields, or null if the input is invalid.
+ */
+	export function normalizePlayerInput(payload) {
+		if (!payload || typeof payload !== 'object') return null;
+
+		const trim = (value) => typeof value === 'string' ? value.trim() : value;
+		const input = {
+			nickname: trim(payload.nickname),
+			realName: trim(payload.realName ?? ''),
+			club: trim(payload.club ?? '')
+		};
+
+		if (!validatePayload(input, { type: 'object', fields: PLAYER_FIELDS })) return null;
+		return input;
+	}
+
+/**
+ * Adds a new player to the registry.
+ * @returns {Object} The created player.
+ */
+	export function createPlayer(input) {
+		const id = crypto.randomUUID();
+		state.players[id] = { id, ...input, photoVersion: null, createdAt: Date.now() };
+		return state.players[id];
+	}
+
+/**
+ * Removes a player from the registry, deletes their photo and unseats them from every room.
+ * @returns {Array<string>} The rooms whose seating changed.
+ */
+	export function deletePlayer(playerId) {
+		delete state.players[playerId];
+
+		const photoPath = path.join(PLAYER_PHOTOS_DIR, `${playerId}.webp`);
+		if (fs.existsSync(photoPath)) fs.unlinkSync(photoPath);
+
+		const touchedRooms = [];
+		for (const [roomId, room] of Object.entries(state.rooms)) {
+			const seating = room.gameState.seating || {};
+			for (const seat of Object.keys(seating)) {
+				if (seating[seat] === playerId) {
+					delete seating[seat];
+					touchedRooms.push(roomId);
+				}
+			}
+		}
+		return touchedRooms;
+	}
+
+/**
+ * Rooms currently seating the given player, for re-broadcasting after a profile change.
+ */
+	export function getRoomsSeatingPlayer(playerId) {
+		return Object.keys(state.rooms).filter(roomId =>
+			Object.values(state.rooms[roomId].gameState.seating || {}).includes(playerId)
+		);
+	}
+
+/**
+ * Public view of a room's seating for tablets and stream overlays.
+ * Real names stay on the Admin console; only the table-facing fields are sent.
+ * @returns {Object} seat number -> { id, nickname, club, photoVersion }.
+ */
+	export function getSeatPlayers(gs) {
+		const seatPlayers = {};
+		for (const [seat, playerId] of Object.entries(gs.seating || {})) {
+			const player = state.players[playerId];
+			if (player) {
+				seatPlayers[seat] = { id: player.id, nickname: player.nickname, club: player.club, photoVersion: player.photoVersion };
+			}
+		}
+		return seatPlayers;
+	}
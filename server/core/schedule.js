@@ -0,0 +1,170 @@
+/**
+ * @file server/core/schedule.js
+ * @description Multi-round tournament seating generator (state.schedule).
+ * Splits the registered players across the selected tables for every qualifying round,
+ * keeping repeat opponents and repeat seat numbers to a minimum, and pushes one round
+ * at a time into the rooms' gameState.seating.
+ */
+import crypto from 'crypto';
+import { state } from './state.js';
+import { shuffle } from './game.js';
+
+export const MAX_SCHEDULE_ROUNDS = 30;
+
+/** Independent random starts per round; the cheapest table split wins. */
+const RESTARTS_PER_ROUND = 8;
+const MAX_IMPROVEMENT_PASSES = 50;
+
+/**
+ * Builds a full schedule. Callers validate that the players exactly fill the tables.
+ * @param {Array<string>} playerIds - Registry IDs taking part.
+ * @param {Array<{roomId: string, size: number}>} tables - Tables in play, with their seat counts.
+ * @param {number} roundCount - Number of qualifying rounds.
+ * @returns {Object} The schedule: { id, createdAt, roomIds, playerIds, rounds, appliedRound, stats }.
+ */
+	export function generateSchedule(playerIds, tables, roundCount) {
+		// Players are handled by index; meetings[a][b] counts the rounds a and b shared a table.
+		const indices = playerIds.map((_, i) => i);
+		const meetings = indices.map(() => new Uint16Array(playerIds.length));
+		const seatCounts = indices.map(() => ({}));
+		const rounds = [];
+
+		for (let r = 0; r < roundCount; r++) {
+			let best = null;
+			for (let attempt = 0; attempt < RESTARTS_PER_ROUND; attempt++) {
+				const groups = splitIntoTables(shuffle([...indices]), tables);
+				improveTableSplit(groups, meetings);
+				const cost = groups.reduce((sum, group) => sum + groupCost(group, meetings), 0);
+				if (!best || cost < best.cost) best = { groups, cost };
+			}
+
+			const seating = {};
+			best.groups.forEach((group, t) => {
+				const order = assignSeats(group, seatCounts);
+				order.forEach((player, i) => {
+					seatCounts[player][i + 1] = (seatCounts[player][i + 1] || 0) + 1;
+					for (const other of group) {
+						if (other !== player) meetings[player][other]++;
+					}
+				});
+				seating[tables[t].roomId] = Object.fromEntries(order.map((player, i) => [i + 1, playerIds[player]]));
+			});
+
+			rounds.push({ seating });
+		}
+
+		const pairMeetings = indices.flatMap(a => indices.slice(a + 1).map(b => meetings[a][b])).filter(count => count > 0);
+
+		return {
+			id: crypto.randomUUID(),
+			createdAt: Date.now(),
+			roomIds: tables.map(t => t.roomId),
+			playerIds,
+			rounds,
+			appliedRound: null,
+			stats: {
+				repeatOpponents: pairMeetings.reduce((sum, count) => sum + count - 1, 0),
+				maxMeetings: Math.max(0, ...pairMeetings),
+				repeatSeats: seatCounts.reduce((sum, seats) =>
+					sum + Object.values(seats).reduce((s, count) => s + count - 1, 0), 0)
+			}
+		};
+	}
+
+/**
+ * Copies one round's seating into its rooms, replacing whatever seating they had.
+ * Players deleted from the registry since generation leave their seat empty.
+ * Callers check that every room is still PENDING with roles unlocked, then persist and broadcast.
+ * @param {number} roundIndex - Zero-based round to apply.
+ */
+	export function applyScheduleRound(roundIndex) {
+		const { seating } = state.schedule.rounds[roundIndex];
+
+		for (const [roomId, seats] of Object.entries(seating)) {
+			state.rooms[roomId].gameState.seating = Object.fromEntries(
+				Object.entries(seats).filter(([, playerId]) => state.players[playerId])
+			);
+		}
+		state.schedule.appliedRound = roundIndex;
+	}
+
+	function splitIntoTables(players, tables) {
+		let offset = 0;
+		return tables.map(({ size }) => {
+			const group = players.slice(offset, offset + size);
+			offset += size;
+			return group;
+		});
+	}
+
+	function groupCost(group, meetings) {
+		let cost = 0;
+		for (let i = 0; i < group.length; i++) {
+			for (let j = i + 1; j < group.length; j++) cost += meetings[group[i]][group[j]];
+		}
+		return cost;
+	}
+
+	/** Cost of `player` facing everyone at `group` except `skip`. */
+	function facingCost(player, group, skip, meetings) {
+		const row = meetings[player];
+		let cost = 0;
+		for (const other of group) {
+			if (other !== skip) cost += row[other];
+		}
+		return cost;
+	}
+
+	/**
+	 * Hill-climbs the table split by swapping players between tables while that
+	 * lowers the number of previous meetings at the same table.
+	 */
+	function improveTableSplit(groups, meetings) {
+		for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+			let improved = false;
+
+			for (let a = 0; a < groups.length; a++) {
+				for (let b = a + 1; b < groups.length; b++) {
+					for (let i = 0; i < groups[a].length; i++) {
+						for (let j = 0; j < groups[b].length; j++) {
+							const pa = groups[a][i];
+							const pb = groups[b][j];
+							const delta = facingCost(pb, groups[a], pa, meetings) + facingCost(pa, groups[b], pb, meetings)
+								- facingCost(pa, groups[a], pa, meetings) - facingCost(pb, groups[b], pb, meetings);
+
+							if (delta < 0) {
+								groups[a][i] = pb;
+								groups[b][j] = pa;
+								improved = true;
+							}
+						}
+					}
+				}
+			}
+			if (!improved) break;
+		}
+	}
+
+	/**
+	 * Seats a table's players, swapping pairs while that spreads each player across seat numbers
+	 * they have used least so far.
+	 * @returns {Array<number>} Player indices in seat order.
+	 */
+	function assignSeats(group, seatCounts) {
+		const order = shuffle([...group]);
+		const cost = (player, seatIndex) => seatCounts[player][seatIndex + 1] || 0;
+
+		for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+			let improved = false;
+			for (let i = 0; i < order.length; i++) {
+				for (let j = i + 1; j < order.length; j++) {
+					if (cost(order[i], j) + cost(order[j], i) < cost(order[i], i) + cost(order[j], j)) {
+						[order[i], order[j]] = [order[j], order[i]];
+						improved = true;
+					}
+				}
+			}
+			if (!improved) break;
+		}
+		return order;
+	}
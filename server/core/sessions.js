@@ -0,0 +1,115 @@
+/**
+ * @file server/core/sessions.js
+ * @description Housekeeping for the persisted device registry (state.sessions).
+ * Every session carries a lastSeen timestamp; offline devices that hold no role or seat
+ * expire after SESSION_TTL_MS, as do devices whose table has since been deleted.
+ * Banned devices are kept so the ban survives until an Admin lifts it.
+ */
+import { state, saveState } from './state.js';
+import { recordAudit } from './audit.js';
+
+export const SESSION_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+export const SESSION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/** Roles that hold nothing worth keeping once the device stops coming back. */
+const EXPIRABLE_ROLES = ['UNASSIGNED', 'PENDING_STREAM'];
+
+/**
+ * Expires stale sessions once at boot and then every SESSION_SWEEP_INTERVAL_MS. Called once after initAudit().
+ * @param {Function} [onExpired] - Called with the removed device IDs after a sweep that removed any.
+ */
+	export function initSessions(onExpired) {
+		const sweep = () => {
+			const { removed, stamped } = pruneSessions();
+			saveState({ sessions: [...removed, ...stamped] });
+			if (removed.length === 0) return;
+
+			console.log(`[SESSIONS] Expired ${removed.length} stale device session(s).`);
+			recordAudit('SESSIONS_EXPIRED', { details: { count: removed.length } });
+			onExpired?.(removed);
+		};
+
+		sweep();
+		setInterval(sweep, SESSION_SWEEP_INTERVAL_MS).unref();
+	}
+
+/**
+ * Stamps a session as seen now. Callers persist with saveState({ sessions: [deviceId] }).
+ * @param {string} deviceId - The device to stamp.
+ */
+	export function touchSession(deviceId) {
+		if (state.sessions[deviceId]) state.sessions[deviceId].lastSeen = Date.now();
+	}
+
+/**
+ * @param {string} deviceId - The device to look up.
+ * @returns {boolean} True if an Admin has banned the device.
+ */
+	export function isDeviceBanned(deviceId) {
+		return Boolean(deviceId && state.sessions[deviceId]?.banned);
+	}
+
+/**
+ * @param {string} deviceId - The device to look up.
+ * @returns {Object[]} The live state.clients entries of the device, one per open socket.
+ */
+	export function getDeviceClients(deviceId) {
+		return Object.values(state.clients).filter(c => c.deviceId === deviceId);
+	}
+
+/**
+ * Deletes offline sessions that are stale: unassigned (or orphaned by a deleted table)
+ * and not seen for SESSION_TTL_MS. Sessions persisted before lastSeen existed are stamped
+ * instead, so they get a full TTL from the upgrade rather than expiring at once.
+ * Callers persist with saveState({ sessions: [...removed, ...stamped] }).
+ * @param {number} [now] - The reference time.
+ * @returns {{ removed: string[], stamped: string[] }} The device IDs removed, and those stamped with a first lastSeen.
+ */
+	export function pruneSessions(now = Date.now()) {
+		const online = new Set(Object.values(state.clients).map(c => c.deviceId));
+		const removed = [];
+		const stamped = [];
+
+		for (const [deviceId, session] of Object.entries(state.sessions)) {
+			if (session.isPhantom || session.banned || online.has(deviceId)) continue;
+
+			if (!session.lastSeen) {
+				session.lastSeen = now;
+				stamped.push(deviceId);
+				continue;
+			}
+
+			const orphaned = session.roomId && session.roomId !== 'GLOBAL' && !state.rooms[session.roomId];
+			if (!orphaned && !EXPIRABLE_ROLES.includes(session.role)) continue;
+
+			if (now - session.lastSeen >= SESSION_TTL_MS) {
+				delete state.sessions[deviceId];
+				removed.push(deviceId);
+			}
+		}
+		return { removed, stamped };
+	}
+
+/**
+ * Lists every known device (phantoms excluded) for the Admin Devices view, newest first.
+ * @returns {Object[]} { deviceId, name, role, roomId, assignedSeat, lastSeen, banned, online, ip }.
+ */
+	export function listDevices() {
+		return Object.entries(state.sessions)
+			.filter(([, session]) => !session.isPhantom)
+			.map(([deviceId, session]) => {
+				const clients = getDeviceClients(deviceId);
+				return {
+					deviceId,
+					name: session.name || null,
+					role: session.role,
+					roomId: session.roomId || null,
+					assignedSeat: session.assignedSeat || null,
+					lastSeen: clients.length > 0 ? Date.now() : (session.lastSeen || null),
+					banned: Boolean(session.banned),
+					online: clients.length > 0,
+					ip: clients[0]?.ip || null
+				};
+			})
+			.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+	}
@@ -0,0 +1,128 @@
+/**
+ * @file server/core/snapshots.js
+ * @description Rotating point-in-time snapshots of the tournament state, kept next to the vault.
+ * A snapshot is taken before every destructive Admin action and on a timer while the state changes,
+ * so a deleted room or a bad settings update can be rolled back (see socket/restore.js).
+ * Each snapshot is one file sealed with the vault's AES-GCM key.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { STORAGE_DIR, getPersistedData, getJournalSeq } from './state.js';
+import { encryptStorage, decryptStorage } from './crypto.js';
+
+export const SNAPSHOTS_DIR = path.join(STORAGE_DIR, 'snapshots');
+export const MAX_SNAPSHOTS = 30;
+
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+
+/** Snapshot metadata, newest first. Contents stay on disk until previewed or restored. */
+let index = [];
+
+/**
+ * Loads the snapshot index from disk and starts the periodic snapshots. Called once after loadState().
+ */
+	export function initSnapshots() {
+		if (!fs.existsSync(SNAPSHOTS_DIR)) fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+
+		index = fs.readdirSync(SNAPSHOTS_DIR)
+			.filter(file => file.endsWith('.snap'))
+			.map(file => decryptStorage(fs.readFileSync(path.join(SNAPSHOTS_DIR, file), 'utf8'))?.meta)
+			.filter(Boolean)
+			.sort((a, b) => b.createdAt - a.createdAt);
+
+		setInterval(() => takeSnapshot('PERIODIC'), SNAPSHOT_INTERVAL_MS).unref();
+	}
+
+/**
+ * Seals the current state into a new snapshot and rotates out the oldest ones.
+ * @param {string} reason - What prompted it, e.g. 'PERIODIC' or 'DELETE_ROOM'.
+ * @param {string} [detail] - Free-text context shown in the Admin list, e.g. the room deleted.
+ * @param {Object} [options] - { force } writes one even if the state has not changed since the newest snapshot.
+ * @returns {Object|null} The snapshot metadata, or null if none was written.
+ */
+	export function takeSnapshot(reason, detail = null, { force = false } = {}) {
+		// An unchanged journal sequence means the newest snapshot already holds this exact state.
+		if (!force && index[0] && getJournalSeq() === index[0].journalSeq) return null;
+
+		const data = getPersistedData();
+		const meta = {
+			id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+			createdAt: Date.now(),
+			reason,
+			detail,
+			journalSeq: getJournalSeq(),
+			rooms: Object.keys(data.rooms).length,
+			sessions: Object.keys(data.sessions).length,
+			players: Object.keys(data.players).length,
+			games: data.draftHistory.length
+		};
+
+		const sealed = encryptStorage({ meta, data });
+		if (!sealed) return null;
+
+		try {
+			fs.writeFileSync(snapshotPath(meta.id), sealed);
+		} catch (err) {
+			console.error('[STORAGE] Failed to write snapshot!', err);
+			return null;
+		}
+
+		index.unshift(meta);
+		index.splice(MAX_SNAPSHOTS).forEach(old => fs.rmSync(snapshotPath(old.id), { force: true }));
+
+		console.log(`[STORAGE] Snapshot taken (${reason}${detail ? `: ${detail}` : ''}).`);
+		return meta;
+	}
+
+	export function listSnapshots() {
+		return index;
+	}
+
+/**
+ * Reads a snapshot's full persisted data.
+ * @returns {Object|null} The data as returned by getPersistedData(), or null if missing or damaged.
+ */
+	export function readSnapshotData(snapshotId) {
+		if (!index.some(meta => meta.id === snapshotId)) return null;
+
+		try {
+			return decryptStorage(fs.readFileSync(snapshotPath(snapshotId), 'utf8'))?.data || null;
+		} catch (err) {
+			return null;
+		}
+	}
+
+/**
+ * Summarises what a snapshot holds, for the Admin preview before a rollback.
+ * @returns {Object|null} { meta, rooms, sessions, players, games, schedule }.
+ */
+	export function previewSnapshot(snapshotId) {
+		const data = readSnapshotData(snapshotId);
+		if (!data) return null;
+
+		return {
+			meta: index.find(meta => meta.id === snapshotId),
+			rooms: Object.entries(data.rooms).map(([roomId, { gameState: gs }]) => ({
+				roomId,
+				status: gs.status,
+				deckSize: gs.settings.deck.size,
+				picks: Object.keys(gs.results || {}).length,
+				seated: Object.keys(gs.seating || {}).length,
+				areRolesLocked: gs.areRolesLocked
+			})),
+			sessions: Object.entries(data.sessions).map(([deviceId, session]) => ({
+				deviceId: deviceId.substring(0, 8),
+				name: session.name,
+				role: session.role,
+				roomId: session.roomId
+			})),
+			players: Object.keys(data.players).length,
+			games: data.draftHistory.length,
+			schedule: data.schedule ? { rounds: data.schedule.rounds.length, appliedRound: data.schedule.appliedRound } : null
+		};
+	}
+
+	function snapshotPath(snapshotId) {
+		return path.join(SNAPSHOTS_DIR, `${snapshotId}.snap`);
+	}
@@ -3,12 +3,15 @@
  * @description Centralized in-memory state management and persistent storage vault.
  * Handles WASM-powered Reed-Solomon erasure coding for file self-healing, 
  * atomic disk writes, and backwards-compatible schema migrations.
+ * Routine saves only append the changed state units to the write-ahead journal (core/journal.js);
+ * the full sharded snapshot is rewritten when the journal is compacted.
  */
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 import { encryptStorage, decryptStorage } from './crypto.js';
+import { initJournal, appendJournal, readJournal, truncateJournal, getJournalSize } from './journal.js';
 import { ReedSolomonErasure } from '@subspace/reed-solomon-erasure.wasm';
 import { getInitialGameState } from './game.js';
 import { APP_ROOT, INTERNAL_ROOT } from './paths.js';
@@ -18,7 +21,7 @@ const __dirname = APP_ROOT;
 const packageData = JSON.parse(fs.readFileSync(path.join(INTERNAL_ROOT, 'server/package.json'), 'utf8'));
 
 export const APP_VERSION = packageData.version;
-export const DATA_SCHEMA_VERSION = 2;
+export const DATA_SCHEMA_VERSION = 3;
 
 // --- NEW VAULT ARCHITECTURE ---
 export const STORAGE_DIR = path.join(__dirname, 'data/storage');
@@ -30,8 +33,17 @@ if (!fs.existsSync(STORAGE_DIR)) {
   fs.mkdirSync(STORAGE_DIR, { recursive: true });
 }
 
+// --- JOURNAL COMPACTION POLICY ---
+const COMPACT_AFTER_ENTRIES = 500;
+const COMPACT_AFTER_BYTES = 4 * 1024 * 1024;
+const COMPACT_INTERVAL_MS = 5 * 60 * 1000;
+
+initJournal(STORAGE_DIR);
+
 export const state = {
   adminCredentials: null,
+  /** @description The Admin's TOTP second factor, or null while it is off (see core/totp.js). */
+  adminTotp: null,
   rooms: {},
   sessions: {},
   globalDebugMode: APP_VERSION.toLowerCase().includes('dev'),
@@ -48,8 +60,20 @@ export const state = {
       cardFront: { citizen: '', sheriff: '', mafia: '', don: '' }
     }
   },
-  /** @description In-memory mapping of temporary HTTP Bearer tokens to authorized Admin device IDs. */
-  uploadTokens: {}
+  /** @description In-memory HTTP Bearer tokens of Admin devices: token -> { deviceId, ip, issuedAt, expiresAt } (see core/tokens.js). */
+  uploadTokens: {},
+  /** @description Append-only archive of completed drafts (see core/history.js). */
+  draftHistory: [],
+  /** @description Tournament player registry keyed by player ID (see core/players.js). */
+  players: {},
+  /** @description The active multi-round seating schedule, or null (see core/schedule.js). */
+  schedule: null,
+  /** @description Judge logins created by the Admin, keyed by account ID (see core/judges.js). */
+  judgeAccounts: {},
+  /** @description The server's long-term signing key pair, generated on first boot (see core/identity.js). */
+  serverIdentity: null,
+  /** @description { count, hash } of the last audit log entry, anchoring the chain against truncation (see core/audit.js). */
+  auditHead: null
 };
 
 export const MAX_CONNECTIONS_PER_IP = 5;
@@ -66,20 +90,151 @@ try {
   console.error('[STORAGE] FATAL: Failed to load Reed-Solomon WASM engine.', err);
 }
 
+// --- JOURNALED PERSISTENCE ---
+// The persisted state is split into units: one per room, session, player, judge account and archived draft,
+// plus the singleton settings. persistedUnits caches each unit as last written, so a save
+// only serialises what it is asked to check and journals only what actually changed.
+
+const SINGLETON_UNITS = {
+  admin: () => state.adminCredentials,
+  adminTotp: () => state.adminTotp,
+  globalDebugMode: () => state.globalDebugMode,
+  globalSettings: () => state.globalSettings,
+  schedule: () => state.schedule,
+  serverIdentity: () => state.serverIdentity,
+  auditHead: () => state.auditHead
+};
+const KEYED_UNITS = ['rooms', 'sessions', 'players', 'judgeAccounts'];
+
+const persistedUnits = new Map();
+let persistedHistoryLength = 0;
+let journalSeq = 0;
+let journalEntries = 0;
+
 /**
- * Encrypts, shards, and atomically writes the state to disk using WebAssembly.
+ * Persists state changes by appending them to the write-ahead journal.
+ * @param {Object} [scope] - Hot paths may limit the check to the units they touched,
+ * e.g. { rooms: [roomId] } or { sessions: [deviceId] }. Singleton settings and newly
+ * archived drafts are always checked. Without a scope every unit is compared.
  */
-export function saveState() {
-	const data = {
-		version: APP_VERSION,
-		schemaVersion: DATA_SCHEMA_VERSION,
-		admin: state.adminCredentials,
-		rooms: state.rooms,
-		sessions: state.sessions,
-		globalDebugMode: state.globalDebugMode,
-		globalSettings: state.globalSettings
+export function saveState(scope) {
+	const set = {};
+	const del = [];
+
+	const compare = (key, value) => {
+		const serialized = JSON.stringify(value ?? null);
+		if (persistedUnits.get(key) !== serialized) {
+			set[key] = value ?? null;
+			persistedUnits.set(key, serialized);
+		}
 	};
-  
+
+	for (const [key, read] of Object.entries(SINGLETON_UNITS)) compare(key, read());
+
+	for (const collection of KEYED_UNITS) {
+		const ids = scope ? (scope[collection] || []) : Object.keys(state[collection]);
+		for (const id of ids) {
+			const key = `${collection}/${id}`;
+			if (state[collection][id] !== undefined) {
+				compare(key, state[collection][id]);
+			} else if (persistedUnits.delete(key)) {
+				del.push(key);
+			}
+		}
+
+		if (!scope) {
+			const prefix = `${collection}/`;
+			for (const key of persistedUnits.keys()) {
+				if (key.startsWith(prefix) && state[collection][key.slice(prefix.length)] === undefined) {
+					persistedUnits.delete(key);
+					del.push(key);
+				}
+			}
+		}
+	}
+
+	// The draft archive only shrinks when an undo withdraws a game, which the journal cannot express.
+	if (state.draftHistory.length < persistedHistoryLength) {
+		compactChangedState();
+		return;
+	}
+
+	// Otherwise the draft archive is append-only: only entries past the persisted length are new.
+	for (let i = persistedHistoryLength; i < state.draftHistory.length; i++) {
+		set[`draftHistory/${i}`] = state.draftHistory[i];
+	}
+	persistedHistoryLength = state.draftHistory.length;
+
+	if (Object.keys(set).length === 0 && del.length === 0) return;
+
+	if (!appendJournal({ seq: journalSeq + 1, set, del })) {
+		compactChangedState();
+		return;
+	}
+	journalSeq++;
+	journalEntries++;
+
+	if (journalEntries >= COMPACT_AFTER_ENTRIES || getJournalSize() >= COMPACT_AFTER_BYTES) {
+		compactState();
+	}
+}
+
+/**
+ * Persists a change the journal cannot carry (a withdrawn game, a restored tournament) by compacting,
+ * under a new sequence number all the same.
+ */
+export function compactChangedState() {
+	journalSeq++;
+	compactState();
+}
+
+/**
+ * Sequence number of the last journaled change. It only grows, so an unchanged value means an unchanged state.
+ */
+export function getJournalSeq() {
+	return journalSeq;
+}
+
+/**
+ * Applies one journal entry on top of the in-memory state during replay.
+ */
+function applyJournalEntry(entry) {
+	for (const [key, value] of Object.entries(entry.set || {})) {
+		const [collection, id] = key.split(/\/(.*)/s);
+		if (key === 'admin') state.adminCredentials = value;
+		else if (SINGLETON_UNITS[key]) state[key] = value;
+		else if (collection === 'draftHistory') state.draftHistory[Number(id)] = value;
+		else if (KEYED_UNITS.includes(collection)) state[collection][id] = value;
+	}
+	for (const key of entry.del || []) {
+		const [collection, id] = key.split(/\/(.*)/s);
+		if (KEYED_UNITS.includes(collection)) delete state[collection][id];
+	}
+}
+
+/**
+ * Re-primes the unit cache from the in-memory state, so the next save diffs against it.
+ */
+function resetPersistedUnits() {
+	persistedUnits.clear();
+	for (const [key, read] of Object.entries(SINGLETON_UNITS)) {
+		persistedUnits.set(key, JSON.stringify(read() ?? null));
+	}
+	for (const collection of KEYED_UNITS) {
+		for (const [id, value] of Object.entries(state[collection])) {
+			persistedUnits.set(`${collection}/${id}`, JSON.stringify(value));
+		}
+	}
+	persistedHistoryLength = state.draftHistory.length;
+}
+
+/**
+ * Folds the journal into a full snapshot: encrypts, shards, and atomically writes the state
+ * to disk using WebAssembly, then empties the journal. The snapshot records the last journal
+ * sequence it contains, so a crash between the two steps never replays stale entries.
+ */
+export function compactState() {
+  const data = { ...getPersistedData(), journalSeq };
   const encryptedPayload = encryptStorage(data);
   if (!encryptedPayload || !rsEngine) return;
 
@@ -109,11 +264,72 @@ export function saveState() {
         path.join(STORAGE_DIR, `shard_${i}.dat`)
       );
     }
+
+    truncateJournal();
+    journalEntries = 0;
+    resetPersistedUnits();
   } catch (err) {
     console.error('[STORAGE] FATAL: Failed to encode and write storage shards!', err);
   }
 }
 
+// Quiet tables still get their journal folded in regularly.
+setInterval(() => {
+  if (journalEntries > 0) compactState();
+}, COMPACT_INTERVAL_MS).unref();
+
+/**
+ * The persistent part of the state, as written to snapshots and backups.
+ */
+export function getPersistedData() {
+	return {
+		version: APP_VERSION,
+		schemaVersion: DATA_SCHEMA_VERSION,
+		admin: state.adminCredentials,
+		adminTotp: state.adminTotp,
+		rooms: state.rooms,
+		sessions: state.sessions,
+		globalDebugMode: state.globalDebugMode,
+		globalSettings: state.globalSettings,
+		draftHistory: state.draftHistory,
+		players: state.players,
+		schedule: state.schedule,
+		judgeAccounts: state.judgeAccounts,
+		serverIdentity: state.serverIdentity,
+		auditHead: state.auditHead
+	};
+}
+
+/**
+ * Loads persisted data (a snapshot, legacy store or backup) into memory, upgrading older schemas.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepCredentials] - Keep the live Admin password and 2FA, so a backup restore or a
+ * rollback cannot bring back a password that was changed or switch 2FA off. Only applies once the server is set up.
+ * @returns {boolean} False if the data's schema cannot be upgraded to the current one.
+ */
+export function restorePersistedData(parsed, { keepCredentials = false } = {}) {
+	parsed = upgradeDataSchema(parsed);
+	if (parsed.schemaVersion !== DATA_SCHEMA_VERSION) return false;
+
+	if (!keepCredentials || !state.adminCredentials) {
+		state.adminCredentials = parsed.admin;
+		state.adminTotp = parsed.adminTotp || null;
+	}
+	state.rooms = parsed.rooms || {};
+	state.sessions = parsed.sessions || {};
+	state.globalDebugMode = APP_VERSION.toLowerCase().includes('dev') ? true : (parsed.globalDebugMode || false);
+	state.draftHistory = parsed.draftHistory || [];
+	state.players = parsed.players || {};
+	state.schedule = parsed.schedule || null;
+	state.judgeAccounts = parsed.judgeAccounts || {};
+	// A running server keeps its own identity, so a rollback or a backup from elsewhere does not unpair the tablets.
+	state.serverIdentity = state.serverIdentity || parsed.serverIdentity || null;
+	// The audit log is never rolled back, so neither is its anchor.
+	state.auditHead = state.auditHead || parsed.auditHead || null;
+	if (parsed.globalSettings) state.globalSettings = parsed.globalSettings;
+	return true;
+}
+
 // --- SCHEMA UPGRADE PIPELINE ---
 function upgradeDataSchema(parsed) {
   const currentVersion = parsed.schemaVersion || 1;
@@ -130,7 +346,8 @@ function upgradeDataSchema(parsed) {
         parsed.rooms[roomId].gameState = { ...defaultState, ...gs };
         
         // Deep merge nested objects that might have been undefined in v1
-        if (!gs.settings) parsed.rooms[roomId].gameState.settings = defaultState.settings;
+        // (v2 rooms predate per-room decks and inherit the classic 10-player deck)
+        parsed.rooms[roomId].gameState.settings = { ...defaultState.settings, ...(gs.settings || {}) };
         if (!gs.clientCounts) parsed.rooms[roomId].gameState.clientCounts = defaultState.clientCounts;
       }
     }
@@ -155,13 +372,8 @@ export function loadState() {
       const rawData = fs.readFileSync(legacyStore, 'utf8');
       let parsed = rawData.startsWith('{') ? JSON.parse(rawData) : decryptStorage(rawData);
       
-		if (parsed) {
-			parsed = upgradeDataSchema(parsed);
-			state.adminCredentials = parsed.admin;
-			state.rooms = parsed.rooms || {};
-			state.sessions = parsed.sessions || {};
-			if (parsed.globalSettings) state.globalSettings = parsed.globalSettings;
-			saveState(); 
+		if (parsed && restorePersistedData(parsed)) {
+			compactState(); 
 			fs.unlinkSync(legacyStore); 
 			console.log('[STORAGE] Migration complete. Legacy file destroyed.');
 			return;
@@ -171,6 +383,34 @@ export function loadState() {
     }
   }
 
+  const snapshot = readSnapshot();
+  if (snapshot.unreadable) return;
+
+  if (snapshot.parsed) {
+    restorePersistedData(snapshot.parsed);
+    journalSeq = snapshot.parsed.journalSeq || 0;
+
+    console.log(`[STORAGE] Vault unlocked. Tournament state restored (Schema v${DATA_SCHEMA_VERSION}).`);
+  }
+
+  // Replay changes journaled since the snapshot was taken.
+  const pending = readJournal().filter(entry => entry.seq > journalSeq);
+  pending.forEach(applyJournalEntry);
+  if (pending.length > 0) {
+    journalSeq = pending[pending.length - 1].seq;
+    console.log(`[STORAGE] Replayed ${pending.length} journal entries.`);
+  }
+
+  resetPersistedUnits();
+  if (snapshot.healed || pending.length > 0) compactState();
+}
+
+/**
+ * Reads, mathematically heals (via WASM), and decrypts the shard snapshot.
+ * @returns {Object} { parsed, healed, unreadable }. An absent vault is not unreadable;
+ * a damaged one is, and its journal is then left untouched rather than replayed onto nothing.
+ */
+function readSnapshot() {
   const availableShards = [];
   let shardSize = 0;
 
@@ -186,11 +426,11 @@ export function loadState() {
   }
 
   const availableCount = availableShards.filter(s => s !== null).length;
-  if (availableCount === 0) return;
+  if (availableCount === 0) return { parsed: null, healed: false };
 
   if (availableCount < DATA_SHARDS) {
     console.error(`[STORAGE] CRITICAL FAILURE: Only ${availableCount} shards found. Unrecoverable data loss.`);
-    return;
+    return { parsed: null, unreadable: true };
   }
 
   const shardsArray = new Uint8Array(shardSize * TOTAL_SHARDS);
@@ -206,36 +446,31 @@ export function loadState() {
   }
 
 	try {
-		if (availableCount < TOTAL_SHARDS) {
+		const healed = availableCount < TOTAL_SHARDS;
+		if (healed) {
 			console.warn(`[STORAGE] WARNING: Missing or corrupted shards detected. Initiating WASM reconstruction...`);
 			
 			const result = rsEngine.reconstruct(shardsArray, DATA_SHARDS, PARITY_SHARDS, shardsAvailable);
 			if (result !== ReedSolomonErasure.RESULT_OK) throw new Error('WASM Reconstruction Failed');
 			
 			console.log(`[STORAGE] Self-healing complete. Data fully recovered.`);
-			saveState(); 
 		}
 
 		const cleanBuffer = Buffer.from(shardsArray.buffer, shardsArray.byteOffset, shardSize * DATA_SHARDS);
 		const encryptedString = cleanBuffer.toString('utf8').replace(/\x00+$/, ''); 
 
 		let parsed = decryptStorage(encryptedString);
-		if (!parsed) return;
+		if (!parsed) return { parsed: null, unreadable: true };
 		
 		parsed = upgradeDataSchema(parsed);
 
-		if (parsed.schemaVersion === DATA_SCHEMA_VERSION) {
-			state.adminCredentials = parsed.admin;
-			state.rooms = parsed.rooms || {};
-			state.sessions = parsed.sessions || {};
-			state.globalDebugMode = APP_VERSION.toLowerCase().includes('dev') ? true : (parsed.globalDebugMode || false);
-			if (parsed.globalSettings) state.globalSettings = parsed.globalSettings;
-			
-			console.log(`[STORAGE] Vault unlocked. Tournament state restored (Schema v${DATA_SCHEMA_VERSION}).`);
-		} else {
+		if (parsed.schemaVersion !== DATA_SCHEMA_VERSION) {
 			console.warn(`[WARNING] Data schema mismatch. Starting fresh.`);
+			return { parsed: null, unreadable: true };
 		}
+		return { parsed, healed };
 	} catch (err) {
 		console.error(`[ERROR] Vault reconstruction failed.`, err);
+		return { parsed: null, unreadable: true };
 	}
-}
\ No newline at end of file
+}
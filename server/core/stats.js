@@ -0,0 +1,128 @@
+/**
+ * @file server/core/stats.js
+ * @description Tournament-wide role statistics computed from the draft archive (core/history.js).
+ * Counts roles per player and per seat, and runs a chi-square goodness-of-fit test per slot
+ * index and per seat so organisers can check that the draft RNG shows no positional bias.
+ */
+import { state } from './state.js';
+
+/** Below this expected count per role the chi-square approximation is unreliable. */
+const MIN_EXPECTED_COUNT = 5;
+/** p-values under this threshold are flagged for a closer look. */
+const SUSPECT_P_VALUE = 0.01;
+
+/**
+ * Aggregates every archived draft, optionally limited to one room.
+ * Each game's own results define its deck, so custom and mixed-size decks are handled alike.
+ * @param {string} [roomId] - Restrict the statistics to one table.
+ * @returns {Object} { games, roles, players, seats, slotFairness, seatFairness }.
+ */
+	export function computeStatistics(roomId) {
+		const games = state.draftHistory.filter(entry => !roomId || entry.roomId === roomId);
+		const roleTotals = {};
+		const players = {};
+		const seats = {};
+		const slotSamples = {};
+		const seatSamples = {};
+
+		for (const game of games) {
+			const picks = Object.entries(game.results);
+			const deckShare = {};
+			for (const [, pick] of picks) deckShare[pick.role] = (deckShare[pick.role] || 0) + 1 / picks.length;
+
+			for (const [seat, pick] of picks) {
+				roleTotals[pick.role] = (roleTotals[pick.role] || 0) + 1;
+
+				const playerKey = pick.playerId || (pick.playerName ? `name:${pick.playerName}` : null);
+				if (playerKey) {
+					players[playerKey] ||= {
+						playerId: pick.playerId,
+						nickname: state.players[pick.playerId]?.nickname || pick.playerName,
+						games: 0,
+						roles: {}
+					};
+					players[playerKey].games++;
+					countRole(players[playerKey].roles, pick.role);
+				}
+
+				seats[seat] ||= { games: 0, roles: {} };
+				seats[seat].games++;
+				countRole(seats[seat].roles, pick.role);
+
+				addSample(slotSamples, pick.slotIndex + 1, pick.role, deckShare);
+				addSample(seatSamples, seat, pick.role, deckShare);
+			}
+		}
+
+		return {
+			roomId: roomId || null,
+			games: games.length,
+			roles: Object.keys(roleTotals).sort((a, b) => roleTotals[b] - roleTotals[a]),
+			players: Object.values(players).sort((a, b) => String(a.nickname).localeCompare(String(b.nickname))),
+			seats,
+			slotFairness: summarizeFairness(slotSamples),
+			seatFairness: summarizeFairness(seatSamples)
+		};
+	}
+
+	function countRole(roles, role) {
+		roles[role] = (roles[role] || 0) + 1;
+	}
+
+	/**
+	 * Records one observed pick at a position along with the expected role distribution for that game.
+	 */
+	function addSample(samples, position, role, deckShare) {
+		samples[position] ||= { observed: {}, expected: {}, n: 0 };
+		const sample = samples[position];
+
+		sample.n++;
+		countRole(sample.observed, role);
+		for (const [deckRole, share] of Object.entries(deckShare)) {
+			sample.expected[deckRole] = (sample.expected[deckRole] || 0) + share;
+		}
+	}
+
+	/**
+	 * Chi-square goodness of fit of observed against expected role counts per position.
+	 * @returns {Array<Object>} { position, n, chiSquare, degreesOfFreedom, pValue, verdict } per position.
+	 */
+	function summarizeFairness(samples) {
+		return Object.entries(samples)
+			.map(([position, { observed, expected, n }]) => {
+				const roles = Object.keys(expected);
+				const chiSquare = roles.reduce((sum, role) => sum + ((observed[role] || 0) - expected[role]) ** 2 / expected[role], 0);
+				const degreesOfFreedom = roles.length - 1;
+				const pValue = degreesOfFreedom > 0 ? chiSquarePValue(chiSquare, degreesOfFreedom) : 1;
+
+				let verdict = 'OK';
+				if (degreesOfFreedom === 0 || roles.some(role => expected[role] < MIN_EXPECTED_COUNT)) verdict = 'LOW_DATA';
+				else if (pValue < SUSPECT_P_VALUE) verdict = 'SUSPECT';
+
+				return {
+					position: Number(position),
+					n,
+					chiSquare: Number(chiSquare.toFixed(3)),
+					degreesOfFreedom,
+					pValue: Number(pValue.toFixed(4)),
+					verdict
+				};
+			})
+			.sort((a, b) => a.position - b.position);
+	}
+
+	/**
+	 * Upper-tail probability of the chi-square distribution via the Wilson–Hilferty approximation,
+	 * accurate to a few thousandths for the degrees of freedom a mafia deck produces.
+	 */
+	function chiSquarePValue(x, k) {
+		const z = (Math.cbrt(x / k) - (1 - 2 / (9 * k))) / Math.sqrt(2 / (9 * k));
+		return 1 - normalCdf(z);
+	}
+
+	/** Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation). */
+	function normalCdf(z) {
+		const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+		const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-(z * z) / 2);
+		return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+	}
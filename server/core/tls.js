@@ -0,0 +1,217 @@
+/**
+ * @file server/core/tls.js
+ * @description Optional HTTPS mode (`--https`). The server runs its own local certificate authority, kept in data/tls
+ * next to the vault: the CA is created once and never changes, so a tablet that trusts it keeps trusting the server,
+ * while the server certificate it signs is reissued whenever the addresses it must cover change or it nears expiry.
+ * The CA certificate is offered for download at /api/system/ca-certificate.
+ */
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import net from 'net';
+import crypto from 'crypto';
+import forge from 'node-forge';
+import { APP_ROOT } from './paths.js';
+
+export const isHttpsEnabled = process.argv.includes('--https');
+export const TLS_DIR = path.join(APP_ROOT, 'data/tls');
+
+const CA_VALIDITY_YEARS = 10;
+/** The longest server certificate lifetime Apple devices accept from a private CA. */
+const SERVER_CERT_VALIDITY_DAYS = 825;
+const RENEW_BEFORE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const NAME_CONSTRAINTS_OID = '2.5.29.30';
+/**
+ * The CA may only vouch for names on the local network: loopback, private and link-local IPv4 ranges, and
+ * localhost, this machine's hostname and mDNS (.local) names. A whole range rather than today's LAN address,
+ * because the CA must outlive DHCP leases; a leaked CA key still cannot impersonate sites on the internet.
+ */
+const PERMITTED_IPV4_RANGES = [
+	['127.0.0.0', '255.0.0.0'],
+	['10.0.0.0', '255.0.0.0'],
+	['172.16.0.0', '255.240.0.0'],
+	['192.168.0.0', '255.255.0.0'],
+	['169.254.0.0', '255.255.0.0']
+];
+
+const CA_KEY_PATH = path.join(TLS_DIR, 'ca.key');
+const CA_CERT_PATH = path.join(TLS_DIR, 'ca.crt');
+const SERVER_KEY_PATH = path.join(TLS_DIR, 'server.key');
+const SERVER_CERT_PATH = path.join(TLS_DIR, 'server.crt');
+
+/**
+ * Node generates the RSA keys (forge's pure-JS generator takes seconds); forge only assembles and signs the certificates.
+ */
+	const generateKeyPair = () => crypto.generateKeyPairSync('rsa', {
+		modulusLength: 2048,
+		publicKeyEncoding: { type: 'spki', format: 'pem' },
+		privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+	});
+
+	const writePrivate = (file, pem) => fs.writeFileSync(file, pem, { mode: 0o600 });
+
+/**
+ * Builds and signs one certificate.
+ * @param {Object} options - { subject, issuer, publicKeyPem, signingKeyPem, validForMs, extensions }.
+ * @returns {string} The certificate in PEM.
+ */
+	function signCertificate({ subject, issuer, publicKeyPem, signingKeyPem, validForMs, extensions }) {
+		const cert = forge.pki.createCertificate();
+		cert.publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+		// A positive serial: the first byte is kept below 0x80.
+		cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+		cert.validity.notBefore = new Date(Date.now() - 5 * 60 * 1000);
+		cert.validity.notAfter = new Date(Date.now() + validForMs);
+		cert.setSubject(subject);
+		cert.setIssuer(issuer);
+		cert.setExtensions(extensions);
+		cert.sign(forge.pki.privateKeyFromPem(signingKeyPem), forge.md.sha256.create());
+		return forge.pki.certificateToPem(cert);
+	}
+
+/**
+ * Builds the critical nameConstraints extension for the CA (forge has no encoder for it).
+ */
+	function buildNameConstraints(dnsNames) {
+		const { asn1 } = forge;
+		const subtree = (tag, bytes) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+			asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, false, bytes)
+		]);
+		const permitted = asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+			...dnsNames.map(name => subtree(2, name)),
+			...PERMITTED_IPV4_RANGES.map(([ip, mask]) => subtree(7, forge.util.bytesFromIP(ip) + forge.util.bytesFromIP(mask)))
+		]);
+		return { id: NAME_CONSTRAINTS_OID, critical: true, value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [permitted]) };
+	}
+
+/**
+ * Reads back the DNS names a CA certificate may vouch for.
+ * @returns {string[]|null} The permitted DNS names, or null if the CA is not name-constrained.
+ */
+	function readPermittedDnsNames(caCertPem) {
+		const extension = forge.pki.certificateFromPem(caCertPem).getExtension({ id: NAME_CONSTRAINTS_OID });
+		if (!extension) return null;
+
+		const [permitted] = forge.asn1.fromDer(extension.value).value.filter(node => node.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+		return (permitted?.value || []).map(subtree => subtree.value[0]).filter(name => name.type === 2).map(name => name.value);
+	}
+
+	const toIpv4Number = (ip) => ip.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+/**
+ * Whether a host falls inside what the CA may vouch for. A certificate naming anything else would be rejected
+ * whole by the tablets, so such hosts are left out of it.
+ */
+	function isPermittedHost(host, permittedDnsNames) {
+		if (!permittedDnsNames) return true;
+		if (net.isIPv4(host)) {
+			return PERMITTED_IPV4_RANGES.some(([ip, mask]) => ((toIpv4Number(host) & toIpv4Number(mask)) >>> 0) === toIpv4Number(ip));
+		}
+		if (net.isIP(host)) return false;
+		const name = host.toLowerCase();
+		return permittedDnsNames.some(permitted => name === permitted || name.endsWith(`.${permitted}`));
+	}
+
+/**
+ * Loads the CA, creating it on first use.
+ * @returns {{ key: string, cert: string }} The CA key and certificate in PEM.
+ */
+	function loadOrCreateCa() {
+		if (fs.existsSync(CA_KEY_PATH) && fs.existsSync(CA_CERT_PATH)) {
+			return { key: fs.readFileSync(CA_KEY_PATH, 'utf8'), cert: fs.readFileSync(CA_CERT_PATH, 'utf8') };
+		}
+
+		const { publicKey, privateKey } = generateKeyPair();
+		const name = [
+			{ name: 'commonName', value: `Classic Mafia Draft Local CA (${os.hostname()})` },
+			{ name: 'organizationName', value: 'Classic Mafia Draft' }
+		];
+		const cert = signCertificate({
+			subject: name,
+			issuer: name,
+			publicKeyPem: publicKey,
+			signingKeyPem: privateKey,
+			validForMs: CA_VALIDITY_YEARS * 365 * 24 * 60 * 60 * 1000,
+			extensions: [
+				{ name: 'basicConstraints', cA: true, pathLenConstraint: 0, critical: true },
+				{ name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+				buildNameConstraints([...new Set(['localhost', 'local', os.hostname().toLowerCase()].filter(name => /^[a-z0-9.-]+$/.test(name)))]),
+				{ name: 'subjectKeyIdentifier' }
+			]
+		});
+
+		writePrivate(CA_KEY_PATH, privateKey);
+		fs.writeFileSync(CA_CERT_PATH, cert);
+		console.log('[TLS] Created a local certificate authority. Install data/tls/ca.crt on the tablets to trust this server.');
+		return { key: privateKey, cert };
+	}
+
+/**
+ * Whether the stored server certificate was signed by this CA, covers every host and is not about to expire.
+ */
+	function isServerCertificateUsable(certPem, ca, hosts) {
+		try {
+			const cert = new crypto.X509Certificate(certPem);
+			if (!cert.checkIssued(new crypto.X509Certificate(ca.cert))) return false;
+			if (new Date(cert.validTo).getTime() - Date.now() < RENEW_BEFORE_MS) return false;
+			return hosts.every(host => net.isIP(host) ? cert.checkIP(host) : cert.checkHost(host));
+		} catch {
+			return false;
+		}
+	}
+
+/**
+ * Returns the key and certificate chain for https.createServer, issuing a new server certificate when needed.
+ * @param {string} lanIp - The LAN address tablets connect to (getLocalIpAddress in index.js).
+ * @returns {{ key: string, cert: string }} PEM key and the server certificate followed by the CA certificate.
+ */
+	export function getTlsCredentials(lanIp) {
+		fs.mkdirSync(TLS_DIR, { recursive: true });
+		const ca = loadOrCreateCa();
+
+		const permittedDnsNames = readPermittedDnsNames(ca.cert);
+		const candidates = [...new Set(['localhost', '127.0.0.1', os.hostname(), lanIp].filter(host => host && (net.isIP(host) || /^[a-z0-9.-]+$/i.test(host))))];
+		const hosts = candidates.filter(host => isPermittedHost(host, permittedDnsNames));
+		candidates.filter(host => !hosts.includes(host)).forEach(host => {
+			console.warn(`[TLS] ${host} is outside the names the local CA may vouch for; HTTPS will not be trusted at that address.`);
+		});
+
+		if (fs.existsSync(SERVER_KEY_PATH) && fs.existsSync(SERVER_CERT_PATH)) {
+			const cert = fs.readFileSync(SERVER_CERT_PATH, 'utf8');
+			if (isServerCertificateUsable(cert, ca, hosts)) {
+				return { key: fs.readFileSync(SERVER_KEY_PATH, 'utf8'), cert: cert + ca.cert };
+			}
+		}
+
+		const { publicKey, privateKey } = generateKeyPair();
+		const cert = signCertificate({
+			subject: [{ name: 'commonName', value: lanIp && net.isIP(lanIp) ? lanIp : 'localhost' }],
+			issuer: forge.pki.certificateFromPem(ca.cert).subject.attributes,
+			publicKeyPem: publicKey,
+			signingKeyPem: ca.key,
+			validForMs: SERVER_CERT_VALIDITY_DAYS * 24 * 60 * 60 * 1000,
+			extensions: [
+				{ name: 'basicConstraints', cA: false, critical: true },
+				{ name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+				{ name: 'extKeyUsage', serverAuth: true },
+				{ name: 'subjectAltName', altNames: hosts.map(host => net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host }) }
+			]
+		});
+
+		writePrivate(SERVER_KEY_PATH, privateKey);
+		fs.writeFileSync(SERVER_CERT_PATH, cert);
+		console.log(`[TLS] Issued a server certificate for ${hosts.join(', ')}.`);
+		return { key: privateKey, cert: cert + ca.cert };
+	}
+
+/**
+ * @returns {{ certificate: string, fingerprint: string }|null} The CA certificate (PEM) and its SHA-256 fingerprint,
+ * or null when HTTPS is off or the CA has not been created.
+ */
+	export function getCaCertificate() {
+		if (!isHttpsEnabled || !fs.existsSync(CA_CERT_PATH)) return null;
+
+		const certificate = fs.readFileSync(CA_CERT_PATH, 'utf8');
+		return { certificate, fingerprint: new crypto.X509Certificate(certificate).fingerprint256 };
+	}
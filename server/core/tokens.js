@@ -0,0 +1,129 @@
+/**
+ * @file server/core/tokens.js
+ * @description Admin session tokens (state.uploadTokens, memory only), keyed by the SHA-256 of the token.
+ * A token is minted only when an Admin login completes and is handed over inside the encrypted tunnel.
+ * It never travels in the clear afterwards: a reconnecting console presents it in IDENTIFY, also tunnelled,
+ * and requests to the HTTP bridges carry only the token's ID, a timestamp, a one-time nonce and an HMAC keyed
+ * with the token over the method, path, timestamp, nonce and body digest, so a request seen on the wire can
+ * neither be replayed nor turned into another one. Nonces are remembered for SIGNED_REQUEST_WINDOW_MS only:
+ * older requests are refused by their timestamp.
+ * Tokens expire after UPLOAD_TOKEN_TTL_MS and are revoked on logout, password change and device reset.
+ */
+import crypto from 'crypto';
+import { state } from './state.js';
+
+export const UPLOAD_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+/** How far a signed request's timestamp may be from the server clock, either way. */
+export const SIGNED_REQUEST_WINDOW_MS = 5 * 60 * 1000;
+
+const NONCE_PATTERN = /^[0-9a-f]{32}$/;
+const MAC_PATTERN = /^[0-9a-f]{64}$/;
+const DIGEST_PATTERN = /^[0-9a-f]{64}$/;
+
+	const getTokenId = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Drops expired tokens so the table only holds live sessions.
+ */
+	function pruneExpiredTokens(now = Date.now()) {
+		for (const [id, record] of Object.entries(state.uploadTokens)) {
+			if (record.expiresAt <= now) delete state.uploadTokens[id];
+		}
+	}
+
+/**
+ * Mints a token for an Admin device that has just logged in.
+ * @param {string} deviceId - The device the token is bound to.
+ * @param {string} ip - The address it was issued to, for the Security view.
+ * @returns {string} The 256-bit hex token.
+ */
+	export function issueUploadToken(deviceId, ip) {
+		pruneExpiredTokens();
+
+		const token = crypto.randomBytes(32).toString('hex');
+		const issuedAt = Date.now();
+		state.uploadTokens[getTokenId(token)] = { token, deviceId, ip, issuedAt, expiresAt: issuedAt + UPLOAD_TOKEN_TTL_MS, usedNonces: new Map() };
+		return token;
+	}
+
+/**
+ * Checks the token a reconnecting Admin console presents in IDENTIFY.
+ * @param {string} [token] - The token the console holds.
+ * @param {string} deviceId - The device re-identifying.
+ * @returns {boolean} True if the token is live and was issued to this device.
+ */
+	export function isLiveDeviceToken(token, deviceId) {
+		if (typeof token !== 'string') return false;
+
+		const record = state.uploadTokens[getTokenId(token)];
+		return Boolean(record && record.expiresAt > Date.now() && record.deviceId === deviceId);
+	}
+
+/**
+ * Checks a signed HTTP request (see the Authorization header built by adminFetch in the client's AuthContext).
+ * The body digest is the one the request declares; the caller checks it against the body received.
+ * @param {Object} proof - { id, timestamp, nonce, mac, bodyDigest } from the request.
+ * @param {string} method - The HTTP method.
+ * @param {string} url - The request path and query string, as sent.
+ * @returns {Object|null} The token record, or null if the token is unknown or expired, the timestamp is
+ * outside SIGNED_REQUEST_WINDOW_MS, the HMAC does not match, the nonce was already used, or the token's
+ * device is no longer signed in as Admin.
+ */
+	export function resolveSignedRequest({ id, timestamp, nonce, mac, bodyDigest }, method, url) {
+		const record = state.uploadTokens[id];
+		if (!record || !NONCE_PATTERN.test(nonce) || !MAC_PATTERN.test(mac) || !DIGEST_PATTERN.test(bodyDigest)) return null;
+
+		const now = Date.now();
+		if (record.expiresAt <= now) {
+			delete state.uploadTokens[id];
+			return null;
+		}
+
+		const signedAt = Number(timestamp);
+		if (!Number.isSafeInteger(signedAt) || Math.abs(now - signedAt) > SIGNED_REQUEST_WINDOW_MS) return null;
+
+		const expected = crypto.createHmac('sha256', record.token).update(`${method} ${url} ${timestamp} ${nonce} ${bodyDigest}`).digest();
+		if (!crypto.timingSafeEqual(expected, Buffer.from(mac, 'hex'))) return null;
+
+		// A nonce only needs remembering while its request could still pass the timestamp check.
+		for (const [usedNonce, usedAt] of record.usedNonces) {
+			if (now - usedAt > SIGNED_REQUEST_WINDOW_MS) record.usedNonces.delete(usedNonce);
+		}
+		if (record.usedNonces.has(nonce) || state.sessions[record.deviceId]?.role !== 'ADMIN') return null;
+
+		record.usedNonces.set(nonce, signedAt);
+		return record;
+	}
+
+/**
+ * Revokes the tokens of one device, or every token when no device is given.
+ * @param {string} [deviceId] - The device whose tokens to revoke.
+ * @returns {number} How many tokens were revoked.
+ */
+	export function revokeUploadTokens(deviceId) {
+		let revoked = 0;
+		for (const [id, record] of Object.entries(state.uploadTokens)) {
+			if (deviceId && record.deviceId !== deviceId) continue;
+			delete state.uploadTokens[id];
+			revoked++;
+		}
+		return revoked;
+	}
+
+/**
+ * Lists live tokens for the Admin Security view. The token itself is never sent; a short prefix of its ID identifies it.
+ * @returns {Object[]} { id, deviceId, ip, issuedAt, expiresAt }, newest first.
+ */
+	export function listUploadTokens() {
+		pruneExpiredTokens();
+
+		return Object.entries(state.uploadTokens)
+			.map(([id, record]) => ({
+				id: id.substring(0, 12),
+				deviceId: record.deviceId,
+				ip: record.ip,
+				issuedAt: record.issuedAt,
+				expiresAt: record.expiresAt
+			}))
+			.sort((a, b) => b.issuedAt - a.issuedAt);
+	}
@@ -0,0 +1,136 @@
+/**
+ * @file server/core/totp.js
+ * @description Optional second factor for the Admin login (state.adminTotp): RFC 6238 time-based one-time
+ * passwords (HMAC-SHA1, 6 digits, 30-second steps), computed locally so the venue needs no internet.
+ * The secret and the SHA-256 hashes of single-use recovery codes are kept in the vault. A code is accepted
+ * one step either side of the server clock, and never twice.
+ */
+import crypto from 'crypto';
+import { state } from './state.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = 'Classic Mafia Draft';
+
+/** How long a correct password waits for its second factor before the login has to start over. */
+export const SECOND_FACTOR_WINDOW_MS = 5 * 60 * 1000;
+
+	function base32Encode(buffer) {
+		let bits = 0;
+		let value = 0;
+		let output = '';
+		for (const byte of buffer) {
+			value = (value << 8) | byte;
+			bits += 8;
+			while (bits >= 5) {
+				output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+				bits -= 5;
+			}
+		}
+		if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+		return output;
+	}
+
+	function base32Decode(text) {
+		let bits = 0;
+		let value = 0;
+		const bytes = [];
+		for (const char of text.replace(/=+$/, '').toUpperCase()) {
+			value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+			bits += 5;
+			if (bits >= 8) {
+				bytes.push((value >>> (bits - 8)) & 255);
+				bits -= 8;
+			}
+		}
+		return Buffer.from(bytes);
+	}
+
+	function codeForStep(secret, step) {
+		const counter = Buffer.alloc(8);
+		counter.writeBigUInt64BE(BigInt(step));
+		const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+		const offset = digest[digest.length - 1] & 0x0f;
+		const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+		return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+	}
+
+	const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+
+/**
+ * Starts an enrolment: a fresh secret and the otpauth:// URI an authenticator app scans.
+ * Nothing is stored until enableTotp() confirms the first code.
+ * @returns {{ secret: string, uri: string }}
+ */
+	export function createTotpEnrolment() {
+		const secret = base32Encode(crypto.randomBytes(20));
+		const label = encodeURIComponent(`${TOTP_ISSUER}:Admin`);
+		const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+		return { secret, uri };
+	}
+
+/**
+ * Finds the time step a code belongs to, within the allowed drift.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code typed by the Admin.
+ * @param {number} [lastStep] - The step of the last accepted code; it and older steps are refused.
+ * @returns {number|null} The matching step, or null.
+ */
+	export function matchTotpCode(secret, code, lastStep = -1) {
+		if (!/^\d{6}$/.test(code)) return null;
+
+		const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+		for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+			if (step <= lastStep) continue;
+			if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(code))) return step;
+		}
+		return null;
+	}
+
+/**
+ * Turns 2FA on. Callers persist with saveState().
+ * @param {string} secret - The enrolment secret.
+ * @param {number} step - The step of the confirming code, so it cannot be replayed at the next login.
+ * @returns {string[]} The recovery codes, in plain text for the Admin to write down. Only their hashes are kept.
+ */
+	export function enableTotp(secret, step) {
+		const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+			const raw = base32Encode(crypto.randomBytes(5));
+			return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+		});
+		state.adminTotp = { secret, lastStep: step, enabledAt: Date.now(), recoveryCodes: recoveryCodes.map(hashRecoveryCode) };
+		return recoveryCodes;
+	}
+
+/**
+ * Checks a second factor against the enabled secret: a TOTP code, or failing that an unused recovery code,
+ * which is then spent. Callers persist with saveState().
+ * @param {string} code - What the Admin typed.
+ * @returns {'TOTP'|'RECOVERY_CODE'|null} How the factor was satisfied, or null if it was not.
+ */
+	export function verifySecondFactor(code) {
+		const totp = state.adminTotp;
+		if (!totp || typeof code !== 'string') return null;
+
+		const step = matchTotpCode(totp.secret, code.trim(), totp.lastStep);
+		if (step !== null) {
+			totp.lastStep = step;
+			return 'TOTP';
+		}
+
+		const index = totp.recoveryCodes.indexOf(hashRecoveryCode(code));
+		if (index === -1) return null;
+		totp.recoveryCodes.splice(index, 1);
+		return 'RECOVERY_CODE';
+	}
+
+/**
+ * @returns {{ enabled: boolean, enabledAt: number|null, recoveryCodesLeft: number }} 2FA status for the Security view.
+ */
+	export function getTotpStatus() {
+		const totp = state.adminTotp;
+		return { enabled: Boolean(totp), enabledAt: totp?.enabledAt || null, recoveryCodesLeft: totp?.recoveryCodes.length || 0 };
+	}
@@ -8,6 +8,7 @@
 import AdmZip from 'adm-zip';
 import express from 'express';
 import http from 'http';
+import https from 'https';
 import { Server } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -18,27 +19,46 @@ import notifier from 'node-notifier';
 import open from 'open';
 import { spawn } from 'child_process';
 
-import { state, APP_VERSION, DATA_SCHEMA_VERSION, saveState, loadState, STORAGE_DIR } from './core/state.js';
+import { state, APP_VERSION, DATA_SCHEMA_VERSION, compactState, loadState, saveState, STORAGE_DIR } from './core/state.js';
 import { verifyPasswordPlaintext } from './core/crypto.js';
 import { initializeSockets } from './socket/handlers.js';
-import { setupBroadcasters } from './socket/broadcasters.js';
+import { setupBroadcasters, broadcastToAdmins } from './socket/broadcasters.js';
+import { resumePickTimers } from './socket/draft.js';
+import { rollbackToSnapshot } from './socket/restore.js';
+import { initSnapshots, listSnapshots, previewSnapshot } from './core/snapshots.js';
+import { initAudit, verifyAuditChain, recordAudit } from './core/audit.js';
+import { initSessions } from './core/sessions.js';
+import { initServerIdentity, getServerFingerprint, formatFingerprint } from './core/identity.js';
+import { isHttpsEnabled, getTlsCredentials } from './core/tls.js';
 import assetRouter, { ACTIVE_DIR, DEFAULT_DIR, DEFAULT_PACK } from './api/assets.js';
 import { APP_ROOT, INTERNAL_ROOT } from './core/paths.js';
 import systemRoutes from './api/system.js';
+import exportRouter from './api/exports.js';
+import playerRouter from './api/players.js';
+import backupRouter, { restoreFromBackup, writeBackupFile, MIN_PASSPHRASE_LENGTH } from './api/backup.js';
+import { captureBodyDigest } from './api/auth.js';
+import { PLAYER_PHOTOS_DIR } from './core/players.js';
 
-if (process.argv.includes('--prod') && process.platform === 'darwin') {
-  if (!fs.existsSync(APP_ROOT)) {
-    fs.mkdirSync(APP_ROOT, { recursive: true });
-  }
+if (!fs.existsSync(APP_ROOT)) {
+  fs.mkdirSync(APP_ROOT, { recursive: true });
 }
 
 const __dirname = INTERNAL_ROOT;
 
 const app = express();
+app.use('/api', captureBodyDigest);
 app.use('/api/assets', assetRouter);
 app.use('/api/system', systemRoutes)
+app.use('/api/exports', exportRouter);
+app.use('/api/players/photos', express.static(PLAYER_PHOTOS_DIR));
+app.use('/api/players', playerRouter);
+app.use('/api/backup', backupRouter);
 app.use('/api/assets/active', express.static(ACTIVE_DIR));
-const server = http.createServer(app);
+const PORT = process.env.PORT || 3000;
+const LOCAL_IP = getLocalIpAddress();
+const PROTOCOL = isHttpsEnabled ? 'https' : 'http';
+
+const server = isHttpsEnabled ? https.createServer(getTlsCredentials(LOCAL_IP), app) : http.createServer(app);
 const io = new Server(server, { cors: { origin: "*", methods: ["GET", "POST"] }, maxHttpBufferSize: 8192 });
 
 // Initialize modularized socket architecture
@@ -78,10 +98,12 @@ function getLocalIpAddress() {
   return '<YOUR_IPV4_ADDRESS>'; 
 }
 
-const PORT = process.env.PORT || 3000;
-const LOCAL_IP = getLocalIpAddress();
-
 loadState();
+initServerIdentity(`${PROTOCOL}://${LOCAL_IP}:${PORT}`);
+resumePickTimers();
+initSnapshots();
+initAudit();
+initSessions(broadcastToAdmins);
 
 // --- PRELOAD DEFAULT ASSETS ---
 const activeFiles = fs.readdirSync(ACTIVE_DIR);
@@ -104,6 +126,41 @@ if (activeFiles.length === 0) {
 
 const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
 
+/**
+ * Relaunches the server with the same arguments. Windows gets a fresh, detached terminal window.
+ * On Linux and macOS the process re-executes itself in place, keeping its PID, terminal and any
+ * service manager (systemd) supervising it. Node versions without process.execve release the port
+ * and hand over to a detached copy that keeps logging to this terminal; its console commands are
+ * unavailable, since the terminal's input returns to the shell once this process exits.
+ */
+function restartProcess() {
+	const args = process.argv.slice(1);
+
+	if (process.platform === 'win32') {
+		const child = spawn('cmd.exe', ['/c', 'start', '""', process.execPath, ...args], {
+			detached: true,
+			stdio: 'ignore'
+		});
+		child.unref();
+		process.exit(0);
+	}
+
+	rl.close();
+	if (typeof process.execve === 'function') {
+		process.execve(process.execPath, [process.execPath, ...args], process.env);
+	}
+
+	io.close(() => {
+		const child = spawn(process.execPath, args, {
+			detached: true,
+			stdio: ['ignore', 'inherit', 'inherit']
+		});
+		child.unref();
+		process.exit(0);
+	});
+	server.closeAllConnections();
+}
+
 function startServer() {
 	server.listen(PORT, '0.0.0.0', async () => {
 		const isProd = process.argv.includes('--prod');
@@ -116,8 +173,9 @@ CLASSIC MAFIA DRAFT - TOURNAMENT SERVER
 =======================================================
 			`);
 			console.log(`      Status:      ONLINE (v${APP_VERSION})`);
-			console.log(`      Admin PC:    http://localhost:${PORT}`);
-			console.log(`      LAN Access:  http://${LOCAL_IP}:${PORT}`);
+			console.log(`      Admin PC:    ${PROTOCOL}://localhost:${PORT}`);
+			console.log(`      LAN Access:  ${PROTOCOL}://${LOCAL_IP}:${PORT}`);
+			console.log(`      Identity:    ${formatFingerprint(getServerFingerprint())}`);
 			console.log(`\n      [ INFO ] Type "status", "restart", "shutdown", or "reset"`);
 			console.log(`               and press Enter to use QoL tools.`);
 			console.log('\x1b[36m%s\x1b[0m', `\n      =======================================================\n`);
@@ -130,21 +188,24 @@ CLASSIC MAFIA DRAFT - TOURNAMENT SERVER
 			});
 
 			try {
-				await open(`http://localhost:${PORT}/admin`);
+				await open(`${PROTOCOL}://localhost:${PORT}/admin`);
 			} catch (err) {
 				console.log('      [WARN] Could not auto-open browser.');
 			}
 		} else {
 			console.log(`\n=== MAFIA TOURNAMENT SERVER LIVE (v${APP_VERSION} - DEV) ===`);
-			console.log(`1. Admin PC:   http://localhost:${PORT}`);
-			console.log(`2. LAN Access: http://${LOCAL_IP}:${PORT}`);
+			console.log(`1. Admin PC:   ${PROTOCOL}://localhost:${PORT}`);
+			console.log(`2. LAN Access: ${PROTOCOL}://${LOCAL_IP}:${PORT}`);
+			console.log(`3. Identity:   ${formatFingerprint(getServerFingerprint())}`);
 			console.log(`=======================================`);
-			console.log(`Type "status", "restart", "shutdown", or "reset" for QoL tools. Type "help" for more info.`);
+			console.log(`Type "status", "restart", "shutdown", "backup", or "reset" for QoL tools. Type "help" for more info.`);
 			console.log(`\n`);
 		}
 
 		rl.on('line', (input) => {
-			const command = input.trim().toLowerCase();
+			const [rawCommand = '', ...args] = input.trim().split(/\s+/);
+			const command = rawCommand.toLowerCase();
+			const argument = args.join(' ');
 
 			switch (command) {
 				case 'help':
@@ -153,6 +214,12 @@ CLASSIC MAFIA DRAFT - TOURNAMENT SERVER
 					console.log(`- restart  : Saves state and restarts the server (production only).`);
 					console.log(`- shutdown : Saves state and shuts down the server.`);
 					console.log(`- reset    : FACTORY RESET - Wipes ALL data and shards (requires password).`);
+					console.log(`- backup [file]  : Saves a passphrase-encrypted copy of the tournament (default: data/backups).`);
+					console.log(`- restore <file> : Replaces the tournament with a backup, e.g. one made on another machine.`);
+					console.log(`- snapshots      : Lists the automatic point-in-time snapshots, newest first.`);
+					console.log(`- rollback <n>   : Previews snapshot #n from the list and rolls the tournament back to it (requires password).`);
+					console.log(`- audit          : Verifies the hash chain of the audit log.`);
+					console.log(`- disable-2fa    : Turns off the Admin's two-factor authentication, e.g. after losing the authenticator (requires password).`);
 					console.log(`\n`);
 					break;
 
@@ -162,32 +229,26 @@ CLASSIC MAFIA DRAFT - TOURNAMENT SERVER
 					console.log(`Uptime:        ${Math.floor(process.uptime() / 60)} minutes`);
 					console.log(`Active Tables: ${Object.keys(state.rooms || {}).length}`);
 					console.log(`Connections:   ${Object.keys(state.clients || {}).length}`);
+					console.log(`Data Dir:      ${APP_ROOT}`);
+					console.log(`Identity:      ${formatFingerprint(getServerFingerprint())}`);
 					console.log(`Memory Usage:  ${Math.round(process.memoryUsage().rss / 1024 / 1024)} MB`);
 					console.log(`========================\n`);
 					break;
 
 				case 'shutdown':
 					console.log('\n[SYSTEM] Saving tournament state and shutting down gracefully...');
-					saveState();
+					compactState();
 					process.exit(0);
 					break;
 
 				case 'restart':
 					console.log('\n[SYSTEM] Saving tournament state and triggering restart...');
-					saveState();
+					compactState();
 
 					const isProd = process.argv.includes('--prod');
 
 					if (isProd) {
-						const args = process.argv.slice(1);
-						const child = spawn('cmd.exe', ['/c', 'start', '""', process.execPath, ...args], {
-							detached: true,
-							stdio: 'ignore'
-						});
-						
-						child.unref();
-						
-						process.exit(0);
+						restartProcess();
 					} else {
 						process.exit(1); 
 					}
@@ -214,6 +275,104 @@ CLASSIC MAFIA DRAFT - TOURNAMENT SERVER
 					});
 					break;
 					
+				case 'backup':
+					rl.question(`Choose a backup passphrase (min ${MIN_PASSPHRASE_LENGTH} characters, text will be visible): `, (passphrase) => {
+						if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+							console.log(`[ERROR] Passphrase too short. Backup aborted.\n`);
+							return;
+						}
+						try {
+							console.log(`\n[SUCCESS] Backup written to ${writeBackupFile(passphrase, argument || null)}\n`);
+						} catch (err) {
+							console.log(`[ERROR] Could not write backup: ${err.message}\n`);
+						}
+					});
+					break;
+
+				case 'restore':
+					if (!argument || !fs.existsSync(argument)) {
+						console.log(`[ERROR] Usage: restore <path to .mafvault file>\n`);
+						break;
+					}
+					rl.question('WARNING: This replaces ALL current tournament data. Enter the backup passphrase (text will be visible): ', (passphrase) => {
+						const result = restoreFromBackup(fs.readFileSync(argument, 'utf8'), passphrase);
+						if (result.success) {
+							console.log(`\n[SUCCESS] Tournament restored and re-sealed for this machine. The current Admin password and 2FA are unchanged.\n`);
+						} else {
+							console.log(`[ERROR] ${result.message} Restore aborted.\n`);
+						}
+					});
+					break;
+
+				case 'snapshots': {
+					const snapshots = listSnapshots();
+					console.log(`\n=== 🕒 SNAPSHOTS (${snapshots.length}) ===`);
+					snapshots.forEach((meta, i) => {
+						const detail = meta.detail ? ` (${meta.detail})` : '';
+						console.log(`#${i + 1}  ${new Date(meta.createdAt).toLocaleString()}  ${meta.reason}${detail}  - ${meta.rooms} tables, ${meta.players} players, ${meta.games} games`);
+					});
+					console.log(`========================\n`);
+					break;
+				}
+
+				case 'audit': {
+					const { ok, entries, problems } = verifyAuditChain();
+					if (ok) {
+						console.log(`\n[SUCCESS] Audit log intact (${entries} entries).\n`);
+					} else {
+						console.log(`\n[ERROR] Audit log chain broken at ${problems.length} point(s):`);
+						problems.forEach(p => console.log(`  line ${p.line}${p.seq ? ` (entry #${p.seq})` : ''}: ${p.reason}`));
+						console.log('');
+					}
+					break;
+				}
+
+				case 'disable-2fa':
+					if (!state.adminTotp) {
+						console.log(`[INFO] Two-factor authentication is not enabled.\n`);
+						break;
+					}
+					rl.question('Enter Admin Password to turn off two-factor authentication (Text will be visible): ', (pass) => {
+						if (!verifyPasswordPlaintext(pass)) {
+							console.log(`[ERROR] Incorrect password. Two-factor authentication left on.\n`);
+							return;
+						}
+						state.adminTotp = null;
+						saveState();
+						recordAudit('TOTP_DISABLED', { details: { via: 'console' } });
+						console.log(`\n[SUCCESS] Two-factor authentication turned off. Re-enrol from the Admin panel's Security tab.\n`);
+					});
+					break;
+
+				case 'rollback': {
+					const meta = listSnapshots()[Number(argument) - 1];
+					const preview = meta && previewSnapshot(meta.id);
+					if (!preview) {
+						console.log(`[ERROR] Usage: rollback <n>, where n is a number from the "snapshots" list.\n`);
+						break;
+					}
+
+					console.log(`\nSnapshot #${argument} from ${new Date(meta.createdAt).toLocaleString()} holds:`);
+					preview.rooms.forEach(room => {
+						console.log(`  Table ${room.roomId}: ${room.status}, ${room.picks}/${room.deckSize} picks, ${room.seated} seated`);
+					});
+					console.log(`  ${preview.sessions.length} devices, ${preview.players} players, ${preview.games} archived games`);
+
+					rl.question('WARNING: This replaces ALL current tournament data. Enter Admin Password to confirm (Text will be visible): ', (pass) => {
+						if (!verifyPasswordPlaintext(pass)) {
+							console.log(`[ERROR] Incorrect password. Rollback aborted.\n`);
+							return;
+						}
+						const result = rollbackToSnapshot(meta.id);
+						if (result.success) {
+							console.log(`\n[SUCCESS] Tournament rolled back. The replaced state was kept as a new snapshot.\n`);
+						} else {
+							console.log(`[ERROR] ${result.message} Rollback aborted.\n`);
+						}
+					});
+					break;
+				}
+
 				default:
 					if (command) console.log(`[ERROR] Unknown command: "${command}"`);
 					break;
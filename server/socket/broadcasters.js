@@ -5,6 +5,11 @@
  * and intercepts global emit calls to apply end-to-end payload encryption.
  */
 import { state } from '../core/state.js';
+import { getSeatPlayers } from '../core/players.js';
+import { listSnapshots } from '../core/snapshots.js';
+import { listDevices } from '../core/sessions.js';
+import { listJudgeAccounts } from '../core/judges.js';
+import { listUploadTokens } from '../core/tokens.js';
 
 let io;
 
@@ -38,15 +43,29 @@ let io;
 		};
 	}
 
-	export function broadcastState(roomId) {
-		if (!roomId || !state.rooms[roomId]) return;
-		const gs = state.rooms[roomId].gameState;
-		
-		const cleanState = { ...gs, isDebugMode: state.globalDebugMode };
+	/**
+	 * Strips server-only secrets from a game state before it leaves the process.
+	 * The slot layout is hidden outside Debug Mode; the commitment salt and the undo log (which names the
+	 * role of a card that went back into the tray) are always hidden. Admins get the undo log in ROOMS_UPDATE.
+	 * serverTime lets clients correct for tablet clock drift when rendering the pick countdown,
+	 * and seatPlayers resolves the room's seating against the player registry.
+	 */
+	export function sanitizeGameState(gs) {
+		const cleanState = { ...gs, seatPlayers: getSeatPlayers(gs), serverTime: Date.now() };
+		delete cleanState.deckSalt;
+		delete cleanState.undoLog;
 		
 		if (!state.globalDebugMode) {
 			cleanState.slots = "{HIDDEN_FOR_TOURNAMENT_INTEGRITY}"; 
 		}
+		return cleanState;
+	}
+
+	export function broadcastState(roomId) {
+		if (!roomId || !state.rooms[roomId]) return;
+		const gs = state.rooms[roomId].gameState;
+		
+		const cleanState = { ...sanitizeGameState(gs), isDebugMode: state.globalDebugMode };
 
 		io.to(roomId).emit('STATE_UPDATE', cleanState);
 		broadcastToAdmins(); 
@@ -58,11 +77,7 @@ let io;
 
 		const sanitizedRooms = {};
 		for (const [roomId, roomData] of Object.entries(state.rooms)) {
-			const cleanState = { ...roomData.gameState };
-			if (!state.globalDebugMode) {
-				cleanState.slots = "{HIDDEN_FOR_TOURNAMENT_INTEGRITY}";
-			}
-			sanitizedRooms[roomId] = { gameState: cleanState };
+			sanitizedRooms[roomId] = { gameState: { ...sanitizeGameState(roomData.gameState), undoLog: roomData.gameState.undoLog } };
 		}
 
 		const fullRegistry = Object.values(state.clients).map(c => ({
@@ -84,12 +99,63 @@ let io;
 			}
 		}
 
+		const devices = listDevices();
+		const judgeAccounts = listJudgeAccounts();
+		const uploadTokens = listUploadTokens();
+
 		adminSockets.forEach(adminId => {
 			io.to(adminId).emit('REGISTRY_UPDATE', fullRegistry);
 			io.to(adminId).emit('ROOMS_UPDATE', sanitizedRooms); 
+			io.to(adminId).emit('DEVICES_UPDATE', devices);
+			io.to(adminId).emit('JUDGE_ACCOUNTS_UPDATE', judgeAccounts);
+			io.to(adminId).emit('UPLOAD_TOKENS_UPDATE', uploadTokens);
 		});
 	}
 
+	/**
+	 * Pushes the completed-draft archive to every Admin console.
+	 */
+	export function broadcastDraftHistory() {
+		Object.values(state.clients)
+			.filter(c => c.role === 'ADMIN')
+			.forEach(c => io.to(c.id).emit('DRAFT_HISTORY_UPDATE', state.draftHistory));
+	}
+
+	/**
+	 * Pushes the full player registry (including real names) to every Admin console.
+	 */
+	export function broadcastPlayers() {
+		Object.values(state.clients)
+			.filter(c => c.role === 'ADMIN')
+			.forEach(c => io.to(c.id).emit('PLAYERS_UPDATE', Object.values(state.players)));
+	}
+
+	/**
+	 * Pushes the active seating schedule to every Admin console.
+	 */
+	export function broadcastSchedule() {
+		Object.values(state.clients)
+			.filter(c => c.role === 'ADMIN')
+			.forEach(c => io.to(c.id).emit('SCHEDULE_UPDATE', state.schedule));
+	}
+
+	/**
+	 * Pushes the snapshot list (metadata only) to every Admin console.
+	 */
+	export function broadcastSnapshots() {
+		Object.values(state.clients)
+			.filter(c => c.role === 'ADMIN')
+			.forEach(c => io.to(c.id).emit('SNAPSHOTS_UPDATE', listSnapshots()));
+	}
+
+	/**
+	 * Drops every client's transport. Clients reconnect on their own and re-identify,
+	 * picking up their role from state.sessions as after a Wi-Fi drop.
+	 */
+	export function disconnectAllClients() {
+		io.sockets.sockets.forEach(socket => socket.conn.close());
+	}
+
 	export function broadcastAvailableRooms() {
 		io.emit('AVAILABLE_ROOMS', Object.keys(state.rooms));
 	}
@@ -103,6 +169,6 @@ let io;
 		});
 		
 		state.rooms[roomId].gameState.clientCounts = counts;
-		io.to(roomId).emit('STATE_UPDATE', state.rooms[roomId].gameState);
+		io.to(roomId).emit('STATE_UPDATE', sanitizeGameState(state.rooms[roomId].gameState));
 		broadcastToAdmins(); 
 	}
\ No newline at end of file
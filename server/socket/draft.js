@@ -0,0 +1,190 @@
+/**
+ * @file server/socket/draft.js
+ * @description Server-driven draft actions shared by the socket handlers and the pick clock.
+ * Owns the random "force pick" and the optional per-room pick countdown, which falls back
+ * to a force pick when the drafting player runs out of time.
+ */
+import { state, saveState } from '../core/state.js';
+import { pickRandom, revealDeckCommitment, concealDeckCommitment, getSeatForTurn } from '../core/game.js';
+import { archiveDraft, unarchiveDraft } from '../core/history.js';
+import { recordAudit, SYSTEM_ACTOR } from '../core/audit.js';
+import { broadcastState, broadcastDraftHistory } from './broadcasters.js';
+
+let io;
+
+/** @description In-memory pick countdown handles, keyed by room ID. Never persisted. */
+const pickTimers = {};
+
+	export function setupDraft(ioInstance) {
+		io = ioInstance;
+	}
+
+	/**
+	 * Advances the draft after a card has been taken. After the last seat the draft is
+	 * completed, its commitment revealed and the result archived; callers persist with saveState().
+	 */
+	export function advanceTurn(roomId) {
+		const gs = state.rooms[roomId].gameState;
+		if (gs.currentTurn >= gs.settings.deck.size) {
+			gs.status = 'COMPLETED';
+			revealDeckCommitment(gs);
+			archiveDraft(roomId);
+			recordAudit('DRAFT_COMPLETED', { roomId, details: { commitment: gs.deckCommitment?.hash || null } });
+			broadcastDraftHistory();
+		} else {
+			gs.currentTurn++;
+		}
+	}
+
+	/**
+	 * Undoes advanceTurn()'s completion when the last pick is taken back: the draft is in progress
+	 * again, its commitment closed and its archived game withdrawn. Callers persist with saveState().
+	 */
+	export function reopenDraft(roomId) {
+		const gs = state.rooms[roomId].gameState;
+		gs.status = 'IN_PROGRESS';
+		concealDeckCommitment(gs);
+		unarchiveDraft(roomId);
+		broadcastDraftHistory();
+	}
+
+	/**
+	 * Draws a random unrevealed card for the seat currently drafting.
+	 * The role is privately revealed to the drafting tablet (every player tablet in Shared Mode).
+	 * @param {string} roomId - The room to pick for.
+	 * @param {Object} [actor] - Who forced it, for the audit log; the pick clock when omitted.
+	 * @returns {boolean} False if the room is not waiting on a pick.
+	 */
+	export function forcePick(roomId, actor = SYSTEM_ACTOR) {
+		const gs = state.rooms[roomId]?.gameState;
+		if (!gs || gs.status !== 'IN_PROGRESS' || gs.isPaused || !gs.isTrayUnlocked || gs.isCardRevealed) {
+			return false;
+		}
+
+		const allSlots = Array.from({ length: gs.settings.deck.size }, (_, i) => i);
+		const availableSlots = allSlots.filter(s => !gs.revealedSlots.includes(s));
+
+		if (availableSlots.length === 0) return false;
+
+		clearPickTimer(roomId);
+
+		const randomSlotIndex = pickRandom(availableSlots);
+		const role = gs.slots[randomSlotIndex];
+		const activeSeat = getSeatForTurn(gs);
+
+		gs.revealedSlots.push(randomSlotIndex);
+		gs.results[activeSeat] = { role, slotIndex: randomSlotIndex, forced: true, pickedAt: Date.now() };
+		recordAudit('FORCE_PICK', { actor, roomId, details: { seat: activeSeat, slot: randomSlotIndex + 1, role } });
+		gs.isTrayUnlocked = false;
+		gs.isCardRevealed = true;
+
+		const isSingleMode = gs.settings?.singleMode;
+
+		const targetSockets = Object.values(state.clients).filter(c => {
+			if (c.roomId !== roomId || c.role !== 'PLAYER') return false;
+
+			if (isSingleMode) {
+				const session = state.sessions[c.deviceId];
+				return session && session.assignedSeat === activeSeat;
+			}
+
+			return true;
+		}).map(c => c.id);
+
+		targetSockets.forEach(playerId => {
+			io.to(playerId).emit('PRIVATE_ROLE_REVEAL', { role, slotIndex: randomSlotIndex });
+		});
+
+		io.to(roomId).emit('CARD_REVEALED', { seat: activeSeat, role, cardIndex: randomSlotIndex });
+
+		advanceTurn(roomId);
+
+		broadcastState(roomId);
+		saveState({ rooms: [roomId] });
+		return true;
+	}
+
+	/**
+	 * Arms the pick countdown for the seat currently drafting, if the room has it enabled.
+	 * Sets gs.pickDeadline (epoch ms) so clients can render the clock; callers broadcast.
+	 */
+	export function startPickTimer(roomId) {
+		const gs = state.rooms[roomId]?.gameState;
+		clearPickTimer(roomId);
+		if (!gs?.settings.pickTimer?.enabled) return;
+
+		gs.pickDeadline = Date.now() + gs.settings.pickTimer.duration * 1000;
+		armPickTimer(roomId);
+	}
+
+	/**
+	 * Cancels a running countdown. Safe to call when no clock is running.
+	 */
+	export function clearPickTimer(roomId) {
+		clearTimeout(pickTimers[roomId]);
+		delete pickTimers[roomId];
+
+		const gs = state.rooms[roomId]?.gameState;
+		if (gs) {
+			gs.pickDeadline = null;
+			gs.pickTimeRemaining = null;
+		}
+	}
+
+	/**
+	 * Freezes a running countdown, keeping the time left in gs.pickTimeRemaining (ms).
+	 * Persisted with the room, so a paused clock survives a server restart.
+	 */
+	export function pausePickTimer(roomId) {
+		const gs = state.rooms[roomId]?.gameState;
+		if (!gs?.pickDeadline) return;
+
+		const remaining = Math.max(0, gs.pickDeadline - Date.now());
+		clearPickTimer(roomId);
+		gs.pickTimeRemaining = remaining;
+	}
+
+	/**
+	 * Restarts a frozen countdown with the time it had left when the draft was paused.
+	 */
+	export function resumePickTimer(roomId) {
+		const gs = state.rooms[roomId]?.gameState;
+		if (gs?.pickTimeRemaining === null || gs?.pickTimeRemaining === undefined) return;
+
+		gs.pickDeadline = Date.now() + gs.pickTimeRemaining;
+		gs.pickTimeRemaining = null;
+		armPickTimer(roomId);
+	}
+
+	/**
+	 * Re-arms countdowns that were running when the server went down.
+	 * Overdue clocks fire immediately, so a restart never strands a table mid-pick.
+	 */
+	export function resumePickTimers() {
+		for (const [roomId, room] of Object.entries(state.rooms)) {
+			const gs = room.gameState;
+			if (!gs.pickDeadline) continue;
+
+			if (gs.status === 'IN_PROGRESS' && gs.isTrayUnlocked) {
+				armPickTimer(roomId);
+			} else {
+				gs.pickDeadline = null;
+			}
+		}
+	}
+
+	function armPickTimer(roomId) {
+		const gs = state.rooms[roomId].gameState;
+		const graceMs = (gs.settings.pickTimer?.grace || 0) * 1000;
+		const delay = Math.max(0, gs.pickDeadline + graceMs - Date.now());
+
+		pickTimers[roomId] = setTimeout(() => {
+			delete pickTimers[roomId];
+			if (forcePick(roomId)) {
+				console.log(`[DRAFT] Pick timer expired in room ${roomId}. Random card assigned.`);
+			} else {
+				clearPickTimer(roomId);
+				saveState({ rooms: [roomId] });
+			}
+		}, delay);
+	}
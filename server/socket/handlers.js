@@ -5,12 +5,28 @@
  * and handles the core gameplay loop (drafting, picking, revealing).
  */
 import { state, saveState, MAX_CONNECTIONS_PER_IP } from '../core/state.js';
-import { encryptPayload, decryptPayload, verifyAdmin, hashPassword, verifyPasswordPlaintext } from '../core/crypto.js';
-import { validatePayload, getInitialGameState, shuffle, INITIAL_DECK } from '../core/game.js';
-import { broadcastState, broadcastToAdmins, broadcastAvailableRooms, updateClientCounts } from './broadcasters.js';
+import { createTunnel, rotateTunnel, encryptPayload, decryptPayload, TUNNEL_ROTATION_INTERVAL_MS, verifyAdmin, verifyChallengeResponse, hashPassword, verifyAdminPassword, getChallengeParameters, needsRehash, upgradeCredentials } from '../core/crypto.js';
+import { validatePayload, getInitialGameState, shuffle, resolveDeck, expandDeck, createDeckCommitment, normalizeDraftOrder, normalizePickTimer, buildTurnOrder, getSeatForTurn } from '../core/game.js';
+import { broadcastState, broadcastToAdmins, broadcastAvailableRooms, broadcastDraftHistory, broadcastPlayers, broadcastSchedule, broadcastSnapshots, updateClientCounts, sanitizeGameState } from './broadcasters.js';
+import { normalizePlayerInput, createPlayer, deletePlayer, getRoomsSeatingPlayer } from '../core/players.js';
+import { generateSchedule, applyScheduleRound } from '../core/schedule.js';
+import { computeStatistics } from '../core/stats.js';
+import { takeSnapshot, listSnapshots, previewSnapshot } from '../core/snapshots.js';
+import { rollbackToSnapshot } from './restore.js';
+import { recordAudit, describeActor, queryAudit, verifyAuditChain } from '../core/audit.js';
+import { EVENT_SCHEMAS, validateEvent } from './schemas.js';
+import { touchSession, isDeviceBanned, getDeviceClients } from '../core/sessions.js';
+import { issueUploadToken, isLiveDeviceToken, revokeUploadTokens } from '../core/tokens.js';
+import { findJudgeAccount, getJudgeChallengeSalt, createJudgeAccount, revokeJudgeAccount } from '../core/judges.js';
+import { signKeyExchange, getPairingInfo } from '../core/identity.js';
+import { getCaCertificate } from '../core/tls.js';
+import { createTotpEnrolment, matchTotpCode, enableTotp, verifySecondFactor, getTotpStatus, SECOND_FACTOR_WINDOW_MS } from '../core/totp.js';
+import { setupDraft, forcePick, advanceTurn, reopenDraft, startPickTimer, clearPickTimer, pausePickTimer, resumePickTimer } from './draft.js';
 import crypto from 'crypto';
 
 export function initializeSockets(io) {
+  setupDraft(io);
+
   io.use((socket, next) => {
     const clientIp = socket.handshake.address;
     if (!state.ipConnectionCounts[clientIp]) state.ipConnectionCounts[clientIp] = 0;
@@ -30,8 +46,22 @@ export function initializeSockets(io) {
 		const throttleTimer = setInterval(() => {
 			messageCount = 0;
 		}, 1000);
+
+		// Ratchets the tunnel key in-session; KEY_ROTATED goes out under the new epoch so an idle client follows.
+		const keyRotationTimer = setInterval(() => {
+			const tunnel = state.clientKeys[socket.id];
+			if (!tunnel) return;
+			rotateTunnel(tunnel);
+			socket.emit('KEY_ROTATED');
+		}, TUNNEL_ROTATION_INTERVAL_MS);
+
+		// Registered before any early return below, so refused connections do not leak their timers.
+		socket.on('disconnect', () => {
+			clearInterval(throttleTimer);
+			clearInterval(keyRotationTimer);
+		});
 		// --- THE OMNISCIENT DEBUGGER (BACKEND) ---
-		const SENSITIVE_EVENTS = ['SETUP_ADMIN', 'ADMIN_LOGIN', 'CHANGE_PASSWORD'];
+		const SENSITIVE_EVENTS = ['IDENTIFY', 'UPLOAD_TOKEN_ISSUED', 'SETUP_ADMIN', 'ADMIN_LOGIN', 'ADMIN_TOTP_VERIFY', 'CONFIRM_TOTP_ENROLMENT', 'DISABLE_TOTP', 'CHANGE_PASSWORD', 'JUDGE_LOGIN', 'CREATE_JUDGE_ACCOUNT'];
 
 		socket.onAny((event, ...args) => {
 			if (state.globalDebugMode && event !== 'ENCRYPTED_MESSAGE') {
@@ -49,6 +79,20 @@ export function initializeSockets(io) {
 			}
 		});
 
+		/**
+		 * Snapshots the state ahead of a destructive Admin action so it can be rolled back.
+		 */
+		const snapshotBefore = (reason, detail) => {
+			if (takeSnapshot(reason, detail)) broadcastSnapshots();
+		};
+
+		/**
+		 * Records an action by this socket in the hash-chained audit log (core/audit.js).
+		 */
+		const audit = (type, roomId = null, details = {}) => {
+			recordAudit(type, { actor: describeActor(state.clients[socket.id], clientIp, socket.deviceId), roomId, details });
+		};
+
 		// --- INITIAL STATE SYNC (THE LOBBY FIX) ---
 		socket.on('IDENTIFY', () => {
 			if (state.clientKeys[socket.id]) {
@@ -70,10 +114,10 @@ export function initializeSockets(io) {
 
 				if (state.globalDebugMode) {
 					const shortId = this.id.substring(0, 5);
-					console.log(`\x1b[35m[ENCRYPTOR OUT -> ${shortId}]\x1b[0m ${event}`, JSON.stringify(args).substring(0, 150));
+					console.log(`\x1b[35m[ENCRYPTOR OUT -> ${shortId}]\x1b[0m ${event}`, JSON.stringify(SENSITIVE_EVENTS.includes(event) ? ['[REDACTED_SECURITY_PAYLOAD]'] : args).substring(0, 150));
 				}
 				
-				const payloadStr = encryptPayload(args, key);
+				const payloadStr = encryptPayload(event, args, key);
 
 				if (callback) {
 					_emit.call(this, 'ENCRYPTED_MESSAGE', { event, payload: payloadStr }, callback);
@@ -92,36 +136,54 @@ export function initializeSockets(io) {
 				
 				const rawSharedSecret = serverECDH.computeSecret(clientPublicKeyHex, 'hex');
 				
-				const aesKey = crypto.createHash('sha256').update(rawSharedSecret).digest();
+				state.clientKeys[socket.id] = createTunnel(rawSharedSecret);
 				
-				state.clientKeys[socket.id] = aesKey;
-				
-				callback({ success: true, serverPublicKey: serverECDH.getPublicKey('hex') });
+				// The client checks the signature against the identity it pinned before trusting the tunnel.
+				const serverPublicKey = serverECDH.getPublicKey('hex');
+				callback({ success: true, serverPublicKey, ...signKeyExchange(clientPublicKeyHex, serverPublicKey) });
 			} catch (err) {
 				console.error(`[SECURITY] Key exchange failed for ${clientIp}:`, err.message);
 				if (typeof callback === 'function') callback({ success: false });
 			}
 		});
 
+		/**
+		 * Lets an event through only if it is registered and its arguments match their schema (socket/schemas.js).
+		 * A refused request is answered through its acknowledgement if it has one; Admin consoles are told otherwise.
+		 */
+		const acceptEvent = (event, args) => {
+			const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+			if (validateEvent(event, ack ? args.slice(0, -1) : args)) return true;
+
+			if (!EVENT_SCHEMAS[event]) {
+				if (state.globalDebugMode) console.warn(`[SECURITY] Unknown event ${event} dropped from ${clientIp}.`);
+				return false;
+			}
+
+			console.warn(`[SECURITY] Invalid ${event} payload blocked from ${clientIp}.`);
+			if (ack) ack({ success: false, message: `Invalid ${event} request.` });
+			else if (state.clients[socket.id]?.role === 'ADMIN') socket.emit('ADMIN_ERROR', `Invalid ${event} request.`);
+			return false;
+		};
+
 		// --- INCOMING DECRYPTION ROUTER ---
 		socket.on('ENCRYPTED_MESSAGE', (wrapper, ackCallback) => {
-			if (!validatePayload(wrapper, { type: 'object', fields: { event: { type: 'string' }, payload: { type: 'string' } } })) return;
-
 			const key = state.clientKeys[socket.id];
 			if (!key) return;
 
-			const decryptedArgs = decryptPayload(wrapper.payload, key);
+			const decryptedArgs = decryptPayload(wrapper.event, wrapper.payload, key);
 			if (!Array.isArray(decryptedArgs)) return;
 
 			if (state.globalDebugMode) {
 				const shortId = socket.id.substring(0, 5);
-				console.log(`\x1b[35m[DECRYPTOR IN <- ${shortId}]\x1b[0m ${wrapper.event}`, JSON.stringify(decryptedArgs).substring(0, 150));
+				console.log(`\x1b[35m[DECRYPTOR IN <- ${shortId}]\x1b[0m ${wrapper.event}`, JSON.stringify(SENSITIVE_EVENTS.includes(wrapper.event) ? ['[REDACTED_SECURITY_PAYLOAD]'] : decryptedArgs).substring(0, 150));
 			}
 
 			if (typeof ackCallback === 'function') {
 				decryptedArgs.push(ackCallback);
 			}
 
+			if (wrapper.event === 'ENCRYPTED_MESSAGE' || !acceptEvent(wrapper.event, decryptedArgs)) return;
 			socket.listeners(wrapper.event).forEach(listener => listener(...decryptedArgs));
 		});
 
@@ -131,6 +193,10 @@ export function initializeSockets(io) {
 				console.warn(`[SECURITY] Event spam detected from ${clientIp}. Dropping packet.`);
 				return next(new Error('Rate limit exceeded.')); 
 			}
+
+			// Plaintext events pass the same schema check as those unpacked by the decryption router.
+			const [event, ...args] = packet;
+			if (!acceptEvent(event, args)) return;
 			next();
 		});
 
@@ -145,11 +211,16 @@ export function initializeSockets(io) {
 			socket.emit('SETUP_REQUIRED');
 		}
 
-		socket.on('SETUP_ADMIN', (newPass) => {
+		socket.on('SETUP_ADMIN', async (newPass) => {
 			if (state.adminCredentials) return; 
 
-			state.adminCredentials = hashPassword(newPass);
+			const credentials = await hashPassword(newPass);
+			// Another console may have finished the setup while the key was being derived.
+			if (state.adminCredentials) return;
+
+			state.adminCredentials = credentials;
 			saveState();
+			audit('ADMIN_SETUP');
 
 			io.emit('SETUP_COMPLETE');
 			console.log(`\n[SUCCESS] Master password initialized via Web UI.\n`);
@@ -157,7 +228,7 @@ export function initializeSockets(io) {
 
 		socket.emit('AVAILABLE_ROOMS', Object.keys(state.rooms));
 
-		socket.on('IDENTIFY', (clientDeviceId) => {
+		socket.on('IDENTIFY', (clientDeviceId, adminToken) => {
 			let deviceId = clientDeviceId;
 
 			if (!deviceId || deviceId.length !== 64) {
@@ -166,7 +237,22 @@ export function initializeSockets(io) {
 				return;
 			}
 
+			if (isDeviceBanned(deviceId)) {
+				console.warn(`[SECURITY] Blocked banned device ${deviceId.substring(0, 8)} from ${clientIp}.`);
+				socket.emit('DEVICE_BANNED');
+				socket.disconnect(true);
+				return;
+			}
+
 			socket.deviceId = deviceId;
+			touchSession(deviceId);
+
+			// The device ID is no secret, so the Admin role only comes back with the console's live token.
+			// Without one this console logs in again; the device's other consoles keep their sessions.
+			if (state.sessions[deviceId]?.role === 'ADMIN' && !isLiveDeviceToken(adminToken, deviceId)) {
+				socket.emit('ADMIN_SIGNED_OUT');
+				return;
+			}
 
 			if (state.sessions[deviceId] && state.sessions[deviceId].roomId) {
 				const roomId = state.sessions[deviceId].roomId;
@@ -190,7 +276,7 @@ export function initializeSockets(io) {
 				
 				if (roomId !== 'GLOBAL') {
 					socket.join(roomId);
-					if (state.rooms[roomId]) socket.emit('STATE_UPDATE', state.rooms[roomId].gameState);
+					if (state.rooms[roomId]) socket.emit('STATE_UPDATE', sanitizeGameState(state.rooms[roomId].gameState));
 					updateClientCounts(roomId);
 				}
 				
@@ -200,17 +286,6 @@ export function initializeSockets(io) {
 		});
 
 		socket.on('JOIN_ROOM', (payload) => {
-			if (!validatePayload(payload, { 
-				type: 'object', 
-				fields: { 
-					name: { type: 'string', minLength: 1, maxLength: 30 }, 
-					roomCode: { type: 'string', minLength: 1, maxLength: 20 } 
-				} 
-			})) {
-				console.warn(`[SECURITY] Invalid JOIN_ROOM payload blocked from ${clientIp}`);
-				return; 
-			}
-
 			const { name, roomCode } = payload;
 
 			if (!socket.deviceId) return;
@@ -219,13 +294,33 @@ export function initializeSockets(io) {
 			if (!state.rooms[roomId]) return; 
 
 			socket.join(roomId);
-			state.sessions[socket.deviceId] = { name, role: 'UNASSIGNED', roomId };
+			state.sessions[socket.deviceId] = { name, role: 'UNASSIGNED', roomId, lastSeen: Date.now() };
 			state.clients[socket.id] = { id: socket.id, deviceId: socket.deviceId, name, ip: clientIp, role: 'UNASSIGNED', roomId };
+			saveState({ sessions: [socket.deviceId] });
 
 			updateClientCounts(roomId);
 			broadcastToAdmins();
 		});
 
+		/**
+		 * Counts a failed Admin or judge login against this IP; the fifth in a row locks it out for 10 minutes.
+		 * @returns {string|null} The lockout message, if this attempt triggered one.
+		 */
+		const recordFailedLogin = (auditType, details = {}) => {
+			const attemptData = state.loginAttempts[clientIp] || { count: 0, lockoutUntil: 0 };
+			attemptData.count += 1;
+			audit(auditType, null, { ...details, attempt: attemptData.count });
+			if (attemptData.count >= 5) {
+				attemptData.lockoutUntil = Date.now() + (10 * 60 * 1000);
+				console.warn(`[SECURITY] IP ${clientIp} locked out for 10 minutes (Brute Force Protection).`);
+				audit('LOGIN_LOCKOUT', null, { minutes: 10 });
+			}
+			state.loginAttempts[clientIp] = attemptData;
+			
+			delete state.loginChallenges[socket.id]; 
+			return attemptData.count >= 5 ? 'Too many attempts. Locked out for 10 minutes.' : null;
+		};
+
 		socket.on('REQUEST_LOGIN_CHALLENGE', (callback) => {
 			if (!state.adminCredentials) return callback({ success: false, message: 'Server not configured.' });
 
@@ -236,92 +331,354 @@ export function initializeSockets(io) {
 			}
 
 			const nonce = crypto.randomBytes(16).toString('hex');
-			state.loginChallenges[socket.id] = nonce;
+			const rehash = needsRehash(state.adminCredentials);
+			state.loginChallenges[socket.id] = { nonce, rehash };
 
-			callback({ success: true, salt: state.adminCredentials.salt, nonce: nonce });
+			callback({ success: true, ...getChallengeParameters(state.adminCredentials), nonce, rehash });
 		});
 
-		socket.on('ADMIN_LOGIN', (clientHmacResponse, callback) => {
+		/**
+		 * Signs this socket in as Admin once every factor has been checked.
+		 * @param {Object} [details] - Extra audit details, e.g. which second factor was used.
+		 */
+		const completeAdminLogin = (callback, details) => {
+			delete state.loginAttempts[clientIp];
+			delete state.loginChallenges[socket.id];
+
+			if (!state.clients[socket.id]) state.clients[socket.id] = { id: socket.id, deviceId: socket.deviceId };
+			state.clients[socket.id].role = 'ADMIN';
+			
+			if (socket.deviceId) {
+				state.sessions[socket.deviceId] = { name: 'Tournament Admin', role: 'ADMIN', roomId: 'GLOBAL', lastSeen: Date.now() };
+			}
+			
+			const uploadToken = issueUploadToken(socket.deviceId, clientIp);
+			audit('ADMIN_LOGIN', null, details);
+
+			socket.emit('ROLE_ASSIGNED', 'ADMIN');
+			broadcastToAdmins();
+			// The server clock lets the console timestamp signed HTTP requests even if its own clock is off.
+			if (typeof callback === 'function') callback({ success: true, uploadToken, serverTime: Date.now() });
+		};
+
+		socket.on('ADMIN_LOGIN', (clientHmacResponse, password, callback) => {
+			if (typeof password === 'function') [password, callback] = [undefined, password];
 			const attemptData = state.loginAttempts[clientIp] || { count: 0, lockoutUntil: 0 };
 
 			if (Date.now() < attemptData.lockoutUntil) {
 				return callback({ success: false, message: 'IP temporarily locked out.' });
 			}
 
-			const activeNonce = state.loginChallenges[socket.id];
-
-			if (verifyAdmin(clientHmacResponse, activeNonce)) {
-				delete state.loginAttempts[clientIp];
-				delete state.loginChallenges[socket.id];
+			const challenge = state.loginChallenges[socket.id];
+
+			if (verifyAdmin(clientHmacResponse, challenge?.nonce)) {
+				// Outdated credentials are rehashed from the password the client sent along, once it matches them.
+				// The login does not wait for it; a password change in the meantime wins.
+				const credentials = state.adminCredentials;
+				if (challenge.rehash) upgradeCredentials(credentials, password).then(upgraded => {
+					if (!upgraded || state.adminCredentials !== credentials) return;
+					state.adminCredentials = upgraded;
+					saveState();
+					audit('CREDENTIALS_REHASHED', null, { account: 'ADMIN', kdf: upgraded.kdf });
+				});
 
-				if (!state.clients[socket.id]) state.clients[socket.id] = { id: socket.id, deviceId: socket.deviceId };
-				state.clients[socket.id].role = 'ADMIN';
-				
-				if (socket.deviceId) {
-					state.sessions[socket.deviceId] = { name: 'Tournament Admin', role: 'ADMIN', roomId: 'GLOBAL' };
+				// With 2FA on, failed attempts are only cleared once ADMIN_TOTP_VERIFY accepts the second factor.
+				if (state.adminTotp) {
+					state.loginChallenges[socket.id] = { passwordVerifiedAt: Date.now() };
+					if (typeof callback === 'function') callback({ success: false, totpRequired: true });
+					return;
 				}
-				
-				const uploadToken = crypto.randomBytes(32).toString('hex');
-				state.uploadTokens[uploadToken] = socket.deviceId;
 
-				socket.emit('ROLE_ASSIGNED', 'ADMIN');
-				broadcastToAdmins();
-				if (typeof callback === 'function') callback({ success: true, uploadToken });
-				
+				completeAdminLogin(callback);
 			} else {
-				attemptData.count += 1;
-				if (attemptData.count >= 5) {
-					attemptData.lockoutUntil = Date.now() + (10 * 60 * 1000);
-					console.warn(`[SECURITY] IP ${clientIp} locked out for 10 minutes (Brute Force Protection).`);
-				}
-				state.loginAttempts[clientIp] = attemptData;
-				
-				delete state.loginChallenges[socket.id]; 
-				
-				if (typeof callback === 'function') {
-					const msg = attemptData.count >= 5 ? 'Too many attempts. Locked out for 10 minutes.' : 'Invalid Admin Password';
-					callback({ success: false, message: msg });
-				}
+				const lockoutMsg = recordFailedLogin('ADMIN_LOGIN_FAILED');
+				if (typeof callback === 'function') callback({ success: false, message: lockoutMsg || 'Invalid Admin Password' });
+			}
+		});
+
+		socket.on('ADMIN_TOTP_VERIFY', (code, callback) => {
+			if (Date.now() < (state.loginAttempts[clientIp]?.lockoutUntil || 0)) {
+				return callback({ success: false, message: 'IP temporarily locked out.' });
+			}
+
+			const verifiedAt = state.loginChallenges[socket.id]?.passwordVerifiedAt;
+			if (!verifiedAt || Date.now() - verifiedAt > SECOND_FACTOR_WINDOW_MS) {
+				delete state.loginChallenges[socket.id];
+				return callback({ success: false, message: 'Login expired. Enter the password again.' });
+			}
+
+			const factor = verifySecondFactor(code);
+			if (!factor) {
+				const lockoutMsg = recordFailedLogin('ADMIN_TOTP_FAILED');
+				return callback({ success: false, message: lockoutMsg || 'Invalid authentication code.' });
+			}
+
+			saveState();
+			if (factor === 'RECOVERY_CODE') audit('RECOVERY_CODE_USED', null, { left: state.adminTotp.recoveryCodes.length });
+			completeAdminLogin(callback, { secondFactor: factor });
+		});
+
+		// --- TWO-FACTOR ENROLMENT ---
+		// The secret stays on this socket until the Admin confirms a first code from their authenticator.
+		let pendingTotpSecret = null;
+
+		socket.on('REQUEST_TOTP_STATUS', (callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			callback?.(getTotpStatus());
+		});
+
+		socket.on('BEGIN_TOTP_ENROLMENT', (callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			if (state.adminTotp) return callback?.({ success: false, message: 'Two-factor authentication is already on.' });
+
+			const enrolment = createTotpEnrolment();
+			pendingTotpSecret = enrolment.secret;
+			callback?.({ success: true, ...enrolment });
+		});
+
+		socket.on('CONFIRM_TOTP_ENROLMENT', (code, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			if (!pendingTotpSecret || state.adminTotp) return callback?.({ success: false, message: 'Start the enrolment again.' });
+
+			const step = matchTotpCode(pendingTotpSecret, code);
+			if (step === null) return callback?.({ success: false, message: 'Invalid authentication code.' });
+
+			const recoveryCodes = enableTotp(pendingTotpSecret, step);
+			pendingTotpSecret = null;
+
+			// Other Admin devices signed in without a second factor; they log in again with it.
+			const otherAdminDevices = Object.keys(state.sessions).filter(deviceId => state.sessions[deviceId].role === 'ADMIN' && deviceId !== socket.deviceId);
+			otherAdminDevices.forEach(signOutAdminDevice);
+			saveState();
+			audit('TOTP_ENABLED', null, { signedOut: otherAdminDevices.length });
+			broadcastToAdmins();
+			callback?.({ success: true, recoveryCodes });
+		});
+
+		// Like CHANGE_PASSWORD, an open console alone is not enough: the password and a second factor are both required.
+		socket.on('DISABLE_TOTP', async ({ password, code }, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			if (!state.adminTotp) return callback?.({ success: true });
+			// The password is checked first so a wrong one does not use up a recovery code.
+			if (!(await verifyAdminPassword(password)) || !verifySecondFactor(code)) {
+				audit('TOTP_DISABLE_FAILED');
+				return callback?.({ success: false, message: 'Incorrect password or authentication code.' });
+			}
+
+			state.adminTotp = null;
+			saveState();
+			audit('TOTP_DISABLED');
+			callback?.({ success: true });
+		});
+
+		/**
+		 * Ends an Admin device's session: revokes its HTTP tokens and sends its consoles back to the Lobby.
+		 * Callers persist with saveState({ sessions: [deviceId] }).
+		 */
+		const signOutAdminDevice = (deviceId) => {
+			revokeUploadTokens(deviceId);
+			if (state.sessions[deviceId]?.role === 'ADMIN') {
+				state.sessions[deviceId].role = 'UNASSIGNED';
+				state.sessions[deviceId].roomId = null;
 			}
+
+			getDeviceClients(deviceId).filter(client => client.role === 'ADMIN').forEach(client => {
+				client.role = 'UNASSIGNED';
+				client.roomId = null;
+				io.to(client.id).emit('ADMIN_SIGNED_OUT');
+				io.to(client.id).emit('ROLE_ASSIGNED', 'UNASSIGNED');
+			});
+		};
+
+		socket.on('ADMIN_LOGOUT', () => {
+			if (state.clients[socket.id]?.role !== 'ADMIN' || !socket.deviceId) return;
+
+			audit('ADMIN_LOGOUT');
+			signOutAdminDevice(socket.deviceId);
+			saveState({ sessions: [socket.deviceId] });
+			broadcastToAdmins();
 		});
 
-		socket.on('CHANGE_PASSWORD', ({ oldPassword, newPassword }) => {
+		socket.on('REQUEST_SERVER_IDENTITY', (callback) => {
 			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			const ca = getCaCertificate();
+			callback?.({ ...getPairingInfo(), caFingerprint: ca?.fingerprint || null });
+		});
+
+		socket.on('REVOKE_UPLOAD_TOKENS', () => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			// Every Admin device is signed out, this one included, so no console keeps a half-working session.
+			const adminDevices = Object.keys(state.sessions).filter(deviceId => state.sessions[deviceId].role === 'ADMIN');
+			audit('UPLOAD_TOKENS_REVOKED', null, { tokens: revokeUploadTokens(), devices: adminDevices.length });
+			adminDevices.forEach(signOutAdminDevice);
+
+			saveState({ sessions: adminDevices });
+			broadcastToAdmins();
+		});
+
+		socket.on('CHANGE_PASSWORD', async ({ oldPassword, newPassword }) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			if (await verifyAdminPassword(oldPassword)) {
+				const verifiedCredentials = state.adminCredentials;
+				const credentials = await hashPassword(newPassword);
+				// Two consoles changing the password at once: the first one wins.
+				if (state.adminCredentials !== verifiedCredentials) {
+					return socket.emit('PASSWORD_CHANGED_FAILED', 'The password was just changed from another console.');
+				}
+				state.adminCredentials = credentials;
 
-			if (verifyPasswordPlaintext(oldPassword)) {
-				state.adminCredentials = hashPassword(newPassword);
+				// Other Admin devices authenticated with the old password; this one gets a fresh token.
+				const otherAdminDevices = Object.keys(state.sessions).filter(deviceId => state.sessions[deviceId].role === 'ADMIN' && deviceId !== socket.deviceId);
+				otherAdminDevices.forEach(signOutAdminDevice);
+				revokeUploadTokens();
 				saveState();
 				
 				socket.emit('PASSWORD_CHANGED_SUCCESS', 'Password updated successfully.');
+				if (socket.deviceId) socket.emit('UPLOAD_TOKEN_ISSUED', issueUploadToken(socket.deviceId, clientIp));
 				console.log(`[SECURITY] Master admin password rotated by Admin at ${new Date().toISOString()}`);
+				audit('PASSWORD_CHANGED', null, { signedOut: otherAdminDevices.length });
+				broadcastToAdmins();
 			} else {
 				socket.emit('PASSWORD_CHANGED_FAILED', 'Incorrect current password.');
 				console.warn(`[SECURITY] Failed password rotation attempt from Admin.`);
+				audit('PASSWORD_CHANGE_FAILED');
+			}
+		});
+
+		// --- JUDGE ACCOUNTS ---
+		socket.on('REQUEST_JUDGE_CHALLENGE', ({ name }, callback) => {
+			if (!state.adminCredentials) return callback({ success: false, message: 'Server not configured.' });
+
+			const lockoutUntil = state.loginAttempts[clientIp]?.lockoutUntil || 0;
+			if (Date.now() < lockoutUntil) {
+				const minutesLeft = Math.ceil((lockoutUntil - Date.now()) / 60000);
+				return callback({ success: false, message: `Too many failed attempts. Locked out for ${minutesLeft} minutes.` });
+			}
+
+			const account = findJudgeAccount(name);
+			const nonce = crypto.randomBytes(16).toString('hex');
+			const rehash = Boolean(account && needsRehash(account));
+			state.loginChallenges[socket.id] = { nonce, rehash };
+
+			callback({ success: true, ...getChallengeParameters(account, getJudgeChallengeSalt(name)), nonce, rehash });
+		});
+
+		socket.on('JUDGE_LOGIN', ({ name, roomId, response, password }, callback) => {
+			if (!socket.deviceId) return callback({ success: false, message: 'Device not identified yet.' });
+			if (state.clients[socket.id]?.role === 'ADMIN') return callback({ success: false, message: 'This device is signed in as Admin.' });
+			if (Date.now() < (state.loginAttempts[clientIp]?.lockoutUntil || 0)) {
+				return callback({ success: false, message: 'IP temporarily locked out.' });
+			}
+
+			const account = findJudgeAccount(name);
+			const challenge = state.loginChallenges[socket.id];
+
+			if (!account || !verifyChallengeResponse(account, response, challenge?.nonce)) {
+				const lockoutMsg = recordFailedLogin('JUDGE_LOGIN_FAILED', { account: name });
+				return callback({ success: false, message: lockoutMsg || 'Invalid judge name or password.' });
+			}
+
+			delete state.loginAttempts[clientIp];
+			delete state.loginChallenges[socket.id];
+
+			// As for the Admin, the login does not wait for the rehash; a revoked account is left alone.
+			const storedHash = account.hash;
+			if (challenge.rehash) upgradeCredentials(account, password).then(upgraded => {
+				if (!upgraded || state.judgeAccounts[account.id] !== account || account.hash !== storedHash) return;
+				Object.assign(account, upgraded);
+				saveState({ judgeAccounts: [account.id] });
+				audit('CREDENTIALS_REHASHED', null, { account: account.name, kdf: upgraded.kdf });
+			});
+
+			if (account.roomId && account.roomId !== roomId) return callback({ success: false, message: `This account may only judge ${account.roomId}.` });
+			if (!state.rooms[roomId]) return callback({ success: false, message: 'Table not found.' });
+			if (state.rooms[roomId].gameState.areRolesLocked) return callback({ success: false, message: 'Roles are locked at this table.' });
+
+			const previousRoomId = state.clients[socket.id]?.roomId;
+			if (previousRoomId && previousRoomId !== roomId && previousRoomId !== 'GLOBAL') {
+				socket.leave(previousRoomId);
+				if (state.rooms[previousRoomId]) updateClientCounts(previousRoomId);
 			}
+
+			socket.join(roomId);
+			state.sessions[socket.deviceId] = { name: account.name, role: 'JUDGE', roomId, judgeAccountId: account.id, lastSeen: Date.now() };
+			state.clients[socket.id] = { id: socket.id, deviceId: socket.deviceId, name: account.name, ip: clientIp, role: 'JUDGE', roomId };
+			account.lastLoginAt = Date.now();
+			saveState({ sessions: [socket.deviceId], judgeAccounts: [account.id] });
+			audit('JUDGE_LOGIN', roomId, { account: account.name });
+
+			socket.emit('STATE_UPDATE', sanitizeGameState(state.rooms[roomId].gameState));
+			socket.emit('ROLE_ASSIGNED', 'JUDGE');
+			updateClientCounts(roomId);
+			broadcastToAdmins();
+			callback({ success: true });
 		});
 
-		socket.on('CREATE_ROOM', (roomCode) => {
-			if (!validatePayload(roomCode, { type: 'string', minLength: 1, maxLength: 20 })) return;
+		socket.on('CREATE_JUDGE_ACCOUNT', async (payload, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			if (payload.roomId && !state.rooms[payload.roomId]) return callback?.({ success: false, message: 'Table not found.' });
+
+			const account = await createJudgeAccount(payload);
+			if (!account) return callback?.({ success: false, message: 'A judge account with this name already exists.' });
 
+			saveState({ judgeAccounts: [account.id] });
+			audit('JUDGE_ACCOUNT_CREATED', account.roomId, { account: account.name });
+			broadcastToAdmins();
+			callback?.({ success: true });
+		});
+
+		socket.on('REVOKE_JUDGE_ACCOUNT', (accountId) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			const account = state.judgeAccounts[accountId];
+			if (!account) return;
+
+			const demotedDevices = revokeJudgeAccount(accountId);
+			const touchedRooms = new Set();
+			for (const deviceId of demotedDevices) {
+				state.sessions[deviceId].role = 'UNASSIGNED';
+				delete state.sessions[deviceId].judgeAccountId;
+				touchedRooms.add(state.sessions[deviceId].roomId);
+
+				getDeviceClients(deviceId).forEach(client => {
+					client.role = 'UNASSIGNED';
+					io.to(client.id).emit('ROLE_ASSIGNED', 'UNASSIGNED');
+				});
+			}
+
+			saveState({ judgeAccounts: [accountId], sessions: demotedDevices });
+			audit('JUDGE_ACCOUNT_REVOKED', account.roomId, { account: account.name, demoted: demotedDevices.length });
+			touchedRooms.forEach(roomId => { if (state.rooms[roomId]) updateClientCounts(roomId); });
+			broadcastToAdmins();
+		});
+
+		socket.on('CREATE_ROOM', (payload, callback) => {
 			if (state.clients[socket.id]?.role !== 'ADMIN') {
 				socket.emit('ROLE_ASSIGNED', 'UNASSIGNED'); 
 				return;
 			}
-			const roomId = roomCode.toUpperCase().trim();
-			if (!roomId || state.rooms[roomId]) return; 
+			const roomId = payload.roomCode.toUpperCase().trim();
+			if (!roomId || state.rooms[roomId]) return callback?.({ success: false, message: 'A table with this name already exists.' }); 
+
+			const deck = resolveDeck(payload.deckId, payload.customRoles);
+			if (!deck) return callback?.({ success: false, message: 'Invalid deck definition.' });
 
-			state.rooms[roomId] = { gameState: getInitialGameState() };
+			state.rooms[roomId] = { gameState: getInitialGameState(deck) };
+			audit('CREATE_ROOM', roomId, { deck: deck.id, size: deck.size });
 
 			broadcastAvailableRooms();
 			broadcastToAdmins();
 			saveState();
+			callback?.({ success: true });
 		});
 
 		socket.on('DELETE_ROOM', (roomId) => {
-			if (!validatePayload(roomId, { type: 'string', minLength: 1, maxLength: 20 })) return;
 			if (state.clients[socket.id]?.role !== 'ADMIN') return;
 			if (!state.rooms[roomId] || state.rooms[roomId].gameState.areRolesLocked) return; 
 
+			snapshotBefore('DELETE_ROOM', roomId);
+
 			Object.values(state.clients).forEach(client => {
 				if (client.roomId === roomId && client.role !== 'ADMIN') {
 					const newRole = client.role === 'STREAM' ? 'PENDING_STREAM' : 'UNASSIGNED';
@@ -337,7 +694,9 @@ export function initializeSockets(io) {
 				}
 			});
 
+			clearPickTimer(roomId);
 			delete state.rooms[roomId];
+			audit('DELETE_ROOM', roomId);
 			broadcastAvailableRooms();
 			broadcastToAdmins();
 				saveState();
@@ -347,9 +706,16 @@ export function initializeSockets(io) {
 			const { userAgent, deviceId } = payload;
 			const roomId = 'GLOBAL'; 
 
+			if (isDeviceBanned(deviceId)) {
+				socket.emit('DEVICE_BANNED');
+				socket.disconnect(true);
+				return;
+			}
+
 			socket.join(roomId);
 
 			if (!state.sessions[deviceId]) state.sessions[deviceId] = { name: 'Stream Request', role: 'PENDING_STREAM', roomId, streamLayout: 'CENTER' };
+			touchSession(deviceId);
 
 			state.clients[socket.id] = { 
 				id: socket.id, 
@@ -382,6 +748,7 @@ export function initializeSockets(io) {
 			io.to(socket.id).emit('STREAM_IP', clientIp); 
 			io.to(socket.id).emit('UPDATE_LAYOUT', state.clients[socket.id].streamLayout);
 			broadcastToAdmins();
+			saveState({ sessions: [deviceId] });
 		});
 
 		socket.on('VERIFY_STREAM', ({ targetSocketId, targetRoomId }) => {
@@ -394,6 +761,7 @@ export function initializeSockets(io) {
 			targetClient.role = 'STREAM';
 			state.sessions[targetClient.deviceId].roomId = targetRoomId;
 			state.sessions[targetClient.deviceId].role = 'STREAM';
+			audit('STREAM_APPROVED', targetRoomId, { target: targetClient.name, device: targetClient.deviceId.substring(0, 8), ip: targetClient.ip });
 
 			const targetSocket = io.sockets.sockets.get(targetSocketId);
 			if (targetSocket) {
@@ -404,17 +772,10 @@ export function initializeSockets(io) {
 			io.to(targetSocketId).emit('ROLE_ASSIGNED', 'STREAM');
 			updateClientCounts(targetRoomId);
 			broadcastToAdmins();
+			saveState({ sessions: [targetClient.deviceId] });
 		});
 
 		socket.on('SET_STREAM_LAYOUT', (payload) => {
-			if (!validatePayload(payload, { 
-				type: 'object', 
-				fields: { 
-					targetSocketId: { type: 'string', maxLength: 100 }, 
-					layout: { type: 'string', maxLength: 15 } 
-				} 
-			})) return;
-
 			const { targetSocketId, layout } = payload;
 			if (state.clients[socket.id]?.role !== 'ADMIN') return;
 
@@ -432,14 +793,6 @@ export function initializeSockets(io) {
 		});
 
 		socket.on('ASSIGN_ROLE', (payload) => {
-			if (!validatePayload(payload, { 
-				type: 'object', 
-				fields: { 
-					targetSocketId: { type: 'string', maxLength: 100 }, 
-					newRole: { type: 'string', maxLength: 20 } 
-				} 
-			})) return;
-
 			const { targetSocketId, newRole } = payload;
 
 			if (state.clients[socket.id]?.role !== 'ADMIN') return;
@@ -451,8 +804,10 @@ export function initializeSockets(io) {
 			if (!state.rooms[roomId] || state.rooms[roomId].gameState.areRolesLocked) return;
 			if (targetClient.name === 'Anonymous' && newRole !== 'ADMIN' && newRole !== 'UNASSIGNED') return;
 
+			audit('ASSIGN_ROLE', roomId, { target: targetClient.name, device: targetClient.deviceId.substring(0, 8), from: targetClient.role, to: newRole });
 			targetClient.role = newRole;
 			state.sessions[targetClient.deviceId].role = newRole; 
+			delete state.sessions[targetClient.deviceId].judgeAccountId;
 
 			if (newRole !== 'PLAYER') {
 				state.sessions[targetClient.deviceId].assignedSeat = null;
@@ -461,6 +816,7 @@ export function initializeSockets(io) {
 			io.to(targetSocketId).emit('ROLE_ASSIGNED', newRole);
 			updateClientCounts(roomId);
 			broadcastToAdmins();
+			saveState({ sessions: [targetClient.deviceId] });
 		});
 
 		socket.on('RESET_CLIENT', (targetSocketId) => {
@@ -469,47 +825,45 @@ export function initializeSockets(io) {
 			if (!targetClient) return;
 
 			const roomId = targetClient.roomId;
+			audit('RESET_CLIENT', roomId, { target: targetClient.name, device: targetClient.deviceId.substring(0, 8), from: targetClient.role });
 			targetClient.role = 'UNASSIGNED';
 			state.sessions[targetClient.deviceId].role = 'UNASSIGNED';
+			delete state.sessions[targetClient.deviceId].judgeAccountId;
+			revokeUploadTokens(targetClient.deviceId);
 			io.to(targetSocketId).emit('ROLE_ASSIGNED', 'UNASSIGNED');
 
 			updateClientCounts(roomId);
 			broadcastToAdmins();
+			saveState({ sessions: [targetClient.deviceId] });
 		});
 
 		socket.on('TOGGLE_ROLE_LOCK', (payload) => {
-			if (!validatePayload(payload, { 
-				type: 'object', 
-				fields: { 
-					roomId: { type: 'string', maxLength: 20 }, 
-					booleanState: { type: 'boolean' } 
-				} 
-			})) return;
-
 			const { roomId, booleanState } = payload;
 			if (state.clients[socket.id]?.role !== 'ADMIN' || !state.rooms[roomId] || state.rooms[roomId].gameState.status === 'IN_PROGRESS') return;
 
 			const room = state.rooms[roomId];
 
 			if (booleanState === true && room.gameState.settings.singleMode) {
+				const tableSize = room.gameState.settings.deck.size;
 				const seatedPlayers = Object.values(state.sessions).filter(
-					s => s.roomId === roomId && s.role === 'PLAYER' && s.assignedSeat
+					s => s.roomId === roomId && s.role === 'PLAYER' && s.assignedSeat && s.assignedSeat <= tableSize
 				);
 				
 				const uniqueSeats = new Set(seatedPlayers.map(s => s.assignedSeat));
 				
-				if (uniqueSeats.size !== 10) {
-					return socket.emit('ADMIN_ERROR', 'Single Mode requires exactly 10 players to be assigned unique seats (1-10) before locking.');
+				if (uniqueSeats.size !== tableSize || seatedPlayers.length !== tableSize) {
+					return socket.emit('ADMIN_ERROR', `Single Mode requires exactly ${tableSize} players to be assigned unique seats (1-${tableSize}) before locking.`);
 				}
 			}
 
 			room.gameState.areRolesLocked = booleanState;
-			io.to(roomId).emit('STATE_UPDATE', room.gameState);
+			audit('ROLE_LOCK', roomId, { locked: booleanState });
+			io.to(roomId).emit('STATE_UPDATE', sanitizeGameState(room.gameState));
 			broadcastToAdmins();
+			saveState({ rooms: [roomId] });
 		});
 
 		socket.on('TOGGLE_GLOBAL_DEBUG', (booleanState, callback) => {
-			if (!validatePayload(booleanState, { type: 'boolean' })) return;
 			if (state.clients[socket.id]?.role !== 'ADMIN') return callback?.({ success: false, message: 'Unauthorized' });
 
 			const isAnyDrafting = Object.values(state.rooms).some(r => r.gameState.status !== 'PENDING');
@@ -518,6 +872,7 @@ export function initializeSockets(io) {
 			}
 
 			state.globalDebugMode = booleanState;
+			audit('TOGGLE_GLOBAL_DEBUG', null, { enabled: booleanState });
 
 			if (!state.globalDebugMode) {
 				const affectedRooms = new Set();
@@ -545,6 +900,7 @@ export function initializeSockets(io) {
 			if (state.rooms[roomId].gameState.status !== 'PENDING') return; 
 
 			state.rooms[roomId].gameState.settings.singleMode = booleanState;
+			audit('TOGGLE_SINGLE_MODE', roomId, { enabled: booleanState });
 
 			if (!booleanState) {
 				for (const sessionId in state.sessions) {
@@ -558,15 +914,46 @@ export function initializeSockets(io) {
 			broadcastToAdmins();
 		});
 
+		socket.on('SET_DRAFT_ORDER', (payload) => {
+			const { roomId } = payload;
+			if (state.clients[socket.id]?.role !== 'ADMIN' || !state.rooms[roomId]) return;
+
+			const gs = state.rooms[roomId].gameState;
+			if (gs.status !== 'PENDING') return;
+
+			const draftOrder = normalizeDraftOrder(payload, gs.settings.deck.size);
+			if (!draftOrder) return socket.emit('ADMIN_ERROR', 'Invalid draft order.');
+
+			gs.settings.draftOrder = draftOrder;
+			audit('SET_DRAFT_ORDER', roomId, draftOrder);
+			saveState();
+			broadcastState(roomId);
+		});
+
+		socket.on('SET_PICK_TIMER', (payload) => {
+			const { roomId } = payload;
+			if (state.clients[socket.id]?.role !== 'ADMIN' || !state.rooms[roomId]) return;
+
+			const pickTimer = normalizePickTimer(payload);
+			if (!pickTimer) return socket.emit('ADMIN_ERROR', 'Invalid pick timer settings.');
+
+			// Takes effect from the next tray unlock; a clock already running keeps its deadline.
+			state.rooms[roomId].gameState.settings.pickTimer = pickTimer;
+			audit('SET_PICK_TIMER', roomId, pickTimer);
+			saveState();
+			broadcastState(roomId);
+		});
+
 		socket.on('SPAWN_PHANTOMS', (roomId, callback) => {
 			if (state.clients[socket.id]?.role !== 'ADMIN') return callback?.({ success: false });
 			if (!state.globalDebugMode) return callback?.({ success: false, message: 'Debug mode required' });
+			if (!state.rooms[roomId]) return callback?.({ success: false });
 
 			const existingSeats = Object.values(state.sessions)
 				.filter(s => s.roomId === roomId && s.role === 'PLAYER' && s.assignedSeat)
 				.map(s => s.assignedSeat);
 
-			for (let i = 1; i <= 10; i++) {
+			for (let i = 1; i <= state.rooms[roomId].gameState.settings.deck.size; i++) {
 				if (!existingSeats.includes(i)) {
 					const phantomId = `phantom_${roomId}_seat_${i}`;
 					state.sessions[phantomId] = {
@@ -591,8 +978,13 @@ export function initializeSockets(io) {
 				const roomId = session.roomId;
 				if (state.rooms[roomId] && state.rooms[roomId].gameState.areRolesLocked) return;
 
-				session.assignedSeat = seatNumber ? parseInt(seatNumber) : null;
-				saveState();
+				const seat = seatNumber ? parseInt(seatNumber) : null;
+				const tableSize = state.rooms[roomId]?.gameState.settings.deck.size;
+				if (seat !== null && (Number.isNaN(seat) || seat < 1 || !tableSize || seat > tableSize)) return;
+
+				session.assignedSeat = seat;
+				audit('ASSIGN_SEAT', roomId, { target: session.name || null, device: targetDeviceId.substring(0, 8), seat });
+				saveState({ sessions: [targetDeviceId] });
 				broadcastToAdmins();
 
 				const targetClient = Object.values(state.clients).find(c => c.deviceId === targetDeviceId);
@@ -613,12 +1005,231 @@ export function initializeSockets(io) {
 			if (state.clients[socket.id]?.role === 'ADMIN') {
 				broadcastToAdmins(); 
 				socket.emit('GLOBAL_DEBUG_UPDATE', state.globalDebugMode);
+				socket.emit('PLAYERS_UPDATE', Object.values(state.players));
+				socket.emit('SCHEDULE_UPDATE', state.schedule);
 			} else {
 				socket.emit('ROLE_ASSIGNED', 'UNASSIGNED');
 			}
 		});
 
+		// --- DEVICE MANAGEMENT ---
+		socket.on('RENAME_DEVICE', (payload) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const session = state.sessions[payload.deviceId];
+			const name = payload.name.trim();
+			if (!session || session.isPhantom || !name || name === session.name) return;
+
+			audit('DEVICE_RENAMED', state.rooms[session.roomId] ? session.roomId : null, { device: payload.deviceId.substring(0, 8), from: session.name || null, to: name });
+			session.name = name;
+			getDeviceClients(payload.deviceId).forEach(client => client.name = name);
+
+			saveState({ sessions: [payload.deviceId] });
+			broadcastToAdmins();
+		});
+
+		socket.on('FORGET_DEVICE', (deviceId) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const session = state.sessions[deviceId];
+			if (!session || session.isPhantom || deviceId === socket.deviceId) return;
+			if (state.rooms[session.roomId]?.gameState.areRolesLocked) {
+				return socket.emit('ADMIN_ERROR', 'Unlock the table before forgetting one of its devices.');
+			}
+
+			audit('DEVICE_FORGOTTEN', state.rooms[session.roomId] ? session.roomId : null, { target: session.name || null, device: deviceId.substring(0, 8), role: session.role });
+			delete state.sessions[deviceId];
+			revokeUploadTokens(deviceId);
+
+			// Live sockets of the device drop back to the Lobby and must register again.
+			const affectedRooms = new Set();
+			getDeviceClients(deviceId).forEach(client => {
+				if (client.roomId) {
+					affectedRooms.add(client.roomId);
+					io.sockets.sockets.get(client.id)?.leave(client.roomId);
+				}
+				delete state.clients[client.id];
+				io.to(client.id).emit('ROLE_ASSIGNED', 'UNASSIGNED');
+			});
+
+			saveState({ sessions: [deviceId] });
+			affectedRooms.forEach(roomId => updateClientCounts(roomId));
+			broadcastToAdmins();
+		});
+
+		socket.on('BAN_DEVICE', (payload) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const { deviceId, banned } = payload;
+			const session = state.sessions[deviceId];
+			if (!session || session.isPhantom || deviceId === socket.deviceId || Boolean(session.banned) === banned) return;
+
+			if (banned) {
+				session.banned = true;
+				revokeUploadTokens(deviceId);
+			} else {
+				delete session.banned;
+			}
+			audit(banned ? 'DEVICE_BANNED' : 'DEVICE_UNBANNED', null, { target: session.name || null, device: deviceId.substring(0, 8) });
+			saveState({ sessions: [deviceId] });
+
+			// The disconnect handler clears the banned device's clients and table counts.
+			if (banned) {
+				getDeviceClients(deviceId).forEach(client => {
+					const targetSocket = io.sockets.sockets.get(client.id);
+					if (!targetSocket) return;
+					targetSocket.emit('DEVICE_BANNED');
+					targetSocket.disconnect(true);
+				});
+			}
+			broadcastToAdmins();
+		});
+
+		// --- PLAYER REGISTRY ---
+		socket.on('CREATE_PLAYER', (payload, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const input = normalizePlayerInput(payload);
+			if (!input) return callback?.({ success: false, message: 'Invalid player details.' });
+
+			const player = createPlayer(input);
+			audit('PLAYER_CREATED', null, { player: player.nickname });
+
+			saveState();
+			broadcastPlayers();
+			callback?.({ success: true, playerId: player.id });
+		});
+
+		socket.on('UPDATE_PLAYER', (payload, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const player = state.players[payload.id];
+			const input = normalizePlayerInput(payload);
+			if (!player || !input) return callback?.({ success: false, message: 'Invalid player details.' });
+
+			const previousNickname = player.nickname;
+			Object.assign(player, input);
+			audit('PLAYER_UPDATED', null, previousNickname === player.nickname ? { player: player.nickname } : { player: player.nickname, previousNickname });
+
+			saveState();
+			broadcastPlayers();
+			getRoomsSeatingPlayer(player.id).forEach(roomId => broadcastState(roomId));
+			callback?.({ success: true });
+		});
+
+		socket.on('DELETE_PLAYER', (playerId) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN' || !state.players[playerId]) return;
+
+			snapshotBefore('DELETE_PLAYER', state.players[playerId].nickname);
+			audit('DELETE_PLAYER', null, { player: state.players[playerId].nickname });
+			const touchedRooms = deletePlayer(playerId);
+
+			saveState();
+			broadcastPlayers();
+			touchedRooms.forEach(roomId => broadcastState(roomId));
+		});
+
+		socket.on('SET_SEAT_PLAYER', (payload) => {
+			const { roomId, seat, playerId } = payload;
+			if (state.clients[socket.id]?.role !== 'ADMIN' || !state.rooms[roomId]) return;
+
+			const gs = state.rooms[roomId].gameState;
+			if (gs.status === 'IN_PROGRESS') return socket.emit('ADMIN_ERROR', 'Seating is locked while a draft is in progress.');
+			if (seat > gs.settings.deck.size) return;
+			if (playerId && !state.players[playerId]) return;
+
+			// A player holds at most one seat per table; re-seating moves them.
+			for (const [otherSeat, seatedId] of Object.entries(gs.seating)) {
+				if (seatedId === playerId) delete gs.seating[otherSeat];
+			}
+
+			if (playerId) gs.seating[seat] = playerId;
+			else delete gs.seating[seat];
+			audit('SET_SEAT_PLAYER', roomId, { seat, player: playerId ? state.players[playerId].nickname : null });
+
+			saveState();
+			broadcastState(roomId);
+		});
+
+		// --- TOURNAMENT SCHEDULE ---
+		socket.on('GENERATE_SCHEDULE', (payload, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const { roomIds, rounds } = payload;
+			const playerIds = payload.playerIds ?? Object.keys(state.players);
+
+			if (new Set(roomIds).size !== roomIds.length || !roomIds.every(id => state.rooms[id])) {
+				return callback?.({ success: false, message: 'Unknown or duplicate table.' });
+			}
+			if (new Set(playerIds).size !== playerIds.length || !playerIds.every(id => state.players[id])) {
+				return callback?.({ success: false, message: 'Unknown or duplicate player.' });
+			}
+
+			const tables = roomIds.map(roomId => ({ roomId, size: state.rooms[roomId].gameState.settings.deck.size }));
+			const seatCount = tables.reduce((sum, t) => sum + t.size, 0);
+			if (seatCount !== playerIds.length) {
+				return callback?.({ success: false, message: `The selected tables seat ${seatCount} players, but ${playerIds.length} are registered.` });
+			}
+
+			if (state.schedule) snapshotBefore('GENERATE_SCHEDULE');
+			state.schedule = generateSchedule(playerIds, tables, rounds);
+			console.log(`[SCHEDULE] Generated ${rounds} rounds for ${playerIds.length} players across ${roomIds.length} tables.`);
+			audit('GENERATE_SCHEDULE', null, { rounds, players: playerIds.length, tables: roomIds.join(', ') });
+
+			saveState();
+			broadcastSchedule();
+			callback?.({ success: true });
+		});
+
+		socket.on('APPLY_SCHEDULE_ROUND', (roundIndex) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN' || !state.schedule) return;
+			if (roundIndex >= state.schedule.rounds.length) return;
+
+			const blocked = state.schedule.roomIds.filter(roomId => {
+				const gs = state.rooms[roomId]?.gameState;
+				return !gs || gs.status !== 'PENDING' || gs.areRolesLocked;
+			});
+			if (blocked.length > 0) {
+				return socket.emit('ADMIN_ERROR', `Unlock roles and reset these tables before seating the round: ${blocked.join(', ')}.`);
+			}
+
+			applyScheduleRound(roundIndex);
+			console.log(`[SCHEDULE] Round ${roundIndex + 1} seated.`);
+			audit('APPLY_SCHEDULE_ROUND', null, { round: roundIndex + 1, tables: state.schedule.roomIds.join(', ') });
+
+			saveState();
+			broadcastSchedule();
+			state.schedule.roomIds.forEach(roomId => broadcastState(roomId));
+		});
+
+		socket.on('CLEAR_SCHEDULE', () => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			if (state.schedule) snapshotBefore('CLEAR_SCHEDULE');
+			state.schedule = null;
+			audit('CLEAR_SCHEDULE');
+			saveState();
+			broadcastSchedule();
+		});
+
 		// --- GAME LOGIC ---
+
+		/**
+		 * Resolves the table a draft-control event targets, or null if the sender may not act on it.
+		 * Judges act on their own table; the Admin console names the table explicitly ({ roomId }).
+		 */
+		const resolveControlRoom = (payload) => {
+			const client = state.clients[socket.id];
+			if (client?.role !== 'JUDGE' && client?.role !== 'ADMIN') return null;
+
+			let roomId = client.roomId;
+			if (client.role === 'ADMIN') {
+				if (!validatePayload(payload, { type: 'object', fields: { roomId: { type: 'string', minLength: 1, maxLength: 20 } } })) return null;
+				roomId = payload.roomId;
+			}
+			return roomId && state.rooms[roomId] ? roomId : null;
+		};
+
 		socket.on('START_DRAFT', () => {
 			const roomId = state.clients[socket.id]?.roomId;
 			if ((state.clients[socket.id]?.role !== 'JUDGE' && state.clients[socket.id]?.role !== 'ADMIN') || !roomId) return;
@@ -626,112 +1237,172 @@ export function initializeSockets(io) {
 			const gs = state.rooms[roomId].gameState;
 			if (!gs.areRolesLocked) return;
 
-			const shuffledRoles = shuffle([...INITIAL_DECK]);
+			const shuffledRoles = shuffle(expandDeck(gs.settings.deck));
 			const newSlots = {};
 			shuffledRoles.forEach((role, index) => { newSlots[index] = role; });
+			const { commitment, salt } = createDeckCommitment(newSlots);
 
+			clearPickTimer(roomId);
 			gs.status = 'IN_PROGRESS';
+			gs.isPaused = false;
+			gs.pausedAt = null;
 			gs.slots = newSlots;
 			gs.revealedSlots = [];
 			gs.currentTurn = 1;
+			gs.turnOrder = buildTurnOrder(gs.settings.draftOrder, gs.settings.deck.size);
 			gs.results = {};
+			gs.undoLog = [];
 			gs.isTrayUnlocked = false;
 			gs.isCardRevealed = false;
 			gs.draftStartTime = Date.now();
+			gs.startedBy = { role: state.clients[socket.id].role, name: state.clients[socket.id].name || null };
 			gs.isDebugMode = state.globalDebugMode;
+			gs.deckCommitment = commitment;
+			gs.deckSalt = salt;
+
+			console.log(`[DRAFT] Room ${roomId} deck committed: ${commitment.hash}`);
+			audit('START_DRAFT', roomId, { commitment: commitment.hash });
 
 			broadcastState(roomId);
-			saveState();
+			saveState({ rooms: [roomId] });
 		});
 
 		socket.on('UNLOCK_TRAY', () => {
 			const roomId = state.clients[socket.id]?.roomId;
 			if ((state.clients[socket.id]?.role !== 'JUDGE' && state.clients[socket.id]?.role !== 'ADMIN') || !roomId) return;
 
-			if (state.rooms[roomId].gameState.status === 'IN_PROGRESS') {
-				state.rooms[roomId].gameState.isTrayUnlocked = true;
+			const gs = state.rooms[roomId].gameState;
+			if (gs.status === 'IN_PROGRESS' && !gs.isPaused) {
+				if (!gs.isTrayUnlocked) startPickTimer(roomId);
+				gs.isTrayUnlocked = true;
 				broadcastState(roomId); 
 				io.to(roomId).emit('CLEAR_STREAM'); 
+				saveState({ rooms: [roomId] });
 			}
 		});
 
 		socket.on('PICK_CARD', (slotIndex) => {
-			if (!validatePayload(slotIndex, { type: 'number', min: 0, max: 9 })) {
+			const roomId = state.clients[socket.id]?.roomId;
+			if (!roomId || !state.rooms[roomId]) return;
+			const gs = state.rooms[roomId].gameState;
+
+			if (!validatePayload(slotIndex, { type: 'number', min: 0, max: gs.settings.deck.size - 1 }) || !Number.isInteger(slotIndex)) {
 				console.warn(`[SECURITY] Invalid PICK_CARD payload blocked from ${clientIp}`);
 				return;
 			}
 
-			const roomId = state.clients[socket.id]?.roomId;
-			if (!roomId) return;
-			const gs = state.rooms[roomId].gameState;
-
-			if (gs.status !== 'IN_PROGRESS' || !gs.isTrayUnlocked) return;
+			if (gs.status !== 'IN_PROGRESS' || gs.isPaused || !gs.isTrayUnlocked) return;
 			if (gs.revealedSlots.includes(slotIndex)) return;
 
+			const activeSeat = getSeatForTurn(gs);
+
+			// In Single Mode only the tablet seated at the drafting position may pick.
+			if (gs.settings.singleMode && state.sessions[socket.deviceId]?.assignedSeat !== activeSeat) {
+				console.warn(`[SECURITY] Out-of-turn PICK_CARD blocked from ${clientIp} (seat ${activeSeat} is drafting).`);
+				audit('PICK_REJECTED', roomId, { activeSeat, seat: state.sessions[socket.deviceId]?.assignedSeat || null, slot: slotIndex + 1 });
+				return;
+			}
+
+			clearPickTimer(roomId);
+
 			const role = gs.slots[slotIndex];
 			gs.revealedSlots.push(slotIndex);
-			gs.results[gs.currentTurn] = { role, slotIndex };
+			gs.results[activeSeat] = { role, slotIndex, forced: false, pickedAt: Date.now() };
+			audit('PICK', roomId, { seat: activeSeat, slot: slotIndex + 1, role });
 			gs.isTrayUnlocked = false;
 			gs.isCardRevealed = true;
 
 			socket.emit('PRIVATE_ROLE_REVEAL', { role, slotIndex });
-			io.to(roomId).emit('CARD_REVEALED', { seat: gs.currentTurn, role, cardIndex: slotIndex });
+			io.to(roomId).emit('CARD_REVEALED', { seat: activeSeat, role, cardIndex: slotIndex });
 
-			if (gs.currentTurn >= 10) gs.status = 'COMPLETED';
-			else gs.currentTurn++;
+			advanceTurn(roomId);
 
 			broadcastState(roomId);
-			saveState();
+			saveState({ rooms: [roomId] });
 		});
 
 		socket.on('FORCE_PICK', () => {
 			const roomId = state.clients[socket.id]?.roomId;
 			if ((state.clients[socket.id]?.role !== 'JUDGE' && state.clients[socket.id]?.role !== 'ADMIN') || !roomId) return;
 
+			forcePick(roomId, describeActor(state.clients[socket.id], clientIp, socket.deviceId));
+		});
+
+		socket.on('UNDO_PICK', (payload) => {
+			const client = state.clients[socket.id];
+			const roomId = resolveControlRoom(payload);
+			if (!roomId) return;
+
 			const gs = state.rooms[roomId].gameState;
+			if ((gs.status !== 'IN_PROGRESS' && gs.status !== 'COMPLETED') || gs.revealedSlots.length === 0) return;
+
+			// The last pick completes the draft without advancing the turn, so it is the current one.
+			const reopened = gs.status === 'COMPLETED';
+			if (reopened) reopenDraft(roomId);
+			const undoneTurn = reopened ? gs.currentTurn : gs.currentTurn - 1;
+			const undoneSeat = getSeatForTurn(gs, undoneTurn);
+			const undonePick = gs.results[undoneSeat];
+			const slotIndex = gs.revealedSlots.pop();
+
+			clearPickTimer(roomId);
+			delete gs.results[undoneSeat];
+			gs.currentTurn = undoneTurn;
+			gs.isTrayUnlocked = false;
+			gs.isCardRevealed = false;
 
-			if (gs.status !== 'IN_PROGRESS' || !gs.isTrayUnlocked || gs.isCardRevealed) {
-				return; 
-			}
+			gs.undoLog.push({
+				seat: undoneSeat,
+				slotIndex,
+				role: undonePick?.role || null,
+				undoneBy: client.role,
+				deviceName: client.name || null,
+				timestamp: Date.now()
+			});
+			audit('UNDO_PICK', roomId, { seat: undoneSeat, slot: slotIndex + 1, role: undonePick?.role || null, ...(reopened && { reopened }) });
 
-			const allSlots = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
-			const availableSlots = allSlots.filter(s => !gs.revealedSlots.includes(s));
+			io.to(roomId).emit('CLOSE_PLAYER_REVEAL');
+			io.to(roomId).emit('PICK_UNDONE', { seat: undoneSeat, cardIndex: slotIndex });
 
-			if (availableSlots.length === 0) return;
+			broadcastState(roomId);
+			saveState({ rooms: [roomId] });
+		});
 
-			const randomSlotIndex = availableSlots[Math.floor(Math.random() * availableSlots.length)];
-			const role = gs.slots[randomSlotIndex];
+		socket.on('PAUSE_DRAFT', (payload) => {
+			const client = state.clients[socket.id];
+			const roomId = resolveControlRoom(payload);
+			if (!roomId) return;
 
-			gs.revealedSlots.push(randomSlotIndex);
-			gs.results[gs.currentTurn] = { role, slotIndex: randomSlotIndex };
-			gs.isTrayUnlocked = false;
-			gs.isCardRevealed = true; 
+			const gs = state.rooms[roomId].gameState;
+			if (gs.status !== 'IN_PROGRESS' || gs.isPaused) return;
 
-			const isSingleMode = gs.settings?.singleMode;
-			const activeSeat = gs.currentTurn;
+			pausePickTimer(roomId);
+			gs.isPaused = true;
+			gs.pausedAt = Date.now();
 
-			const targetSockets = Object.values(state.clients).filter(c => {
-				if (c.roomId !== roomId || c.role !== 'PLAYER') return false;
-				
-				if (isSingleMode) {
-					const session = state.sessions[c.deviceId];
-					return session && session.assignedSeat === activeSeat;
-				}
-				
-				return true;
-			}).map(c => c.id);
+			console.log(`[DRAFT] Room ${roomId} paused by ${client.role} (${client.name || socket.deviceId}) on turn ${gs.currentTurn}.`);
+			audit('PAUSE_DRAFT', roomId, { turn: gs.currentTurn });
 
-			targetSockets.forEach(playerId => {
-				io.to(playerId).emit('PRIVATE_ROLE_REVEAL', { role, slotIndex: randomSlotIndex });
-			});
+			broadcastState(roomId);
+			saveState({ rooms: [roomId] });
+		});
 
-			io.to(roomId).emit('CARD_REVEALED', { seat: gs.currentTurn, role, cardIndex: randomSlotIndex });
+		socket.on('RESUME_DRAFT', (payload) => {
+			const client = state.clients[socket.id];
+			const roomId = resolveControlRoom(payload);
+			if (!roomId) return;
 
-			if (gs.currentTurn >= 10) gs.status = 'COMPLETED';
-			else gs.currentTurn++;
+			const gs = state.rooms[roomId].gameState;
+			if (gs.status !== 'IN_PROGRESS' || !gs.isPaused) return;
+
+			gs.isPaused = false;
+			gs.pausedAt = null;
+			resumePickTimer(roomId);
+
+			console.log(`[DRAFT] Room ${roomId} resumed by ${client.role} (${client.name || socket.deviceId}).`);
+			audit('RESUME_DRAFT', roomId, { turn: gs.currentTurn });
 
 			broadcastState(roomId);
-			saveState();
+			saveState({ rooms: [roomId] });
 		});
 
 		socket.on('RESET_DRAFT', () => {
@@ -742,14 +1413,24 @@ export function initializeSockets(io) {
 			const locked = gs.areRolesLocked;
 			const debug = gs.isDebugMode;
 			const singleMode = gs.settings?.singleMode; 
-
-			state.rooms[roomId].gameState = getInitialGameState();
+			const draftOrder = gs.settings.draftOrder;
+			const pickTimer = gs.settings.pickTimer;
+			const seating = gs.seating;
+
+			if (gs.status !== 'PENDING') snapshotBefore('RESET_DRAFT', roomId);
+			audit('RESET_DRAFT', roomId, { status: gs.status, picks: gs.revealedSlots.length });
+			clearPickTimer(roomId);
+			state.rooms[roomId].gameState = getInitialGameState(gs.settings.deck);
 			state.rooms[roomId].gameState.areRolesLocked = locked;
 			state.rooms[roomId].gameState.isDebugMode = debug;
 			state.rooms[roomId].gameState.settings.singleMode = singleMode; 
+			state.rooms[roomId].gameState.settings.draftOrder = draftOrder;
+			state.rooms[roomId].gameState.settings.pickTimer = pickTimer;
+			state.rooms[roomId].gameState.seating = seating;
 
 			updateClientCounts(roomId);
-			io.to(roomId).emit('STATE_UPDATE', state.rooms[roomId].gameState);
+			io.to(roomId).emit('STATE_UPDATE', sanitizeGameState(state.rooms[roomId].gameState));
+			saveState({ rooms: [roomId] });
 		});
 
 		socket.on('MEMORIZED_ROLE', () => {
@@ -757,33 +1438,89 @@ export function initializeSockets(io) {
 			if (roomId && state.rooms[roomId]) {
 				state.rooms[roomId].gameState.isCardRevealed = false; 
 				broadcastState(roomId);                         
-				saveState();
+				saveState({ rooms: [roomId] });
 				
 				io.to(roomId).emit('CLEAR_STREAM');             
 				io.to(roomId).emit('CLOSE_PLAYER_REVEAL');      
 			}
 		});
 	
+		// --- DRAFT HISTORY ---
+		socket.on('REQUEST_DRAFT_HISTORY', () => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			socket.emit('DRAFT_HISTORY_UPDATE', state.draftHistory);
+		});
+
+		socket.on('REQUEST_STATISTICS', (roomId) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			socket.emit('STATISTICS_UPDATE', computeStatistics(roomId || undefined));
+		});
+
+		// --- SNAPSHOTS & ROLLBACK ---
+		socket.on('REQUEST_SNAPSHOTS', () => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			socket.emit('SNAPSHOTS_UPDATE', listSnapshots());
+		});
+
+		socket.on('PREVIEW_SNAPSHOT', (snapshotId, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const preview = previewSnapshot(snapshotId);
+			callback?.(preview ? { success: true, preview } : { success: false, message: 'Snapshot not found or damaged.' });
+		});
+
+		socket.on('ROLLBACK_SNAPSHOT', (snapshotId, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			callback?.(rollbackToSnapshot(snapshotId, describeActor(state.clients[socket.id], clientIp, socket.deviceId)));
+		});
+
+		// --- AUDIT LOG ---
+		socket.on('REQUEST_AUDIT_LOG', (filters) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+
+			const { type, roomId, role, search, beforeSeq } = filters || {};
+			socket.emit('AUDIT_LOG_UPDATE', queryAudit({ type, roomId, role, search, beforeSeq }));
+		});
+
+		socket.on('VERIFY_AUDIT_LOG', (callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+			callback?.(verifyAuditChain());
+		});
+
 		// --- GLOBAL SETTINGS & i18n ---
 		socket.on('REQUEST_GLOBAL_SETTINGS', () => {
 			socket.emit('GLOBAL_SETTINGS_UPDATE', state.globalSettings);
 		});
 
-		socket.on('UPDATE_GLOBAL_SETTINGS', (newSettings) => {
-			if (state.clients[socket.id]?.role !== 'ADMIN') return;
+		socket.on('UPDATE_GLOBAL_SETTINGS', (newSettings, callback) => {
+			if (state.clients[socket.id]?.role !== 'ADMIN') return callback?.({ success: false, message: 'Unauthorized' });
 			
-			state.globalSettings = { ...state.globalSettings, ...newSettings };
+			snapshotBefore('UPDATE_GLOBAL_SETTINGS');
+			audit('UPDATE_GLOBAL_SETTINGS', null, { changed: Object.keys(newSettings).join(', ') });
+			state.globalSettings = {
+				...state.globalSettings,
+				...newSettings,
+				customAssets: { ...state.globalSettings.customAssets, ...newSettings.customAssets }
+			};
 			saveState();
 			
 			io.emit('GLOBAL_SETTINGS_UPDATE', state.globalSettings);
 			console.log(`[SYSTEM] Global settings updated. Active Language: ${state.globalSettings.language}`);
+			callback?.({ success: true });
 		});
 
 		socket.on('disconnect', () => {
 			const roomId = state.clients[socket.id]?.roomId;
+			const deviceId = state.clients[socket.id]?.deviceId || socket.deviceId;
 			delete state.clientKeys[socket.id];
 			delete state.clients[socket.id]; 
 
+			if (state.sessions[deviceId]) {
+				touchSession(deviceId);
+				saveState({ sessions: [deviceId] });
+			}
+
 			const clientIp = socket.handshake.address;
 			if (state.ipConnectionCounts[clientIp] > 0) {
 				state.ipConnectionCounts[clientIp]--;
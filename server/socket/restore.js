@@ -0,0 +1,50 @@
+/**
+ * @file server/socket/restore.js
+ * @description Swaps the whole live tournament state for an older copy: a passphrase backup
+ * (api/backup.js) or a point-in-time snapshot (core/snapshots.js).
+ */
+import { state, restorePersistedData, compactChangedState } from '../core/state.js';
+import { takeSnapshot, readSnapshotData } from '../core/snapshots.js';
+import { recordAudit, CONSOLE_ACTOR } from '../core/audit.js';
+import { clearPickTimer, resumePickTimers } from './draft.js';
+import { disconnectAllClients } from './broadcasters.js';
+
+/**
+ * Replaces the in-memory state and re-seals it into the vault.
+ * Every client is disconnected so tablets re-identify against the restored sessions. The live Admin
+ * password and 2FA are kept, so the Admin logs in again with the current ones, not those in the data.
+ * @param {Object} data - Persisted data as returned by getPersistedData().
+ * @returns {boolean} False if the data was made by an incompatible version.
+ */
+	export function replaceTournamentState(data) {
+		Object.keys(state.rooms).forEach(roomId => clearPickTimer(roomId));
+
+		if (!restorePersistedData(data, { keepCredentials: true })) return false;
+		state.uploadTokens = {};
+		compactChangedState();
+		resumePickTimers();
+
+		// Deferred so the caller's reply reaches the requesting console before its transport drops.
+		setImmediate(disconnectAllClients);
+		return true;
+	}
+
+/**
+ * Rolls the tournament back to a snapshot. The state being replaced is snapshotted first,
+ * so a rollback can itself be undone.
+ * @param {Object} [actor] - Who asked, for the audit log; the server console when omitted.
+ * @returns {Object} { success, message }.
+ */
+	export function rollbackToSnapshot(snapshotId, actor = CONSOLE_ACTOR) {
+		const data = readSnapshotData(snapshotId);
+		if (!data) return { success: false, message: 'Snapshot not found or damaged.' };
+
+		takeSnapshot('ROLLBACK', snapshotId, { force: true });
+		if (!replaceTournamentState(data)) {
+			return { success: false, message: 'The snapshot was made by an incompatible version.' };
+		}
+
+		recordAudit('ROLLBACK_SNAPSHOT', { actor, details: { snapshot: snapshotId } });
+		console.log(`[STORAGE] Rolled back to snapshot ${snapshotId} (${Object.keys(state.rooms).length} tables, ${state.draftHistory.length} archived games).`);
+		return { success: true };
+	}
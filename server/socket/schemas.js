@@ -0,0 +1,157 @@
+/**
+ * @file server/socket/schemas.js
+ * @description Declarative payload schemas for every client-to-server socket event.
+ * Each entry lists the rules for the event's positional arguments (see validatePayload in core/game.js);
+ * a trailing acknowledgement callback is not counted. Events missing from the registry are refused,
+ * so a handler only ever runs on arguments that match its declared shape.
+ */
+import { validatePayload, MAX_DECK_SIZE, ROLE_TEAMS, DRAFT_ORDER_MODES } from '../core/game.js';
+import { MAX_SCHEDULE_ROUNDS } from '../core/schedule.js';
+
+const object = (fields, extra = {}) => ({ type: 'object', strict: true, fields, ...extra });
+const optional = (rules) => ({ ...rules, optional: true });
+
+const ROOM_ID = { type: 'string', minLength: 1, maxLength: 20 };
+const SOCKET_ID = { type: 'string', minLength: 1, maxLength: 100 };
+const DEVICE_ID = { type: 'string', minLength: 1, maxLength: 100 };
+/** A device's own ID as issued by ASSIGN_NEW_DEVICE_ID; DEVICE_ID also covers phantom seats. */
+const DEVICE_TOKEN = { type: 'string', pattern: /^[0-9a-f]{64}$/ };
+const ENTITY_ID = { type: 'string', minLength: 1, maxLength: 64 };
+const PASSWORD = { type: 'string', minLength: 1, maxLength: 256 };
+const HEX_COLOR = { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ };
+const JUDGE_NAME = { type: 'string', minLength: 1, maxLength: 30, pattern: /\S/ };
+const CHALLENGE_RESPONSE = { type: 'string', pattern: /^[0-9a-f]{64}$/i };
+/** An Admin session token (see core/tokens.js). */
+const UPLOAD_TOKEN = { type: 'string', pattern: /^[0-9a-f]{64}$/ };
+const TOTP_CODE = { type: 'string', pattern: /^\d{6}$/ };
+/** A TOTP code or a recovery code such as ABCD-EFGH. */
+const SECOND_FACTOR = { type: 'string', minLength: 6, maxLength: 20 };
+const AUDIT_FILTER = optional({ type: 'string', maxLength: 100 });
+const PLAYER_FIELDS = {
+	nickname: { type: 'string', minLength: 1, maxLength: 30 },
+	realName: optional({ type: 'string', maxLength: 60 }),
+	club: optional({ type: 'string', maxLength: 40 })
+};
+
+/** Rules for the arguments of each event, in order. */
+export const EVENT_SCHEMAS = {
+	// --- Transport & identity ---
+	KEY_EXCHANGE: [{ type: 'string', minLength: 1, maxLength: 200, pattern: /^[0-9a-f]+$/i }],
+	ENCRYPTED_MESSAGE: [object({ event: { type: 'string', minLength: 1, maxLength: 50 }, payload: { type: 'string', pattern: /^\d{1,9}:\d{1,15}:(?:[0-9a-f]{2})*:[0-9a-f]{32}$/ } })],
+	IDENTIFY: [optional({ type: 'string', maxLength: 100 }), optional(UPLOAD_TOKEN)],
+	SETUP_ADMIN: [{ ...PASSWORD, minLength: 4 }],
+	JOIN_ROOM: [object({ name: { type: 'string', minLength: 1, maxLength: 30 }, roomCode: ROOM_ID })],
+	REQUEST_LOGIN_CHALLENGE: [],
+	ADMIN_LOGIN: [CHALLENGE_RESPONSE, optional(PASSWORD)],
+	ADMIN_TOTP_VERIFY: [SECOND_FACTOR],
+	CHANGE_PASSWORD: [object({ oldPassword: PASSWORD, newPassword: { ...PASSWORD, minLength: 4 } })],
+	ADMIN_LOGOUT: [],
+	REVOKE_UPLOAD_TOKENS: [],
+	REQUEST_SERVER_IDENTITY: [],
+	REQUEST_TOTP_STATUS: [],
+	BEGIN_TOTP_ENROLMENT: [],
+	CONFIRM_TOTP_ENROLMENT: [TOTP_CODE],
+	DISABLE_TOTP: [object({ password: PASSWORD, code: SECOND_FACTOR })],
+	REQUEST_JUDGE_CHALLENGE: [object({ name: JUDGE_NAME })],
+	JUDGE_LOGIN: [object({ name: JUDGE_NAME, roomId: ROOM_ID, response: CHALLENGE_RESPONSE, password: optional(PASSWORD) })],
+	REQUEST_GLOBAL_SETTINGS: [],
+	REQUEST_PERSONAL_INFO: [],
+
+	// --- Rooms & devices ---
+	CREATE_ROOM: [object({
+		roomCode: ROOM_ID,
+		deckId: { type: 'string', minLength: 1, maxLength: 20 },
+		customRoles: optional({
+			type: 'array',
+			maxItems: 8,
+			items: object({
+				role: { type: 'string', minLength: 1, maxLength: 20 },
+				count: { type: 'number', integer: true, min: 1, max: MAX_DECK_SIZE },
+				team: { type: 'string', enum: ROLE_TEAMS }
+			})
+		})
+	})],
+	DELETE_ROOM: [ROOM_ID],
+	REQUEST_STREAM_ACCESS: [object({ userAgent: { type: 'string', maxLength: 512 }, deviceId: DEVICE_TOKEN })],
+	VERIFY_STREAM: [object({ targetSocketId: SOCKET_ID, targetRoomId: ROOM_ID })],
+	SET_STREAM_LAYOUT: [object({ targetSocketId: SOCKET_ID, layout: { type: 'string', enum: ['LEFT', 'CENTER', 'RIGHT'] } })],
+	ASSIGN_ROLE: [object({ targetSocketId: SOCKET_ID, newRole: { type: 'string', enum: ['UNASSIGNED', 'PLAYER', 'JUDGE'] } })],
+	RESET_CLIENT: [SOCKET_ID],
+	TOGGLE_ROLE_LOCK: [object({ roomId: ROOM_ID, booleanState: { type: 'boolean' } })],
+	TOGGLE_GLOBAL_DEBUG: [{ type: 'boolean' }],
+	TOGGLE_SINGLE_MODE: [object({ roomId: ROOM_ID, booleanState: { type: 'boolean' } })],
+	SET_DRAFT_ORDER: [object({
+		roomId: ROOM_ID,
+		mode: { type: 'string', enum: DRAFT_ORDER_MODES },
+		startSeat: optional({ type: 'number', integer: true, min: 0, max: MAX_DECK_SIZE }),
+		sequence: optional({ type: 'array', maxItems: MAX_DECK_SIZE, items: { type: 'number', integer: true, min: 1, max: MAX_DECK_SIZE } })
+	})],
+	SET_PICK_TIMER: [object({
+		roomId: ROOM_ID,
+		enabled: { type: 'boolean' },
+		duration: { type: 'number', integer: true },
+		grace: { type: 'number', integer: true },
+		warning: { type: 'number', integer: true }
+	})],
+	SPAWN_PHANTOMS: [ROOM_ID],
+	ASSIGN_SEAT: [object({ targetDeviceId: DEVICE_ID, seatNumber: optional({ type: 'string', maxLength: 2, pattern: /^\d*$/ }) })],
+	REQUEST_REGISTRY: [],
+	RENAME_DEVICE: [object({ deviceId: DEVICE_ID, name: { type: 'string', minLength: 1, maxLength: 30 } })],
+	FORGET_DEVICE: [DEVICE_ID],
+	BAN_DEVICE: [object({ deviceId: DEVICE_ID, banned: { type: 'boolean' } })],
+	CREATE_JUDGE_ACCOUNT: [object({ name: JUDGE_NAME, password: { ...PASSWORD, minLength: 4 }, roomId: optional(ROOM_ID) })],
+	REVOKE_JUDGE_ACCOUNT: [ENTITY_ID],
+
+	// --- Player registry & schedule ---
+	CREATE_PLAYER: [object(PLAYER_FIELDS)],
+	UPDATE_PLAYER: [object({ id: ENTITY_ID, ...PLAYER_FIELDS })],
+	DELETE_PLAYER: [ENTITY_ID],
+	SET_SEAT_PLAYER: [object({ roomId: ROOM_ID, seat: { type: 'number', integer: true, min: 1, max: MAX_DECK_SIZE }, playerId: optional(ENTITY_ID) })],
+	GENERATE_SCHEDULE: [object({
+		roomIds: { type: 'array', minItems: 1, maxItems: 50, items: ROOM_ID },
+		rounds: { type: 'number', integer: true, min: 1, max: MAX_SCHEDULE_ROUNDS },
+		playerIds: optional({ type: 'array', maxItems: 1000, items: ENTITY_ID })
+	})],
+	APPLY_SCHEDULE_ROUND: [{ type: 'number', integer: true, min: 0 }],
+	CLEAR_SCHEDULE: [],
+
+	// --- Draft control (the Admin console names the table, Judges act on their own) ---
+	START_DRAFT: [],
+	UNLOCK_TRAY: [],
+	PICK_CARD: [{ type: 'number', integer: true, min: 0, max: MAX_DECK_SIZE - 1 }],
+	FORCE_PICK: [],
+	UNDO_PICK: [optional(object({ roomId: ROOM_ID }))],
+	PAUSE_DRAFT: [optional(object({ roomId: ROOM_ID }))],
+	RESUME_DRAFT: [optional(object({ roomId: ROOM_ID }))],
+	RESET_DRAFT: [],
+	MEMORIZED_ROLE: [],
+
+	// --- History, snapshots, audit & settings ---
+	REQUEST_DRAFT_HISTORY: [],
+	REQUEST_STATISTICS: [optional(ROOM_ID)],
+	REQUEST_SNAPSHOTS: [],
+	PREVIEW_SNAPSHOT: [ENTITY_ID],
+	ROLLBACK_SNAPSHOT: [ENTITY_ID],
+	REQUEST_AUDIT_LOG: [optional(object({ type: AUDIT_FILTER, roomId: AUDIT_FILTER, role: AUDIT_FILTER, search: AUDIT_FILTER, beforeSeq: optional({ type: 'number', integer: true, min: 1 }) }))],
+	VERIFY_AUDIT_LOG: [],
+	UPDATE_GLOBAL_SETTINGS: [object({
+		language: optional({ type: 'string', enum: ['en', 'ru', 'ua', 'he'] }),
+		customAssets: optional(object({ activePack: { type: 'string', minLength: 1, maxLength: 100 } })),
+		streamSeatPlateBackgroundColor: optional(HEX_COLOR),
+		streamSeatPlateTextColor: optional(HEX_COLOR)
+	})]
+};
+
+/**
+ * Checks an incoming event against the registry.
+ * @param {string} event - The event name.
+ * @param {Array} args - The event's arguments, without the acknowledgement callback.
+ * @returns {boolean} True if the event is registered and every argument matches its rule.
+ */
+	export function validateEvent(event, args) {
+		if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) return false;
+
+		const rules = EVENT_SCHEMAS[event];
+		if (args.length > rules.length) return false;
+		return rules.every((rule, index) => validatePayload(args[index], rule));
+	}